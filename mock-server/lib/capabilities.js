@@ -0,0 +1,63 @@
+/**
+ * Capabilities: what an account may do, e.g. "riders.approve"
+ * Returned with the user as `capabilities` and checked by routes with
+ * {can}. Customers and riders get their role's set; admins get the set of
+ * their admin_role, so support staff can run part of the console.
+ */
+
+const ROLE_CAPABILITIES = {
+  customer: ["requests.create"],
+  rider: ["deliveries.accept"],
+};
+
+const ADMIN_CAPABILITIES = [
+  "console.view",
+  "requests.view_all",
+  "riders.view",
+  "riders.approve",
+  "riders.suspend",
+  "analytics.view",
+  "remittances.view",
+  "remittances.record",
+  "remittances.waive",
+];
+
+const ADMIN_ROLE_CAPABILITIES = {
+  // Everything, including the customer and rider apps
+  super_admin: [
+    ...ROLE_CAPABILITIES.customer,
+    ...ROLE_CAPABILITIES.rider,
+    ...ADMIN_CAPABILITIES,
+  ],
+  support: [
+    "console.view",
+    "requests.view_all",
+    "riders.view",
+    "riders.approve",
+  ],
+};
+
+/**
+ * Capabilities granted by a list of roles
+ * @param {string[]} roles - Every role of the account
+ * @param {string} [adminRole="super_admin"] - Set used for the admin role
+ * @returns {string[]}
+ */
+function capabilitiesFor(roles, adminRole = "super_admin") {
+  const granted = new Set();
+  roles.forEach((role) => {
+    const list =
+      role === "admin"
+        ? ADMIN_ROLE_CAPABILITIES[adminRole]
+        : ROLE_CAPABILITIES[role];
+    (list || []).forEach((capability) => granted.add(capability));
+  });
+  return [...granted];
+}
+
+module.exports = {
+  ROLE_CAPABILITIES,
+  ADMIN_CAPABILITIES,
+  ADMIN_ROLE_CAPABILITIES,
+  capabilitiesFor,
+};
@@ -0,0 +1,184 @@
+/**
+ * HTTP helpers for the mock backend
+ * Responses follow the FastAPI conventions the app already handles:
+ * errors are {detail: "..."} and validation failures carry a detail array
+ */
+
+// ============================================
+// ERRORS
+// ============================================
+
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {string|Array} detail - FastAPI-style detail (string or array)
+   * @param {string} [code] - Machine-readable reason, sent next to detail
+   */
+  constructor(status, detail, code) {
+    super(typeof detail === "string" ? detail : "Validation error");
+    this.status = status;
+    this.detail = detail;
+    this.code = code;
+  }
+}
+
+/**
+ * Throw a 422 listing every missing body field, like Pydantic does
+ */
+function requireFields(body, fields) {
+  const missing = fields.filter(
+    (field) =>
+      body[field] === undefined || body[field] === null || body[field] === "",
+  );
+  if (missing.length) {
+    throw new HttpError(
+      422,
+      missing.map((field) => ({
+        type: "missing",
+        loc: ["body", field],
+        msg: "Field required",
+      })),
+    );
+  }
+}
+
+// ============================================
+// RESPONSES
+// ============================================
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PUT, PATCH, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers":
+    "Authorization, Content-Type, Idempotency-Key, X-2FA-Code",
+  "Access-Control-Expose-Headers": "Retry-After",
+};
+
+function sendJSON(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    ...CORS_HEADERS,
+    ...headers,
+  });
+  res.end(JSON.stringify(body));
+}
+
+function sendError(res, error) {
+  sendJSON(res, error.status || 500, {
+    detail: error.detail || error.message,
+    ...(error.code && { code: error.code }),
+  });
+}
+
+// ============================================
+// REQUEST PARSING
+// ============================================
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Parse a request body as JSON or multipart/form-data
+ * @returns {Promise<Object>} - {body, files}
+ */
+async function parseBody(req) {
+  const raw = await readBody(req);
+  const type = req.headers["content-type"] || "";
+
+  if (type.startsWith("multipart/form-data")) {
+    return parseMultipart(raw, type);
+  }
+  if (!raw.length) return { body: {}, files: [] };
+  try {
+    return { body: JSON.parse(raw.toString("utf8")), files: [] };
+  } catch (e) {
+    throw new HttpError(422, [
+      { type: "json_invalid", loc: ["body"], msg: "JSON decode error" },
+    ]);
+  }
+}
+
+/**
+ * Minimal multipart/form-data parser – enough for the app's FormData uploads
+ * @returns {Object} - {body: {field: value}, files: [{field, filename, contentType, data}]}
+ */
+function parseMultipart(raw, contentType) {
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType);
+  if (!boundary) return { body: {}, files: [] };
+  const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+
+  const body = {};
+  const files = [];
+  let start = raw.indexOf(delimiter);
+  while (start !== -1) {
+    const next = raw.indexOf(delimiter, start + delimiter.length);
+    if (next === -1) break;
+    // Part = headers \r\n\r\n content \r\n
+    const part = raw.subarray(start + delimiter.length + 2, next - 2);
+    const split = part.indexOf("\r\n\r\n");
+    if (split !== -1) {
+      const headers = part.subarray(0, split).toString("utf8");
+      const data = part.subarray(split + 4);
+      const name = /name="([^"]*)"/.exec(headers)?.[1];
+      const filename = /filename="([^"]*)"/.exec(headers)?.[1];
+      if (filename !== undefined) {
+        files.push({
+          field: name,
+          filename,
+          contentType:
+            /Content-Type:\s*([^\r\n]+)/i.exec(headers)?.[1] ||
+            "application/octet-stream",
+          data,
+        });
+      } else if (name) {
+        body[name] = data.toString("utf8");
+      }
+    }
+    start = next;
+  }
+  return { body, files };
+}
+
+// ============================================
+// PAGINATION
+// ============================================
+
+/**
+ * Slice a list and describe the page in both shapes the app reads
+ * (page_size/total_pages for customers, per_page/pages for admin)
+ */
+function paginate(items, page = 1, perPage = 20) {
+  page = Math.max(1, parseInt(page) || 1);
+  perPage = Math.max(1, parseInt(perPage) || 20);
+  const total = items.length;
+  const pages = Math.max(1, Math.ceil(total / perPage));
+  return {
+    items: items.slice((page - 1) * perPage, page * perPage),
+    pagination: {
+      page,
+      page_size: perPage,
+      per_page: perPage,
+      total,
+      total_pages: pages,
+      pages,
+    },
+  };
+}
+
+module.exports = {
+  HttpError,
+  requireFields,
+  CORS_HEADERS,
+  sendJSON,
+  sendError,
+  readBody,
+  parseBody,
+  parseMultipart,
+  paginate,
+};
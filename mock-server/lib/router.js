@@ -0,0 +1,73 @@
+/**
+ * Tiny path router for the mock backend
+ * Patterns use :params, e.g. "/api/requests/:id/accept"
+ */
+
+class Router {
+  constructor() {
+    this.routes = [];
+  }
+
+  /**
+   * Register a route
+   * @param {string} method - HTTP method
+   * @param {string} pattern - Path pattern with :params
+   * @param {Function} handler - async (ctx) => body | {status, body}
+   * @param {Object} [options] - {auth: true | "customer" | "rider" | "admin",
+   *   can: capability the caller needs, e.g. "riders.approve"}
+   */
+  add(method, pattern, handler, options = {}) {
+    const keys = [];
+    const regex = new RegExp(
+      "^" +
+        pattern.replace(/\/$/, "").replace(/:(\w+)/g, (_, key) => {
+          keys.push(key);
+          return "([^/]+)";
+        }) +
+        "/?$",
+    );
+    this.routes.push({ method, pattern, regex, keys, handler, options });
+  }
+
+  get(pattern, handler, options) {
+    this.add("GET", pattern, handler, options);
+  }
+
+  post(pattern, handler, options) {
+    this.add("POST", pattern, handler, options);
+  }
+
+  put(pattern, handler, options) {
+    this.add("PUT", pattern, handler, options);
+  }
+
+  patch(pattern, handler, options) {
+    this.add("PATCH", pattern, handler, options);
+  }
+
+  delete(pattern, handler, options) {
+    this.add("DELETE", pattern, handler, options);
+  }
+
+  /**
+   * Find the route for a request
+   * @returns {Object|null} - {route, params} or {methodNotAllowed: true}
+   */
+  match(method, pathname) {
+    let pathMatched = false;
+    for (const route of this.routes) {
+      const match = route.regex.exec(pathname);
+      if (!match) continue;
+      pathMatched = true;
+      if (route.method !== method) continue;
+      const params = {};
+      route.keys.forEach((key, i) => {
+        params[key] = decodeURIComponent(match[i + 1]);
+      });
+      return { route, params };
+    }
+    return pathMatched ? { methodNotAllowed: true } : null;
+  }
+}
+
+module.exports = Router;
@@ -0,0 +1,84 @@
+/**
+ * Token issuing for the mock backend
+ * Access tokens are real HS256 JWTs (with sub/exp) so client-side expiry
+ * handling behaves exactly as it does against the real API
+ */
+
+const crypto = require("crypto");
+
+const SECRET = "pasugo-mock-secret";
+
+function base64url(input) {
+  return Buffer.from(input)
+    .toString("base64")
+    .replace(/=+$/, "")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_");
+}
+
+function sign(data) {
+  return crypto
+    .createHmac("sha256", SECRET)
+    .update(data)
+    .digest("base64")
+    .replace(/=+$/, "")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_");
+}
+
+/**
+ * Issue an access token for a user
+ * @param {Object} user - Stored user
+ * @param {number} ttlSeconds - Lifetime in seconds
+ * @param {string} [sessionId] - Login session (sid claim), so revoking the
+ *   session also invalidates its access tokens
+ */
+function issueAccessToken(user, ttlSeconds, sessionId) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const payload = base64url(
+    JSON.stringify({
+      sub: String(user.user_id),
+      sid: sessionId,
+      user_type: user.user_type,
+      type: "access",
+      iat: now,
+      exp: now + ttlSeconds,
+      jti: crypto.randomBytes(8).toString("hex"),
+    }),
+  );
+  return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+}
+
+/**
+ * Verify an access token
+ * @returns {Object|null} - Decoded payload, or null when invalid/expired
+ */
+function verifyAccessToken(token) {
+  if (!token) return null;
+  const [header, payload, signature] = String(token).split(".");
+  if (!header || !payload || sign(`${header}.${payload}`) !== signature) {
+    return null;
+  }
+  try {
+    const claims = JSON.parse(
+      Buffer.from(
+        payload.replace(/-/g, "+").replace(/_/g, "/"),
+        "base64",
+      ).toString("utf8"),
+    );
+    if (claims.exp * 1000 < Date.now()) return null;
+    return claims;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Opaque refresh token (stored server-side in the mock store)
+ */
+function issueRefreshToken() {
+  return crypto.randomBytes(24).toString("hex");
+}
+
+module.exports = { issueAccessToken, verifyAccessToken, issueRefreshToken };
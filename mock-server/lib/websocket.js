@@ -0,0 +1,182 @@
+/**
+ * Minimal WebSocket (RFC 6455) server side – text frames, ping/pong, close
+ * Keeps the mock backend dependency-free so it runs with no network
+ */
+
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+
+const GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+const OPCODES = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa,
+};
+
+// ============================================
+// CONNECTION
+// ============================================
+
+/**
+ * One accepted socket
+ * Events: "message" (string), "close" (code)
+ */
+class WebSocketConnection extends EventEmitter {
+  constructor(socket) {
+    super();
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.closed = false;
+
+    socket.on("data", (chunk) => {
+      this.buffer = Buffer.concat([this.buffer, chunk]);
+      this._drain();
+    });
+    socket.on("close", () => this._finish(1006));
+    socket.on("error", () => this._finish(1006));
+  }
+
+  /**
+   * Send a JSON-serialisable value (or a string) as a text frame
+   */
+  send(data) {
+    if (this.closed) return;
+    const payload = Buffer.from(
+      typeof data === "string" ? data : JSON.stringify(data),
+    );
+    this.socket.write(this._frame(OPCODES.TEXT, payload));
+  }
+
+  close(code = 1000, reason = "") {
+    if (this.closed) return;
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    this.socket.write(this._frame(OPCODES.CLOSE, payload));
+    this.socket.end();
+    this._finish(code);
+  }
+
+  _finish(code) {
+    if (this.closed) return;
+    this.closed = true;
+    this.emit("close", code);
+  }
+
+  _frame(opcode, payload) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+      header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+      header = Buffer.alloc(4);
+      header[0] = 0x80 | opcode;
+      header[1] = 126;
+      header.writeUInt16BE(length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode;
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+  }
+
+  // Parse as many complete frames as the buffer holds
+  _drain() {
+    while (this.buffer.length >= 2) {
+      const fin = (this.buffer[0] & 0x80) !== 0;
+      const opcode = this.buffer[0] & 0x0f;
+      const masked = (this.buffer[1] & 0x80) !== 0;
+      let length = this.buffer[1] & 0x7f;
+      let offset = 2;
+
+      if (length === 126) {
+        if (this.buffer.length < 4) return;
+        length = this.buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (this.buffer.length < 10) return;
+        length = Number(this.buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+
+      const maskOffset = offset;
+      if (masked) offset += 4;
+      if (this.buffer.length < offset + length) return;
+
+      let payload = this.buffer.subarray(offset, offset + length);
+      if (masked) {
+        const mask = this.buffer.subarray(maskOffset, maskOffset + 4);
+        payload = Buffer.from(payload.map((byte, i) => byte ^ mask[i % 4]));
+      }
+      this.buffer = this.buffer.subarray(offset + length);
+
+      this._handleFrame(fin, opcode, payload);
+    }
+  }
+
+  _handleFrame(fin, opcode, payload) {
+    switch (opcode) {
+      case OPCODES.TEXT:
+      case OPCODES.BINARY:
+      case OPCODES.CONTINUATION:
+        this.fragments.push(payload);
+        if (fin) {
+          const message = Buffer.concat(this.fragments).toString("utf8");
+          this.fragments = [];
+          this.emit("message", message);
+        }
+        break;
+      case OPCODES.PING:
+        this.socket.write(this._frame(OPCODES.PONG, payload));
+        break;
+      case OPCODES.CLOSE:
+        this.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+        break;
+      default:
+        break;
+    }
+  }
+}
+
+// ============================================
+// HANDSHAKE
+// ============================================
+
+/**
+ * Complete the HTTP upgrade and return a connection
+ * @param {http.IncomingMessage} req
+ * @param {net.Socket} socket
+ * @returns {WebSocketConnection|null}
+ */
+function acceptUpgrade(req, socket) {
+  const key = req.headers["sec-websocket-key"];
+  if (!key || (req.headers.upgrade || "").toLowerCase() !== "websocket") {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return null;
+  }
+  const accept = crypto
+    .createHash("sha1")
+    .update(key + GUID)
+    .digest("base64");
+  socket.write(
+    [
+      "HTTP/1.1 101 Switching Protocols",
+      "Upgrade: websocket",
+      "Connection: Upgrade",
+      `Sec-WebSocket-Accept: ${accept}`,
+      "",
+      "",
+    ].join("\r\n"),
+  );
+  socket.setNoDelay(true);
+  return new WebSocketConnection(socket);
+}
+
+module.exports = { acceptUpgrade, WebSocketConnection };
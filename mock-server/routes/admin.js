@@ -0,0 +1,758 @@
+/**
+ * /api/admin/* – everything admin-dashboard.html reads
+ * Earnings are derived from completed requests; remittances record which
+ * rider-days have been paid in (or waived). Suspending a rider and waiving
+ * a remittance need a fresh two-factor code in the X-2FA-Code header.
+ */
+
+const { HttpError, paginate, requireFields } = require("../lib/http");
+const { generateSecret, otpauthUrl, verifyTotp } = require("../lib/totp");
+
+// ============================================
+// HELPERS
+// ============================================
+
+function dateKey(iso) {
+  return String(iso || "").slice(0, 10);
+}
+
+function today() {
+  return dateKey(new Date().toISOString());
+}
+
+/**
+ * YYYY-MM-DD for each of the last `days` days, oldest first
+ */
+function lastDays(days) {
+  const list = [];
+  for (let i = days - 1; i >= 0; i--) {
+    list.push(dateKey(new Date(Date.now() - i * 86400000).toISOString()));
+  }
+  return list;
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function completed(store) {
+  return store.requests.filter((r) => r.status === "completed");
+}
+
+/**
+ * Add up deliveries and shares over a list of completed requests
+ */
+function totals(store, requests) {
+  return requests.reduce(
+    (sum, r) => {
+      const { admin_share, rider_share } = store.shares(r.service_fee);
+      sum.deliveries += 1;
+      sum.service_fee = round(sum.service_fee + Number(r.service_fee || 0));
+      sum.admin_share = round(sum.admin_share + admin_share);
+      sum.rider_share = round(sum.rider_share + rider_share);
+      return sum;
+    },
+    { deliveries: 0, service_fee: 0, admin_share: 0, rider_share: 0 },
+  );
+}
+
+function riderDay(store, riderId, date) {
+  return completed(store).filter(
+    (r) => r.rider_id === riderId && dateKey(r.completed_at) === date,
+  );
+}
+
+function remittanceFor(store, riderId, date) {
+  return (
+    store.remittances.find((r) => r.rider_id === riderId && r.date === date) ||
+    null
+  );
+}
+
+/**
+ * remitted | waived | pending (owes today) | none (no earnings)
+ */
+function remitStatus(store, riderId, date) {
+  const remittance = remittanceFor(store, riderId, date);
+  if (remittance) return remittance.status;
+  return riderDay(store, riderId, date).length ? "pending" : "none";
+}
+
+function loadRider(ctx) {
+  const rider = ctx.store.find("riders", ctx.params.id);
+  if (!rider) throw new HttpError(404, "Rider not found");
+  return rider;
+}
+
+function riderRow(store, rider) {
+  const profile = store.riderProfile(rider);
+  const user = store.find("users", rider.user_id);
+  const all = totals(
+    store,
+    completed(store).filter((r) => r.rider_id === rider.rider_id),
+  );
+  return {
+    rider_id: rider.rider_id,
+    user_id: rider.user_id,
+    full_name: profile.full_name,
+    email: profile.email,
+    phone: profile.phone_number,
+    vehicle_type: rider.vehicle_type,
+    vehicle_plate: rider.vehicle_plate,
+    license_number: rider.license_number,
+    gcash_name: rider.gcash_name,
+    gcash_number: rider.gcash_number,
+    rating: rider.rating,
+    status: rider.availability_status,
+    approval_status: rider.approval_status,
+    is_active: user?.is_active !== false,
+    today_deliveries: riderDay(store, rider.rider_id, today()).length,
+    total_deliveries: all.deliveries,
+    total_service_fee: all.service_fee,
+    rider_share: all.rider_share,
+    admin_share: all.admin_share,
+    remit_status: remitStatus(store, rider.rider_id, today()),
+    created_at: profile.created_at,
+  };
+}
+
+/**
+ * One rider's standing for a given day (today's remittance table)
+ */
+function remittanceRow(store, rider, date) {
+  const day = totals(store, riderDay(store, rider.rider_id, date));
+  const remittance = remittanceFor(store, rider.rider_id, date);
+  return {
+    rider_id: rider.rider_id,
+    rider_name: store.riderProfile(rider).full_name,
+    vehicle_plate: rider.vehicle_plate,
+    total_deliveries: day.deliveries,
+    total_service_fee: day.service_fee,
+    rider_share: day.rider_share,
+    admin_share: day.admin_share,
+    status: remitStatus(store, rider.rider_id, date),
+    remitted_at: remittance?.remitted_at || null,
+    notes: remittance?.notes || null,
+  };
+}
+
+/**
+ * Step-up check for destructive actions: the admin must have two-factor on
+ * and send a current code (or a recovery code) with the request
+ */
+function requireSecondFactor(ctx) {
+  if (!ctx.user.totp_enabled) {
+    throw new HttpError(
+      403,
+      "Turn on two-factor authentication to do this",
+      "second_factor_disabled",
+    );
+  }
+  const code = ctx.req.headers["x-2fa-code"];
+  if (!code) {
+    throw new HttpError(
+      403,
+      "Two-factor code required",
+      "second_factor_required",
+    );
+  }
+  if (!ctx.store.checkSecondFactor(ctx.user, code)) {
+    throw new HttpError(
+      403,
+      "Invalid two-factor code",
+      "second_factor_invalid",
+    );
+  }
+}
+
+// ============================================
+// ROUTES
+// ============================================
+
+function register(router) {
+  const admin = { auth: "admin" };
+  // Console areas also need a capability of the admin's role
+  // (lib/capabilities.js); support staff hold only some of them
+  const can = (capability) => ({ ...admin, can: capability });
+
+  router.get(
+    "/api/admin/me",
+    (ctx) => ({
+      success: true,
+      data: {
+        user_id: ctx.user.user_id,
+        full_name: ctx.user.full_name,
+        email: ctx.user.email,
+        role: ctx.user.admin_role || "super_admin",
+        capabilities: ctx.store.capabilitiesOf(ctx.user),
+      },
+    }),
+    admin,
+  );
+
+  // ===== TWO-FACTOR =====
+
+  router.get(
+    "/api/admin/2fa",
+    (ctx) => ({
+      success: true,
+      data: {
+        enabled: Boolean(ctx.user.totp_enabled),
+        recovery_codes_left: (ctx.user.recovery_codes || []).length,
+      },
+    }),
+    admin,
+  );
+
+  // A new secret to scan; nothing changes until /enable confirms a code
+  router.post(
+    "/api/admin/2fa/setup",
+    (ctx) => {
+      if (ctx.user.totp_enabled) {
+        throw new HttpError(409, "Two-factor authentication is already on");
+      }
+      const secret = generateSecret();
+      ctx.user.totp_pending_secret = secret;
+      return {
+        success: true,
+        data: { secret, otpauth_url: otpauthUrl(secret, ctx.user.email) },
+      };
+    },
+    admin,
+  );
+
+  router.post(
+    "/api/admin/2fa/enable",
+    (ctx) => {
+      requireFields(ctx.body, ["code"]);
+      const secret = ctx.user.totp_pending_secret;
+      if (!secret) throw new HttpError(400, "Start two-factor setup first");
+      if (!verifyTotp(secret, ctx.body.code)) {
+        throw new HttpError(400, "Invalid two-factor code");
+      }
+      ctx.user.totp_secret = secret;
+      ctx.user.totp_enabled = true;
+      delete ctx.user.totp_pending_secret;
+      return {
+        success: true,
+        message: "Two-factor authentication is on",
+        data: { recovery_codes: ctx.store.issueRecoveryCodes(ctx.user) },
+      };
+    },
+    admin,
+  );
+
+  router.post(
+    "/api/admin/2fa/recovery-codes",
+    (ctx) => {
+      requireSecondFactor(ctx);
+      return {
+        success: true,
+        message: "New recovery codes generated",
+        data: { recovery_codes: ctx.store.issueRecoveryCodes(ctx.user) },
+      };
+    },
+    admin,
+  );
+
+  router.post(
+    "/api/admin/2fa/disable",
+    (ctx) => {
+      requireSecondFactor(ctx);
+      ctx.user.totp_enabled = false;
+      delete ctx.user.totp_secret;
+      delete ctx.user.recovery_codes;
+      return { success: true, message: "Two-factor authentication is off" };
+    },
+    admin,
+  );
+
+  // ===== DASHBOARD =====
+
+  router.get(
+    "/api/admin/dashboard/summary",
+    (ctx) => {
+      const { store } = ctx;
+      const all = totals(store, completed(store));
+      const todayDone = completed(store).filter(
+        (r) => dateKey(r.completed_at) === today(),
+      );
+      const todayTotals = totals(store, todayDone);
+      return {
+        success: true,
+        data: {
+          total_riders: store.riders.filter(
+            (r) => r.approval_status === "approved",
+          ).length,
+          total_customers: store.users.filter((u) => u.user_type === "customer")
+            .length,
+          total_requests: store.requests.length,
+          completed_requests: all.deliveries,
+          total_service_fee: all.service_fee,
+          admin_share: all.admin_share,
+          rider_share: all.rider_share,
+          today: {
+            requests: store.requests.filter(
+              (r) => dateKey(r.created_at) === today(),
+            ).length,
+            completed: todayTotals.deliveries,
+            revenue: todayTotals.service_fee,
+            admin_share: todayTotals.admin_share,
+          },
+        },
+      };
+    },
+    can("console.view"),
+  );
+
+  router.get(
+    "/api/admin/requests",
+    (ctx) => {
+      let list = [...ctx.store.requests];
+      if (ctx.query.status) {
+        list = list.filter((r) => r.status === ctx.query.status);
+      }
+      list.sort((a, b) => b.created_at.localeCompare(a.created_at));
+      const { items, pagination } = paginate(
+        list,
+        ctx.query.page,
+        ctx.query.per_page,
+      );
+      return {
+        success: true,
+        data: items.map((r) => ({
+          ...ctx.store.serializeRequest(r),
+          ...ctx.store.shares(r.service_fee),
+        })),
+        pagination,
+      };
+    },
+    can("requests.view_all"),
+  );
+
+  // ===== RIDERS =====
+
+  router.get(
+    "/api/admin/riders",
+    (ctx) => {
+      const search = String(ctx.query.search || "").toLowerCase();
+      let rows = ctx.store.riders
+        .filter((r) => r.approval_status === "approved")
+        .map((r) => riderRow(ctx.store, r));
+      if (search) {
+        rows = rows.filter((r) =>
+          `${r.full_name} ${r.email}`.toLowerCase().includes(search),
+        );
+      }
+      if (ctx.query.status) {
+        rows = rows.filter((r) => r.status === ctx.query.status);
+      }
+      const { items, pagination } = paginate(
+        rows,
+        ctx.query.page,
+        ctx.query.per_page,
+      );
+      return { success: true, data: items, pagination };
+    },
+    can("riders.view"),
+  );
+
+  router.get(
+    "/api/admin/riders/approval/pending",
+    (ctx) => {
+      const pending = ctx.store.riders
+        .filter((r) => r.approval_status === "pending")
+        .map((r) => ({
+          ...riderRow(ctx.store, r),
+          selfie_url: r.selfie_url,
+          id_document_url: r.id_document_url,
+        }));
+      const { items, pagination } = paginate(
+        pending,
+        ctx.query.page,
+        ctx.query.per_page,
+      );
+      return { success: true, data: items, pagination };
+    },
+    can("riders.approve"),
+  );
+
+  router.get(
+    "/api/admin/riders/:id",
+    (ctx) => {
+      const rider = loadRider(ctx);
+      const done = completed(ctx.store).filter(
+        (r) => r.rider_id === rider.rider_id,
+      );
+      return {
+        success: true,
+        data: {
+          ...riderRow(ctx.store, rider),
+          selfie_url: rider.selfie_url,
+          id_document_url: rider.id_document_url,
+          daily_breakdown: lastDays(7)
+            .reverse()
+            .map((date) => {
+              const day = totals(
+                ctx.store,
+                done.filter((r) => dateKey(r.completed_at) === date),
+              );
+              return {
+                date,
+                deliveries: day.deliveries,
+                service_fee: day.service_fee,
+                rider_share: day.rider_share,
+                admin_share: day.admin_share,
+              };
+            }),
+          recent_deliveries: [...done]
+            .sort((a, b) => b.completed_at.localeCompare(a.completed_at))
+            .slice(0, 10)
+            .map((r) => ({
+              request_id: r.request_id,
+              service_type: r.service_type,
+              service_fee: r.service_fee,
+              admin_share: ctx.store.shares(r.service_fee).admin_share,
+              completed_at: r.completed_at,
+            })),
+        },
+      };
+    },
+    can("riders.view"),
+  );
+
+  router.delete(
+    "/api/admin/riders/:id",
+    (ctx) => {
+      const rider = loadRider(ctx);
+      requireSecondFactor(ctx);
+      const user = ctx.store.find("users", rider.user_id);
+      if (user) user.is_active = false;
+      rider.availability_status = "offline";
+      // Suspended riders lose their sessions immediately
+      ctx.store.revokeUserSessions(rider.user_id);
+      return { success: true, message: "Rider suspended" };
+    },
+    can("riders.suspend"),
+  );
+
+  router.get(
+    "/api/admin/riders/:id/location",
+    (ctx) => {
+      const rider = loadRider(ctx);
+      const history = ctx.store.locations
+        .filter((l) => l.user_id === rider.user_id)
+        .slice(-20)
+        .reverse();
+      return {
+        success: true,
+        data: { current: history[0] || null, history },
+      };
+    },
+    can("riders.view"),
+  );
+
+  router.post(
+    "/api/admin/riders/:id/approve",
+    (ctx) => {
+      const rider = loadRider(ctx);
+      if (rider.approval_status === "approved") {
+        throw new HttpError(409, "Rider is already approved");
+      }
+      rider.approval_status = "approved";
+      rider.rejection_reason = null;
+      ctx.store.notify(
+        rider.user_id,
+        "Account approved",
+        "Your rider account has been approved. You can now go online.",
+      );
+      return { success: true, message: "Rider approved" };
+    },
+    can("riders.approve"),
+  );
+
+  router.post(
+    "/api/admin/riders/:id/reject",
+    (ctx) => {
+      const rider = loadRider(ctx);
+      rider.approval_status = "rejected";
+      rider.rejection_reason = ctx.body.rejection_reason || null;
+      ctx.store.notify(
+        rider.user_id,
+        "Application rejected",
+        rider.rejection_reason || "Your rider application was rejected.",
+      );
+      return { success: true, message: "Rider rejected" };
+    },
+    can("riders.approve"),
+  );
+
+  // ===== ANALYTICS =====
+
+  router.get(
+    "/api/admin/analytics/revenue",
+    (ctx) => {
+      const done = completed(ctx.store);
+      return {
+        success: true,
+        data: lastDays(parseInt(ctx.query.days) || 30).map((date) => {
+          const day = totals(
+            ctx.store,
+            done.filter((r) => dateKey(r.completed_at) === date),
+          );
+          return {
+            date,
+            service_fee: day.service_fee,
+            admin_share: day.admin_share,
+            rider_share: day.rider_share,
+            deliveries: day.deliveries,
+          };
+        }),
+      };
+    },
+    can("analytics.view"),
+  );
+
+  router.get(
+    "/api/admin/analytics/service-types",
+    (ctx) => {
+      const byType = new Map();
+      ctx.store.requests.forEach((r) => {
+        const row = byType.get(r.service_type) || {
+          service_type: r.service_type,
+          count: 0,
+          total_fee: 0,
+        };
+        row.count += 1;
+        row.total_fee = round(row.total_fee + Number(r.service_fee || 0));
+        byType.set(r.service_type, row);
+      });
+      return {
+        success: true,
+        data: [...byType.values()].sort((a, b) => b.count - a.count),
+      };
+    },
+    can("analytics.view"),
+  );
+
+  router.get(
+    "/api/admin/analytics/customers",
+    (ctx) => {
+      const customers = ctx.store.users.filter(
+        (u) => u.user_type === "customer",
+      );
+      const stats = customers.map((u) => {
+        const own = ctx.store.requests.filter(
+          (r) => r.customer_id === u.user_id,
+        );
+        return {
+          name: u.full_name,
+          email: u.email,
+          requests: own.length,
+          total_spent: round(
+            own
+              .filter((r) => r.status === "completed")
+              .reduce((sum, r) => sum + Number(r.total_amount || 0), 0),
+          ),
+        };
+      });
+      return {
+        success: true,
+        data: {
+          total_customers: customers.length,
+          active_customers: stats.filter((c) => c.requests > 0).length,
+          daily_signups: lastDays(30).map((date) => ({
+            date,
+            count: customers.filter((u) => dateKey(u.created_at) === date)
+              .length,
+          })),
+          top_customers: stats
+            .filter((c) => c.requests > 0)
+            .sort((a, b) => b.total_spent - a.total_spent)
+            .slice(0, 10),
+        },
+      };
+    },
+    can("analytics.view"),
+  );
+
+  // ===== REMITTANCES =====
+
+  router.get(
+    "/api/admin/remittances/today",
+    (ctx) => {
+      const date = ctx.query.target_date || today();
+      const riders = ctx.store.riders
+        .filter((r) => r.approval_status === "approved")
+        .map((r) => remittanceRow(ctx.store, r, date));
+      const sum = (list, field) =>
+        round(list.reduce((s, r) => s + r[field], 0));
+      const remitted = riders.filter((r) => r.status === "remitted");
+      const pending = riders.filter((r) => r.status === "pending");
+      return {
+        success: true,
+        data: {
+          date,
+          summary: {
+            total_admin_share: sum(riders, "admin_share"),
+            total_collected: sum(remitted, "admin_share"),
+            riders_remitted: remitted.length,
+            total_pending: sum(pending, "admin_share"),
+            riders_pending: pending.length,
+          },
+          riders,
+        },
+      };
+    },
+    can("remittances.view"),
+  );
+
+  const settle = (status) => (ctx) => {
+    const rider = ctx.store.find("riders", ctx.params.riderId);
+    if (!rider) throw new HttpError(404, "Rider not found");
+    const date = ctx.query.target_date || today();
+    const row = remittanceRow(ctx.store, rider, date);
+    if (row.status === "none") {
+      throw new HttpError(400, "Rider has no earnings on this date");
+    }
+    if (row.status !== "pending") {
+      throw new HttpError(409, `Already ${row.status} for ${date}`);
+    }
+    ctx.store.insert("remittances", {
+      rider_id: rider.rider_id,
+      date,
+      status,
+      total_deliveries: row.total_deliveries,
+      total_service_fee: row.total_service_fee,
+      rider_share: row.rider_share,
+      admin_share: row.admin_share,
+      remitted_at: new Date().toISOString(),
+      notes: ctx.query.notes || null,
+    });
+    return {
+      success: true,
+      message:
+        status === "remitted"
+          ? `${row.rider_name} marked as remitted`
+          : `Remittance waived for ${row.rider_name}`,
+    };
+  };
+
+  router.post(
+    "/api/admin/remittances/:riderId/remit",
+    settle("remitted"),
+    can("remittances.record"),
+  );
+  router.post(
+    "/api/admin/remittances/:riderId/waive",
+    (ctx) => {
+      requireSecondFactor(ctx);
+      return settle("waived")(ctx);
+    },
+    can("remittances.waive"),
+  );
+
+  router.get(
+    "/api/admin/remittances/history",
+    (ctx) => {
+      const { rider_id, status, date_from, date_to } = ctx.query;
+      const list = ctx.store.remittances
+        .filter((r) => !rider_id || r.rider_id === Number(rider_id))
+        .filter((r) => !status || r.status === status)
+        .filter((r) => !date_from || r.date >= date_from)
+        .filter((r) => !date_to || r.date <= date_to)
+        .sort((a, b) => b.date.localeCompare(a.date))
+        .map((r) => ({
+          ...r,
+          rider_name:
+            ctx.store.riderProfile(ctx.store.find("riders", r.rider_id))
+              .full_name || "Unknown",
+        }));
+      const { items, pagination } = paginate(
+        list,
+        ctx.query.page,
+        ctx.query.limit,
+      );
+      return {
+        success: true,
+        data: {
+          items,
+          page: pagination.page,
+          pages: pagination.pages,
+          total: pagination.total,
+        },
+      };
+    },
+    can("remittances.view"),
+  );
+
+  router.get(
+    "/api/admin/shares/summary",
+    (ctx) => {
+      const days = lastDays(parseInt(ctx.query.days) || 30);
+      const done = completed(ctx.store);
+      const inPeriod = done.filter((r) =>
+        days.includes(dateKey(r.completed_at)),
+      );
+      const lifetime = totals(ctx.store, done);
+      const collected = round(
+        ctx.store.remittances
+          .filter((r) => r.status === "remitted")
+          .reduce((sum, r) => sum + r.admin_share, 0),
+      );
+      const waived = round(
+        ctx.store.remittances
+          .filter((r) => r.status === "waived")
+          .reduce((sum, r) => sum + r.admin_share, 0),
+      );
+      const period = totals(ctx.store, inPeriod);
+
+      return {
+        success: true,
+        data: {
+          lifetime: {
+            admin_share: lifetime.admin_share,
+            total_deliveries: lifetime.deliveries,
+            total_collected: collected,
+            uncollected: round(lifetime.admin_share - collected - waived),
+          },
+          period: {
+            admin_share: period.admin_share,
+            total_deliveries: period.deliveries,
+          },
+          daily_trend: days.map((date) => {
+            const day = totals(
+              ctx.store,
+              inPeriod.filter((r) => dateKey(r.completed_at) === date),
+            );
+            return {
+              date,
+              admin_share: day.admin_share,
+              rider_share: day.rider_share,
+            };
+          }),
+          rider_breakdown: ctx.store.riders
+            .map((rider) => {
+              const own = totals(
+                ctx.store,
+                inPeriod.filter((r) => r.rider_id === rider.rider_id),
+              );
+              return {
+                rider_id: rider.rider_id,
+                rider_name: ctx.store.riderProfile(rider).full_name,
+                deliveries: own.deliveries,
+                total_fee: own.service_fee,
+                rider_share: own.rider_share,
+                admin_share: own.admin_share,
+              };
+            })
+            .filter((r) => r.deliveries > 0)
+            .sort((a, b) => b.admin_share - a.admin_share),
+        },
+      };
+    },
+    can("remittances.view"),
+  );
+}
+
+module.exports = { register };
@@ -0,0 +1,13 @@
+/**
+ * /api/app-config – the remote switches old builds check on start:
+ * minimum supported version and maintenance mode
+ */
+
+function register(router) {
+  router.get("/api/app-config", (ctx) => ({
+    success: true,
+    data: ctx.store.appConfig,
+  }));
+}
+
+module.exports = { register };
@@ -0,0 +1,353 @@
+/**
+ * /api/auth/* – login (password or phone code, plus a TOTP step for admins
+ * with two-factor on), OTP registration, refresh, password reset, and the
+ * signed-in devices (sessions) list
+ * Every OTP is MOCK_OTP (also printed to the console)
+ */
+
+const { HttpError, requireFields } = require("../lib/http");
+const { normalizePhone, MFA_CHALLENGE_SECONDS } = require("../store");
+const {
+  issueAccessToken,
+  issueRefreshToken,
+  verifyAccessToken,
+} = require("../lib/tokens");
+
+const MOCK_OTP = "123456";
+
+/**
+ * Issue an access/refresh pair for a user's session
+ */
+function issueTokens(ctx, user, sessionId) {
+  const refreshToken = issueRefreshToken();
+  ctx.store.refreshTokens.set(refreshToken, sessionId);
+  return {
+    access_token: issueAccessToken(user, ctx.config.accessTokenTtl, sessionId),
+    refresh_token: refreshToken,
+    token_type: "bearer",
+    expires_in: ctx.config.accessTokenTtl,
+  };
+}
+
+/**
+ * Start a session for the signing-in device (named in the request body)
+ */
+function startSession(ctx, user, device = ctx.body.device || {}) {
+  const session = ctx.store.createSession(
+    user,
+    device,
+    ctx.req.socket.remoteAddress,
+  );
+  return issueTokens(ctx, user, session.session_id);
+}
+
+/**
+ * Session as the devices list shows it
+ */
+function serializeSession(session, current) {
+  const { device_id, ...device } = session.device;
+  return {
+    session_id: session.session_id,
+    ...device,
+    ip_address: session.ip_address,
+    location: session.location,
+    created_at: session.created_at,
+    last_seen_at: session.last_seen_at,
+    current: session.session_id === current?.session_id,
+  };
+}
+
+// Codes are keyed by email, or by the normalized phone number for logins
+function sendOtp(ctx, address, type) {
+  ctx.store.otps.set(address, { otp: MOCK_OTP, type });
+  console.log(`📧 [mock] ${type} OTP for ${address}: ${MOCK_OTP}`);
+}
+
+function checkOtp(ctx, address, otp, type) {
+  const pending = ctx.store.otps.get(address);
+  if (!pending || pending.type !== type || String(otp) !== pending.otp) {
+    throw new HttpError(400, "Invalid or expired OTP");
+  }
+  ctx.store.otps.delete(address);
+}
+
+/**
+ * Response to valid credentials, shared by password and code logins.
+ * Accounts with two-factor on get a challenge for /api/auth/2fa/verify
+ * instead of tokens.
+ */
+function loginResponse(ctx, user) {
+  if (user.is_active === false) {
+    throw new HttpError(403, "Account is suspended");
+  }
+  if (user.totp_enabled) {
+    return {
+      success: true,
+      message: "Enter the code from your authenticator app",
+      data: {
+        mfa_required: true,
+        mfa_token: ctx.store.createMfaChallenge(user, ctx.body.device),
+        expires_in: MFA_CHALLENGE_SECONDS,
+      },
+    };
+  }
+  return completeLogin(ctx, user);
+}
+
+function completeLogin(ctx, user, device) {
+  user.last_login = new Date().toISOString();
+  return {
+    success: true,
+    message: "Login successful",
+    data: {
+      ...startSession(ctx, user, device),
+      user: ctx.store.publicUser(user),
+    },
+  };
+}
+
+function register(router) {
+  router.post("/api/auth/login", (ctx) => {
+    requireFields(ctx.body, ["email", "password"]);
+    const user = ctx.store.findUserByEmail(ctx.body.email);
+    if (!user || user.password !== ctx.body.password) {
+      throw new HttpError(401, "Invalid email or password");
+    }
+    return loginResponse(ctx, user);
+  });
+
+  router.post("/api/auth/login/request-otp", (ctx) => {
+    requireFields(ctx.body, ["phone_number"]);
+    const phone = normalizePhone(ctx.body.phone_number);
+    // Same answer whether or not the number has an account
+    if (ctx.store.findUserByPhone(phone)) {
+      sendOtp(ctx, phone, "login");
+    }
+    return {
+      success: true,
+      message: "If the number is registered, a code was sent",
+    };
+  });
+
+  router.post("/api/auth/login/verify-otp", (ctx) => {
+    requireFields(ctx.body, ["phone_number", "otp"]);
+    const phone = normalizePhone(ctx.body.phone_number);
+    checkOtp(ctx, phone, ctx.body.otp, "login");
+    const user = ctx.store.findUserByPhone(phone);
+    if (!user) throw new HttpError(400, "Invalid or expired OTP");
+    return loginResponse(ctx, user);
+  });
+
+  // Second step of a two-factor login: an authenticator or recovery code
+  router.post("/api/auth/2fa/verify", (ctx) => {
+    requireFields(ctx.body, ["mfa_token", "code"]);
+    const challenge = ctx.store.mfaChallenge(ctx.body.mfa_token);
+    if (!challenge) {
+      throw new HttpError(400, "Sign-in expired. Please sign in again.");
+    }
+    const user = ctx.store.find("users", challenge.user_id);
+    if (!ctx.store.checkSecondFactor(user, ctx.body.code)) {
+      ctx.store.failMfaChallenge(ctx.body.mfa_token);
+      throw new HttpError(400, "Invalid two-factor code");
+    }
+    ctx.store.mfaChallenges.delete(ctx.body.mfa_token);
+    return completeLogin(ctx, user, challenge.device);
+  });
+
+  router.post("/api/auth/register/request-otp", (ctx) => {
+    requireFields(ctx.body, ["email"]);
+    const email = ctx.body.email.trim().toLowerCase();
+    if (ctx.store.findUserByEmail(email)) {
+      throw new HttpError(400, "Email already registered");
+    }
+    sendOtp(ctx, email, "registration");
+    return { success: true, message: "OTP sent to your email" };
+  });
+
+  router.post("/api/auth/register/verify-otp", (ctx) => {
+    requireFields(ctx.body, [
+      "email",
+      "otp",
+      "full_name",
+      "phone_number",
+      "password",
+      "user_type",
+    ]);
+    const email = ctx.body.email.trim().toLowerCase();
+    checkOtp(ctx, email, ctx.body.otp, "registration");
+    if (ctx.store.findUserByEmail(email)) {
+      throw new HttpError(400, "Email already registered");
+    }
+
+    const user = ctx.store.insert("users", {
+      email,
+      password: ctx.body.password,
+      full_name: ctx.body.full_name,
+      phone_number: ctx.body.phone_number,
+      address: ctx.body.address || "",
+      user_type: ctx.body.user_type === "rider" ? "rider" : "customer",
+      profile_photo_url: null,
+      is_active: true,
+      created_at: new Date().toISOString(),
+    });
+
+    if (user.user_type === "rider") {
+      ctx.store.insert("riders", {
+        user_id: user.user_id,
+        id_number: ctx.body.id_number || null,
+        vehicle_type: ctx.body.vehicle_type || "motorcycle",
+        vehicle_plate: ctx.body.vehicle_plate || null,
+        license_plate: ctx.body.vehicle_plate || null,
+        license_number: ctx.body.license_number || null,
+        service_zones: ctx.body.service_zones || [],
+        rating: 0,
+        total_tasks_completed: 0,
+        total_earnings: 0,
+        availability_status: "offline",
+        approval_status: "pending",
+        rejection_reason: null,
+        gcash_name: null,
+        gcash_number: null,
+        selfie_url: null,
+        id_document_url: null,
+        created_at: user.created_at,
+      });
+    }
+
+    return {
+      success: true,
+      message: "Registration successful",
+      data: { ...startSession(ctx, user), user: ctx.store.publicUser(user) },
+    };
+  });
+
+  router.post("/api/auth/otp/resend", (ctx) => {
+    const type = ctx.body.otp_type || "registration";
+    if (type === "login") {
+      requireFields(ctx.body, ["phone_number"]);
+      const phone = normalizePhone(ctx.body.phone_number);
+      if (ctx.store.findUserByPhone(phone)) sendOtp(ctx, phone, type);
+      return { success: true, message: "OTP resent" };
+    }
+    requireFields(ctx.body, ["email"]);
+    const email = ctx.body.email.trim().toLowerCase();
+    sendOtp(ctx, email, type);
+    return { success: true, message: "OTP resent" };
+  });
+
+  router.post("/api/auth/refresh", (ctx) => {
+    requireFields(ctx.body, ["refresh_token"]);
+    const sessionId = ctx.store.refreshTokens.get(ctx.body.refresh_token);
+    const session = sessionId && ctx.store.sessions.get(sessionId);
+    const user = session && ctx.store.find("users", session.user_id);
+    if (!user || user.is_active === false) {
+      throw new HttpError(401, "Invalid refresh token");
+    }
+    // Rotate: the old refresh token stops working
+    ctx.store.refreshTokens.delete(ctx.body.refresh_token);
+    session.last_seen_at = new Date().toISOString();
+    return {
+      success: true,
+      message: "Token refreshed",
+      data: issueTokens(ctx, user, sessionId),
+    };
+  });
+
+  router.post("/api/auth/validate-token", (ctx) => {
+    const header = ctx.req.headers.authorization || "";
+    const claims = verifyAccessToken(header.replace(/^Bearer\s+/i, ""));
+    const user = ctx.store.userForClaims(claims);
+    if (!user) throw new HttpError(401, "Invalid or expired token");
+    return {
+      success: true,
+      valid: true,
+      data: { user: ctx.store.publicUser(user), expires_at: claims.exp },
+    };
+  });
+
+  router.post(
+    "/api/auth/logout",
+    (ctx) => {
+      if (ctx.body.refresh_token) {
+        ctx.store.refreshTokens.delete(ctx.body.refresh_token);
+      }
+      if (ctx.session) ctx.store.revokeSession(ctx.session.session_id);
+      return { success: true, message: "Logged out" };
+    },
+    { auth: true },
+  );
+
+  router.post(
+    "/api/auth/logout-all",
+    (ctx) => {
+      const count = ctx.store.sessionsForUser(ctx.user.user_id).length;
+      ctx.store.revokeUserSessions(ctx.user.user_id);
+      return {
+        success: true,
+        message: "Logged out of all devices",
+        data: { revoked: count },
+      };
+    },
+    { auth: true },
+  );
+
+  router.get(
+    "/api/auth/sessions",
+    (ctx) => ({
+      success: true,
+      data: ctx.store
+        .sessionsForUser(ctx.user.user_id)
+        .sort((a, b) => b.last_seen_at.localeCompare(a.last_seen_at))
+        .map((session) => serializeSession(session, ctx.session)),
+    }),
+    { auth: true },
+  );
+
+  router.delete(
+    "/api/auth/sessions/:id",
+    (ctx) => {
+      const session = ctx.store.sessions.get(ctx.params.id);
+      if (!session || session.user_id !== ctx.user.user_id) {
+        throw new HttpError(404, "Session not found");
+      }
+      ctx.store.revokeSession(session.session_id);
+      return { success: true, message: "Device logged out" };
+    },
+    { auth: true },
+  );
+
+  router.post(
+    "/api/auth/change-password",
+    (ctx) => {
+      requireFields(ctx.body, ["old_password", "new_password"]);
+      if (ctx.user.password !== ctx.body.old_password) {
+        throw new HttpError(400, "Current password is incorrect");
+      }
+      ctx.user.password = ctx.body.new_password;
+      return { success: true, message: "Password changed successfully" };
+    },
+    { auth: true },
+  );
+
+  router.post("/api/auth/forgot-password/request-otp", (ctx) => {
+    requireFields(ctx.body, ["email"]);
+    const email = ctx.body.email.trim().toLowerCase();
+    // Same answer whether or not the account exists
+    if (ctx.store.findUserByEmail(email)) {
+      sendOtp(ctx, email, "password_reset");
+    }
+    return { success: true, message: "If the email exists, a code was sent" };
+  });
+
+  router.post("/api/auth/forgot-password/reset", (ctx) => {
+    requireFields(ctx.body, ["email", "otp", "new_password"]);
+    const email = ctx.body.email.trim().toLowerCase();
+    checkOtp(ctx, email, ctx.body.otp, "password_reset");
+    const user = ctx.store.findUserByEmail(email);
+    if (!user) throw new HttpError(404, "User not found");
+    user.password = ctx.body.new_password;
+    return { success: true, message: "Password reset successfully" };
+  });
+}
+
+module.exports = { register, issueTokens, MOCK_OTP };
@@ -0,0 +1,111 @@
+/**
+ * /api/locations/* – GPS pings and nearby rider search
+ */
+
+const { HttpError, requireFields } = require("../lib/http");
+const { distanceKm } = require("./requests");
+
+// Only the latest pings matter; keep memory flat on long sessions
+const MAX_HISTORY_PER_USER = 50;
+
+function register(router) {
+  router.post(
+    "/api/locations/update",
+    (ctx) => {
+      requireFields(ctx.body, ["latitude", "longitude"]);
+      const latitude = Number(ctx.body.latitude);
+      const longitude = Number(ctx.body.longitude);
+      if (
+        !Number.isFinite(latitude) ||
+        !Number.isFinite(longitude) ||
+        Math.abs(latitude) > 90 ||
+        Math.abs(longitude) > 180
+      ) {
+        throw new HttpError(422, [
+          {
+            type: "value_error",
+            loc: ["body", "latitude"],
+            msg: "Invalid coordinates",
+          },
+        ]);
+      }
+
+      const location = ctx.store.insert("locations", {
+        user_id: ctx.user.user_id,
+        latitude,
+        longitude,
+        accuracy: ctx.body.accuracy ?? null,
+        address: ctx.body.address || null,
+        created_at: new Date().toISOString(),
+      });
+
+      const history = ctx.store.locations.filter(
+        (l) => l.user_id === ctx.user.user_id,
+      );
+      if (history.length > MAX_HISTORY_PER_USER) {
+        const drop = new Set(history.slice(0, -MAX_HISTORY_PER_USER));
+        ctx.store.locations = ctx.store.locations.filter((l) => !drop.has(l));
+      }
+
+      if (ctx.rider) {
+        ctx.rider.latitude = latitude;
+        ctx.rider.longitude = longitude;
+      }
+      return { success: true, message: "Location updated", data: location };
+    },
+    { auth: true },
+  );
+
+  // Top-level {riders, count} – map.js and request-modal.js read it unwrapped
+  router.get(
+    "/api/locations/riders/available",
+    (ctx) => {
+      const origin = {
+        latitude: Number(ctx.query.lat),
+        longitude: Number(ctx.query.lng),
+      };
+      if (
+        !Number.isFinite(origin.latitude) ||
+        !Number.isFinite(origin.longitude)
+      ) {
+        throw new HttpError(422, [
+          { type: "missing", loc: ["query", "lat"], msg: "Field required" },
+        ]);
+      }
+      const radius = Number(ctx.query.radius) || 10;
+      const limit = parseInt(ctx.query.limit) || 50;
+
+      const riders = ctx.store.riders
+        .filter(
+          (r) =>
+            r.approval_status === "approved" &&
+            r.availability_status === "available",
+        )
+        .map((rider) => {
+          const location = ctx.store.latestLocation(rider.user_id) || rider;
+          if (location.latitude == null) return null;
+          const profile = ctx.store.riderProfile(rider);
+          return {
+            rider_id: rider.rider_id,
+            full_name: profile.full_name,
+            vehicle_type: rider.vehicle_type,
+            license_plate: rider.license_plate || rider.vehicle_plate,
+            rating: rider.rating,
+            total_tasks_completed: rider.total_tasks_completed,
+            availability_status: rider.availability_status,
+            latitude: location.latitude,
+            longitude: location.longitude,
+            distance_km: Math.round(distanceKm(origin, location) * 100) / 100,
+          };
+        })
+        .filter((r) => r && r.distance_km <= radius)
+        .sort((a, b) => a.distance_km - b.distance_km)
+        .slice(0, limit);
+
+      return { success: true, count: riders.length, riders };
+    },
+    { auth: true },
+  );
+}
+
+module.exports = { register };
@@ -0,0 +1,269 @@
+/**
+ * /api/messages/* – conversations over REST plus the live chat socket
+ * at /api/messages/ws/{conversation_id}?token=...
+ */
+
+const { HttpError, requireFields } = require("../lib/http");
+const { verifyAccessToken } = require("../lib/tokens");
+const { acceptUpgrade } = require("../lib/websocket");
+
+// ============================================
+// HELPERS
+// ============================================
+
+function participantIds(store, conversation) {
+  const request = store.find("requests", conversation.request_id);
+  if (!request) return [];
+  const rider = request.rider_id
+    ? store.find("riders", request.rider_id)
+    : null;
+  return [request.customer_id, rider?.user_id].filter(Boolean);
+}
+
+function isParticipant(store, conversation, userId) {
+  return participantIds(store, conversation).includes(userId);
+}
+
+function summarize(store, conversation, userId) {
+  const request = store.find("requests", conversation.request_id);
+  const rider = request?.rider_id
+    ? store.find("riders", request.rider_id)
+    : null;
+  const customer = store.find("users", request?.customer_id);
+  const riderUser = rider ? store.find("users", rider.user_id) : null;
+  const messages = store.messages.filter(
+    (m) => m.conversation_id === conversation.conversation_id,
+  );
+  const last = messages[messages.length - 1];
+  const other = customer?.user_id === userId ? riderUser : customer;
+
+  return {
+    conversation_id: conversation.conversation_id,
+    request_id: conversation.request_id,
+    service_type: request?.service_type || null,
+    request_status: request?.status || null,
+    customer_name: customer?.full_name || null,
+    rider_name: riderUser?.full_name || null,
+    other_user_name: other?.full_name || "Unknown",
+    last_message: last?.content || null,
+    last_message_at: last?.sent_at || conversation.created_at,
+    unread_count: messages.filter((m) => m.sender_id !== userId && !m.is_read)
+      .length,
+    created_at: conversation.created_at,
+  };
+}
+
+// ============================================
+// REST
+// ============================================
+
+function register(router) {
+  const ownConversation = (ctx) => {
+    const conversation = ctx.store.find("conversations", ctx.params.id);
+    if (!conversation) throw new HttpError(404, "Conversation not found");
+    if (!isParticipant(ctx.store, conversation, ctx.user.user_id)) {
+      throw new HttpError(403, "Not a participant in this conversation");
+    }
+    return conversation;
+  };
+
+  router.get(
+    "/api/messages/conversations",
+    (ctx) => ({
+      success: true,
+      data: ctx.store.conversations
+        .filter((c) => isParticipant(ctx.store, c, ctx.user.user_id))
+        .map((c) => summarize(ctx.store, c, ctx.user.user_id))
+        .sort((a, b) => b.last_message_at.localeCompare(a.last_message_at)),
+    }),
+    { auth: true },
+  );
+
+  // Get-or-create: both sides call this when they open the chat
+  router.post(
+    "/api/messages/conversations",
+    (ctx) => {
+      requireFields(ctx.body, ["request_id"]);
+      const request = ctx.store.find("requests", ctx.body.request_id);
+      if (!request) throw new HttpError(404, "Request not found");
+      if (!request.rider_id) {
+        throw new HttpError(400, "No rider assigned to this request yet");
+      }
+
+      let conversation = ctx.store.conversations.find(
+        (c) => c.request_id === request.request_id,
+      );
+      if (!conversation) {
+        conversation = ctx.store.insert("conversations", {
+          request_id: request.request_id,
+          created_at: new Date().toISOString(),
+        });
+      }
+      if (!isParticipant(ctx.store, conversation, ctx.user.user_id)) {
+        throw new HttpError(403, "Not a participant in this request");
+      }
+      return {
+        success: true,
+        data: summarize(ctx.store, conversation, ctx.user.user_id),
+      };
+    },
+    { auth: true },
+  );
+
+  router.get(
+    "/api/messages/conversations/:id",
+    (ctx) => {
+      const conversation = ownConversation(ctx);
+      return {
+        success: true,
+        data: {
+          ...summarize(ctx.store, conversation, ctx.user.user_id),
+          messages: ctx.store.messages.filter(
+            (m) => m.conversation_id === conversation.conversation_id,
+          ),
+        },
+      };
+    },
+    { auth: true },
+  );
+}
+
+// ============================================
+// WEBSOCKET HUB
+// ============================================
+
+/**
+ * Fans chat events out to everyone connected to a conversation
+ */
+class ChatHub {
+  constructor(store) {
+    this.store = store;
+    this.rooms = new Map(); // conversation_id → Set<{ws, userId}>
+  }
+
+  /**
+   * Accept an upgrade on /api/messages/ws/:id, closing with the same
+   * codes as the real API (4001 bad token, 4003 not a participant)
+   */
+  handleUpgrade(req, socket, conversationId, token) {
+    const ws = acceptUpgrade(req, socket);
+    if (!ws) return;
+
+    const claims = verifyAccessToken(token);
+    const user = this.store.userForClaims(claims);
+    if (!user) {
+      ws.close(4001, "Invalid token");
+      return;
+    }
+    const conversation = this.store.find("conversations", conversationId);
+    if (
+      !conversation ||
+      !isParticipant(this.store, conversation, user.user_id)
+    ) {
+      ws.close(4003, "Forbidden");
+      return;
+    }
+
+    const id = conversation.conversation_id;
+    const client = { ws, userId: user.user_id };
+    if (!this.rooms.has(id)) this.rooms.set(id, new Set());
+    this.rooms.get(id).add(client);
+    this.broadcast(id, { event: "user_joined", user_id: user.user_id }, client);
+
+    ws.on("message", (raw) => this.handleEvent(id, client, raw));
+    ws.on("close", () => {
+      this.rooms.get(id)?.delete(client);
+      this.broadcast(id, { event: "user_left", user_id: user.user_id });
+    });
+  }
+
+  handleEvent(conversationId, client, raw) {
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (e) {
+      client.ws.send({ event: "error", message: "Invalid JSON" });
+      return;
+    }
+
+    switch (data.event) {
+      case "ping":
+        client.ws.send({ event: "pong" });
+        break;
+      case "send_message": {
+        if (!data.content && !data.attachment_url) {
+          client.ws.send({ event: "error", message: "Message is empty" });
+          return;
+        }
+        const message = this.store.insert("messages", {
+          conversation_id: conversationId,
+          sender_id: client.userId,
+          content: data.content || "",
+          message_type: data.message_type || "text",
+          attachment_url: data.attachment_url || null,
+          attachment_type: data.attachment_type || null,
+          is_read: false,
+          sent_at: new Date().toISOString(),
+        });
+        this.broadcast(conversationId, { event: "new_message", ...message });
+        break;
+      }
+      case "typing_start":
+      case "typing_stop":
+        this.broadcast(
+          conversationId,
+          {
+            event: "user_typing",
+            user_id: client.userId,
+            is_typing: data.event === "typing_start",
+          },
+          client,
+        );
+        break;
+      case "mark_read": {
+        const ids = new Set((data.message_ids || []).map(Number));
+        const marked = this.store.messages.filter(
+          (m) =>
+            m.conversation_id === conversationId &&
+            ids.has(m.message_id) &&
+            m.sender_id !== client.userId &&
+            !m.is_read,
+        );
+        marked.forEach((m) => {
+          m.is_read = true;
+        });
+        if (marked.length) {
+          this.broadcast(conversationId, {
+            event: "messages_read",
+            user_id: client.userId,
+            message_ids: marked.map((m) => m.message_id),
+          });
+        }
+        break;
+      }
+      default:
+        client.ws.send({
+          event: "error",
+          message: `Unknown event: ${data.event}`,
+        });
+    }
+  }
+
+  broadcast(conversationId, payload, except = null) {
+    (this.rooms.get(conversationId) || []).forEach((client) => {
+      if (client !== except) client.ws.send(payload);
+    });
+  }
+
+  /**
+   * Drop every socket (used on reset and shutdown)
+   */
+  closeAll(code = 1001) {
+    this.rooms.forEach((clients) => {
+      clients.forEach((client) => client.ws.close(code, "Server reset"));
+    });
+    this.rooms.clear();
+  }
+}
+
+module.exports = { register, ChatHub };
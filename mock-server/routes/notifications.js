@@ -0,0 +1,67 @@
+/**
+ * /api/notifications/* – in-app notification feed
+ */
+
+const { HttpError } = require("../lib/http");
+
+function register(router) {
+  const own = (ctx) =>
+    ctx.store.notifications.filter((n) => n.user_id === ctx.user.user_id);
+
+  router.get(
+    "/api/notifications",
+    (ctx) => {
+      const limit = parseInt(ctx.query.limit) || 50;
+      let list = own(ctx);
+      if (ctx.query.unread_only === "true") {
+        list = list.filter((n) => !n.is_read);
+      }
+      return {
+        success: true,
+        data: [...list]
+          .sort((a, b) => b.created_at.localeCompare(a.created_at))
+          .slice(0, limit),
+      };
+    },
+    { auth: true },
+  );
+
+  router.get(
+    "/api/notifications/unread-count",
+    (ctx) => ({
+      success: true,
+      data: { unread_count: own(ctx).filter((n) => !n.is_read).length },
+    }),
+    { auth: true },
+  );
+
+  router.patch(
+    "/api/notifications/mark-all-read",
+    (ctx) => {
+      const unread = own(ctx).filter((n) => !n.is_read);
+      unread.forEach((n) => {
+        n.is_read = true;
+      });
+      return {
+        success: true,
+        message: `${unread.length} notification(s) marked as read`,
+      };
+    },
+    { auth: true },
+  );
+
+  router.patch(
+    "/api/notifications/:id/read",
+    (ctx) => {
+      const notification = ctx.store.find("notifications", ctx.params.id);
+      if (!notification || notification.user_id !== ctx.user.user_id) {
+        throw new HttpError(404, "Notification not found");
+      }
+      notification.is_read = true;
+      return { success: true, message: "Marked as read", data: notification };
+    },
+    { auth: true },
+  );
+}
+
+module.exports = { register };
@@ -0,0 +1,138 @@
+/**
+ * /api/ratings/* – customers rate riders after a completed delivery
+ */
+
+const { HttpError, requireFields } = require("../lib/http");
+
+const SCORE_FIELDS = [
+  "overall_rating",
+  "communication_rating",
+  "speed_rating",
+  "service_rating",
+];
+
+function register(router) {
+  router.post(
+    "/api/ratings/submit",
+    (ctx) => {
+      requireFields(ctx.body, ["request_id", "overall_rating"]);
+      const invalid = SCORE_FIELDS.filter((field) => {
+        const value = ctx.body[field];
+        if (value === null || value === undefined) return false;
+        return !Number.isInteger(value) || value < 1 || value > 5;
+      });
+      if (invalid.length) {
+        throw new HttpError(
+          422,
+          invalid.map((field) => ({
+            type: "less_than_equal",
+            loc: ["body", field],
+            msg: "Rating must be between 1 and 5",
+          })),
+        );
+      }
+
+      const request = ctx.store.find("requests", ctx.body.request_id);
+      if (!request || request.customer_id !== ctx.user.user_id) {
+        throw new HttpError(404, "Request not found");
+      }
+      if (request.status !== "completed" || !request.rider_id) {
+        throw new HttpError(400, "Only completed requests can be rated");
+      }
+      if (ctx.store.ratings.some((r) => r.request_id === request.request_id)) {
+        throw new HttpError(409, "You already rated this request");
+      }
+
+      const rating = ctx.store.insert("ratings", {
+        request_id: request.request_id,
+        customer_id: ctx.user.user_id,
+        rider_id: request.rider_id,
+        overall_rating: ctx.body.overall_rating,
+        communication_rating: ctx.body.communication_rating ?? null,
+        speed_rating: ctx.body.speed_rating ?? null,
+        service_rating: ctx.body.service_rating ?? null,
+        feedback_text: ctx.body.feedback_text || null,
+        is_anonymous: !!ctx.body.is_anonymous,
+        rating_date: new Date().toISOString(),
+      });
+
+      // Keep the rider's average in step with their ratings
+      const rider = ctx.store.find("riders", request.rider_id);
+      const riderRatings = ctx.store.ratings.filter(
+        (r) => r.rider_id === request.rider_id,
+      );
+      rider.rating =
+        Math.round(
+          (riderRatings.reduce((sum, r) => sum + r.overall_rating, 0) /
+            riderRatings.length) *
+            100,
+        ) / 100;
+      ctx.store.notify(
+        rider.user_id,
+        "New rating",
+        `You received ${rating.overall_rating} star(s)`,
+        "system",
+        request.request_id,
+      );
+
+      ctx.status = 201;
+      return { success: true, message: "Rating submitted", data: rating };
+    },
+    { auth: "customer" },
+  );
+
+  router.get(
+    "/api/ratings/my-ratings",
+    (ctx) => {
+      const ratings = ctx.store.ratings
+        .filter((r) => r.rider_id === ctx.rider.rider_id)
+        .sort((a, b) => b.rating_date.localeCompare(a.rating_date))
+        .map((r) => ({
+          ...r,
+          customer_name: r.is_anonymous
+            ? "Anonymous"
+            : ctx.store.find("users", r.customer_id)?.full_name || "Customer",
+        }));
+      return {
+        success: true,
+        data: {
+          total_ratings: ratings.length,
+          average_rating: ctx.rider.rating,
+          ratings,
+        },
+      };
+    },
+    { auth: "rider" },
+  );
+
+  router.get(
+    "/api/ratings/my-given-ratings",
+    (ctx) => {
+      const ratings = ctx.store.ratings.filter(
+        (r) => r.customer_id === ctx.user.user_id,
+      );
+      return {
+        success: true,
+        data: { total_ratings: ratings.length, ratings },
+      };
+    },
+    { auth: "customer" },
+  );
+
+  router.get(
+    "/api/ratings/check/:requestId",
+    (ctx) => ({
+      success: true,
+      data: {
+        has_rated: ctx.store.ratings.some(
+          (r) =>
+            r.request_id === Number(ctx.params.requestId) &&
+            r.customer_id === ctx.user.user_id,
+        ),
+      },
+    }),
+    { auth: true },
+  );
+}
+
+module.exports = { register };
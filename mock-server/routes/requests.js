@@ -0,0 +1,689 @@
+/**
+ * /api/requests/* – the customer → rider request lifecycle
+ * pending → (rider selected) → assigned → in_progress → completed
+ */
+
+const { HttpError, requireFields, paginate } = require("../lib/http");
+
+const SERVICE_TYPES = [
+  "groceries",
+  "delivery",
+  "pharmacy",
+  "pickup",
+  "documents",
+  "bills",
+];
+const PAYMENT_METHODS = ["cod", "gcash"];
+const ACTIVE_STATUSES = ["pending", "assigned", "in_progress"];
+
+// Allowed PATCH /status transitions
+const TRANSITIONS = {
+  pending: ["cancelled"],
+  assigned: ["in_progress", "cancelled"],
+  in_progress: ["completed"],
+  completed: [],
+  cancelled: [],
+};
+
+// Service fee: base + per-km, like the real fee calculator
+const BASE_FEE = 49;
+const PER_KM_FEE = 10;
+const FALLBACK_DISTANCE_KM = 3;
+
+// ============================================
+// HELPERS
+// ============================================
+
+function now() {
+  return new Date().toISOString();
+}
+
+function enumError(field, allowed) {
+  return new HttpError(422, [
+    {
+      type: "enum",
+      loc: ["body", field],
+      msg: `Input should be ${allowed.map((v) => `'${v}'`).join(", ")}`,
+    },
+  ]);
+}
+
+function distanceKm(a, b) {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(b.latitude - a.latitude);
+  const dLng = rad(b.longitude - a.longitude);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(a.latitude)) *
+      Math.cos(rad(b.latitude)) *
+      Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+/**
+ * Load :id, expiring a stale rider selection on the way
+ */
+function loadRequest(ctx) {
+  const request = ctx.store.find("requests", ctx.params.id);
+  if (!request) throw new HttpError(404, "Request not found");
+  ctx.store.expireSelection(request);
+  return request;
+}
+
+function isCustomer(ctx, request) {
+  return request.customer_id === ctx.user.user_id;
+}
+
+function isAssignedRider(ctx, request) {
+  return !!ctx.rider && request.rider_id === ctx.rider.rider_id;
+}
+
+function isSelectedRider(ctx, request) {
+  return !!ctx.rider && request.selected_rider_id === ctx.rider.rider_id;
+}
+
+function requireCustomer(ctx, request) {
+  if (!isCustomer(ctx, request)) {
+    throw new HttpError(403, "Not authorized to modify this request");
+  }
+}
+
+function requireAssignedRider(ctx, request) {
+  if (!isAssignedRider(ctx, request)) {
+    throw new HttpError(403, "You are not assigned to this request");
+  }
+}
+
+/**
+ * The selected rider may act on a pending request; anyone else gets a 409
+ * (someone else took it, or the selection already moved on)
+ */
+function requireOpenSelection(ctx, request) {
+  if (request.status !== "pending") {
+    throw new HttpError(409, "Request already taken by another rider");
+  }
+  if (!isSelectedRider(ctx, request)) {
+    throw new HttpError(
+      409,
+      request.selection_timed_out
+        ? "Selection expired for this request"
+        : "Request is no longer available",
+    );
+  }
+}
+
+function userIdForRider(ctx, riderId) {
+  const rider = ctx.store.find("riders", riderId);
+  return rider ? rider.user_id : null;
+}
+
+function setRiderAvailability(ctx, riderId, status) {
+  const rider = ctx.store.find("riders", riderId);
+  if (rider) rider.availability_status = status;
+}
+
+function riderInfo(ctx, request) {
+  const rider = ctx.store.find("riders", request.rider_id);
+  if (!rider) return null;
+  const profile = ctx.store.riderProfile(rider);
+  const location = ctx.store.latestLocation(rider.user_id);
+  return {
+    id: rider.rider_id,
+    rider_id: rider.rider_id,
+    name: profile.full_name,
+    full_name: profile.full_name,
+    phone: profile.phone_number,
+    vehicle_type: rider.vehicle_type,
+    vehicle_plate: rider.vehicle_plate,
+    rating: rider.rating,
+    latitude: location?.latitude ?? rider.latitude ?? null,
+    longitude: location?.longitude ?? rider.longitude ?? null,
+  };
+}
+
+/**
+ * Close out a delivery and credit the rider
+ */
+function completeRequest(ctx, request) {
+  request.status = "completed";
+  request.completed_at = now();
+  const rider = ctx.store.find("riders", request.rider_id);
+  if (rider) {
+    rider.total_tasks_completed = (rider.total_tasks_completed || 0) + 1;
+    rider.total_earnings =
+      (rider.total_earnings || 0) +
+      ctx.store.shares(request.service_fee).rider_share;
+    rider.availability_status = "available";
+  }
+  ctx.store.notify(
+    request.customer_id,
+    "Delivery completed",
+    `Request #${request.request_id} has been completed. Don't forget to rate your rider!`,
+    "delivery_update",
+    request.request_id,
+  );
+}
+
+function ok(ctx, message, request, extra = {}) {
+  return {
+    success: true,
+    message,
+    data: { ...ctx.store.serializeRequest(request), ...extra },
+  };
+}
+
+// ============================================
+// ROUTES
+// ============================================
+
+function register(router) {
+  // ===== CREATE & LIST =====
+
+  router.post(
+    "/api/requests/create",
+    (ctx) => {
+      requireFields(ctx.body, ["service_type", "items_description"]);
+      if (!SERVICE_TYPES.includes(ctx.body.service_type)) {
+        throw enumError("service_type", SERVICE_TYPES);
+      }
+      const paymentMethod = ctx.body.payment_method || "cod";
+      if (!PAYMENT_METHODS.includes(paymentMethod)) {
+        throw enumError("payment_method", PAYMENT_METHODS);
+      }
+      const active = ctx.store.requests.find(
+        (r) =>
+          r.customer_id === ctx.user.user_id &&
+          ACTIVE_STATUSES.includes(r.status),
+      );
+      if (active) {
+        throw new HttpError(
+          409,
+          `You already have an active request (#${active.request_id})`,
+        );
+      }
+
+      const request = ctx.store.insert("requests", {
+        customer_id: ctx.user.user_id,
+        rider_id: null,
+        selected_rider_id: null,
+        selected_at: null,
+        selection_timed_out: false,
+        declined_rider_ids: [],
+        service_type: ctx.body.service_type,
+        items_description: ctx.body.items_description,
+        budget_limit: ctx.body.budget_limit ?? null,
+        special_instructions: ctx.body.special_instructions ?? null,
+        pickup_location: ctx.body.pickup_location ?? null,
+        delivery_address: ctx.body.delivery_address ?? null,
+        delivery_option: ctx.body.delivery_option ?? null,
+        payment_method: paymentMethod,
+        latitude: ctx.body.latitude ?? null,
+        longitude: ctx.body.longitude ?? null,
+        status: "pending",
+        item_cost: null,
+        service_fee: null,
+        total_amount: null,
+        payment_status: null,
+        gcash_reference: null,
+        gcash_screenshot_url: null,
+        payment_proof_url: null,
+        bill_photos: [],
+        attachments: [],
+        created_at: now(),
+        assigned_at: null,
+        started_at: null,
+        completed_at: null,
+        cancelled_at: null,
+      });
+      ctx.status = 201;
+      return ok(ctx, "Request created successfully", request);
+    },
+    { auth: "customer", can: "requests.create" },
+  );
+
+  router.get(
+    "/api/requests/my-requests",
+    (ctx) => {
+      let list = ctx.rider
+        ? ctx.store.requests.filter((r) => r.rider_id === ctx.rider.rider_id)
+        : ctx.store.requests.filter((r) => r.customer_id === ctx.user.user_id);
+      if (ctx.query.status) {
+        list = list.filter((r) => r.status === ctx.query.status);
+      }
+      if (ctx.query.service_type) {
+        list = list.filter((r) => r.service_type === ctx.query.service_type);
+      }
+      list = [...list].sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+      const { items, pagination } = paginate(
+        list,
+        ctx.query.page,
+        ctx.query.page_size,
+      );
+      return {
+        success: true,
+        data: items.map((r) => ctx.store.serializeRequest(r)),
+        pagination,
+      };
+    },
+    { auth: true },
+  );
+
+  router.get(
+    "/api/requests/pending-for-me",
+    (ctx) => {
+      const pending = ctx.store.requests.filter((r) => {
+        ctx.store.expireSelection(r);
+        return r.status === "pending" && isSelectedRider(ctx, r);
+      });
+      return {
+        success: true,
+        message: `Found ${pending.length} pending request(s)`,
+        data: pending.map((r) => ctx.store.serializeRequest(r)),
+      };
+    },
+    { auth: "rider" },
+  );
+
+  // ===== READ =====
+
+  router.get(
+    "/api/requests/:id",
+    (ctx) => {
+      const request = loadRequest(ctx);
+      const allowed =
+        ctx.store.capabilitiesOf(ctx.user).includes("requests.view_all") ||
+        isCustomer(ctx, request) ||
+        isAssignedRider(ctx, request) ||
+        isSelectedRider(ctx, request);
+      if (!allowed)
+        throw new HttpError(403, "Not authorized to view this request");
+      return { success: true, data: ctx.store.serializeRequest(request) };
+    },
+    { auth: true },
+  );
+
+  router.get(
+    "/api/requests/:id/status-poll",
+    (ctx) => {
+      const request = loadRequest(ctx);
+      requireCustomer(ctx, request);
+      return {
+        success: true,
+        data: {
+          request_id: request.request_id,
+          status: request.status,
+          selected_rider_id: request.selected_rider_id,
+          timed_out: !!request.selection_timed_out,
+          rider_info: request.rider_id ? riderInfo(ctx, request) : null,
+        },
+      };
+    },
+    { auth: "customer" },
+  );
+
+  router.get(
+    "/api/requests/:id/calculate-fee",
+    (ctx) => {
+      const request = loadRequest(ctx);
+      requireAssignedRider(ctx, request);
+      const customer = ctx.store.serializeRequest(request).customer_location;
+      const riderLocation = ctx.store.latestLocation(ctx.user.user_id);
+      const distance =
+        customer && riderLocation
+          ? distanceKm(riderLocation, customer)
+          : FALLBACK_DISTANCE_KM;
+      const distanceRounded = Math.round(distance * 100) / 100;
+      return {
+        success: true,
+        data: {
+          service_fee: Math.round(BASE_FEE + distanceRounded * PER_KM_FEE),
+          distance_km: distanceRounded,
+          // Assume ~25 km/h through city traffic
+          duration_minutes: Math.round((distance / 25) * 60),
+        },
+      };
+    },
+    { auth: "rider" },
+  );
+
+  // ===== RIDER SELECTION =====
+
+  router.post(
+    "/api/requests/:id/select-rider",
+    (ctx) => {
+      const request = loadRequest(ctx);
+      requireCustomer(ctx, request);
+      if (request.status !== "pending") {
+        throw new HttpError(409, "A rider has already been assigned");
+      }
+      const rider = ctx.store.find("riders", ctx.query.rider_id);
+      if (!rider || rider.approval_status !== "approved") {
+        throw new HttpError(404, "Rider not found");
+      }
+      if (rider.user_id === ctx.user.user_id) {
+        throw new HttpError(409, "You can't deliver your own request");
+      }
+      if (rider.availability_status !== "available") {
+        throw new HttpError(409, "Rider is no longer available");
+      }
+      if (request.declined_rider_ids.includes(rider.rider_id)) {
+        throw new HttpError(409, "This rider already declined your request");
+      }
+
+      request.selected_rider_id = rider.rider_id;
+      request.selected_at = now();
+      request.selection_timed_out = false;
+      ctx.store.notify(
+        rider.user_id,
+        "New request",
+        `You have been selected for a ${request.service_type} request`,
+        "request_update",
+        request.request_id,
+      );
+      return ok(ctx, "Rider selected. Waiting for acceptance.", request);
+    },
+    { auth: "customer" },
+  );
+
+  router.post(
+    "/api/requests/:id/accept",
+    (ctx) => {
+      const request = loadRequest(ctx);
+      requireOpenSelection(ctx, request);
+      request.rider_id = ctx.rider.rider_id;
+      request.selected_rider_id = null;
+      request.status = "assigned";
+      request.assigned_at = now();
+      ctx.rider.availability_status = "busy";
+      ctx.store.notify(
+        request.customer_id,
+        "Rider accepted",
+        `${ctx.user.full_name} accepted your request`,
+        "request_update",
+        request.request_id,
+      );
+      return ok(ctx, "Request accepted", request);
+    },
+    { auth: "rider", can: "deliveries.accept" },
+  );
+
+  router.post(
+    "/api/requests/:id/decline",
+    (ctx) => {
+      const request = loadRequest(ctx);
+      requireOpenSelection(ctx, request);
+      request.declined_rider_ids.push(ctx.rider.rider_id);
+      request.selected_rider_id = null;
+      request.selected_at = null;
+      ctx.store.notify(
+        request.customer_id,
+        "Rider declined",
+        "The rider you selected declined. Please choose another rider.",
+        "request_update",
+        request.request_id,
+      );
+      return ok(ctx, "Request declined", request);
+    },
+    { auth: "rider" },
+  );
+
+  // ===== STATUS =====
+
+  router.patch(
+    "/api/requests/:id/status",
+    (ctx) => {
+      // pasugoAPI.updateRequestStatus sends new_status
+      requireFields(ctx.body, ["new_status"]);
+      const request = loadRequest(ctx);
+      if (!isCustomer(ctx, request) && !isAssignedRider(ctx, request)) {
+        throw new HttpError(403, "Not authorized to modify this request");
+      }
+      const next = ctx.body.new_status;
+      if (!(TRANSITIONS[request.status] || []).includes(next)) {
+        throw new HttpError(
+          409,
+          `Cannot change status from ${request.status} to ${next}`,
+        );
+      }
+      if (next === "completed") {
+        completeRequest(ctx, request);
+      } else {
+        request.status = next;
+        if (next === "in_progress") request.started_at = now();
+        if (next === "cancelled") request.cancelled_at = now();
+      }
+      return ok(ctx, `Status updated to ${next}`, request);
+    },
+    { auth: true },
+  );
+
+  router.post(
+    "/api/requests/:id/cancel",
+    (ctx) => {
+      const request = loadRequest(ctx);
+      requireCustomer(ctx, request);
+      if (!["pending", "assigned"].includes(request.status)) {
+        throw new HttpError(409, `Cannot cancel a ${request.status} request`);
+      }
+      request.status = "cancelled";
+      request.cancelled_at = now();
+      request.selected_rider_id = null;
+      if (request.rider_id) {
+        setRiderAvailability(ctx, request.rider_id, "available");
+        ctx.store.notify(
+          userIdForRider(ctx, request.rider_id),
+          "Request cancelled",
+          `Request #${request.request_id} was cancelled by the customer`,
+          "request_update",
+          request.request_id,
+        );
+      }
+      return ok(ctx, "Request cancelled", request);
+    },
+    { auth: "customer" },
+  );
+
+  router.post(
+    "/api/requests/:id/start-delivery",
+    (ctx) => {
+      const request = loadRequest(ctx);
+      requireAssignedRider(ctx, request);
+      if (request.status !== "assigned") {
+        throw new HttpError(409, `Request is already ${request.status}`);
+      }
+      request.status = "in_progress";
+      request.started_at = now();
+      ctx.store.notify(
+        request.customer_id,
+        "On the way",
+        "Your rider has started the delivery",
+        "delivery_update",
+        request.request_id,
+      );
+      return ok(ctx, "Delivery started", request);
+    },
+    { auth: "rider" },
+  );
+
+  router.post(
+    "/api/requests/:id/complete-delivery",
+    (ctx) => {
+      const request = loadRequest(ctx);
+      requireAssignedRider(ctx, request);
+      if (request.status !== "in_progress") {
+        throw new HttpError(409, `Request is already ${request.status}`);
+      }
+      completeRequest(ctx, request);
+      return ok(ctx, "Delivery completed", request);
+    },
+    { auth: "rider" },
+  );
+
+  // ===== BILLING & PAYMENT =====
+
+  router.post(
+    "/api/requests/:id/submit-bill",
+    (ctx) => {
+      requireFields(ctx.body, ["item_cost", "service_fee"]);
+      const request = loadRequest(ctx);
+      requireAssignedRider(ctx, request);
+      if (!["assigned", "in_progress"].includes(request.status)) {
+        throw new HttpError(409, `Cannot bill a ${request.status} request`);
+      }
+      const itemCost = Number(ctx.body.item_cost);
+      const serviceFee = Number(ctx.body.service_fee);
+      const invalid = [
+        ["item_cost", itemCost],
+        ["service_fee", serviceFee],
+      ].filter(([, value]) => !Number.isFinite(value) || value < 0);
+      if (invalid.length) {
+        throw new HttpError(
+          422,
+          invalid.map(([field]) => ({
+            type: "greater_than_equal",
+            loc: ["body", field],
+            msg: "Input should be greater than or equal to 0",
+          })),
+        );
+      }
+
+      request.item_cost = itemCost;
+      request.service_fee = serviceFee;
+      request.total_amount = itemCost + serviceFee;
+      request.payment_status = "pending";
+      Object.assign(request, ctx.store.shares(serviceFee));
+      ctx.store.notify(
+        request.customer_id,
+        "Bill ready",
+        `Total due: ₱${request.total_amount.toFixed(2)}`,
+        "payment_confirmation",
+        request.request_id,
+      );
+      return ok(ctx, "Bill submitted", request);
+    },
+    { auth: "rider" },
+  );
+
+  router.post(
+    "/api/requests/:id/submit-payment",
+    (ctx) => {
+      const request = loadRequest(ctx);
+      requireCustomer(ctx, request);
+      if (request.total_amount == null) {
+        throw new HttpError(409, "The rider has not submitted a bill yet");
+      }
+      if (request.payment_status === "confirmed") {
+        throw new HttpError(409, "Payment already confirmed");
+      }
+      request.gcash_reference = ctx.body.gcash_reference || null;
+      request.gcash_screenshot_url = ctx.body.gcash_screenshot_url || null;
+      request.payment_status = "submitted";
+      ctx.store.notify(
+        userIdForRider(ctx, request.rider_id),
+        "Payment submitted",
+        `The customer paid for request #${request.request_id}`,
+        "payment_confirmation",
+        request.request_id,
+      );
+      return ok(ctx, "Payment submitted", request);
+    },
+    { auth: "customer" },
+  );
+
+  router.post(
+    "/api/requests/:id/confirm-payment",
+    (ctx) => {
+      const request = loadRequest(ctx);
+      requireAssignedRider(ctx, request);
+      if (request.total_amount == null) {
+        throw new HttpError(409, "Submit the bill before confirming payment");
+      }
+      if (request.payment_status === "confirmed") {
+        throw new HttpError(409, "Payment already confirmed");
+      }
+      request.payment_status = "confirmed";
+      request.payment_proof_url = ctx.body.payment_proof_url || null;
+
+      // The real API closes the delivery once payment is in during transit
+      const autoCompleted = request.status === "in_progress";
+      if (autoCompleted) completeRequest(ctx, request);
+      return ok(ctx, "Payment confirmed", request, {
+        delivery_auto_completed: autoCompleted,
+      });
+    },
+    { auth: "rider" },
+  );
+
+  // ===== PHOTOS & ATTACHMENTS =====
+
+  const nextChildId = (list, field) =>
+    list.reduce((max, item) => Math.max(max, item[field]), 0) + 1;
+
+  router.post(
+    "/api/requests/:id/add-bill-photo",
+    (ctx) => {
+      requireFields(ctx.body, ["photo_url"]);
+      const request = loadRequest(ctx);
+      requireCustomer(ctx, request);
+      const photo = {
+        photo_id: nextChildId(request.bill_photos, "photo_id"),
+        photo_url: ctx.body.photo_url,
+        file_name: ctx.body.file_name || null,
+        file_size: ctx.body.file_size || null,
+        uploaded_at: now(),
+      };
+      request.bill_photos.push(photo);
+      ctx.status = 201;
+      return { success: true, message: "Photo added", data: photo };
+    },
+    { auth: "customer" },
+  );
+
+  router.post(
+    "/api/requests/:id/add-attachment",
+    (ctx) => {
+      requireFields(ctx.body, ["file_url"]);
+      const request = loadRequest(ctx);
+      requireCustomer(ctx, request);
+      const attachment = {
+        attachment_id: nextChildId(request.attachments, "attachment_id"),
+        file_name: ctx.body.file_name || null,
+        file_url: ctx.body.file_url,
+        file_type: ctx.body.file_type || null,
+        file_size: ctx.body.file_size || null,
+        uploaded_at: now(),
+      };
+      request.attachments.push(attachment);
+      ctx.status = 201;
+      return { success: true, message: "Attachment added", data: attachment };
+    },
+    { auth: "customer" },
+  );
+
+  const removeChild = (listName, field, label) => (ctx) => {
+    const request = loadRequest(ctx);
+    requireCustomer(ctx, request);
+    const id = Number(ctx.params.childId);
+    const before = request[listName].length;
+    request[listName] = request[listName].filter((item) => item[field] !== id);
+    if (request[listName].length === before) {
+      throw new HttpError(404, `${label} not found`);
+    }
+    return { success: true, message: `${label} deleted` };
+  };
+
+  router.delete(
+    "/api/requests/:id/photos/:childId",
+    removeChild("bill_photos", "photo_id", "Photo"),
+    { auth: "customer" },
+  );
+
+  router.delete(
+    "/api/requests/:id/attachments/:childId",
+    removeChild("attachments", "attachment_id", "Attachment"),
+    { auth: "customer" },
+  );
+}
+
+module.exports = { register, distanceKm };
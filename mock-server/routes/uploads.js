@@ -0,0 +1,70 @@
+/**
+ * /api/uploads/* – stands in for the Cloudinary-backed upload API
+ * Files stay in memory and are served back from /mock-uploads/:id
+ */
+
+const { HttpError } = require("../lib/http");
+
+// Same cap the app enforces client-side
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Store the "file" part and answer like Cloudinary would
+ */
+function handleUpload(ctx) {
+  const file = ctx.files.find((f) => f.field === "file");
+  if (!file) {
+    throw new HttpError(422, [
+      { type: "missing", loc: ["body", "file"], msg: "Field required" },
+    ]);
+  }
+  if (file.data.length > MAX_UPLOAD_BYTES) {
+    throw new HttpError(413, "File exceeds the 10MB limit");
+  }
+
+  const id = ctx.store.saveUpload(file);
+  const url = ctx.uploadUrl(id);
+  return {
+    url,
+    data: {
+      url,
+      secure_url: url,
+      public_id: `mock/${id}`,
+      format: id.split(".").pop(),
+      bytes: file.data.length,
+      original_filename: file.filename,
+      resource_type: file.contentType.startsWith("image/") ? "image" : "raw",
+    },
+  };
+}
+
+function register(router) {
+  router.get("/api/uploads/health", () => ({
+    success: true,
+    status: "healthy",
+    storage: "memory",
+  }));
+
+  router.post(
+    "/api/uploads/profile-photo",
+    (ctx) => {
+      const { url, data } = handleUpload(ctx);
+      ctx.user.profile_photo_url = url;
+      return { success: true, message: "Profile photo updated", data };
+    },
+    { auth: true },
+  );
+
+  // image, file, id-document, bill-photo, ... – all stored the same way
+  router.post(
+    "/api/uploads/:type",
+    (ctx) => ({
+      success: true,
+      message: "File uploaded",
+      data: { ...handleUpload(ctx).data, upload_type: ctx.params.type },
+    }),
+    { auth: true },
+  );
+}
+
+module.exports = { register };
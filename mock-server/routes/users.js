@@ -0,0 +1,226 @@
+/**
+ * /api/users/me, /api/addresses/* and /api/riders/* – profiles and settings
+ */
+
+const { HttpError, requireFields } = require("../lib/http");
+
+const EDITABLE_USER_FIELDS = ["full_name", "phone_number", "address"];
+
+function register(router) {
+  // ===== USER PROFILE =====
+
+  // The real API returns the bare user object here (no {success, data})
+  router.get("/api/users/me", (ctx) => ctx.store.publicUser(ctx.user), {
+    auth: true,
+  });
+
+  router.put(
+    "/api/users/me",
+    (ctx) => {
+      EDITABLE_USER_FIELDS.forEach((field) => {
+        if (ctx.body[field] !== undefined) ctx.user[field] = ctx.body[field];
+      });
+      return {
+        success: true,
+        message: "Profile updated",
+        data: ctx.store.publicUser(ctx.user),
+      };
+    },
+    { auth: true },
+  );
+
+  // A rider can start ordering as a customer on the same account. The
+  // rider role itself needs documents and approval, so it is not offered.
+  router.post(
+    "/api/users/me/roles",
+    (ctx) => {
+      requireFields(ctx.body, ["role"]);
+      if (ctx.body.role !== "customer") {
+        throw new HttpError(403, "Sign up as a rider to add the rider role");
+      }
+      const roles = ctx.store.rolesOf(ctx.user);
+      if (!roles.includes("customer")) ctx.user.roles = [...roles, "customer"];
+      return {
+        success: true,
+        message: "Customer role added",
+        data: ctx.store.publicUser(ctx.user),
+      };
+    },
+    { auth: true },
+  );
+
+  // ===== SAVED ADDRESSES =====
+
+  const ownAddress = (ctx) => {
+    const address = ctx.store.find("addresses", ctx.params.id);
+    if (!address || address.user_id !== ctx.user.user_id) {
+      throw new HttpError(404, "Address not found");
+    }
+    return address;
+  };
+
+  const applyDefault = (ctx, address) => {
+    if (!address.is_default) return;
+    ctx.store.addresses
+      .filter((a) => a.user_id === ctx.user.user_id && a !== address)
+      .forEach((a) => {
+        a.is_default = false;
+      });
+  };
+
+  router.get(
+    "/api/addresses",
+    (ctx) => ({
+      success: true,
+      data: ctx.store.addresses.filter((a) => a.user_id === ctx.user.user_id),
+    }),
+    { auth: true },
+  );
+
+  router.post(
+    "/api/addresses",
+    (ctx) => {
+      requireFields(ctx.body, ["address_text"]);
+      const address = ctx.store.insert("addresses", {
+        user_id: ctx.user.user_id,
+        label: ctx.body.label || "Home",
+        address_text: ctx.body.address_text,
+        is_default: !!ctx.body.is_default,
+        created_at: new Date().toISOString(),
+      });
+      applyDefault(ctx, address);
+      ctx.status = 201;
+      return { success: true, message: "Address saved", data: address };
+    },
+    { auth: true },
+  );
+
+  router.put(
+    "/api/addresses/:id",
+    (ctx) => {
+      const address = ownAddress(ctx);
+      ["label", "address_text", "is_default"].forEach((field) => {
+        if (ctx.body[field] !== undefined) address[field] = ctx.body[field];
+      });
+      applyDefault(ctx, address);
+      return { success: true, message: "Address updated", data: address };
+    },
+    { auth: true },
+  );
+
+  router.delete(
+    "/api/addresses/:id",
+    (ctx) => {
+      const address = ownAddress(ctx);
+      ctx.store.addresses = ctx.store.addresses.filter((a) => a !== address);
+      return { success: true, message: "Address deleted" };
+    },
+    { auth: true },
+  );
+
+  // ===== RIDER PROFILE =====
+
+  router.get(
+    "/api/riders/profile",
+    (ctx) => ({ success: true, data: ctx.store.riderProfile(ctx.rider) }),
+    { auth: "rider" },
+  );
+
+  router.patch(
+    "/api/riders/status",
+    (ctx) => {
+      const allowed = ["available", "offline", "busy"];
+      if (!allowed.includes(ctx.body.status)) {
+        throw new HttpError(422, [
+          {
+            type: "enum",
+            loc: ["body", "status"],
+            msg: `Input should be ${allowed.map((s) => `'${s}'`).join(", ")}`,
+          },
+        ]);
+      }
+      ctx.rider.availability_status = ctx.body.status;
+      return {
+        success: true,
+        message: `Status set to ${ctx.body.status}`,
+        data: { availability_status: ctx.rider.availability_status },
+      };
+    },
+    { auth: "rider" },
+  );
+
+  router.put(
+    "/api/riders/gcash",
+    (ctx) => {
+      if (ctx.body.gcash_number && !/^09\d{9}$/.test(ctx.body.gcash_number)) {
+        throw new HttpError(422, [
+          {
+            type: "string_pattern_mismatch",
+            loc: ["body", "gcash_number"],
+            msg: "GCash number must be 11 digits starting with 09",
+          },
+        ]);
+      }
+      if (ctx.body.gcash_name !== undefined) {
+        ctx.rider.gcash_name = ctx.body.gcash_name;
+      }
+      if (ctx.body.gcash_number !== undefined) {
+        ctx.rider.gcash_number = ctx.body.gcash_number;
+      }
+      return {
+        success: true,
+        message: "GCash details saved",
+        data: {
+          gcash_name: ctx.rider.gcash_name,
+          gcash_number: ctx.rider.gcash_number,
+        },
+      };
+    },
+    { auth: "rider" },
+  );
+
+  // ===== RIDER VERIFICATION =====
+
+  const verificationUpload = (field, urlField) => (ctx) => {
+    const file = ctx.files.find((f) => f.field === field);
+    if (!file) {
+      throw new HttpError(422, [
+        { type: "missing", loc: ["body", field], msg: "Field required" },
+      ]);
+    }
+    ctx.rider[urlField] = ctx.uploadUrl(ctx.store.saveUpload(file));
+    return {
+      success: true,
+      message: "Uploaded",
+      data: { [urlField]: ctx.rider[urlField] },
+    };
+  };
+
+  router.post(
+    "/api/riders/upload/selfie",
+    verificationUpload("selfie_file", "selfie_url"),
+    { auth: "rider", allowUnapproved: true },
+  );
+
+  router.post(
+    "/api/riders/upload/id-document",
+    verificationUpload("id_file", "id_document_url"),
+    { auth: "rider", allowUnapproved: true },
+  );
+
+  router.get(
+    "/api/riders/approval-status",
+    (ctx) => ({
+      success: true,
+      data: {
+        approval_status: ctx.rider.approval_status,
+        rejection_reason: ctx.rider.rejection_reason || null,
+        has_selfie: !!ctx.rider.selfie_url,
+        has_id_document: !!ctx.rider.id_document_url,
+      },
+    }),
+    { auth: "rider", allowUnapproved: true },
+  );
+}
+
+module.exports = { register };
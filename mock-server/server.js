@@ -0,0 +1,348 @@
+#!/usr/bin/env node
+/**
+ * Pasugo mock backend
+ * Emulates the REST + WebSocket API with in-memory state so the whole
+ * customer → rider → admin flow runs locally with no network
+ *
+ * Usage: node mock-server/server.js [--port 8000] [--host 127.0.0.1]
+ *                                   [--fixture path.json] [--access-ttl 3600]
+ */
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const Router = require("./lib/router");
+const { MockStore, DEFAULT_FIXTURE } = require("./store");
+const {
+  HttpError,
+  CORS_HEADERS,
+  sendJSON,
+  sendError,
+  parseBody,
+} = require("./lib/http");
+const { verifyAccessToken } = require("./lib/tokens");
+const { ChatHub } = require("./routes/messages");
+
+const WWW_ROOT = path.join(__dirname, "..", "www");
+
+// Web versions of pasugo:// links (www/js/deep-links.js), e.g. /request/12
+const APP_LINK_PATH = /^\/(request|chat|notifications|rider)(\/|$)/;
+
+const ROUTE_MODULES = [
+  require("./routes/auth"),
+  require("./routes/users"),
+  require("./routes/requests"),
+  require("./routes/locations"),
+  require("./routes/messages"),
+  require("./routes/uploads"),
+  require("./routes/notifications"),
+  require("./routes/ratings"),
+  require("./routes/admin"),
+  require("./routes/app-config"),
+];
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".svg": "image/svg+xml",
+  ".ico": "image/x-icon",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+};
+
+// ============================================
+// AUTH
+// ============================================
+
+/**
+ * Resolve the caller for a route's {auth, can} options, the way the FastAPI
+ * dependencies do: 401 without a valid token, 403 for the wrong role or a
+ * missing capability
+ */
+function authenticate(ctx, options) {
+  const header = ctx.req.headers.authorization || "";
+  const claims = verifyAccessToken(header.replace(/^Bearer\s+/i, ""));
+  const user = ctx.store.userForClaims(claims);
+
+  if (!options.auth) {
+    ctx.user = user || null;
+    return;
+  }
+  if (!header) throw new HttpError(401, "Not authenticated");
+  if (!user) throw new HttpError(401, "Could not validate credentials");
+  if (user.is_active === false) {
+    throw new HttpError(403, "Account is suspended");
+  }
+  const roles = ctx.store.rolesOf(user);
+  if (typeof options.auth === "string" && !roles.includes(options.auth)) {
+    throw new HttpError(403, `This action requires a ${options.auth} account`);
+  }
+  if (options.can && !ctx.store.capabilitiesOf(user).includes(options.can)) {
+    throw new HttpError(
+      403,
+      `Missing permission: ${options.can}`,
+      "missing_permission",
+    );
+  }
+
+  ctx.user = user;
+  ctx.session = ctx.store.sessions.get(claims.sid) || null;
+  if (ctx.session) ctx.session.last_seen_at = new Date().toISOString();
+  ctx.rider = roles.includes("rider")
+    ? ctx.store.riderForUser(user.user_id)
+    : null;
+
+  if (options.auth === "rider") {
+    if (!ctx.rider) throw new HttpError(404, "Rider profile not found");
+    if (ctx.rider.approval_status !== "approved" && !options.allowUnapproved) {
+      throw new HttpError(403, "Rider account is not approved yet");
+    }
+  }
+}
+
+// ============================================
+// SERVER
+// ============================================
+
+/**
+ * Build (but don't start) a mock server
+ * @param {Object} [options]
+ * @param {string} [options.fixture] - Seed fixture path
+ * @param {number} [options.accessTokenTtl] - Access token lifetime (seconds)
+ * @param {boolean} [options.quiet] - Skip per-request logging
+ * @returns {Object} - {server, store, hub, listen(port, host), close()}
+ */
+function createMockServer(options = {}) {
+  const config = {
+    fixture: options.fixture || DEFAULT_FIXTURE,
+    accessTokenTtl: options.accessTokenTtl || 3600,
+    quiet: !!options.quiet,
+  };
+  const store = new MockStore(config.fixture);
+  const hub = new ChatHub(store);
+  const router = new Router();
+  ROUTE_MODULES.forEach((mod) => mod.register(router));
+
+  const log = (...args) => {
+    if (!config.quiet) console.log(...args);
+  };
+
+  // ===== API DISPATCH =====
+
+  async function handleApi(req, res, url) {
+    const matched = router.match(req.method, url.pathname);
+    if (!matched) throw new HttpError(404, "Not Found");
+    if (matched.methodNotAllowed) {
+      throw new HttpError(405, "Method Not Allowed");
+    }
+
+    const { route, params } = matched;
+    const { body, files } = await parseBody(req);
+    const ctx = {
+      req,
+      body,
+      files,
+      params,
+      query: Object.fromEntries(url.searchParams),
+      store,
+      config,
+      status: 200,
+      user: null,
+      session: null,
+      rider: null,
+      uploadUrl: (id) => `http://${req.headers.host}/mock-uploads/${id}`,
+    };
+    authenticate(ctx, route.options);
+
+    // Replay the first response for a repeated Idempotency-Key
+    const key = req.headers["idempotency-key"];
+    const cacheKey =
+      key && req.method !== "GET"
+        ? `${ctx.user?.user_id || "anon"}:${req.method}:${url.pathname}:${key}`
+        : null;
+    if (cacheKey && store.idempotency.has(cacheKey)) {
+      const cached = store.idempotency.get(cacheKey);
+      sendJSON(res, cached.status, cached.body, {
+        "Idempotent-Replayed": "true",
+      });
+      return cached.status;
+    }
+
+    const result = await route.handler(ctx);
+    if (cacheKey) {
+      store.idempotency.set(cacheKey, { status: ctx.status, body: result });
+    }
+    sendJSON(res, ctx.status, result);
+    return ctx.status;
+  }
+
+  // ===== MOCK CONTROL =====
+
+  async function handleControl(req, res, url) {
+    if (url.pathname === "/__mock/reset" && req.method === "POST") {
+      const { body } = await parseBody(req);
+      hub.closeAll();
+      // Optional inline fixture: POST the same shape as fixtures/default.json
+      store.reset(Object.keys(body).length ? body : config.fixture);
+      sendJSON(res, 200, { success: true, message: "State reset" });
+      return 200;
+    }
+    if (url.pathname === "/__mock/state" && req.method === "GET") {
+      sendJSON(res, 200, store.snapshot());
+      return 200;
+    }
+    throw new HttpError(404, "Not Found");
+  }
+
+  // ===== STATIC FILES =====
+
+  function serveUpload(res, id) {
+    const upload = store.uploads.get(id);
+    if (!upload) throw new HttpError(404, "Upload not found");
+    res.writeHead(200, { "Content-Type": upload.contentType, ...CORS_HEADERS });
+    res.end(upload.data);
+    return 200;
+  }
+
+  // The app opens the link once the splash screen has checked the session
+  function redirectAppLink(res, url) {
+    const link = encodeURIComponent(url.pathname);
+    res.writeHead(302, { Location: `/index.html?link=${link}` });
+    res.end();
+    return 302;
+  }
+
+  function serveStatic(req, res, url) {
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      throw new HttpError(405, "Method Not Allowed");
+    }
+    let filePath = path.normalize(
+      path.join(WWW_ROOT, decodeURIComponent(url.pathname)),
+    );
+    if (!filePath.startsWith(WWW_ROOT)) throw new HttpError(403, "Forbidden");
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+      filePath = path.join(filePath, "index.html");
+    }
+    if (!fs.existsSync(filePath)) throw new HttpError(404, "Not Found");
+
+    res.writeHead(200, {
+      "Content-Type":
+        MIME_TYPES[path.extname(filePath).toLowerCase()] ||
+        "application/octet-stream",
+      "Cache-Control": "no-store",
+    });
+    res.end(req.method === "HEAD" ? undefined : fs.readFileSync(filePath));
+    return 200;
+  }
+
+  // ===== HTTP SERVER =====
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+    let status;
+    try {
+      if (req.method === "OPTIONS") {
+        res.writeHead(204, CORS_HEADERS);
+        res.end();
+        status = 204;
+      } else if (url.pathname === "/health") {
+        sendJSON(res, 200, { status: "healthy", service: "pasugo-mock" });
+        status = 200;
+      } else if (url.pathname.startsWith("/api/")) {
+        status = await handleApi(req, res, url);
+      } else if (url.pathname.startsWith("/__mock/")) {
+        status = await handleControl(req, res, url);
+      } else if (url.pathname.startsWith("/mock-uploads/")) {
+        status = serveUpload(res, url.pathname.slice("/mock-uploads/".length));
+      } else if (APP_LINK_PATH.test(url.pathname)) {
+        status = redirectAppLink(res, url);
+      } else {
+        status = serveStatic(req, res, url);
+      }
+    } catch (error) {
+      if (!(error instanceof HttpError)) {
+        console.error("❌ Mock handler error:", error);
+      }
+      status = error.status || 500;
+      if (!res.headersSent) sendError(res, error);
+      else res.end();
+    }
+    if (url.pathname.startsWith("/api/")) {
+      log(`${req.method} ${url.pathname}${url.search} → ${status}`);
+    }
+  });
+
+  server.on("upgrade", (req, socket) => {
+    const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+    const match = /^\/api\/messages\/ws\/(\d+)\/?$/.exec(url.pathname);
+    if (!match) {
+      socket.end("HTTP/1.1 404 Not Found\r\n\r\n");
+      return;
+    }
+    log(`WS ${url.pathname}`);
+    hub.handleUpgrade(req, socket, match[1], url.searchParams.get("token"));
+  });
+
+  return {
+    server,
+    store,
+    hub,
+    listen(port = 8000, host = "127.0.0.1") {
+      return new Promise((resolve) => {
+        server.listen(port, host, () => resolve(server.address()));
+      });
+    },
+    close() {
+      hub.closeAll();
+      server.closeAllConnections?.();
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+}
+
+// ============================================
+// CLI
+// ============================================
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--([\w-]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!match) continue;
+    args[match[1]] = match[2] !== undefined ? match[2] : argv[++i];
+  }
+  return args;
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  const port = Number(args.port || process.env.PORT || 8000);
+  const host = args.host || process.env.HOST || "127.0.0.1";
+  const mock = createMockServer({
+    fixture: args.fixture ? path.resolve(args.fixture) : undefined,
+    accessTokenTtl: Number(args["access-ttl"]) || undefined,
+  });
+
+  mock.listen(port, host).then(() => {
+    console.log(`🧪 Pasugo mock backend on http://${host}:${port}`);
+    console.log(`   App:   http://${host}:${port}/index.html`);
+    console.log(`   Admin: http://${host}:${port}/pages/admin-dashboard.html`);
+    console.log("   Logins (password123): customer@pasugo.test,");
+    console.log(
+      "   rider@pasugo.test, admin@pasugo.test – OTP is always 123456",
+    );
+  });
+
+  const shutdown = () => mock.close().then(() => process.exit(0));
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+module.exports = { createMockServer };
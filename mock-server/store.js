@@ -0,0 +1,525 @@
+/**
+ * In-memory state for the mock backend
+ * Seeded from a JSON fixture file and resettable at runtime
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const { capabilitiesFor } = require("./lib/capabilities");
+const { verifyTotp } = require("./lib/totp");
+
+const DEFAULT_FIXTURE = path.join(__dirname, "fixtures", "default.json");
+
+// How long a selected rider has to accept (matches the app's 10 min timer)
+const SELECTION_WINDOW_SECONDS = 600;
+
+// Admin keeps 30% of the service fee (admin-dashboard.html assumes the same)
+const ADMIN_SHARE_RATE = 0.3;
+
+// Password-verified admin sign-ins wait this long for their 2FA code
+const MFA_CHALLENGE_SECONDS = 300;
+const MFA_MAX_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+
+const COLLECTIONS = [
+  "users",
+  "riders",
+  "requests",
+  "conversations",
+  "messages",
+  "notifications",
+  "ratings",
+  "addresses",
+  "locations",
+  "remittances",
+];
+
+const ID_FIELDS = {
+  users: "user_id",
+  riders: "rider_id",
+  requests: "request_id",
+  conversations: "conversation_id",
+  messages: "message_id",
+  notifications: "notification_id",
+  ratings: "rating_id",
+  addresses: "address_id",
+  locations: "location_id",
+  remittances: "remittance_id",
+};
+
+// Served by GET /api/app-config; a fixture's "app_config" overrides fields
+const DEFAULT_APP_CONFIG = {
+  min_version: "1.0.0",
+  maintenance: false,
+  message: null,
+  store_urls: {
+    android: "https://play.google.com/store/apps/details?id=com.pasugo.app",
+  },
+};
+
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Local form of a PH mobile number: "+63 917-123-4567" → "09171234567"
+ */
+function normalizePhone(phone) {
+  return String(phone || "")
+    .replace(/[\s-]/g, "")
+    .replace(/^\+63/, "0");
+}
+
+/**
+ * Where a session connects from. The mock has no geo-IP database, so it
+ * only tells local and remote callers apart.
+ */
+function describeLocation(ipAddress) {
+  if (!ipAddress) return null;
+  const ip = ipAddress.replace(/^::ffff:/, "");
+  const local =
+    ip === "::1" ||
+    /^(127\.|10\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.)/.test(ip);
+  return local ? "Local network" : null;
+}
+
+/**
+ * Recovery codes are stored hashed; "ABCD-1234" and "abcd1234" match
+ */
+function hashRecoveryCode(code) {
+  const normalized = String(code || "")
+    .toLowerCase()
+    .replace(/[\s-]/g, "");
+  return crypto.createHash("sha256").update(normalized).digest("hex");
+}
+
+/**
+ * Move every fixture timestamp by offsetMs so seeded history stays recent
+ * ("today", "last 7 days") no matter when the server starts
+ */
+function shiftDates(data, offsetMs) {
+  const shift = (value, dateOnly) =>
+    new Date(new Date(value).getTime() + offsetMs)
+      .toISOString()
+      .slice(0, dateOnly ? 10 : undefined);
+
+  COLLECTIONS.forEach((name) => {
+    (data[name] || []).forEach((row) => {
+      Object.keys(row).forEach((key) => {
+        const value = row[key];
+        if (typeof value !== "string") return;
+        if (ISO_TIMESTAMP.test(value)) row[key] = shift(value, false);
+        else if (ISO_DATE.test(value))
+          row[key] = shift(`${value}T12:00:00Z`, true);
+      });
+    });
+  });
+}
+
+class MockStore {
+  /**
+   * @param {string} [fixturePath] - JSON fixture to seed from
+   */
+  constructor(fixturePath = DEFAULT_FIXTURE) {
+    this.fixturePath = fixturePath;
+    this.reset();
+  }
+
+  // ===== SEEDING =====
+
+  /**
+   * Drop all state and reload the fixture
+   * @param {string|Object} [fixture] - Path or already-parsed fixture
+   */
+  reset(fixture = this.fixturePath) {
+    const data =
+      typeof fixture === "string"
+        ? JSON.parse(fs.readFileSync(fixture, "utf8"))
+        : JSON.parse(JSON.stringify(fixture));
+
+    if (data.anchor) {
+      shiftDates(data, Date.now() - new Date(data.anchor).getTime());
+    }
+
+    COLLECTIONS.forEach((name) => {
+      this[name] = data[name] || [];
+    });
+    this.appConfig = { ...DEFAULT_APP_CONFIG, ...data.app_config };
+    this.sessions = new Map(); // session id → login session (one per device)
+    this.refreshTokens = new Map(); // refresh token → session id
+    this.uploads = new Map(); // upload id → {contentType, data}
+    this.otps = new Map(); // email or phone → {otp, type}
+    this.mfaChallenges = new Map(); // mfa_token → pending admin sign-in
+    this.idempotency = new Map(); // Idempotency-Key → cached response
+
+    this.counters = {};
+    COLLECTIONS.forEach((name) => {
+      const field = ID_FIELDS[name];
+      this.counters[name] = this[name].reduce(
+        (max, row) => Math.max(max, row[field] || 0),
+        0,
+      );
+    });
+    this.uploadCounter = 0;
+  }
+
+  nextId(collection) {
+    this.counters[collection] += 1;
+    return this.counters[collection];
+  }
+
+  /**
+   * Insert a row, assigning its id
+   */
+  insert(collection, row) {
+    const record = { [ID_FIELDS[collection]]: this.nextId(collection), ...row };
+    this[collection].push(record);
+    return record;
+  }
+
+  find(collection, id) {
+    const field = ID_FIELDS[collection];
+    return this[collection].find((row) => row[field] === Number(id)) || null;
+  }
+
+  // ===== USERS & RIDERS =====
+
+  findUserByEmail(email) {
+    const normalized = String(email || "")
+      .trim()
+      .toLowerCase();
+    return this.users.find((u) => u.email.toLowerCase() === normalized) || null;
+  }
+
+  /**
+   * Match 09XXXXXXXXX and +639XXXXXXXXX forms of the same number
+   */
+  findUserByPhone(phone) {
+    const normalized = normalizePhone(phone);
+    return (
+      this.users.find((u) => normalizePhone(u.phone_number) === normalized) ||
+      null
+    );
+  }
+
+  riderForUser(userId) {
+    return this.riders.find((r) => r.user_id === userId) || null;
+  }
+
+  /**
+   * Every role the account holds. user_type is the role it signed up with;
+   * `roles` lists the others too (a rider who also orders as a customer).
+   */
+  rolesOf(user) {
+    const roles = user.roles || [];
+    return roles.includes(user.user_type) ? roles : [user.user_type, ...roles];
+  }
+
+  /**
+   * What the account may do (lib/capabilities.js)
+   */
+  capabilitiesOf(user) {
+    return capabilitiesFor(this.rolesOf(user), user.admin_role);
+  }
+
+  /**
+   * Public user shape (never leaks the password)
+   */
+  publicUser(user) {
+    if (!user) return null;
+    const {
+      password,
+      totp_secret,
+      totp_pending_secret,
+      recovery_codes,
+      ...rest
+    } = user;
+    return {
+      ...rest,
+      roles: this.rolesOf(user),
+      capabilities: this.capabilitiesOf(user),
+    };
+  }
+
+  /**
+   * Rider profile merged with the user's name/contact fields
+   */
+  riderProfile(rider) {
+    const user = this.find("users", rider.user_id) || {};
+    return {
+      ...rider,
+      full_name: user.full_name,
+      email: user.email,
+      phone: user.phone_number,
+      phone_number: user.phone_number,
+      created_at: rider.created_at || user.created_at,
+    };
+  }
+
+  // ===== SESSIONS =====
+
+  /**
+   * Start a login session. Logging in again from the same device replaces
+   * that device's old session.
+   * @param {Object} user - Stored user
+   * @param {Object} [device] - {device_id, platform, model, os_version}
+   * @param {string} [ipAddress] - Caller's address
+   */
+  createSession(user, device = {}, ipAddress = null) {
+    if (device.device_id) {
+      this.sessionsForUser(user.user_id)
+        .filter((s) => s.device.device_id === device.device_id)
+        .forEach((s) => this.revokeSession(s.session_id));
+    }
+    const now = new Date().toISOString();
+    const session = {
+      session_id: crypto.randomBytes(8).toString("hex"),
+      user_id: user.user_id,
+      device: {
+        device_id: device.device_id || null,
+        platform: device.platform || null,
+        model: device.model || null,
+        os_version: device.os_version || null,
+      },
+      ip_address: ipAddress,
+      location: describeLocation(ipAddress),
+      created_at: now,
+      last_seen_at: now,
+    };
+    this.sessions.set(session.session_id, session);
+    return session;
+  }
+
+  sessionsForUser(userId) {
+    return [...this.sessions.values()].filter((s) => s.user_id === userId);
+  }
+
+  /**
+   * End a session: its refresh tokens stop working at once and its access
+   * tokens are refused on their next use
+   */
+  revokeSession(sessionId) {
+    this.sessions.delete(sessionId);
+    this.refreshTokens.forEach((id, token) => {
+      if (id === sessionId) this.refreshTokens.delete(token);
+    });
+  }
+
+  revokeUserSessions(userId) {
+    this.sessionsForUser(userId).forEach((s) =>
+      this.revokeSession(s.session_id),
+    );
+  }
+
+  /**
+   * User behind verified access-token claims; null once the token's
+   * session has been revoked
+   */
+  userForClaims(claims) {
+    if (!claims) return null;
+    if (claims.sid && !this.sessions.has(claims.sid)) return null;
+    return this.find("users", claims.sub);
+  }
+
+  // ===== TWO-FACTOR =====
+
+  /**
+   * Hold a password-verified sign-in until its second factor arrives
+   * @returns {string} - mfa_token for /api/auth/2fa/verify
+   */
+  createMfaChallenge(user, device = {}) {
+    const token = crypto.randomBytes(16).toString("hex");
+    this.mfaChallenges.set(token, {
+      user_id: user.user_id,
+      device,
+      attempts: 0,
+      expires_at: Date.now() + MFA_CHALLENGE_SECONDS * 1000,
+    });
+    return token;
+  }
+
+  /**
+   * Live challenge for a token; expired ones are dropped
+   */
+  mfaChallenge(token) {
+    const challenge = this.mfaChallenges.get(token);
+    if (!challenge) return null;
+    if (challenge.expires_at < Date.now()) {
+      this.mfaChallenges.delete(token);
+      return null;
+    }
+    return challenge;
+  }
+
+  /**
+   * A wrong code; too many and the sign-in starts over
+   */
+  failMfaChallenge(token) {
+    const challenge = this.mfaChallenges.get(token);
+    if (challenge && ++challenge.attempts >= MFA_MAX_ATTEMPTS) {
+      this.mfaChallenges.delete(token);
+    }
+  }
+
+  /**
+   * Check an authenticator code, or a recovery code (used up on success)
+   * @returns {string|null} - "totp", "recovery" or null
+   */
+  checkSecondFactor(user, code) {
+    if (!user?.totp_enabled) return null;
+    if (verifyTotp(user.totp_secret, code)) return "totp";
+    const index = (user.recovery_codes || []).indexOf(hashRecoveryCode(code));
+    if (index < 0) return null;
+    user.recovery_codes.splice(index, 1);
+    return "recovery";
+  }
+
+  /**
+   * Replace a user's recovery codes
+   * @returns {string[]} - The new codes in plain text (shown once)
+   */
+  issueRecoveryCodes(user) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(4).toString("hex");
+      return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+    });
+    user.recovery_codes = codes.map(hashRecoveryCode);
+    return codes;
+  }
+
+  // ===== LOCATIONS =====
+
+  latestLocation(userId) {
+    const history = this.locations.filter((l) => l.user_id === userId);
+    return history[history.length - 1] || null;
+  }
+
+  // ===== REQUESTS =====
+
+  /**
+   * Request as the API returns it – with names, location and the
+   * selection countdown the rider's request card shows
+   */
+  serializeRequest(request) {
+    const customer = this.find("users", request.customer_id);
+    const rider = request.rider_id
+      ? this.find("riders", request.rider_id)
+      : null;
+    const riderUser = rider ? this.find("users", rider.user_id) : null;
+    // GPS sent with the request wins over the customer's last ping
+    const location =
+      request.latitude != null
+        ? request
+        : this.latestLocation(request.customer_id);
+
+    const serialized = {
+      ...request,
+      customer_name: customer?.full_name || "Customer",
+      customer_phone: customer?.phone_number || null,
+      rider_name: riderUser?.full_name || null,
+      customer_location: location
+        ? {
+            latitude: location.latitude,
+            longitude: location.longitude,
+            address: location.address || request.delivery_address || null,
+          }
+        : null,
+    };
+
+    if (request.status === "pending" && request.selected_rider_id) {
+      const elapsed = Math.floor(
+        (Date.now() - new Date(request.selected_at).getTime()) / 1000,
+      );
+      serialized.time_remaining_seconds = Math.max(
+        0,
+        SELECTION_WINDOW_SECONDS - elapsed,
+      );
+    }
+    return serialized;
+  }
+
+  /**
+   * Selected riders lose the request once the window runs out
+   */
+  expireSelection(request) {
+    if (request.status !== "pending" || !request.selected_rider_id) {
+      return false;
+    }
+    const elapsed =
+      (Date.now() - new Date(request.selected_at).getTime()) / 1000;
+    if (elapsed <= SELECTION_WINDOW_SECONDS) return false;
+    request.selected_rider_id = null;
+    request.selected_at = null;
+    request.selection_timed_out = true;
+    return true;
+  }
+
+  /**
+   * Split a service fee into admin and rider shares
+   */
+  shares(serviceFee) {
+    const fee = Number(serviceFee || 0);
+    const admin = Math.round(fee * ADMIN_SHARE_RATE * 100) / 100;
+    return {
+      admin_share: admin,
+      rider_share: Math.round((fee - admin) * 100) / 100,
+    };
+  }
+
+  // ===== NOTIFICATIONS =====
+
+  notify(
+    userId,
+    title,
+    message,
+    notificationType = "system",
+    requestId = null,
+  ) {
+    return this.insert("notifications", {
+      user_id: userId,
+      title,
+      message,
+      notification_type: notificationType,
+      request_id: requestId,
+      is_read: false,
+      created_at: new Date().toISOString(),
+    });
+  }
+
+  // ===== UPLOADS =====
+
+  /**
+   * Keep an uploaded file in memory and return its id
+   */
+  saveUpload(file) {
+    this.uploadCounter += 1;
+    const ext = path.extname(file.filename || "") || ".bin";
+    const id = `${this.uploadCounter}${ext}`;
+    this.uploads.set(id, { contentType: file.contentType, data: file.data });
+    return id;
+  }
+
+  // ===== INSPECTION =====
+
+  /**
+   * Plain snapshot of every collection and the app config (for tests and
+   * /__mock/state)
+   */
+  snapshot() {
+    const state = { app_config: this.appConfig };
+    COLLECTIONS.forEach((name) => {
+      state[name] = this[name];
+    });
+    return JSON.parse(JSON.stringify(state));
+  }
+}
+
+module.exports = {
+  MockStore,
+  DEFAULT_FIXTURE,
+  SELECTION_WINDOW_SECONDS,
+  ADMIN_SHARE_RATE,
+  MFA_CHALLENGE_SECONDS,
+  normalizePhone,
+};
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+/**
+ * Build-time environment selector
+ * Rewrites PasugoConfig.BUILD_ENV in www/js/config.js, and APP_VERSION
+ * from config.xml's version (sync-version.js)
+ *
+ * Usage: node scripts/set-env.js <local|staging|production>
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const syncVersion = require("./sync-version");
+
+const CONFIG_PATH = path.join(__dirname, "..", "www", "js", "config.js");
+const ENVIRONMENTS = ["local", "staging", "production"];
+
+const env = process.argv[2];
+
+if (!ENVIRONMENTS.includes(env)) {
+  console.error(
+    `Usage: node scripts/set-env.js <${ENVIRONMENTS.join("|")}> (got "${env || ""}")`,
+  );
+  process.exit(1);
+}
+
+const source = fs.readFileSync(CONFIG_PATH, "utf8");
+const pattern = /static BUILD_ENV = "[a-z]+";/;
+
+if (!pattern.test(source)) {
+  console.error(`Could not find BUILD_ENV in ${CONFIG_PATH}`);
+  process.exit(1);
+}
+
+fs.writeFileSync(
+  CONFIG_PATH,
+  source.replace(pattern, `static BUILD_ENV = "${env}";`),
+);
+
+let version;
+try {
+  version = syncVersion();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+console.log(`BUILD_ENV set to "${env}", APP_VERSION to "${version}"`);
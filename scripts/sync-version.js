@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * App version sync
+ * Rewrites PasugoConfig.APP_VERSION in www/js/config.js from config.xml's
+ * version. Runs as a Cordova before_prepare hook (config.xml), so every
+ * build reports the version it was built as; set-env.js calls it too.
+ *
+ * Usage: node scripts/sync-version.js
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const CONFIG_PATH = path.join(__dirname, "..", "www", "js", "config.js");
+const CONFIG_XML_PATH = path.join(__dirname, "..", "config.xml");
+const VERSION_PATTERN = /static APP_VERSION = "[^"]*";/;
+
+/**
+ * Copy config.xml's version into config.js (Cordova passes a hook context,
+ * which isn't needed)
+ * @returns {string} - The version
+ */
+function syncVersion() {
+  const widget = /<widget[^>]*\sversion="([^"]+)"/.exec(
+    fs.readFileSync(CONFIG_XML_PATH, "utf8"),
+  );
+  if (!widget) {
+    throw new Error(`Could not find the widget version in ${CONFIG_XML_PATH}`);
+  }
+  const version = widget[1];
+
+  const source = fs.readFileSync(CONFIG_PATH, "utf8");
+  if (!VERSION_PATTERN.test(source)) {
+    throw new Error(`Could not find APP_VERSION in ${CONFIG_PATH}`);
+  }
+  const synced = source.replace(
+    VERSION_PATTERN,
+    `static APP_VERSION = "${version}";`,
+  );
+  if (synced !== source) fs.writeFileSync(CONFIG_PATH, synced);
+  return version;
+}
+
+module.exports = syncVersion;
+
+if (require.main === module) {
+  try {
+    console.log(`APP_VERSION set to "${syncVersion()}"`);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,141 @@
+/**
+ * Admin two-factor authentication, end to end
+ * The admin enrolls an authenticator from the Security page; signing in
+ * then asks for a code, and waiving a remittance or suspending a rider
+ * asks again.
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { E2EHarness, PASSWORD } = require("../helpers/e2e-harness");
+const { totp } = require("../../mock-server/lib/totp");
+
+describe("admin two-factor", { timeout: 120000 }, () => {
+  const harness = new E2EHarness();
+  let admin;
+  let secret;
+  let recoveryCodes;
+
+  const adminUser = () =>
+    harness.store.users.find((u) => u.email === "admin@pasugo.test");
+
+  async function signInToConsole() {
+    const page = admin.page;
+    await admin.goto("/pages/admin-dashboard.html");
+    await page.fill("#loginEmail", "admin@pasugo.test");
+    await page.fill("#loginPassword", PASSWORD);
+    await page.click("#loginBtn");
+  }
+
+  async function confirmWithCode(code) {
+    const page = admin.page;
+    await page.waitForSelector("#twoFactorModal", { state: "visible" });
+    await page.fill("#twoFactorCode", code);
+    await page.click("#twoFactorConfirm");
+  }
+
+  before(async () => {
+    await harness.start();
+    admin = await harness.newSession("admin");
+  });
+
+  after(() => harness.stop());
+
+  it("enrolls an authenticator from the Security page", async () => {
+    const page = admin.page;
+    await signInToConsole();
+    await page.waitForSelector("#loginOverlay", { state: "hidden" });
+    await page.evaluate(() => showPage("security"));
+    await page.click("#tfaSetupBtn");
+    await page.waitForSelector("#tfaQr svg");
+    secret = await page.textContent("#tfaSecret");
+
+    await page.fill("#tfaSetupCode", "000000");
+    await page.click("#tfaEnableBtn");
+    await page.waitForSelector("#tfaSetupError:has-text('Invalid')");
+
+    await page.fill("#tfaSetupCode", totp(secret));
+    await page.click("#tfaEnableBtn");
+    await page.waitForSelector("#tfaBadge:has-text('On')");
+    recoveryCodes = await page.$$eval("#tfaRecoveryList li", (items) =>
+      items.map((li) => li.textContent),
+    );
+    assert.equal(recoveryCodes.length, 10);
+    assert.equal(adminUser().totp_enabled, true);
+  });
+
+  it("asks for a code before waiving a remittance", async () => {
+    const page = admin.page;
+    const remitted = new Set(
+      harness.store.remittances.map((r) => `${r.rider_id}:${r.date}`),
+    );
+    const pending = harness.store.requests.find(
+      (r) =>
+        r.status === "completed" &&
+        !remitted.has(`${r.rider_id}:${r.completed_at.slice(0, 10)}`),
+    );
+    const date = pending.completed_at.slice(0, 10);
+    await page.evaluate(
+      ([riderId, day]) => {
+        waiveRemittance(riderId, day);
+      },
+      [pending.rider_id, date],
+    );
+
+    await confirmWithCode("000000");
+    await page.waitForSelector("#twoFactorError:has-text('Invalid')");
+    await confirmWithCode(recoveryCodes[0]);
+    await admin.waitForDialog(/Remittance waived/);
+
+    assert.ok(
+      harness.store.remittances.some(
+        (r) => r.rider_id === pending.rider_id && r.status === "waived",
+      ),
+    );
+    // Recovery codes work once
+    assert.equal(adminUser().recovery_codes.length, 9);
+  });
+
+  it("asks for a code when signing in", async () => {
+    const page = admin.page;
+    await page.evaluate(() => logout());
+    await page.waitForSelector("#loginForm", { state: "visible" });
+    await signInToConsole();
+
+    await page.waitForSelector("#mfaForm", { state: "visible" });
+    await page.fill("#mfaCode", "000000");
+    await page.click("#mfaBtn");
+    await page.waitForSelector("#mfaError:has-text('Invalid two-factor code')");
+
+    await page.fill("#mfaCode", totp(secret));
+    await page.click("#mfaBtn");
+    await page.waitForSelector("#loginOverlay", { state: "hidden" });
+  });
+
+  it("asks for a code before suspending a rider", async () => {
+    const page = admin.page;
+    const rider = harness.store.riders.find((r) => r.rider_id === 2);
+    await page.evaluate(() => {
+      deleteRider(2, "Rider Two");
+    });
+
+    await confirmWithCode(totp(secret));
+    await admin.waitForDialog(/Rider suspended/);
+    const user = harness.store.users.find((u) => u.user_id === rider.user_id);
+    assert.equal(user.is_active, false);
+  });
+
+  it("stops at a refusal a new code can't fix", async () => {
+    const page = admin.page;
+    adminUser().admin_role = "support";
+    await page.evaluate(() => {
+      waiveRemittance(2, "2024-01-01");
+    });
+
+    await confirmWithCode(totp(secret));
+    await admin.waitForDialog(/Missing permission: remittances.waive/);
+    assert.equal(await page.isVisible("#twoFactorModal"), false);
+    adminUser().admin_role = "super_admin";
+  });
+});
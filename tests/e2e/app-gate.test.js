@@ -0,0 +1,56 @@
+/**
+ * Forced update and maintenance gate, end to end
+ * The splash screen stays behind the maintenance screen until the mock's
+ * app config lifts it, and a raised min_version stops an open dashboard.
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { E2EHarness } = require("../helpers/e2e-harness");
+
+describe("app gate", { timeout: 120000 }, () => {
+  const harness = new E2EHarness();
+
+  before(() => harness.start());
+  after(() => harness.stop());
+
+  it("holds the splash screen during maintenance", async () => {
+    harness.store.appConfig.maintenance = true;
+    harness.store.appConfig.message = "Back at 3 PM";
+    const visitor = await harness.newSession("visitor");
+    const page = visitor.page;
+    await visitor.goto("/index.html");
+
+    await page.waitForSelector('#appGateScreen[data-state="maintenance"]');
+    assert.equal(
+      await page.textContent("#appGateScreen .app-gate-message"),
+      "Back at 3 PM",
+    );
+    // Past the splash delay, and still not routed
+    await page.waitForTimeout(2500);
+    assert.match(page.url(), /\/index\.html$/);
+
+    harness.store.appConfig.maintenance = false;
+    await page.click("#appGateAction");
+    await page.waitForSelector("#loginBtn");
+    assert.match(page.url(), /\/pages\/login\.html$/);
+  });
+
+  it("stops an open dashboard when the build is no longer supported", async () => {
+    const customer = await harness.newSession("customer");
+    await customer.signIn("customer@pasugo.test");
+    const page = customer.page;
+    assert.equal(await page.isVisible("#appGateScreen"), false);
+
+    harness.store.appConfig.min_version = "99.0.0";
+    // The periodic re-check, without waiting for its interval
+    await page.evaluate(() => PasugoAppGate.check());
+
+    await page.waitForSelector('#appGateScreen[data-state="update"]');
+    assert.equal(
+      await page.textContent("#appGateScreen .app-gate-title"),
+      "Update required",
+    );
+  });
+});
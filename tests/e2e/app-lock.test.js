@@ -0,0 +1,78 @@
+/**
+ * App lock on the rider dashboard, end to end
+ * The rider sets a PIN from their profile; the app then locks when it
+ * comes back from the background, and saving GCash details asks again.
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { E2EHarness } = require("../helpers/e2e-harness");
+
+const PIN = "2468";
+
+describe("app lock", { timeout: 120000 }, () => {
+  const harness = new E2EHarness();
+  let rider;
+
+  before(async () => {
+    await harness.start();
+    rider = await harness.newSession("rider");
+  });
+
+  after(() => harness.stop());
+
+  it("sets a PIN from the profile", async () => {
+    const page = rider.page;
+    await rider.signIn("rider@pasugo.test");
+    await page.evaluate(() =>
+      riderDashboardController.showPanel("riderProfilePanel"),
+    );
+
+    await page.click("#rProfAppLock");
+    await page.click(".prof-toggle:has(#rAppLockEnabled)");
+    await page.selectOption("#rAppLockTimeout", "0");
+    await page.fill("#rAppLockPinInput", PIN);
+    await page.fill("#rAppLockConfirmInput", PIN);
+    await page.click("#rSaveAppLockBtn");
+
+    await page.waitForSelector("#rProfToast:has-text('App lock is on')");
+    assert.equal(await page.evaluate(() => PasugoAppLock.isEnabled()), true);
+  });
+
+  it("locks when the app resumes and unlocks with the PIN", async () => {
+    const page = rider.page;
+
+    await page.evaluate(() => document.dispatchEvent(new Event("resume")));
+    await page.waitForSelector("#appLockScreen");
+    assert.equal(await page.isVisible("#appLockCancel"), false);
+
+    await page.fill("#appLockPin", "1111");
+    await page.click("#appLockSubmit");
+    await page.waitForSelector("#appLockError:has-text('4 attempts left')");
+
+    await page.fill("#appLockPin", PIN);
+    await page.click("#appLockSubmit");
+    await page.waitForSelector("#appLockScreen", { state: "detached" });
+  });
+
+  it("asks for the PIN before saving GCash details", async () => {
+    const page = rider.page;
+    const savedNumber = () =>
+      harness.store.riders.some((r) => r.gcash_number === "09181112222");
+    await page.click('[data-field="gcash_number"]');
+    await page.fill("#rProfInputGcashNumber", "09181112222");
+
+    await page.click("#rProfSaveGcashBtn");
+    await page.waitForSelector("#appLockScreen");
+    await page.click("#appLockCancel");
+    await page.waitForSelector("#appLockScreen", { state: "detached" });
+    assert.equal(savedNumber(), false);
+
+    await page.click("#rProfSaveGcashBtn");
+    await page.fill("#appLockPin", PIN);
+    await page.click("#appLockSubmit");
+    await page.waitForSelector("#rProfToast:has-text('Payment info saved')");
+    assert.equal(savedNumber(), true);
+  });
+});
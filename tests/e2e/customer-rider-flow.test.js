@@ -0,0 +1,245 @@
+/**
+ * Customer → rider happy path, end to end
+ * A customer creates a groceries request through the 3-step wizard and
+ * picks a rider; the rider accepts, bills, delivers and completes; the
+ * customer rates. Every step is checked in both UIs and on the server.
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { E2EHarness } = require("../helpers/e2e-harness");
+
+const RIDER_ID = 1; // rider@pasugo.test in the default fixture
+const ITEM_COST = 250;
+
+describe("customer → rider delivery flow", { timeout: 180000 }, () => {
+  const harness = new E2EHarness();
+  let customer, rider, requestId, serviceFee;
+
+  before(async () => {
+    await harness.start();
+    customer = await harness.newSession("customer");
+    rider = await harness.newSession("rider");
+  });
+
+  after(() => harness.stop());
+
+  it("signs both users in to their dashboards", async () => {
+    assert.match(
+      await customer.signIn("customer@pasugo.test"),
+      /\/pages\/dashboard\.html$/,
+    );
+    assert.match(
+      await rider.signIn("rider@pasugo.test"),
+      /\/pages\/rider-dashboard\.html$/,
+    );
+    // Tokens live in the encrypted store, never in plain localStorage
+    assert.equal(
+      await customer.page.evaluate(() => localStorage.getItem("access_token")),
+      null,
+    );
+  });
+
+  it("customer completes the 3-step request wizard", async () => {
+    const page = customer.page;
+    // The rider list needs the customer's GPS fix from map.js
+    await page.waitForFunction(
+      () => typeof pasugoMap !== "undefined" && !!pasugoMap?.userPosition,
+    );
+
+    await page.click("#navNewRequest");
+    await page.waitForSelector("#requestModalOverlay", { state: "visible" });
+
+    // Step 1 – service
+    assert.equal(await page.isDisabled("#step1Next"), true);
+    await page.click('.service-card[data-service="groceries"]');
+    await page.click("#step1Next");
+
+    // Step 2 – details
+    await page.waitForSelector("#step2.active");
+    await page.fill("#itemsContainer .grocery-item-input", "2kg rice");
+    await page.click("#addItemBtn");
+    await page.fill(
+      "#itemsContainer .item-input-group:nth-child(2) .grocery-item-input",
+      "1L milk",
+    );
+    await page.fill("#instructions", "Ring the bell");
+    await page.click("#step2Next");
+
+    // Step 3 – confirm
+    await page.waitForSelector("#step3.active");
+    assert.equal(await page.textContent("#confService"), "Buy Groceries");
+    assert.equal(await page.textContent("#confItems"), "2kg rice, 1L milk");
+    await page.click("#submitRequest");
+
+    await page.waitForSelector(".rider-card");
+    const created = harness.store.requests.at(-1);
+    requestId = created.request_id;
+    assert.equal(created.status, "pending");
+    assert.equal(created.service_type, "groceries");
+    assert.equal(created.items_description, "2kg rice, 1L milk");
+    assert.equal(created.special_instructions, "Ring the bell");
+    assert.equal(created.payment_method, "cod");
+  });
+
+  it("customer selects a nearby rider", async () => {
+    const page = customer.page;
+    await page.click(`.rider-card[data-rider-id="${RIDER_ID}"]`);
+    await page.waitForSelector("text=Waiting for rider to accept");
+
+    const request = await harness.waitForRequest(
+      requestId,
+      (r) => r.selected_rider_id === RIDER_ID,
+    );
+    assert.equal(request.status, "pending");
+  });
+
+  it("rider sees the request and accepts it", async () => {
+    const page = rider.page;
+    // RiderRequestHandler polls every 5s and shows the badge
+    await page.waitForSelector("#requestsBadge", { state: "visible" });
+    assert.equal(await page.textContent("#requestCount"), "1");
+
+    await page.click("#requestsBadge");
+    await page.click(`#accept-${requestId}`);
+    await rider.waitForDialog(/Request accepted/);
+
+    const request = await harness.waitForRequest(
+      requestId,
+      (r) => r.status === "assigned",
+    );
+    assert.equal(request.rider_id, RIDER_ID);
+    await page.waitForSelector("#submitBillBtn", { state: "visible" });
+  });
+
+  it("customer is moved to the chat with the rider", async () => {
+    const page = customer.page;
+    // Waiting modal polls status every 3s
+    await page.waitForSelector(".chat-modal-overlay", { state: "visible" });
+    const riderUser = harness.store.find(
+      "users",
+      harness.store.find("riders", RIDER_ID).user_id,
+    );
+    await page.waitForFunction(
+      (name) => document.getElementById("riderName").textContent === name,
+      riderUser.full_name,
+    );
+  });
+
+  it("customer and rider chat in real time", async () => {
+    const page = customer.page;
+    await page.fill("#messageInput", "Please get ripe bananas");
+    await page.press("#messageInput", "Enter");
+
+    await rider.page.waitForSelector(
+      ".rider-message-group.customer >> text=Please get ripe bananas",
+    );
+    // The rider's open chat reads it, which ticks the customer's bubble
+    await page.waitForSelector(
+      '.message-group.customer .msg-status:text("✓✓")',
+    );
+
+    await rider.page.fill("#riderChatInput", "Will do!");
+    await rider.page.press("#riderChatInput", "Enter");
+    await page.waitForSelector(".message-group.rider >> text=Will do!");
+    assert.equal(
+      harness.store.messages.filter((m) => m.content === "Will do!").length,
+      1,
+    );
+  });
+
+  it("rider submits the bill with the distance-based fee", async () => {
+    const page = rider.page;
+    // calculate-fee fills the read-only service fee
+    await page.waitForFunction(
+      () => document.getElementById("billServiceFee")?.value !== "",
+    );
+    serviceFee = Number(await page.inputValue("#billServiceFee"));
+    await page.fill("#billItemCost", String(ITEM_COST));
+    await page.click("#submitBillBtn");
+
+    const request = await harness.waitForRequest(
+      requestId,
+      (r) => r.total_amount != null,
+    );
+    assert.equal(request.item_cost, ITEM_COST);
+    assert.equal(request.service_fee, serviceFee);
+    assert.equal(request.total_amount, ITEM_COST + serviceFee);
+    assert.equal(request.payment_status, "pending");
+
+    // Customer's payment panel picks the bill up on its next status poll
+    await customer.page.waitForSelector("#customerPaymentPanel", {
+      state: "visible",
+    });
+    await customer.page.waitForSelector(
+      `#billBreakdown >> text=${(ITEM_COST + serviceFee).toFixed(2)}`,
+    );
+  });
+
+  it("rider starts the delivery", async () => {
+    const page = rider.page;
+    await page.click("#startDeliveryBtn");
+
+    await harness.waitForRequest(requestId, (r) => r.status === "in_progress");
+    // The chat closes so the rider can navigate on the map
+    await page.waitForSelector("#riderLiveChatPanel.open", {
+      state: "detached",
+    });
+    assert.equal(await page.textContent("#taskStatusBadge"), "Delivering");
+
+    await customer.page.waitForSelector("#deliveryStatusBanner");
+    assert.equal(await customer.page.textContent("#riderStatus"), "Delivering");
+  });
+
+  it("rider completes the delivery", async () => {
+    const page = rider.page;
+    await page.click("#activeTaskBanner");
+    await page.click("#completeDeliveryBtn");
+
+    const request = await harness.waitForRequest(
+      requestId,
+      (r) => r.status === "completed",
+    );
+    assert.ok(request.completed_at);
+    await page.waitForSelector("#taskStatusBadge >> text=Completed");
+  });
+
+  it("customer sees the completion screen and rates the rider", async () => {
+    const page = customer.page;
+    await page.waitForSelector("#completionOverlay >> text=Delivery Complete!");
+    await page.click("#rateRiderBtn");
+
+    await page.waitForSelector("#ratingOverlay.show");
+    // Font Awesome is not loaded, so the star icons have no size to click
+    await page.dispatchEvent('#mainStarRating .star[data-value="5"]', "click");
+    await page.fill("#ratingFeedback", "Fast and friendly");
+    await page.click("#submitRatingBtn");
+    await page.waitForSelector("#ratingOverlay.show", { state: "hidden" });
+
+    const rating = harness.store.ratings.find(
+      (r) => r.request_id === requestId,
+    );
+    assert.ok(rating, "rating was not stored");
+    assert.equal(rating.rider_id, RIDER_ID);
+    assert.equal(rating.overall_rating, 5);
+    assert.equal(rating.feedback_text, "Fast and friendly");
+
+    // The finished request is no longer restored on the next visit
+    assert.equal(
+      await page.evaluate(() => localStorage.getItem("activeRequest")),
+      null,
+    );
+  });
+
+  it("raises no uncaught page errors", () => {
+    assert.deepEqual(
+      customer.errors.map((e) => e.message),
+      [],
+    );
+    assert.deepEqual(
+      rider.errors.map((e) => e.message),
+      [],
+    );
+  });
+});
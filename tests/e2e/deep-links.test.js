@@ -0,0 +1,90 @@
+/**
+ * Deep links, end to end
+ * A web link survives the splash screen and sign-in and opens the request
+ * on the customer's dashboard; pasugo:// links handed to handleOpenURL open
+ * the rider's chat, fall back when the request can't be shown, and stop at
+ * 403 for pages the role may not open.
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { E2EHarness, PASSWORD } = require("../helpers/e2e-harness");
+
+// customer@pasugo.test's request, delivered by rider@pasugo.test
+const REQUEST_ID = 3;
+// customer2@pasugo.test's request
+const OTHER_REQUEST_ID = 2;
+
+describe("deep links", { timeout: 120000 }, () => {
+  const harness = new E2EHarness();
+  let customer;
+
+  before(async () => {
+    await harness.start();
+    // Back in progress, so there is a live chat to open
+    harness.request(REQUEST_ID).status = "assigned";
+    customer = await harness.newSession("customer");
+  });
+
+  after(() => harness.stop());
+
+  it("opens a web link to a request after signing in", async () => {
+    const page = customer.page;
+    await customer.goto(`/request/${REQUEST_ID}`);
+
+    // The splash screen sends signed-out users to login
+    await page.waitForSelector("#loginBtn");
+    assert.match(page.url(), /\/pages\/login\.html$/);
+    await page.fill("#email", "customer@pasugo.test");
+    await page.fill("#password", PASSWORD);
+    await page.click("#loginBtn");
+    await customer.waitForDashboard();
+
+    await page.waitForFunction(
+      (id) => location.hash === `#/requests/${id}`,
+      REQUEST_ID,
+    );
+    await page.waitForSelector(".chat-modal-overlay", { state: "visible" });
+    assert.equal(
+      await page.evaluate(() => sessionStorage.getItem("pending_deep_link")),
+      null,
+    );
+  });
+
+  it("falls back to the orders list for a request it can't open", async () => {
+    const page = customer.page;
+    await page.evaluate(
+      (id) => handleOpenURL(`pasugo://request/${id}`),
+      OTHER_REQUEST_ID,
+    );
+
+    await page.waitForSelector("#historyPanel", { state: "visible" });
+    assert.match(page.url(), /dashboard\.html#\/orders$/);
+  });
+
+  it("stops at 403 for a page the role may not open", async () => {
+    const page = customer.page;
+    await page.evaluate(() => handleOpenURL("pasugo://rider/verification"));
+
+    await page.waitForURL(/\/pages\/403\.html$/);
+  });
+
+  it("opens a pasugo:// chat link in the rider's chat", async () => {
+    const rider = await harness.newSession("rider");
+    await rider.signIn("rider@pasugo.test");
+    const page = rider.page;
+
+    await page.evaluate(
+      (id) => handleOpenURL(`pasugo://chat/${id}`),
+      REQUEST_ID,
+    );
+
+    await page.waitForSelector("#riderLiveChatPanel.open");
+    assert.match(page.url(), /rider-dashboard\.html#\/chats\/3$/);
+    assert.equal(
+      await page.evaluate(() => riderChatManager.requestId),
+      REQUEST_ID,
+    );
+  });
+});
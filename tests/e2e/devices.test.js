@@ -0,0 +1,72 @@
+/**
+ * Devices list on the customer profile, end to end
+ * Two browsers sign in to one account; one of them logs the other out,
+ * then logs out everywhere.
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { E2EHarness } = require("../helpers/e2e-harness");
+
+const EMAIL = "customer@pasugo.test";
+
+describe("devices", { timeout: 120000 }, () => {
+  const harness = new E2EHarness();
+  let phone, laptop;
+
+  const deviceCount = (page, count) =>
+    page.waitForFunction(
+      (n) =>
+        document.querySelectorAll("#profDeviceList .prof-address-card")
+          .length === n,
+      count,
+    );
+
+  before(async () => {
+    await harness.start();
+    phone = await harness.newSession("phone");
+    laptop = await harness.newSession("laptop");
+  });
+
+  after(() => harness.stop());
+
+  it("lists both signed-in devices", async () => {
+    await phone.signIn(EMAIL);
+    await laptop.signIn(EMAIL);
+    // The dashboard loaded the list before the laptop signed in
+    await phone.page.evaluate(() => dashCtrl.showPanel("profilePanel"));
+    await deviceCount(phone.page, 2);
+
+    await phone.page.waitForSelector(
+      "#profDeviceList .prof-address-default:has-text('This device')",
+    );
+    assert.equal(
+      await phone.page.locator("#profDeviceList button.danger").count(),
+      1,
+    );
+  });
+
+  it("logs the other device out", async () => {
+    await phone.page.click("#profDeviceList button.danger");
+    await phone.page.waitForSelector(
+      "#profToast:has-text('Device logged out')",
+    );
+    await deviceCount(phone.page, 1);
+
+    // The laptop finds out on its next refresh
+    await laptop.page.evaluate(() =>
+      window.auth.SessionManager.refreshToken().catch(() => null),
+    );
+    await laptop.page.waitForURL(/\/pages\/login\.html\?redirect=/);
+  });
+
+  it("logs out everywhere", async () => {
+    await laptop.signIn(EMAIL);
+    await phone.page.click("#profLogoutEverywhere");
+
+    await phone.page.waitForURL(/\/pages\/login\.html$/);
+    const user = harness.store.findUserByEmail(EMAIL);
+    assert.equal(harness.store.sessionsForUser(user.user_id).length, 0);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * login.html?redirect=, end to end
+ * Signing in returns the user to the page that sent them to login, query
+ * included, unless the target is off-site or not theirs to open.
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { E2EHarness, PASSWORD } = require("../helpers/e2e-harness");
+
+describe("login redirect", { timeout: 120000 }, () => {
+  const harness = new E2EHarness();
+
+  before(() => harness.start());
+  after(() => harness.stop());
+
+  async function signInVia(target, email) {
+    const session = await harness.newSession(email);
+    const page = session.page;
+    await session.goto(
+      `/pages/login.html?redirect=${encodeURIComponent(target)}`,
+    );
+    const redirects = [];
+    page.on("request", (request) => {
+      if (request.isNavigationRequest()) redirects.push(request.url());
+    });
+    await page.fill("#email", email);
+    await page.fill("#password", PASSWORD);
+    await page.click("#loginBtn");
+    const url = await session.waitForDashboard();
+    await page.waitForLoadState("load");
+    // Exactly one navigation away from login, not one per LoginForm
+    assert.deepEqual(redirects, [url]);
+    return new URL(url);
+  }
+
+  async function signInAgain(session, email) {
+    const page = session.page;
+    await page.waitForURL(/\/pages\/login\.html\?redirect=/);
+    const target = new URL(page.url()).searchParams.get("redirect");
+    await page.fill("#email", email);
+    await page.fill("#password", PASSWORD);
+    await page.click("#loginBtn");
+    return { target, url: new URL(await session.waitForDashboard()) };
+  }
+
+  it("returns to the page whose session expired", async () => {
+    const email = "customer@pasugo.test";
+    const customer = await harness.newSession("expired");
+    await customer.signIn(email);
+    await customer.goto("/pages/dashboard.html?request=3");
+    await customer.page.waitForLoadState("load");
+
+    const user = harness.store.findUserByEmail(email);
+    harness.store.revokeUserSessions(user.user_id);
+    const toLogin = [];
+    customer.page.on("request", (request) => {
+      if (request.isNavigationRequest() && /login\.html/.test(request.url())) {
+        toLogin.push(request.url());
+      }
+    });
+    await customer.page.evaluate(() =>
+      window.auth.SessionManager.refreshToken().catch(() => null),
+    );
+    const { target, url } = await signInAgain(customer, email);
+
+    assert.match(target, /^\/pages\/dashboard\.html\?request=3(#|$)/);
+    assert.equal(url.pathname, "/pages/dashboard.html");
+    assert.equal(url.search, "?request=3");
+    // However many calls find the session gone, login opens once
+    assert.equal(toLogin.length, 1);
+  });
+
+  it("returns a signed-out visitor to the page they opened", async () => {
+    const email = "customer2@pasugo.test";
+    const visitor = await harness.newSession("visitor");
+    await visitor.goto("/pages/dashboard.html?request=3#/orders");
+    const { target, url } = await signInAgain(visitor, email);
+
+    assert.equal(target, "/pages/dashboard.html?request=3#/orders");
+    assert.equal(url.search, "?request=3");
+    assert.equal(url.hash, "#/orders");
+  });
+
+  it("sends a signed-in user on the login page on once", async () => {
+    const customer = await harness.newSession("signed-in");
+    await customer.signIn("customer@pasugo.test");
+    const page = customer.page;
+    const navigations = [];
+    page.on("request", (request) => {
+      if (request.isNavigationRequest()) navigations.push(request.url());
+    });
+
+    await customer.goto("/pages/login.html");
+    await customer.waitForDashboard();
+    await page.waitForLoadState("networkidle");
+
+    assert.equal(navigations.length, 2);
+    assert.match(navigations[1], /\/pages\/dashboard\.html$/);
+  });
+
+  it("returns to the requested page and query", async () => {
+    const url = await signInVia(
+      "/pages/dashboard.html?request=3",
+      "customer@pasugo.test",
+    );
+
+    assert.equal(url.pathname, "/pages/dashboard.html");
+    assert.equal(url.search, "?request=3");
+  });
+
+  it("ignores an off-site redirect", async () => {
+    const url = await signInVia(
+      "https://evil.example/pages/dashboard.html",
+      "customer2@pasugo.test",
+    );
+
+    assert.equal(url.origin, harness.baseUrl);
+    assert.equal(url.pathname, "/pages/dashboard.html");
+    assert.equal(url.search, "");
+  });
+
+  it("ignores a page the role may not open", async () => {
+    const url = await signInVia(
+      "/pages/admin-dashboard.html",
+      "rider@pasugo.test",
+    );
+
+    assert.equal(url.pathname, "/pages/rider-dashboard.html");
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * "Login with code" on login.html, end to end
+ * A customer signs in with the code sent to their phone instead of a
+ * password; a wrong code keeps them on the code step.
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { E2EHarness } = require("../helpers/e2e-harness");
+
+const CUSTOMER_PHONE = "0917 123 4567"; // customer@pasugo.test
+const MOCK_OTP = "123456";
+
+describe("login with code", { timeout: 120000 }, () => {
+  const harness = new E2EHarness();
+  let customer;
+
+  before(async () => {
+    await harness.start();
+    customer = await harness.newSession("customer");
+  });
+
+  after(() => harness.stop());
+
+  it("sends a code to the account's phone", async () => {
+    const page = customer.page;
+    const codeRequests = [];
+    page.on("request", (request) => {
+      if (request.url().endsWith("/api/auth/login/request-otp")) {
+        codeRequests.push(request);
+      }
+    });
+    await customer.goto("/pages/login.html");
+
+    await page.click('[data-login-mode="code"]');
+    await page.fill("#loginPhone", CUSTOMER_PHONE);
+    await page.click("#sendCodeBtn");
+
+    await page.waitForSelector("#otpInput");
+    assert.equal(await page.isVisible("#loginForm"), false);
+    // One tap, one SMS: a second code would invalidate the first
+    await page.waitForTimeout(500);
+    assert.equal(codeRequests.length, 1);
+    assert.equal(await page.locator("#otpInput").count(), 1);
+  });
+
+  it("rejects a wrong code and stays on the code step", async () => {
+    const page = customer.page;
+
+    await page.fill("#otpInput", "000000");
+
+    await page.waitForSelector("#errorMessage:has-text('Invalid or expired')");
+    assert.equal(await page.isEnabled("#verifyOTPBtn"), true);
+  });
+
+  it("signs in with the right code", async () => {
+    const page = customer.page;
+
+    await page.fill("#otpInput", MOCK_OTP);
+
+    await page.waitForURL(/\/pages\/dashboard\.html$/);
+    assert.match(
+      await page.evaluate(() => PasugoSecureStore.getItem("access_token")),
+      /^eyJ/,
+    );
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Capability-based permissions, end to end
+ * A support admin (admin_role "support") sees and uses only the parts of
+ * the console their capabilities cover; the API refuses the rest without
+ * signing them out.
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { E2EHarness, PASSWORD } = require("../helpers/e2e-harness");
+
+describe("capability permissions", { timeout: 120000 }, () => {
+  const harness = new E2EHarness();
+  let support;
+
+  before(async () => {
+    await harness.start();
+    support = await harness.newSession("support");
+    const page = support.page;
+    await support.goto("/pages/admin-dashboard.html");
+    await page.fill("#loginEmail", "support@pasugo.test");
+    await page.fill("#loginPassword", PASSWORD);
+    await page.click("#loginBtn");
+    await page.waitForSelector("#loginOverlay", { state: "hidden" });
+  });
+
+  after(() => harness.stop());
+
+  it("shows only the console pages the capabilities cover", async () => {
+    const page = support.page;
+    await page.waitForFunction(() => adminUser !== null);
+
+    const shown = await page.$$eval(".nav-item[data-page]", (items) =>
+      items
+        .filter((item) => item.style.display !== "none")
+        .map((item) => item.dataset.page),
+    );
+    assert.deepEqual(shown, [
+      "dashboard",
+      "riders",
+      "approvals",
+      "requests",
+      "security",
+    ]);
+  });
+
+  it("approves a rider", async () => {
+    const page = support.page;
+    await page.evaluate(() => approveRider(3, "Ana Lopez"));
+
+    await support.waitForDialog(/approved successfully/);
+    const rider = harness.store.riders.find((r) => r.rider_id === 3);
+    assert.equal(rider.approval_status, "approved");
+  });
+
+  it("is refused what the role lacks, and stays signed in", async () => {
+    const page = support.page;
+    const waive = await page.evaluate(async () => {
+      const res = await fetch(`${API}/admin/remittances/2/waive`, {
+        method: "POST",
+        headers: headers(),
+        body: JSON.stringify({}),
+      });
+      return { status: res.status, body: await res.json() };
+    });
+    assert.equal(waive.status, 403);
+    assert.equal(waive.body.detail, "Missing permission: remittances.waive");
+    assert.equal(waive.body.code, "missing_permission");
+
+    const error = await page.evaluate(() =>
+      api("/admin/shares/summary?days=7").catch((e) => e.message),
+    );
+    assert.equal(error, "Missing permission: remittances.view");
+    assert.equal(await page.isVisible("#loginOverlay"), false);
+    assert.notEqual(await page.evaluate(() => TOKEN), "");
+  });
+
+  it("opens a dashboard for its capability, whatever the role", async () => {
+    const admin = await harness.newSession("admin");
+    await admin.signIn("admin@pasugo.test");
+
+    // A super_admin holds requests.create
+    await admin.goto("/pages/dashboard.html");
+    await admin.page.waitForLoadState("networkidle");
+    assert.match(admin.page.url(), /\/pages\/dashboard\.html$/);
+  });
+
+  it("sends an account without the capability to its own dashboard", async () => {
+    const rider = await harness.newSession("rider");
+    await rider.signIn("rider@pasugo.test");
+
+    await rider.goto("/pages/dashboard.html");
+    await rider.page.waitForURL(/\/pages\/rider-dashboard\.html$/);
+  });
+});
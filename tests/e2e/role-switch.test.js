@@ -0,0 +1,81 @@
+/**
+ * Dual-role accounts, end to end
+ * A rider who also orders switches to customer mode and back from the
+ * profile panel; a rider-only account adds the customer role first.
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { E2EHarness } = require("../helpers/e2e-harness");
+
+describe("role switching", { timeout: 120000 }, () => {
+  const harness = new E2EHarness();
+  let dual;
+
+  const riderOf = (email) =>
+    harness.store.riderForUser(harness.store.findUserByEmail(email).user_id);
+  const activeRole = (page) =>
+    page.evaluate(() => window.auth.UserRoles.active());
+
+  before(async () => {
+    await harness.start();
+    dual = await harness.newSession("dual");
+  });
+
+  after(() => harness.stop());
+
+  it("goes offline and opens the customer dashboard", async () => {
+    const page = dual.page;
+    await dual.signIn("rider2@pasugo.test");
+    await page.click("#toggleOnlineBtn");
+    await page.waitForSelector("#toggleOnlineBtn:has-text('Go Offline')");
+    assert.equal(
+      riderOf("rider2@pasugo.test").availability_status,
+      "available",
+    );
+
+    await page.evaluate(() =>
+      riderDashboardController.showPanel("riderProfilePanel"),
+    );
+    await page.click("#rProfSwitchRole");
+
+    await page.waitForURL(/\/pages\/dashboard\.html$/);
+    assert.equal(await activeRole(page), "customer");
+    assert.equal(riderOf("rider2@pasugo.test").availability_status, "offline");
+  });
+
+  it("stays in customer mode after the profile reloads", async () => {
+    const page = dual.page;
+    await page.reload();
+    await page.evaluate(() => dashCtrl.showPanel("profilePanel"));
+    await page.waitForSelector("#profRoleSection", { state: "visible" });
+
+    assert.match(page.url(), /\/pages\/dashboard\.html#\/profile$/);
+    assert.equal(await activeRole(page), "customer");
+  });
+
+  it("switches back to the rider dashboard", async () => {
+    await dual.page.click("#profSwitchRole");
+
+    await dual.page.waitForURL(/\/pages\/rider-dashboard\.html$/);
+    assert.equal(await activeRole(dual.page), "rider");
+  });
+
+  it("adds the customer role to a rider-only account", async () => {
+    const rider = await harness.newSession("rider");
+    await rider.signIn("rider@pasugo.test");
+    await rider.page.evaluate(() =>
+      riderDashboardController.showPanel("riderProfilePanel"),
+    );
+
+    await rider.page.click("#rProfSwitchRole");
+
+    await rider.page.waitForURL(/\/pages\/dashboard\.html$/);
+    assert.match(rider.dialogs[0], /order deliveries too/);
+    assert.deepEqual(harness.store.findUserByEmail("rider@pasugo.test").roles, [
+      "rider",
+      "customer",
+    ]);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Dashboard router, end to end
+ * Panels and the diagnostics view open by hash without reloading the page,
+ * Back returns to the previous panel, and a hash link opens a panel
+ * directly.
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { E2EHarness } = require("../helpers/e2e-harness");
+
+describe("dashboard router", { timeout: 120000 }, () => {
+  const harness = new E2EHarness();
+  let customer;
+
+  // Set on the page; still there only if the page never reloaded
+  const markPage = (page) => page.evaluate(() => (window.__sameLoad = true));
+  const samePage = (page) => page.evaluate(() => window.__sameLoad === true);
+
+  before(async () => {
+    await harness.start();
+    customer = await harness.newSession("customer");
+    await customer.signIn("customer@pasugo.test");
+  });
+
+  after(() => harness.stop());
+
+  it("switches panels by hash and goes back without reloading", async () => {
+    const page = customer.page;
+    await markPage(page);
+
+    await page.click("#navProfile");
+    await page.waitForSelector("#profilePanel", { state: "visible" });
+    assert.match(page.url(), /dashboard\.html#\/profile$/);
+
+    await page.click("#navHistory");
+    await page.waitForSelector("#historyPanel", { state: "visible" });
+
+    await page.goBack();
+    await page.waitForSelector("#profilePanel", { state: "visible" });
+    assert.equal(await page.isVisible("#historyPanel"), false);
+    assert.equal(await samePage(page), true);
+  });
+
+  it("opens diagnostics as a view of the dashboard", async () => {
+    const page = customer.page;
+    const map = await page.evaluate(() => {
+      window.__map = pasugoMap.map;
+      return !!window.__map;
+    });
+    assert.equal(map, true);
+
+    await page.click("#menuDiagnostics");
+    await page.waitForSelector("#diagnosticsView #logOutput", {
+      state: "visible",
+    });
+    assert.match(page.url(), /dashboard\.html#\/diagnostics$/);
+    assert.equal(await page.isVisible("#profilePanel"), false);
+
+    await page.click("#diagnosticsView #backLink");
+    await page.waitForSelector("#profilePanel", { state: "visible" });
+    assert.equal(await samePage(page), true);
+    // Same Leaflet instance: the map was never torn down
+    assert.equal(
+      await page.evaluate(() => pasugoMap.map === window.__map),
+      true,
+    );
+  });
+
+  it("opens the panel named in the hash on load", async () => {
+    const page = customer.page;
+    await customer.goto("/pages/dashboard.html#/notifications");
+
+    await page.waitForSelector("#notificationsPanel", { state: "visible" });
+    assert.equal(await page.isVisible(".page-wrapper"), false);
+  });
+
+  it("routes the rider dashboard's panels too", async () => {
+    const rider = await harness.newSession("rider");
+    await rider.signIn("rider@pasugo.test");
+    const page = rider.page;
+    await markPage(page);
+
+    await page.evaluate(() =>
+      riderDashboardController.showPanel("riderStatsPanel"),
+    );
+    await page.waitForSelector("#riderStatsPanel", { state: "visible" });
+    assert.match(page.url(), /rider-dashboard\.html#\/stats$/);
+
+    await page.goBack();
+    await page.waitForSelector("#riderMap", { state: "visible" });
+    assert.equal(await samePage(page), true);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Two tabs of one browser, end to end
+ * A refresh in one tab hands the rotated tokens to the other; signing out
+ * in one tab sends the other to the login page.
+ */
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { E2EHarness } = require("../helpers/e2e-harness");
+
+const readToken = (page, key) =>
+  page.evaluate((k) => PasugoSecureStore.getItem(k), key);
+
+describe("session sync across tabs", { timeout: 120000 }, () => {
+  const harness = new E2EHarness();
+  let customer, secondTab;
+
+  before(async () => {
+    await harness.start();
+    customer = await harness.newSession("customer");
+  });
+
+  after(() => harness.stop());
+
+  it("opens the dashboard signed in from a second tab", async () => {
+    await customer.signIn("customer@pasugo.test");
+
+    secondTab = await customer.context.newPage();
+    const navigations = [];
+    secondTab.on("request", (request) => {
+      if (request.isNavigationRequest()) navigations.push(request.url());
+    });
+    await secondTab.goto(`${harness.baseUrl}/pages/dashboard.html`);
+    await secondTab.waitForFunction(() =>
+      PasugoSecureStore.getItem("access_token"),
+    );
+    await secondTab.waitForLoadState("networkidle");
+
+    assert.match(secondTab.url(), /\/pages\/dashboard\.html$/);
+    // A cold start waits for the stored session instead of reloading
+    assert.equal(navigations.length, 1);
+  });
+
+  it("hands a refreshed token to the other tab", async () => {
+    const token = await customer.page.evaluate(() =>
+      window.auth.SessionManager.refreshToken(),
+    );
+
+    await secondTab.waitForFunction(
+      (t) => PasugoSecureStore.getItem("access_token") === t,
+      token,
+    );
+    assert.equal(
+      await readToken(secondTab, "refresh_token"),
+      await readToken(customer.page, "refresh_token"),
+    );
+  });
+
+  it("signs the other tab out on logout", async () => {
+    await customer.page.evaluate(() => window.auth.logout());
+
+    await secondTab.waitForURL(/\/pages\/login\.html\?redirect=/);
+    assert.equal(await readToken(secondTab, "access_token"), null);
+  });
+});
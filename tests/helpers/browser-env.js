@@ -0,0 +1,282 @@
+/**
+ * Headless browser environment for unit tests
+ * Loads the app's classic scripts from www/js into a vm context with a
+ * minimal DOM shim (window, document, storage, location, navigator) and a
+ * stubbed fetch, so modules run exactly as they do on a page
+ */
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const { createFetchStub } = require("./fetch-stub");
+
+const JS_ROOT = path.join(__dirname, "..", "..", "www", "js");
+
+// ============================================
+// DOM SHIM
+// ============================================
+
+/**
+ * Map-backed Web Storage (localStorage / sessionStorage)
+ */
+class MemoryStorage {
+  constructor(initial = {}) {
+    this._data = new Map(Object.entries(initial));
+  }
+
+  get length() {
+    return this._data.size;
+  }
+
+  key(index) {
+    return [...this._data.keys()][index] ?? null;
+  }
+
+  getItem(key) {
+    return this._data.has(key) ? this._data.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this._data.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this._data.delete(key);
+  }
+
+  clear() {
+    this._data.clear();
+  }
+}
+
+/**
+ * window.location that records navigations instead of leaving the page.
+ * Changing only the hash stays on the page and fires hashchange instead.
+ */
+function createLocation(url, onHashChange = () => {}) {
+  const location = {
+    navigations: [],
+    assign(href) {
+      this.href = href;
+    },
+    replace(href) {
+      this.href = href;
+    },
+    reload() {},
+  };
+  let current = new URL(url);
+  const withoutHash = (href) => href.split("#")[0];
+  Object.defineProperty(location, "href", {
+    get: () => current.href,
+    set: (href) => {
+      const next = new URL(href, current);
+      const sameDocument = withoutHash(next.href) === withoutHash(current.href);
+      if (sameDocument && next.hash !== current.hash) {
+        current = next;
+        onHashChange();
+        return;
+      }
+      location.navigations.push(href);
+      current = next;
+    },
+  });
+  Object.defineProperty(location, "hash", {
+    get: () => current.hash,
+    set: (hash) => {
+      location.href = `#${String(hash).replace(/^#/, "")}`;
+    },
+  });
+  ["pathname", "search", "origin", "host", "protocol"].forEach((key) => {
+    Object.defineProperty(location, key, { get: () => current[key] });
+  });
+  return location;
+}
+
+function createElement(tagName = "div") {
+  return {
+    tagName: tagName.toUpperCase(),
+    style: {},
+    dataset: {},
+    children: [],
+    textContent: "",
+    innerHTML: "",
+    classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+    setAttribute() {},
+    getAttribute: () => null,
+    addEventListener() {},
+    removeEventListener() {},
+    appendChild(child) {
+      this.children.push(child);
+      return child;
+    },
+    remove() {},
+    querySelector: () => null,
+    querySelectorAll: () => [],
+  };
+}
+
+function createDocument() {
+  const events = new EventTarget();
+  return {
+    // "loading" keeps scripts that auto-run on DOMContentLoaded idle until
+    // a test fires the event itself
+    readyState: "loading",
+    body: createElement("body"),
+    head: createElement("head"),
+    addEventListener: events.addEventListener.bind(events),
+    removeEventListener: events.removeEventListener.bind(events),
+    dispatchEvent: events.dispatchEvent.bind(events),
+    getElementById: () => null,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    createElement,
+  };
+}
+
+// ============================================
+// ENVIRONMENT
+// ============================================
+
+/**
+ * Create a fresh page-like environment
+ * @param {Object} [options]
+ * @param {string[]} [options.scripts] - Files under www/js to load, in order
+ * @param {string} [options.url] - Page URL (drives location.pathname)
+ * @param {Object} [options.localStorage] - Initial localStorage entries
+ * @param {Object} [options.sessionStorage] - Initial sessionStorage entries
+ * @param {Object} [options.navigator] - Extra navigator properties
+ * @param {boolean} [options.verbose] - Keep the modules' console output
+ * @returns {Object} - {window, fetch, localStorage, location, load, evaluate,
+ *   networkError, dispose}
+ */
+function createBrowserEnv(options = {}) {
+  const fetchStub = createFetchStub();
+  const localStorage = new MemoryStorage(options.localStorage);
+  const sessionStorage = new MemoryStorage(options.sessionStorage);
+  const windowEvents = new EventTarget();
+  const location = createLocation(
+    options.url || "http://localhost/pages/dashboard.html",
+    // Browsers queue hashchange as a task
+    () => setTimeout(() => windowEvents.dispatchEvent(new Event("hashchange"))),
+  );
+  // Page timers, so dispose() can drop leftovers (e.g. auth.js's refresh
+  // abort timeout after a failed refresh) instead of holding the run open
+  const timers = new Set();
+  const quiet = () => {};
+
+  const sandbox = {
+    console: options.verbose
+      ? console
+      : { log: quiet, info: quiet, warn: quiet, error: quiet, debug: quiet },
+    fetch: fetchStub,
+    localStorage,
+    sessionStorage,
+    location,
+    document: createDocument(),
+    navigator: { onLine: true, userAgent: "node-test", ...options.navigator },
+    addEventListener: windowEvents.addEventListener.bind(windowEvents),
+    removeEventListener: windowEvents.removeEventListener.bind(windowEvents),
+    dispatchEvent: windowEvents.dispatchEvent.bind(windowEvents),
+    setTimeout: (fn, ms, ...args) => {
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        fn(...args);
+      }, ms);
+      timers.add(timer);
+      return timer;
+    },
+    clearTimeout: (timer) => {
+      timers.delete(timer);
+      clearTimeout(timer);
+    },
+    setInterval: (...args) => {
+      const timer = setInterval(...args);
+      timers.add(timer);
+      return timer;
+    },
+    clearInterval: (timer) => {
+      timers.delete(timer);
+      clearInterval(timer);
+    },
+    queueMicrotask,
+    AbortController,
+    AbortSignal,
+    Blob,
+    Event,
+    EventTarget,
+    File,
+    FormData,
+    Headers,
+    Request,
+    Response,
+    TextEncoder,
+    TextDecoder,
+    URL,
+    URLSearchParams,
+    crypto: globalThis.crypto,
+    atob,
+    btoa,
+    alert: quiet,
+    confirm: () => true,
+  };
+  sandbox.window = sandbox;
+  sandbox.self = sandbox;
+  vm.createContext(sandbox);
+
+  const env = {
+    window: sandbox,
+    fetch: fetchStub,
+    localStorage,
+    sessionStorage,
+    location,
+
+    /**
+     * Run a www/js file as a classic script in this page
+     */
+    load(file) {
+      const filename = path.join(JS_ROOT, file);
+      vm.runInContext(fs.readFileSync(filename, "utf8"), sandbox, {
+        filename,
+      });
+      return env;
+    },
+
+    /**
+     * Evaluate an expression in page scope – reaches top-level class and
+     * const declarations that never become window properties
+     */
+    evaluate(expression) {
+      return vm.runInContext(expression, sandbox);
+    },
+
+    /**
+     * The TypeError a browser's fetch() rejects with when offline – created
+     * in page scope so the app's `instanceof TypeError` checks see it
+     */
+    networkError(message = "Failed to fetch") {
+      const PageTypeError = vm.runInContext("TypeError", sandbox);
+      return new PageTypeError(message);
+    },
+
+    /**
+     * Cancel every timer the page still has pending (call in afterEach)
+     */
+    dispose() {
+      timers.forEach((timer) => clearTimeout(timer));
+      timers.clear();
+    },
+  };
+
+  (options.scripts || []).forEach((file) => env.load(file));
+  return env;
+}
+
+/**
+ * Copy a value out of the page realm so deepStrictEqual can compare it
+ */
+function plain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { createBrowserEnv, MemoryStorage, plain };
@@ -0,0 +1,213 @@
+/**
+ * End-to-end harness
+ * Runs the mock backend in-process and drives the real pages in headless
+ * Chromium (Playwright). Each session is an isolated browser context, so a
+ * customer and a rider can be signed in side by side.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { chromium } = require("playwright");
+const { createMockServer } = require("../../mock-server/server");
+
+const LEAFLET_STUB = fs.readFileSync(
+  path.join(__dirname, "leaflet-stub.js"),
+  "utf8",
+);
+
+// Near the fixture riders in Manila (see mock-server/fixtures/default.json)
+const DEFAULT_POSITION = { latitude: 14.5995, longitude: 120.9842 };
+
+const PASSWORD = "password123";
+
+// ============================================
+// SESSION
+// ============================================
+
+/**
+ * One signed-in user in their own browser context
+ */
+class E2ESession {
+  constructor(harness, context, page, name) {
+    this.harness = harness;
+    this.context = context;
+    this.page = page;
+    this.name = name;
+    this.dialogs = [];
+    this.errors = [];
+
+    // Accept every alert/confirm – the flows under test always say "yes"
+    page.on("dialog", (dialog) => {
+      this.dialogs.push(dialog.message());
+      dialog.accept().catch(() => {});
+    });
+    page.on("pageerror", (error) => this.errors.push(error));
+    if (process.env.PASUGO_E2E_VERBOSE) {
+      page.on("console", (msg) => console.log(`[${name}] ${msg.text()}`));
+    }
+  }
+
+  /**
+   * Open a page of the app, e.g. "/pages/dashboard.html"
+   */
+  goto(pagePath) {
+    return this.page.goto(`${this.harness.baseUrl}${pagePath}`);
+  }
+
+  /**
+   * Sign in through login.html and wait for the role's dashboard
+   */
+  async signIn(email, password = PASSWORD) {
+    await this.goto("/pages/login.html");
+    await this.page.fill("#email", email);
+    await this.page.fill("#password", password);
+    await this.page.click("#loginBtn");
+    return this.waitForDashboard();
+  }
+
+  /**
+   * Wait for the post-login redirect to land on a dashboard
+   */
+  async waitForDashboard() {
+    await this.page.waitForURL(/\/pages\/[\w-]*dashboard\.html/);
+    return this.page.url();
+  }
+
+  /**
+   * Wait for an alert/confirm whose text matches
+   */
+  async waitForDialog(pattern, timeout = 15000) {
+    const start = Date.now();
+    while (Date.now() - start < timeout) {
+      const message = this.dialogs.find((m) => pattern.test(m));
+      if (message) return message;
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    throw new Error(
+      `[${this.name}] no dialog matching ${pattern} (saw: ${JSON.stringify(this.dialogs)})`,
+    );
+  }
+}
+
+// ============================================
+// HARNESS
+// ============================================
+
+class E2EHarness {
+  constructor(options = {}) {
+    this.options = options;
+    this.mock = null;
+    this.browser = null;
+    this.baseUrl = null;
+    this.sessions = [];
+  }
+
+  get store() {
+    return this.mock.store;
+  }
+
+  /**
+   * Start the mock on a free port and launch Chromium
+   * PASUGO_E2E_CHROMIUM points at a local Chromium when Playwright's
+   * bundled browser is not installed
+   */
+  async start() {
+    this.mock = createMockServer({ quiet: true, ...this.options.mock });
+    const address = await this.mock.listen(0, "127.0.0.1");
+    this.baseUrl = `http://127.0.0.1:${address.port}`;
+
+    const executablePath = process.env.PASUGO_E2E_CHROMIUM || undefined;
+    this.browser = await chromium.launch({
+      headless: !process.env.PASUGO_E2E_HEADFUL,
+      executablePath,
+      // Containers and CI usually run as root, where Chromium's sandbox fails
+      args: process.getuid?.() === 0 ? ["--no-sandbox"] : [],
+    });
+    return this;
+  }
+
+  /**
+   * New isolated browser context pointed at the mock backend
+   * @param {string} name - Label used in failure messages
+   * @param {Object} [options] - {position: {latitude, longitude}}
+   */
+  async newSession(name, options = {}) {
+    const context = await this.browser.newContext({
+      viewport: { width: 390, height: 844 },
+      geolocation: { ...DEFAULT_POSITION, accuracy: 10, ...options.position },
+      permissions: ["geolocation"],
+    });
+
+    // Point config.js at the mock before any app script runs
+    await context.addInitScript((apiBase) => {
+      localStorage.setItem("pasugo_env", "local");
+      localStorage.setItem("pasugo_local_api", apiBase);
+    }, this.baseUrl);
+
+    // The stub cannot match the CDN's SRI hashes, so drop them from pages
+    await context.route(
+      (url) =>
+        url.href.startsWith(this.baseUrl) && url.pathname.endsWith(".html"),
+      async (route) => {
+        const response = await route.fetch();
+        const body = (await response.text()).replace(
+          /\s+integrity="[^"]*"/g,
+          "",
+        );
+        return route.fulfill({ response, body });
+      },
+    );
+
+    // Nothing leaves the machine: Leaflet is stubbed, other CDNs are blank
+    await context.route(
+      (url) => !url.href.startsWith(this.baseUrl),
+      (route) => {
+        const url = route.request().url();
+        if (/leaflet[^/]*\.js(\?|$)/.test(url)) {
+          return route.fulfill({
+            contentType: "application/javascript",
+            body: LEAFLET_STUB,
+          });
+        }
+        return route.fulfill({ status: 204, body: "" });
+      },
+    );
+
+    const page = await context.newPage();
+    const session = new E2ESession(this, context, page, name);
+    this.sessions.push(session);
+    return session;
+  }
+
+  /**
+   * Current server-side state of a request
+   */
+  request(requestId) {
+    return this.store.find("requests", requestId);
+  }
+
+  /**
+   * Wait until the server-side request satisfies a predicate
+   */
+  async waitForRequest(requestId, predicate, timeout = 20000) {
+    const start = Date.now();
+    while (Date.now() - start < timeout) {
+      const request = this.request(requestId);
+      if (request && predicate(request)) return request;
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    throw new Error(
+      `Request #${requestId} never reached the expected state: ${JSON.stringify(this.request(requestId))}`,
+    );
+  }
+
+  async stop() {
+    await Promise.all(this.sessions.map((s) => s.context.close()));
+    this.sessions = [];
+    await this.browser?.close();
+    await this.mock?.close();
+  }
+}
+
+module.exports = { E2EHarness, E2ESession, PASSWORD };
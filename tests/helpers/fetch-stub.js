@@ -0,0 +1,117 @@
+/**
+ * Scriptable fetch() for unit tests
+ * Routes are matched in registration order; `once` routes are used up after
+ * one call. Every call is recorded with its parsed URL, headers and body.
+ */
+
+const { isNativeError } = require("util").types;
+
+/**
+ * Build a JSON Response
+ */
+function jsonResponse(status, body, headers = {}) {
+  return new Response(body === undefined ? null : JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json", ...headers },
+  });
+}
+
+function normalizeHeaders(headers) {
+  if (!headers) return {};
+  if (headers instanceof Headers) return Object.fromEntries(headers);
+  return Object.fromEntries(
+    Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value]),
+  );
+}
+
+function parseBody(body) {
+  if (typeof body !== "string") return body ?? null;
+  try {
+    return JSON.parse(body);
+  } catch (e) {
+    return body;
+  }
+}
+
+function createFetchStub() {
+  const routes = [];
+  const calls = [];
+
+  const stub = async function fetch(input, init = {}) {
+    const url = typeof input === "string" ? input : input.url;
+    const method = (init.method || "GET").toUpperCase();
+    const call = {
+      url,
+      path: new URL(url).pathname,
+      query: Object.fromEntries(new URL(url).searchParams),
+      method,
+      headers: normalizeHeaders(init.headers),
+      body: parseBody(init.body),
+      init,
+    };
+    calls.push(call);
+
+    if (init.signal?.aborted) {
+      throw new DOMException("The operation was aborted.", "AbortError");
+    }
+
+    const route = routes.find(
+      (r) =>
+        !r.used &&
+        (!r.method || r.method === method) &&
+        (typeof r.path === "string"
+          ? call.path === r.path
+          : r.path.test(call.path)),
+    );
+    if (!route) {
+      throw new Error(`Unexpected fetch: ${method} ${url}`);
+    }
+    if (route.once) route.used = true;
+
+    const result =
+      typeof route.respond === "function"
+        ? await route.respond(call)
+        : route.respond;
+    if (isNativeError(result)) throw result;
+    return result instanceof Response
+      ? result
+      : jsonResponse(result.status ?? 200, result.body, result.headers);
+  };
+
+  /**
+   * Answer matching calls
+   * @param {string} method - HTTP method, or null for any
+   * @param {string|RegExp} path - Exact pathname or a pattern
+   * @param {Response|Object|Function|Error} respond - Response, {status, body,
+   *   headers}, a function of the call, or an Error to reject with
+   * @param {Object} [options] - {once: true} to answer a single call
+   */
+  stub.on = (method, path, respond, options = {}) => {
+    routes.push({ method, path, respond, once: !!options.once });
+    return stub;
+  };
+
+  stub.once = (method, path, respond) =>
+    stub.on(method, path, respond, { once: true });
+
+  stub.calls = calls;
+
+  /**
+   * Calls to a path (optionally a single method)
+   */
+  stub.callsTo = (path, method) =>
+    calls.filter(
+      (c) =>
+        (typeof path === "string" ? c.path === path : path.test(c.path)) &&
+        (!method || c.method === method),
+    );
+
+  stub.reset = () => {
+    routes.length = 0;
+    calls.length = 0;
+  };
+
+  return stub;
+}
+
+module.exports = { createFetchStub, jsonResponse };
@@ -0,0 +1,110 @@
+/**
+ * Leaflet stand-in for E2E runs
+ * Served in place of unpkg's leaflet.js so the dashboards boot without
+ * network access or tile downloads. Every layer method is chainable and a
+ * no-op; only the getters the app reads return real values.
+ */
+
+(function () {
+  function latLng(value) {
+    if (Array.isArray(value)) return { lat: value[0], lng: value[1] };
+    return value ? { lat: value.lat, lng: value.lng } : { lat: 0, lng: 0 };
+  }
+
+  function chainable(base) {
+    const proxy = new Proxy(base, {
+      get(target, prop) {
+        if (prop in target) return target[prop];
+        if (typeof prop === "symbol") return undefined;
+        return () => proxy;
+      },
+    });
+    return proxy;
+  }
+
+  class Layer {
+    constructor(position) {
+      this._latlng = latLng(position);
+      return chainable(this);
+    }
+
+    getLatLng() {
+      return this._latlng;
+    }
+
+    setLatLng(position) {
+      this._latlng = latLng(position);
+      return this;
+    }
+  }
+
+  class TileLayer extends Layer {}
+
+  class LatLngBounds {
+    constructor(points = []) {
+      this.points = points.map(latLng);
+      return chainable(this);
+    }
+
+    extend(point) {
+      this.points.push(latLng(point));
+      return this;
+    }
+
+    isValid() {
+      return this.points.length > 0;
+    }
+  }
+
+  class LeafletMap {
+    constructor() {
+      this._center = { lat: 0, lng: 0 };
+      this._zoom = 15;
+      return chainable(this);
+    }
+
+    setView(center, zoom) {
+      this._center = latLng(center);
+      if (zoom !== undefined) this._zoom = zoom;
+      return this;
+    }
+
+    flyTo(center, zoom) {
+      return this.setView(center, zoom);
+    }
+
+    getCenter() {
+      return this._center;
+    }
+
+    getZoom() {
+      return this._zoom;
+    }
+
+    eachLayer() {
+      return this;
+    }
+
+    hasLayer() {
+      return false;
+    }
+  }
+
+  window.L = {
+    version: "stub",
+    map: () => new LeafletMap(),
+    tileLayer: (url) => new TileLayer(),
+    marker: (position) => new Layer(position),
+    circle: (position) => new Layer(position),
+    circleMarker: (position) => new Layer(position),
+    polyline: (points) => new Layer(points?.[0]),
+    layerGroup: () => new Layer(),
+    featureGroup: () => new Layer(),
+    popup: () => new Layer(),
+    divIcon: (options) => ({ options }),
+    icon: (options) => ({ options }),
+    latLng: (lat, lng) => latLng(lng === undefined ? lat : [lat, lng]),
+    latLngBounds: (points) => new LatLngBounds(points),
+    TileLayer,
+  };
+})();
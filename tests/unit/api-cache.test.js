@@ -0,0 +1,184 @@
+/**
+ * PasugoCache (www/js/api-cache.js)
+ * Stale-while-revalidate reads behind PasugoAPI.sendCached: what is served
+ * from cache, when it is refreshed and what a mutation throws away
+ */
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createBrowserEnv, plain } = require("../helpers/browser-env");
+
+const SESSION = {
+  access_token: "access-1",
+  user_data: JSON.stringify({ user_id: 7, user_type: "customer" }),
+};
+
+const envs = [];
+afterEach(() => envs.splice(0).forEach((env) => env.dispose()));
+
+/**
+ * A signed-in page whose request 42 reads back whatever `served.status` is
+ */
+function setup() {
+  const env = createBrowserEnv({
+    scripts: [
+      "config.js",
+      "logger.js",
+      "secure-storage.js",
+      "api-cache.js",
+      "api_request.js",
+    ],
+    localStorage: SESSION,
+  });
+  envs.push(env);
+
+  const api = env.evaluate("pasugoAPI");
+  const cache = env.window.PasugoCache;
+  const served = { status: "pending" };
+  env.fetch.on("GET", "/api/requests/42", () => ok({ status: served.status }));
+
+  // Pretend every cached entry was stored `ms` earlier
+  const age = (ms) => {
+    cache.memory.forEach((entry) => (entry.storedAt -= ms));
+  };
+  const reads = () =>
+    env.fetch.calls.filter((c) => c.method === "GET").map((c) => c.path);
+
+  return { env, api, cache, served, age, reads, fetch: env.fetch };
+}
+
+function ok(data = {}) {
+  return { status: 200, body: { success: true, message: "ok", data } };
+}
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+describe("PasugoCache stale-while-revalidate", () => {
+  it("serves a fresh copy without going to the network", async () => {
+    const { api, reads } = setup();
+
+    const first = await api.getRequestDetails(42);
+    const second = await api.getRequestDetails(42);
+
+    assert.equal(first.cached, false);
+    assert.equal(second.cached, true);
+    assert.deepEqual(plain(second.data), { status: "pending" });
+    assert.deepEqual(reads(), ["/api/requests/42"]);
+  });
+
+  it("serves a stale copy at once and reports the refreshed data", async () => {
+    const { api, cache, served, age, reads } = setup();
+    await api.getRequestDetails(42);
+    age(cache.FRESH_FOR);
+    served.status = "assigned";
+    const updates = [];
+
+    const stale = await api.getRequestDetails(42, {
+      onUpdate: (result) => updates.push(plain(result)),
+    });
+    await tick();
+
+    assert.equal(stale.cached, true);
+    assert.deepEqual(plain(stale.data), { status: "pending" });
+    assert.equal(reads().length, 2);
+    assert.deepEqual(
+      updates.map((u) => [u.success, u.data]),
+      [[true, { status: "assigned" }]],
+    );
+    // The refreshed copy is what the next read gets
+    assert.deepEqual(plain((await api.getRequestDetails(42)).data), {
+      status: "assigned",
+    });
+  });
+
+  it("stays quiet when a revalidation finds nothing new", async () => {
+    const { api, cache, age, reads } = setup();
+    await api.getRequestDetails(42);
+    age(cache.FRESH_FOR);
+    const updates = [];
+
+    await api.getRequestDetails(42, { onUpdate: (r) => updates.push(r) });
+    await tick();
+
+    assert.equal(reads().length, 2);
+    assert.deepEqual(updates, []);
+  });
+
+  it("never serves a copy past its maximum age", async () => {
+    const { api, cache, served, age, reads } = setup();
+    await api.getRequestDetails(42);
+    age(cache.MAX_AGE + 1);
+    served.status = "completed";
+
+    const result = await api.getRequestDetails(42);
+
+    assert.equal(result.cached, false);
+    assert.deepEqual(plain(result.data), { status: "completed" });
+    assert.equal(reads().length, 2);
+  });
+
+  it("goes to the network when the caller opts out of the cache", async () => {
+    const { api, served } = setup();
+    await api.getRequestDetails(42);
+    served.status = "in_progress";
+
+    const result = await api.getRequestDetails(42, { cache: false });
+
+    assert.equal(result.cached, false);
+    assert.deepEqual(plain(result.data), { status: "in_progress" });
+  });
+});
+
+describe("PasugoCache invalidation", () => {
+  it("drops cached request reads after a request mutation", async () => {
+    const { api, served, reads, fetch } = setup();
+    fetch.on("GET", "/api/requests/my-requests", ok([]));
+    fetch.on("PATCH", "/api/requests/42/status", ok());
+    await api.getRequestDetails(42);
+    await api.getMyRequests();
+
+    served.status = "cancelled";
+    await api.updateRequestStatus(42, "cancelled");
+    const details = await api.getRequestDetails(42);
+    await api.getMyRequests();
+
+    assert.equal(details.cached, false);
+    assert.deepEqual(plain(details.data), { status: "cancelled" });
+    assert.deepEqual(reads(), [
+      "/api/requests/42",
+      "/api/requests/my-requests",
+      "/api/requests/42",
+      "/api/requests/my-requests",
+    ]);
+  });
+
+  it("keeps a read that was in flight during a mutation out of the cache", async () => {
+    const { api, served, reads, fetch } = setup();
+    fetch.on("PATCH", "/api/requests/42/status", ok());
+
+    const inflight = api.getRequestDetails(42);
+    served.status = "cancelled";
+    await api.updateRequestStatus(42, "cancelled");
+    await inflight;
+    const details = await api.getRequestDetails(42);
+
+    assert.equal(details.cached, false);
+    assert.deepEqual(plain(details.data), { status: "cancelled" });
+    assert.equal(reads().length, 2);
+  });
+
+  it("keeps each signed-in user's reads apart", async () => {
+    const { env, api, reads } = setup();
+    await api.getRequestDetails(42);
+
+    env.window.PasugoSecureStore.setItem(
+      "user_data",
+      JSON.stringify({ user_id: 8, user_type: "customer" }),
+    );
+    const other = await api.getRequestDetails(42);
+
+    assert.equal(other.cached, false);
+    assert.equal(reads().length, 2);
+  });
+});
@@ -0,0 +1,564 @@
+/**
+ * PasugoAPI (www/js/api_request.js)
+ * Payload mapping, endpoints, headers and error results for every method
+ */
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createBrowserEnv, plain } = require("../helpers/browser-env");
+
+const API = "https://pasugo.onrender.com/api";
+const SESSION = {
+  access_token: "access-1",
+  user_data: JSON.stringify({ user_id: 7, user_type: "customer" }),
+};
+
+const envs = [];
+afterEach(() => envs.splice(0).forEach((env) => env.dispose()));
+
+function setup(options = {}) {
+  const env = createBrowserEnv({
+    scripts: [
+      "config.js",
+      "logger.js",
+      "secure-storage.js",
+      "api-cache.js",
+      "api_request.js",
+    ],
+    localStorage: options.localStorage ?? SESSION,
+    navigator: options.navigator,
+  });
+  envs.push(env);
+  const api = env.evaluate("pasugoAPI");
+  // Keep retry backoff out of the test timings
+  api.retryPolicy.baseDelay = 1;
+  api.retryPolicy.maxDelay = 1;
+  return { env, api, fetch: env.fetch };
+}
+
+function ok(data = {}, message = "ok") {
+  return { status: 200, body: { success: true, message, data } };
+}
+
+describe("PasugoAPI", () => {
+  let env, api, fetch;
+
+  beforeEach(() => {
+    ({ env, api, fetch } = setup());
+  });
+
+  describe("createRequest", () => {
+    it("maps camelCase fields to the snake_case payload", async () => {
+      fetch.on("POST", "/api/requests/create", ok({ request_id: 11 }));
+
+      const result = await api.createRequest({
+        serviceType: "groceries",
+        itemsDescription: "Eggs, rice",
+        budgetLimit: 500,
+        specialInstructions: "No plastic",
+        pickupLocation: "SM Cebu",
+        deliveryAddress: "Lahug",
+        deliveryOption: "asap",
+        paymentMethod: "gcash",
+      });
+
+      assert.equal(result.success, true);
+      assert.deepEqual(plain(result.data), { request_id: 11 });
+
+      const [call] = fetch.calls;
+      assert.equal(call.url, `${API}/requests/create`);
+      assert.equal(call.headers.authorization, "Bearer access-1");
+      assert.equal(call.headers["content-type"], "application/json");
+      assert.deepEqual(call.body, {
+        service_type: "groceries",
+        items_description: "Eggs, rice",
+        budget_limit: 500,
+        special_instructions: "No plastic",
+        pickup_location: "SM Cebu",
+        delivery_address: "Lahug",
+        delivery_option: "asap",
+        payment_method: "gcash",
+      });
+    });
+
+    it("fills optional fields with null and defaults payment to cod", async () => {
+      fetch.on("POST", "/api/requests/create", ok({ request_id: 12 }));
+
+      await api.createRequest({
+        serviceType: "pickup",
+        itemsDescription: "Parcel",
+      });
+
+      assert.deepEqual(fetch.calls[0].body, {
+        service_type: "pickup",
+        items_description: "Parcel",
+        budget_limit: null,
+        special_instructions: null,
+        pickup_location: null,
+        delivery_address: null,
+        delivery_option: null,
+        payment_method: "cod",
+      });
+    });
+
+    it("includes the device position when geolocation answers", async () => {
+      ({ env, api, fetch } = setup({
+        navigator: {
+          geolocation: {
+            getCurrentPosition: (resolve) =>
+              resolve({ coords: { latitude: 10.31, longitude: 123.89 } }),
+          },
+        },
+      }));
+      fetch.on("POST", "/api/requests/create", ok());
+
+      await api.createRequest({ serviceType: "pickup", itemsDescription: "x" });
+
+      assert.equal(fetch.calls[0].body.latitude, 10.31);
+      assert.equal(fetch.calls[0].body.longitude, 123.89);
+    });
+
+    it("still sends the request when geolocation fails", async () => {
+      ({ env, api, fetch } = setup({
+        navigator: {
+          geolocation: {
+            getCurrentPosition: (resolve, reject) =>
+              reject(new Error("denied")),
+          },
+        },
+      }));
+      fetch.on("POST", "/api/requests/create", ok());
+
+      const result = await api.createRequest({
+        serviceType: "pickup",
+        itemsDescription: "x",
+      });
+
+      assert.equal(result.success, true);
+      assert.equal("latitude" in fetch.calls[0].body, false);
+    });
+
+    it("reuses one Idempotency-Key for the same form data until it succeeds", async () => {
+      fetch.once("POST", "/api/requests/create", {
+        status: 503,
+        body: { detail: "Cold start" },
+      });
+      fetch.once("POST", "/api/requests/create", ok({ request_id: 13 }));
+      const form = { serviceType: "pickup", itemsDescription: "Parcel" };
+
+      const result = await api.createRequest(form);
+
+      assert.equal(result.success, true);
+      assert.equal(result.retries, 1);
+      const [first, second] = fetch.calls;
+      assert.ok(first.headers["idempotency-key"]);
+      assert.equal(
+        first.headers["idempotency-key"],
+        second.headers["idempotency-key"],
+      );
+      // Key is forgotten once the server has answered
+      assert.deepEqual(
+        JSON.parse(env.localStorage.getItem("pasugo_idempotency_keys")),
+        {},
+      );
+    });
+
+    it("fails with an AuthError result when no token is stored", async () => {
+      ({ env, api, fetch } = setup({ localStorage: {} }));
+
+      const result = await api.createRequest({ serviceType: "pickup" });
+
+      assert.equal(result.success, false);
+      assert.equal(result.code, "auth_required");
+      assert.ok(result.error instanceof env.window.AuthError);
+      assert.equal(fetch.calls.length, 0);
+    });
+
+    it("fails with an AuthError result when user data is missing", async () => {
+      ({ env, api, fetch } = setup({
+        localStorage: { access_token: "access-1" },
+      }));
+
+      const result = await api.createRequest({ serviceType: "pickup" });
+
+      assert.equal(result.code, "auth_required");
+      assert.match(result.message, /User data not found/);
+      assert.equal(fetch.calls.length, 0);
+    });
+  });
+
+  describe("reads", () => {
+    it("getMyRequests maps the query to snake_case parameters", async () => {
+      fetch.on("GET", "/api/requests/my-requests", {
+        status: 200,
+        body: { data: [{ request_id: 1 }], pagination: { page: 2 } },
+      });
+
+      const result = await api.getMyRequests({
+        serviceType: "groceries",
+        status: "pending",
+        page: 2,
+        pageSize: 25,
+      });
+
+      assert.equal(result.success, true);
+      assert.deepEqual(plain(result.data), [{ request_id: 1 }]);
+      assert.deepEqual(plain(result.pagination), { page: 2 });
+      assert.deepEqual(fetch.calls[0].query, {
+        service_type: "groceries",
+        status: "pending",
+        page: "2",
+        page_size: "25",
+      });
+    });
+
+    it("getMyRequests omits the query string when there is no filter", async () => {
+      fetch.on("GET", "/api/requests/my-requests", { status: 200, body: {} });
+
+      await api.getMyRequests();
+
+      assert.equal(fetch.calls[0].url, `${API}/requests/my-requests`);
+    });
+
+    it("getRequestDetails reads /requests/:id", async () => {
+      fetch.on("GET", "/api/requests/42", ok({ request_id: 42 }));
+
+      const result = await api.getRequestDetails(42);
+
+      assert.deepEqual(plain(result.data), { request_id: 42 });
+      assert.equal(fetch.calls[0].headers.authorization, "Bearer access-1");
+    });
+
+    it("pollRequestStatus and getPendingRequestsForMe hit their endpoints", async () => {
+      fetch.on(
+        "GET",
+        "/api/requests/42/status-poll",
+        ok({ status: "pending" }),
+      );
+      fetch.on("GET", "/api/requests/pending-for-me", ok([{ request_id: 9 }]));
+
+      const poll = await api.pollRequestStatus(42);
+      const pending = await api.getPendingRequestsForMe();
+
+      assert.deepEqual(plain(poll.data), { status: "pending" });
+      assert.deepEqual(plain(pending.data), [{ request_id: 9 }]);
+    });
+
+    it("retries a GET on 5xx and reports the retry count", async () => {
+      fetch.once("GET", "/api/requests/42/status-poll", { status: 502 });
+      fetch.once("GET", "/api/requests/42/status-poll", ok({}));
+
+      const result = await api.pollRequestStatus(42);
+
+      assert.equal(result.success, true);
+      assert.equal(result.retries, 1);
+      assert.equal(fetch.calls.length, 2);
+    });
+  });
+
+  describe("status changes", () => {
+    const cases = [
+      ["acceptRequest", [5], "POST", "/api/requests/5/accept", null],
+      ["declineRequest", [5], "POST", "/api/requests/5/decline", null],
+      ["startDelivery", [5], "POST", "/api/requests/5/start-delivery", null],
+      [
+        "completeDelivery",
+        [5],
+        "POST",
+        "/api/requests/5/complete-delivery",
+        null,
+      ],
+      ["cancelRequest", [5], "POST", "/api/requests/5/cancel", null],
+      [
+        "updateRequestStatus",
+        [5, "in_progress"],
+        "PATCH",
+        "/api/requests/5/status",
+        { new_status: "in_progress" },
+      ],
+    ];
+
+    cases.forEach(([method, args, verb, path, body]) => {
+      it(`${method} sends ${verb} ${path}`, async () => {
+        fetch.on(verb, path, ok({ request_id: 5 }));
+
+        const result = await api[method](...args);
+
+        assert.equal(result.success, true);
+        assert.equal(fetch.calls.length, 1);
+        assert.equal(fetch.calls[0].method, verb);
+        assert.deepEqual(fetch.calls[0].body, body);
+      });
+    });
+
+    it("selectRider passes the rider id as a query parameter", async () => {
+      fetch.on(
+        "POST",
+        "/api/requests/5/select-rider",
+        ok({}, "Rider notified"),
+      );
+
+      const result = await api.selectRider(5, 3);
+
+      assert.equal(result.message, "Rider notified");
+      assert.deepEqual(fetch.calls[0].query, { rider_id: "3" });
+    });
+
+    it("does not retry a non-idempotent POST on 5xx", async () => {
+      fetch.on("POST", "/api/requests/5/cancel", { status: 500 });
+
+      const result = await api.cancelRequest(5);
+
+      assert.equal(result.success, false);
+      assert.equal(result.code, "server_error");
+      assert.equal(fetch.calls.length, 1);
+    });
+
+    it("surfaces a 409 as a ConflictError with the server message", async () => {
+      fetch.on("POST", "/api/requests/5/accept", {
+        status: 409,
+        body: { detail: "Request already taken" },
+      });
+
+      const result = await api.acceptRequest(5);
+
+      assert.equal(result.success, false);
+      assert.ok(result.error instanceof env.window.ConflictError);
+      assert.equal(result.status, 409);
+      assert.equal(result.message, "Request already taken");
+    });
+
+    it("every method returns an AuthError result without a token", async () => {
+      ({ env, api, fetch } = setup({ localStorage: {} }));
+
+      for (const [method, args] of cases) {
+        const result = await api[method](...args);
+        assert.equal(result.code, "auth_required", method);
+      }
+      assert.equal(fetch.calls.length, 0);
+    });
+  });
+
+  describe("billing and payments", () => {
+    it("submitBill maps the bill and sends an Idempotency-Key", async () => {
+      fetch.on("POST", "/api/requests/5/submit-bill", ok({ total: 150 }));
+
+      const result = await api.submitBill(5, { itemCost: 100, serviceFee: 50 });
+
+      assert.deepEqual(plain(result.data), { total: 150 });
+      assert.deepEqual(fetch.calls[0].body, {
+        item_cost: 100,
+        service_fee: 50,
+      });
+      assert.ok(fetch.calls[0].headers["idempotency-key"]);
+    });
+
+    it("confirmPayment sends the proof URL", async () => {
+      fetch.on("POST", "/api/requests/5/confirm-payment", ok());
+
+      await api.confirmPayment(5, "https://img/proof.jpg");
+
+      assert.deepEqual(fetch.calls[0].body, {
+        payment_proof_url: "https://img/proof.jpg",
+      });
+      assert.ok(fetch.calls[0].headers["idempotency-key"]);
+    });
+
+    it("submitGcashPayment only sends the screenshot when given", async () => {
+      fetch.on("POST", "/api/requests/5/submit-payment", ok());
+
+      await api.submitGcashPayment(5, { gcashReference: "REF1" });
+      await api.submitGcashPayment(5, {
+        gcashReference: "REF2",
+        gcashScreenshotUrl: "https://img/shot.jpg",
+      });
+
+      assert.deepEqual(fetch.calls[0].body, { gcash_reference: "REF1" });
+      assert.deepEqual(fetch.calls[1].body, {
+        gcash_reference: "REF2",
+        gcash_screenshot_url: "https://img/shot.jpg",
+      });
+    });
+
+    it("keeps the Idempotency-Key across a network failure", async () => {
+      fetch.once("POST", "/api/requests/5/submit-bill", env.networkError());
+      fetch.once("POST", "/api/requests/5/submit-bill", ok());
+      api.retryPolicy.maxRetries = 0;
+
+      const failed = await api.submitBill(5, { itemCost: 1, serviceFee: 1 });
+      const retried = await api.submitBill(5, { itemCost: 1, serviceFee: 1 });
+
+      assert.equal(failed.code, "network_error");
+      assert.equal(retried.success, true);
+      assert.equal(
+        fetch.calls[0].headers["idempotency-key"],
+        fetch.calls[1].headers["idempotency-key"],
+      );
+    });
+
+    it("gives a corrected payload a new Idempotency-Key", async () => {
+      fetch.on("POST", "/api/requests/5/submit-bill", env.networkError());
+      fetch.on("POST", "/api/requests/5/submit-payment", env.networkError());
+      api.retryPolicy.maxRetries = 0;
+
+      await api.submitBill(5, { itemCost: 100, serviceFee: 50 });
+      await api.submitBill(5, { itemCost: 120, serviceFee: 50 });
+      await api.submitGcashPayment(5, { gcashReference: "REF1" });
+      await api.submitGcashPayment(5, { gcashReference: "REF2" });
+
+      const keys = fetch.calls.map((c) => c.headers["idempotency-key"]);
+      assert.equal(new Set(keys).size, 4);
+    });
+  });
+
+  describe("attachments and uploads", () => {
+    it("addBillPhoto maps its arguments", async () => {
+      fetch.on("POST", "/api/requests/5/add-bill-photo", ok({ photo_id: 1 }));
+
+      await api.addBillPhoto(5, "https://img/bill.jpg", "bill.jpg", 2048);
+
+      assert.deepEqual(fetch.calls[0].body, {
+        photo_url: "https://img/bill.jpg",
+        file_name: "bill.jpg",
+        file_size: 2048,
+      });
+    });
+
+    it("addAttachment maps its arguments", async () => {
+      fetch.on("POST", "/api/requests/5/add-attachment", ok());
+
+      await api.addAttachment(
+        5,
+        "list.pdf",
+        "https://files/list.pdf",
+        "application/pdf",
+        4096,
+      );
+
+      assert.deepEqual(fetch.calls[0].body, {
+        file_name: "list.pdf",
+        file_url: "https://files/list.pdf",
+        file_type: "application/pdf",
+        file_size: 4096,
+      });
+    });
+
+    it("deleteBillPhoto and deleteAttachment send DELETEs", async () => {
+      fetch.on("DELETE", "/api/requests/5/photos/8", ok());
+      fetch.on("DELETE", "/api/requests/5/attachments/9", ok());
+
+      const photo = await api.deleteBillPhoto(5, 8);
+      const attachment = await api.deleteAttachment(5, 9);
+
+      assert.equal(photo.success, true);
+      assert.equal(attachment.success, true);
+      assert.deepEqual(
+        fetch.calls.map((c) => c.method),
+        ["DELETE", "DELETE"],
+      );
+    });
+
+    ["uploadImage", "uploadFile"].forEach((method) => {
+      it(`${method} posts multipart form data without a JSON content type`, async () => {
+        const path =
+          method === "uploadImage" ? "/api/uploads/image" : "/api/uploads/file";
+        fetch.on("POST", path, ok({ url: "https://img/up.jpg" }));
+
+        const result = await api[method](
+          new File(["abc"], "up.jpg", { type: "image/jpeg" }),
+        );
+
+        assert.deepEqual(plain(result.data), { url: "https://img/up.jpg" });
+        const [call] = fetch.calls;
+        assert.ok(call.body instanceof FormData);
+        assert.equal(call.body.get("file").name, "up.jpg");
+        assert.equal(call.headers.authorization, "Bearer access-1");
+        assert.equal(call.headers["content-type"], undefined);
+      });
+    });
+  });
+
+  describe("sessions and devices", () => {
+    it("lists, revokes and signs out every session", async () => {
+      fetch.on(
+        "GET",
+        "/api/auth/sessions",
+        ok([{ session_id: "a1", current: true }]),
+      );
+      fetch.on("DELETE", "/api/auth/sessions/b2", ok({}, "Device logged out"));
+      fetch.on("POST", "/api/auth/logout-all", ok({ revoked: 2 }));
+
+      const sessions = await api.getSessions();
+      const revoked = await api.revokeSession("b2");
+      const everywhere = await api.logoutEverywhere();
+
+      assert.deepEqual(plain(sessions.data), [
+        { session_id: "a1", current: true },
+      ]);
+      assert.equal(revoked.message, "Device logged out");
+      assert.equal(everywhere.success, true);
+      assert.deepEqual(
+        fetch.calls.map((c) => `${c.method} ${c.url}`),
+        [
+          `GET ${API}/auth/sessions`,
+          `DELETE ${API}/auth/sessions/b2`,
+          `POST ${API}/auth/logout-all`,
+        ],
+      );
+    });
+
+    it("returns the API error when a session is not found", async () => {
+      fetch.on("DELETE", "/api/auth/sessions/zz", {
+        status: 404,
+        body: { detail: "Session not found" },
+      });
+
+      const result = await api.revokeSession("zz");
+
+      assert.equal(result.success, false);
+      assert.equal(result.message, "Session not found");
+    });
+  });
+
+  describe("addRole", () => {
+    it("posts the role and returns the updated user", async () => {
+      fetch.on(
+        "POST",
+        "/api/users/me/roles",
+        ok({ user_id: 7, roles: ["rider", "customer"] }, "Customer role added"),
+      );
+
+      const result = await api.addRole("customer");
+
+      assert.equal(result.success, true);
+      assert.deepEqual([...result.data.roles], ["rider", "customer"]);
+      assert.deepEqual(plain(fetch.calls[0].body), { role: "customer" });
+    });
+  });
+
+  describe("healthCheck", () => {
+    it("reads /health from the API origin", async () => {
+      fetch.on("GET", "/health", { status: 200, body: { status: "ok" } });
+
+      assert.equal(await api.healthCheck(), true);
+      assert.equal(fetch.calls[0].url, "https://pasugo.onrender.com/health");
+    });
+
+    it("returns false when the backend is unreachable", async () => {
+      fetch.on("GET", "/health", env.networkError());
+
+      assert.equal(await api.healthCheck(), false);
+    });
+  });
+
+  describe("environment", () => {
+    it("follows the runtime environment override from config.js", () => {
+      ({ env, api, fetch } = setup({
+        localStorage: { ...SESSION, pasugo_env: "local" },
+      }));
+
+      assert.equal(api.baseURL, "http://localhost:8000/api");
+    });
+  });
+});
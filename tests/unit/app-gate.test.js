@@ -0,0 +1,144 @@
+/**
+ * PasugoAppGate (www/js/app-gate.js)
+ * The remote app config blocks old builds and maintenance windows, clears
+ * the block when lifted, and never blocks when it can't be fetched
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createBrowserEnv } = require("../helpers/browser-env");
+
+const envs = [];
+afterEach(() => envs.splice(0).forEach((env) => env.dispose()));
+
+const OPEN = { min_version: "1.0.0", maintenance: false, message: null };
+
+/**
+ * A page with app-gate.js; the served config can be changed between checks
+ * @param {Object|Error|Function} config - Config data, an Error to fail the
+ *   fetch, or a function that answers the fetch call itself
+ */
+async function setup(config = OPEN) {
+  const env = createBrowserEnv({ scripts: ["config.js", "logger.js"] });
+  envs.push(env);
+  const served = { config };
+  env.fetch.on("GET", "/api/app-config", (call) => {
+    if (typeof served.config === "function") return served.config(call);
+    return served.config instanceof Error
+      ? served.config
+      : { status: 200, body: { success: true, data: served.config } };
+  });
+  env.load("app-gate.js");
+  const gate = env.window.PasugoAppGate;
+  // start() checks on load
+  await gate.check();
+  return { env, gate, served };
+}
+
+describe("PasugoAppGate versions", () => {
+  it("compares dotted versions numerically", async () => {
+    const { gate } = await setup();
+
+    assert.ok(gate.compareVersions("1.10.0", "1.9.2") > 0);
+    assert.ok(gate.compareVersions("1.0", "1.0.1") < 0);
+    assert.equal(gate.compareVersions("2.0.0", "2.0"), 0);
+  });
+
+  it("blocks builds older than min_version, and everyone in maintenance", async () => {
+    const { gate } = await setup();
+
+    assert.equal(gate.blockFor({ min_version: "1.2.0" }, "1.1.9"), "update");
+    assert.equal(gate.blockFor({ min_version: "1.2.0" }, "1.2.0"), null);
+    assert.equal(
+      gate.blockFor({ min_version: "1.0.0", maintenance: true }, "1.2.0"),
+      "maintenance",
+    );
+  });
+
+  it("knows this build as config.xml's version", async () => {
+    const { env } = await setup();
+    const configXml = fs.readFileSync(
+      path.join(__dirname, "..", "..", "config.xml"),
+      "utf8",
+    );
+    const version = /<widget[^>]*\sversion="([^"]+)"/.exec(configXml)[1];
+
+    assert.equal(env.window.PasugoConfig.APP_VERSION, version);
+  });
+});
+
+describe("PasugoAppGate checks", () => {
+  it("lets the app open when the config allows this build", async () => {
+    const { gate } = await setup();
+
+    assert.equal(gate.state, null);
+    await gate.whenOpen();
+  });
+
+  it("holds the app during maintenance until it ends", async () => {
+    const { gate, served } = await setup({
+      ...OPEN,
+      maintenance: true,
+      message: "Back at 3 PM",
+    });
+    assert.equal(gate.state, "maintenance");
+
+    let opened = false;
+    const waiting = gate.whenOpen().then(() => (opened = true));
+    await Promise.resolve();
+    assert.equal(opened, false);
+
+    served.config = OPEN;
+    assert.equal(await gate.check(), null);
+    await waiting;
+    assert.equal(opened, true);
+  });
+
+  it("doesn't block or unblock when the config can't be fetched", async () => {
+    const { gate, served } = await setup(new TypeError("Failed to fetch"));
+    assert.equal(gate.state, null);
+
+    served.config = { ...OPEN, min_version: "99.0.0" };
+    assert.equal(await gate.check(), "update");
+
+    served.config = new TypeError("Failed to fetch");
+    assert.equal(await gate.check(), "update");
+  });
+
+  it("gives up on a config that doesn't answer in time", async () => {
+    const { env, gate, served } = await setup({ ...OPEN, maintenance: true });
+    // Older Android WebViews have no AbortSignal.timeout()
+    env.window.AbortSignal = class AbortSignal {};
+    gate.FETCH_TIMEOUT_MS = 10;
+    served.config = ({ init }) =>
+      new Promise((_, reject) =>
+        init.signal.addEventListener("abort", () =>
+          reject(new Error("The operation was aborted.")),
+        ),
+      );
+
+    assert.equal(await gate.check(), "maintenance");
+    assert.equal(env.fetch.calls.length, 2);
+    assert.equal(env.fetch.calls[1].init.signal.aborted, true);
+  });
+
+  it("sends outdated builds to their store, or reloads on the web", async () => {
+    const { env, gate } = await setup({
+      ...OPEN,
+      min_version: "99.0.0",
+      store_urls: { android: "https://play.example/pasugo" },
+    });
+    let reloads = 0;
+    env.location.reload = () => reloads++;
+
+    gate.update();
+    assert.equal(reloads, 1);
+
+    env.window.device = { platform: "Android" };
+    gate.update();
+    assert.deepEqual(env.location.navigations, ["https://play.example/pasugo"]);
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * PasugoAppLock (www/js/app-lock.js)
+ * PIN setup and checks, when the lock is due, re-authentication prompts
+ * and signing out after too many wrong PINs
+ */
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createBrowserEnv } = require("../helpers/browser-env");
+
+const SESSION = {
+  access_token: "access",
+  refresh_token: "refresh",
+  user_data: JSON.stringify({ user_id: 7, user_type: "rider" }),
+};
+
+const envs = [];
+afterEach(() => envs.splice(0).forEach((env) => env.dispose()));
+
+function sharedAdapter(values) {
+  return {
+    name: "shared",
+    values,
+    isAvailable: async () => true,
+    load: async () => ({ ...values }),
+    save: async (key, value) => {
+      values[key] = value;
+    },
+    remove: async (key) => {
+      delete values[key];
+    },
+    clear: async () => {
+      Object.keys(values).forEach((key) => delete values[key]);
+    },
+  };
+}
+
+/**
+ * One dashboard page load; pass the previous page's sessionStorage (and
+ * stored values) to continue the same app session
+ */
+async function openDashboard({ values = { ...SESSION }, sessionStorage } = {}) {
+  const env = createBrowserEnv({
+    scripts: ["config.js", "logger.js"],
+    url: "http://localhost/pages/rider-dashboard.html",
+    sessionStorage,
+  });
+  envs.push(env);
+  env.window.PASUGO_SECURE_ADAPTERS = [sharedAdapter(values)];
+  env
+    .load("secure-storage.js")
+    .load("session-sync.js")
+    .load("auth.js")
+    .load("app-lock.js");
+  const lock = env.window.PasugoAppLock;
+  // Keep PBKDF2 cheap; the hash format is the same
+  lock.PBKDF2_ITERATIONS = 1000;
+  await env.window.PasugoSecureStore.ready();
+  return { env, lock, values, store: env.window.PasugoSecureStore };
+}
+
+async function withLock(options) {
+  const page = await openDashboard(options);
+  const result = await page.lock.configure({
+    pin: "2468",
+    lockAfterMinutes: 5,
+    biometric: false,
+  });
+  assert.equal(result.success, true);
+  return page;
+}
+
+describe("PasugoAppLock", () => {
+  it("stays out of the way until a PIN is set", async () => {
+    const { lock } = await openDashboard();
+
+    assert.equal(lock.isEnabled(), false);
+    assert.equal(lock.isDue(true), false);
+    assert.equal(await lock.reauthenticate("Confirm payment"), true);
+    assert.equal(lock._screen, null);
+  });
+
+  it("stores a salted hash, never the PIN", async () => {
+    const { lock, store } = await withLock();
+
+    const stored = store.getItem("app_lock");
+    assert.equal(stored.includes("2468"), false);
+    assert.deepEqual(
+      { ...lock.getSettings() },
+      {
+        enabled: true,
+        lockAfterMinutes: 5,
+        biometric: false,
+      },
+    );
+  });
+
+  it("rejects PINs that are not 4 to 6 digits", async () => {
+    const { lock } = await openDashboard();
+
+    for (const pin of ["", "123", "1234567", "12ab"]) {
+      const result = await lock.configure({ pin, lockAfterMinutes: 1 });
+      assert.equal(result.success, false, pin);
+    }
+    assert.equal(lock.isEnabled(), false);
+  });
+
+  it("keeps the PIN when only the settings change", async () => {
+    const { lock } = await withLock();
+
+    await lock.configure({ lockAfterMinutes: 0, biometric: false });
+    const unlocked = lock.lock();
+    await lock.submitPin("2468");
+
+    assert.equal(await unlocked, true);
+    assert.equal(lock.getSettings().lockAfterMinutes, 0);
+  });
+
+  it("unlocks with the right PIN and counts wrong ones", async () => {
+    const { lock } = await withLock();
+    const unlocked = lock.lock();
+
+    const wrong = await lock.submitPin("1111");
+    assert.deepEqual(
+      { ...wrong },
+      {
+        success: false,
+        message: "Wrong PIN. 4 attempts left.",
+      },
+    );
+    assert.notEqual(lock._screen, null);
+
+    assert.equal((await lock.submitPin("2468")).success, true);
+    assert.equal(await unlocked, true);
+    assert.equal(lock._screen, null);
+    assert.equal(lock._config().failures, 0);
+  });
+
+  it("locks a new app session and after the idle time", async () => {
+    const first = await withLock();
+    assert.equal(first.lock.isDue(), false);
+
+    // Same app session, a later page: not due until idle for 5 minutes
+    const next = await openDashboard({
+      values: first.values,
+      sessionStorage: Object.fromEntries(first.env.sessionStorage._data),
+    });
+    assert.equal(next.lock.isDue(), false);
+    next.env.sessionStorage.setItem(
+      next.lock.ACTIVE_KEY,
+      String(Date.now() - 5 * 60000),
+    );
+    assert.equal(next.lock.isDue(), true);
+
+    // Cold start: no activity recorded in this session
+    const cold = await openDashboard({ values: first.values });
+    assert.equal(cold.lock.isDue(), true);
+    assert.notEqual(cold.lock._screen, null);
+  });
+
+  it("locks on every resume when set to ask every time", async () => {
+    const { lock } = await openDashboard();
+    await lock.configure({ pin: "2468", lockAfterMinutes: 0 });
+
+    assert.equal(lock.isDue(false), false);
+    assert.equal(lock.isDue(true), true);
+  });
+
+  it("lets the user cancel a confirmation but not a lock", async () => {
+    const { lock } = await withLock();
+
+    const cancelled = lock.reauthenticate("Confirm payment");
+    lock.cancel();
+    assert.equal(await cancelled, false);
+
+    const confirmation = lock.reauthenticate("Confirm payment");
+    const locked = lock.lock();
+    lock.cancel();
+    assert.notEqual(lock._screen, null);
+
+    await lock.submitPin("2468");
+    assert.deepEqual(await Promise.all([confirmation, locked]), [true, true]);
+  });
+
+  it("signs out after too many wrong PINs", async () => {
+    const { env, lock, store } = await withLock();
+    lock.lock();
+
+    let result;
+    for (let i = 0; i < lock.MAX_ATTEMPTS; i++) {
+      result = await lock.submitPin("0000");
+    }
+    await store.flush();
+
+    assert.match(result.message, /Signing out/);
+    assert.equal(store.getItem("access_token"), null);
+    assert.equal(store.getItem("app_lock"), null);
+    assert.deepEqual(env.location.navigations, ["login.html"]);
+  });
+
+  it("unlocks with the device biometric when enabled", async () => {
+    const { env, lock } = await openDashboard();
+    const prompts = [];
+    env.window.Fingerprint = {
+      isAvailable: (ok) => ok("finger"),
+      show: (options, ok) => {
+        prompts.push(options.description);
+        ok();
+      },
+    };
+    await lock.configure({ pin: "2468", lockAfterMinutes: 1, biometric: true });
+
+    assert.equal(await lock.reauthenticate("Save GCash details"), true);
+    assert.deepEqual(prompts, ["Save GCash details"]);
+  });
+});
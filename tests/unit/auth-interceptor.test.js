@@ -0,0 +1,284 @@
+/**
+ * Global fetch interceptor (www/js/auth.js)
+ * A 401 on a Bearer call to /api/ triggers one shared token refresh and a
+ * retry; a rejected refresh clears the session and sends the user to login
+ */
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createBrowserEnv } = require("../helpers/browser-env");
+
+const API = "https://pasugo.onrender.com";
+const SESSION = {
+  access_token: "old-access",
+  refresh_token: "old-refresh",
+  user_data: JSON.stringify({ user_id: 7, user_type: "customer" }),
+};
+
+const envs = [];
+afterEach(() => envs.splice(0).forEach((env) => env.dispose()));
+
+function setup(options = {}) {
+  const env = createBrowserEnv({
+    scripts: [
+      "config.js",
+      "logger.js",
+      "secure-storage.js",
+      "session-sync.js",
+      "auth.js",
+    ],
+    url: options.url,
+    localStorage: options.localStorage ?? SESSION,
+  });
+  envs.push(env);
+  return { env, fetch: env.fetch, pageFetch: env.window.fetch };
+}
+
+// Protected endpoint that only accepts the refreshed token
+function requireToken(token) {
+  return (call) =>
+    call.headers.authorization === `Bearer ${token}`
+      ? { status: 200, body: { success: true, data: { ok: true } } }
+      : { status: 401, body: { detail: "Token expired" } };
+}
+
+function refreshed(access = "new-access", refresh = "new-refresh") {
+  return {
+    status: 200,
+    body: { data: { access_token: access, refresh_token: refresh } },
+  };
+}
+
+const bearer = (token) => ({ headers: { Authorization: `Bearer ${token}` } });
+
+describe("auth.js fetch interceptor", () => {
+  let env, fetch, pageFetch;
+
+  beforeEach(() => {
+    ({ env, fetch, pageFetch } = setup());
+  });
+
+  it("wraps window.fetch", () => {
+    assert.notEqual(pageFetch, fetch);
+  });
+
+  it("passes successful responses straight through", async () => {
+    fetch.on("GET", "/api/users/me", { status: 200, body: { id: 7 } });
+
+    const response = await pageFetch(
+      `${API}/api/users/me`,
+      bearer("old-access"),
+    );
+
+    assert.equal(response.status, 200);
+    assert.equal(fetch.calls.length, 1);
+  });
+
+  it("refreshes on 401 and retries with the new token", async () => {
+    fetch.on("GET", "/api/users/me", requireToken("new-access"));
+    fetch.on("POST", "/api/auth/refresh", refreshed());
+
+    const response = await pageFetch(
+      `${API}/api/users/me`,
+      bearer("old-access"),
+    );
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(
+      fetch.calls.map((c) => `${c.method} ${c.path}`),
+      ["GET /api/users/me", "POST /api/auth/refresh", "GET /api/users/me"],
+    );
+    assert.deepEqual(fetch.calls[1].body, { refresh_token: "old-refresh" });
+    assert.equal(fetch.calls[2].headers.authorization, "Bearer new-access");
+    assert.equal(
+      env.window.PasugoSecureStore.getItem("access_token"),
+      "new-access",
+    );
+    assert.equal(
+      env.window.PasugoSecureStore.getItem("refresh_token"),
+      "new-refresh",
+    );
+  });
+
+  it("emits the refreshed token to session listeners", async () => {
+    fetch.on("GET", "/api/users/me", requireToken("new-access"));
+    fetch.on("POST", "/api/auth/refresh", refreshed());
+    const received = [];
+    env.window.auth.SessionManager.on("refreshed", (token) =>
+      received.push(token),
+    );
+
+    await pageFetch(`${API}/api/users/me`, bearer("old-access"));
+
+    assert.deepEqual(received, ["new-access"]);
+  });
+
+  it("keeps the stored refresh token when the server does not rotate it", async () => {
+    fetch.on("GET", "/api/users/me", requireToken("new-access"));
+    fetch.on("POST", "/api/auth/refresh", refreshed("new-access", null));
+
+    await pageFetch(`${API}/api/users/me`, bearer("old-access"));
+
+    assert.equal(
+      env.window.PasugoSecureStore.getItem("refresh_token"),
+      "old-refresh",
+    );
+  });
+
+  it("preserves the rest of the request when retrying", async () => {
+    fetch.on("POST", "/api/requests/create", requireToken("new-access"));
+    fetch.on("POST", "/api/auth/refresh", refreshed());
+
+    await pageFetch(`${API}/api/requests/create`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: "Bearer old-access",
+        "Idempotency-Key": "key-1",
+      },
+      body: JSON.stringify({ service_type: "pickup" }),
+    });
+
+    const retry = fetch.calls[2];
+    assert.equal(retry.headers["idempotency-key"], "key-1");
+    assert.equal(retry.headers["content-type"], "application/json");
+    assert.deepEqual(retry.body, { service_type: "pickup" });
+  });
+
+  it("shares one refresh between concurrent 401s", async () => {
+    fetch.on("GET", /^\/api\/requests\/\d+$/, requireToken("new-access"));
+    fetch.on("POST", "/api/auth/refresh", async () => {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      return refreshed();
+    });
+
+    const responses = await Promise.all(
+      [1, 2, 3].map((id) =>
+        pageFetch(`${API}/api/requests/${id}`, bearer("old-access")),
+      ),
+    );
+
+    assert.deepEqual(
+      responses.map((r) => r.status),
+      [200, 200, 200],
+    );
+    assert.equal(fetch.callsTo("/api/auth/refresh").length, 1);
+  });
+
+  it("clears tokens and redirects to login when the refresh is rejected", async () => {
+    fetch.on("GET", "/api/users/me", requireToken("new-access"));
+    fetch.on("POST", "/api/auth/refresh", { status: 401 });
+
+    const response = await pageFetch(
+      `${API}/api/users/me`,
+      bearer("old-access"),
+    );
+
+    assert.equal(response.status, 401);
+    assert.equal(env.window.PasugoSecureStore.getItem("access_token"), null);
+    assert.equal(env.window.PasugoSecureStore.getItem("refresh_token"), null);
+    assert.deepEqual(env.location.navigations, ["login.html"]);
+  });
+
+  it("keeps the session when the refresh cannot reach the server", async () => {
+    fetch.on("GET", "/api/users/me", requireToken("new-access"));
+    fetch.on("POST", "/api/auth/refresh", env.networkError());
+
+    const response = await pageFetch(
+      `${API}/api/users/me`,
+      bearer("old-access"),
+    );
+
+    assert.equal(response.status, 401);
+    assert.equal(
+      env.window.PasugoSecureStore.getItem("refresh_token"),
+      "old-refresh",
+    );
+    assert.deepEqual(env.location.navigations, []);
+  });
+
+  it("does not refresh without a stored refresh token", async () => {
+    ({ env, fetch, pageFetch } = setup({
+      localStorage: { access_token: "old-access" },
+    }));
+    fetch.on("GET", "/api/users/me", requireToken("new-access"));
+
+    const response = await pageFetch(
+      `${API}/api/users/me`,
+      bearer("old-access"),
+    );
+
+    assert.equal(response.status, 401);
+    assert.equal(fetch.callsTo("/api/auth/refresh").length, 0);
+    assert.deepEqual(env.location.navigations, ["login.html"]);
+  });
+
+  it("does not redirect away from the login page", async () => {
+    ({ env, fetch, pageFetch } = setup({
+      url: "http://localhost/pages/login.html",
+    }));
+    fetch.on("GET", "/api/users/me", requireToken("new-access"));
+    fetch.on("POST", "/api/auth/refresh", { status: 401 });
+
+    await pageFetch(`${API}/api/users/me`, bearer("old-access"));
+
+    assert.deepEqual(env.location.navigations, []);
+  });
+
+  it("never intercepts the refresh call itself", async () => {
+    fetch.on("POST", "/api/auth/refresh", { status: 401 });
+
+    const response = await pageFetch(`${API}/api/auth/refresh`, {
+      method: "POST",
+      ...bearer("old-access"),
+    });
+
+    assert.equal(response.status, 401);
+    assert.equal(fetch.calls.length, 1);
+    assert.equal(
+      env.window.PasugoSecureStore.getItem("refresh_token"),
+      "old-refresh",
+    );
+  });
+
+  it("ignores 401s without a Bearer token", async () => {
+    fetch.on("POST", "/api/auth/login", { status: 401 });
+
+    const response = await pageFetch(`${API}/api/auth/login`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+    });
+
+    assert.equal(response.status, 401);
+    assert.equal(fetch.calls.length, 1);
+  });
+
+  it("ignores 401s from outside the API", async () => {
+    fetch.on("GET", "/v1_1/demo/image/upload", { status: 401 });
+
+    await pageFetch(
+      "https://api.cloudinary.com/v1_1/demo/image/upload",
+      bearer("old-access"),
+    );
+
+    assert.equal(fetch.calls.length, 1);
+    assert.equal(
+      env.window.PasugoSecureStore.getItem("access_token"),
+      "old-access",
+    );
+  });
+
+  it("reads the Authorization header from a Headers instance", async () => {
+    fetch.on("GET", "/api/users/me", requireToken("new-access"));
+    fetch.on("POST", "/api/auth/refresh", refreshed());
+
+    const response = await pageFetch(`${API}/api/users/me`, {
+      headers: new Headers({ Authorization: "Bearer old-access" }),
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(fetch.callsTo("/api/auth/refresh").length, 1);
+    assert.equal(fetch.calls[2].headers.authorization, "Bearer new-access");
+  });
+});
@@ -0,0 +1,360 @@
+/**
+ * ChatClient (www/js/chat-client.js)
+ * The shared chat core opens a request's conversation, speaks the socket
+ * protocol, keeps and de-duplicates messages, reconnects (catching up on
+ * what it missed) and tells its renderer what to draw
+ */
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createBrowserEnv, plain } = require("../helpers/browser-env");
+
+const envs = [];
+afterEach(() => envs.splice(0).forEach((env) => env.dispose()));
+
+const ME = 1;
+const RIDER = 2;
+const REQUEST_ID = 12;
+const CONVERSATION_ID = 7;
+
+const message = (id, senderId, extra = {}) => ({
+  message_id: id,
+  sender_id: senderId,
+  content: `message ${id}`,
+  message_type: "text",
+  is_read: false,
+  ...extra,
+});
+
+/**
+ * Scriptable stand-in for the browser's WebSocket
+ */
+class FakeSocket {
+  static CONNECTING = 0;
+  static OPEN = 1;
+  static CLOSED = 3;
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = FakeSocket.CONNECTING;
+    this.sent = [];
+    FakeSocket.instances.push(this);
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close(code = 1000) {
+    this.readyState = FakeSocket.CLOSED;
+    this.onclose?.({ code });
+  }
+
+  // ── Server side ──
+  open() {
+    this.readyState = FakeSocket.OPEN;
+    this.onopen?.();
+  }
+
+  receive(data) {
+    this.onmessage?.({ data: JSON.stringify(data) });
+  }
+
+  drop(code = 1006) {
+    this.readyState = FakeSocket.CLOSED;
+    this.onclose?.({ code });
+  }
+}
+
+/**
+ * A signed-in page with chat-client.js, a renderer that records its hooks
+ * and a conversation whose history can change between loads
+ */
+function setup({ history = [], refreshError = null } = {}) {
+  const env = createBrowserEnv({
+    scripts: ["config.js", "logger.js", "secure-storage.js"],
+    localStorage: {
+      access_token: "access",
+      user_data: JSON.stringify({ user_id: ME, user_type: "customer" }),
+    },
+  });
+  envs.push(env);
+
+  FakeSocket.instances = [];
+  env.window.WebSocket = FakeSocket;
+  const refreshes = [];
+  const refreshed = new Set();
+  class SessionExpiredError extends Error {}
+  env.window.auth = {
+    SessionManager: {
+      on: (event, listener) => {
+        assert.equal(event, "refreshed");
+        refreshed.add(listener);
+        return () => refreshed.delete(listener);
+      },
+      refreshToken: async () => {
+        refreshes.push(true);
+        if (refreshError) throw refreshError(SessionExpiredError);
+      },
+    },
+    SessionExpiredError,
+  };
+
+  const served = { history };
+  env.fetch.on("POST", "/api/messages/conversations", () => ({
+    status: 200,
+    body: { success: true, data: { conversation_id: CONVERSATION_ID } },
+  }));
+  env.fetch.on("GET", `/api/messages/conversations/${CONVERSATION_ID}`, () => ({
+    status: 200,
+    body: { success: true, data: { messages: served.history } },
+  }));
+  env.load("chat-client.js");
+
+  const ChatClient = env.window.ChatClient;
+  ChatClient.RECONNECT_DELAY_MS = 0;
+  const calls = [];
+  const renderer = new Proxy(
+    {},
+    {
+      get:
+        (_, hook) =>
+        (...args) =>
+          calls.push([hook, ...plain(args)]),
+    },
+  );
+  const client = new ChatClient({ renderer, greeting: "Say hi" });
+  const socket = () => FakeSocket.instances[FakeSocket.instances.length - 1];
+  const drawn = (hook = "renderMessage") =>
+    calls.filter(([name]) => name === hook).map(([, ...args]) => args);
+
+  return { env, client, calls, drawn, served, socket, refreshes, refreshed };
+}
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+describe("ChatClient conversation", () => {
+  it("opens the request's conversation, draws its history and goes live", async () => {
+    const { env, client, drawn, socket } = setup({
+      history: [message(1, RIDER), message(2, ME)],
+    });
+
+    await client.connect(REQUEST_ID);
+
+    const post = env.fetch.calls[0];
+    assert.deepEqual(post.body, { request_id: REQUEST_ID });
+    assert.equal(post.headers.authorization, "Bearer access");
+    assert.deepEqual(
+      drawn().map(([m, isOwn]) => [m.message_id, isOwn]),
+      [
+        [1, false],
+        [2, true],
+      ],
+    );
+    assert.match(
+      socket().url,
+      /^wss?:\/\/.+\/api\/messages\/ws\/7\?token=access$/,
+    );
+
+    socket().open();
+    // The rider's unread message is marked once there is a socket
+    assert.deepEqual(socket().sent, [{ event: "mark_read", message_ids: [1] }]);
+    assert.deepEqual(drawn("showStatus"), [["connected"]]);
+  });
+
+  it("greets an empty conversation", async () => {
+    const { client, drawn } = setup();
+
+    await client.connect(REQUEST_ID);
+
+    assert.deepEqual(drawn("showSystem"), [["Say hi"]]);
+    assert.equal(drawn().length, 0);
+  });
+});
+
+describe("ChatClient events", () => {
+  it("draws each live message once and reads the other side's", async () => {
+    const { client, drawn, socket } = setup();
+    await client.connect(REQUEST_ID);
+    socket().open();
+
+    const incoming = { event: "new_message", ...message(5, RIDER) };
+    socket().receive(incoming);
+    socket().receive(incoming);
+    socket().receive({ event: "new_message", ...message(6, ME) });
+
+    assert.deepEqual(
+      drawn("onNewMessage").map(([m, isOwn]) => [m.message_id, isOwn]),
+      [
+        [5, false],
+        [6, true],
+      ],
+    );
+    assert.equal(drawn()[0][0].event, undefined);
+    assert.deepEqual(socket().sent.at(-1), {
+      event: "mark_read",
+      message_ids: [5],
+    });
+  });
+
+  it("passes typing, receipts and presence to the renderer", async () => {
+    const { client, calls, socket } = setup();
+    await client.connect(REQUEST_ID);
+    socket().open();
+    socket().receive({ event: "new_message", ...message(8, ME) });
+    calls.length = 0;
+
+    socket().receive({ event: "user_typing", user_id: RIDER, is_typing: true });
+    socket().receive({ event: "user_typing", user_id: ME, is_typing: true });
+    socket().receive({ event: "messages_read", message_ids: [8] });
+    socket().receive({ event: "user_left", user_id: RIDER });
+    socket().receive({ event: "receipt_v2", whatever: true });
+
+    assert.deepEqual(calls, [
+      ["showTyping", true],
+      ["showStatus", "typing"],
+      ["showReceipts", [8]],
+      ["showStatus", "offline"],
+    ]);
+    assert.equal(client.messages.get(8).is_read, true);
+  });
+});
+
+describe("ChatClient sending", () => {
+  it("sends messages over the socket and queues them while it is down", async () => {
+    const { client, socket } = setup();
+    await client.connect(REQUEST_ID);
+
+    client.send("  on my way  ");
+    assert.deepEqual(socket().sent, []);
+
+    socket().open();
+    client.send({
+      content: "Photo",
+      message_type: "image",
+      attachment_url: "u",
+    });
+
+    assert.deepEqual(socket().sent, [
+      { event: "send_message", message_type: "text", content: "on my way" },
+      {
+        event: "send_message",
+        message_type: "image",
+        attachment_url: "u",
+        content: "Photo",
+      },
+    ]);
+  });
+
+  it("stops typing when the message goes out", async () => {
+    const { client, socket } = setup();
+    await client.connect(REQUEST_ID);
+    socket().open();
+
+    client.startTyping();
+    client.send("hi");
+    client.stopTyping();
+
+    assert.deepEqual(
+      socket().sent.map((e) => e.event),
+      ["typing_start", "typing_stop", "send_message"],
+    );
+  });
+});
+
+describe("ChatClient reconnects", () => {
+  it("reconnects after a drop and catches up on missed messages", async () => {
+    const { client, drawn, served, socket } = setup({
+      history: [message(1, RIDER, { is_read: true })],
+    });
+    await client.connect(REQUEST_ID);
+    const first = socket();
+    first.open();
+
+    first.drop();
+    assert.deepEqual(drawn("showStatus").at(-1), ["reconnecting"]);
+    served.history = [...served.history, message(2, RIDER)];
+    await tick();
+
+    assert.notEqual(socket(), first);
+    socket().open();
+    await tick();
+
+    assert.deepEqual(
+      drawn().map(([m]) => m.message_id),
+      [1, 2],
+    );
+    assert.deepEqual(socket().sent, [{ event: "mark_read", message_ids: [2] }]);
+  });
+
+  it("refreshes a stale token once and stays closed when forbidden", async () => {
+    const { client, socket, refreshes, refreshed } = setup();
+    await client.connect(REQUEST_ID);
+    const first = socket();
+
+    first.drop(4001);
+    first.drop(4001);
+    assert.equal(refreshes.length, 1);
+
+    // auth.js announces the new token
+    refreshed.forEach((listener) => listener());
+    assert.equal(FakeSocket.instances.length, 2);
+
+    socket().drop(4003);
+    await tick();
+    assert.equal(FakeSocket.instances.length, 2);
+  });
+
+  it("falls back to reconnecting when the token refresh fails", async () => {
+    const { client, drawn, socket } = setup({
+      refreshError: () => new Error("Network error"),
+    });
+    await client.connect(REQUEST_ID);
+    const first = socket();
+
+    first.drop(4001);
+    await tick();
+
+    assert.deepEqual(drawn("showStatus").at(-1), ["reconnecting"]);
+    assert.notEqual(socket(), first);
+  });
+
+  it("gives up when the token refresh finds the session over", async () => {
+    const { client, drawn, socket } = setup({
+      refreshError: (SessionExpiredError) => new SessionExpiredError(),
+    });
+    await client.connect(REQUEST_ID);
+
+    socket().drop(4001);
+    await tick();
+
+    assert.deepEqual(drawn("showStatus").at(-1), ["lost"]);
+    assert.equal(FakeSocket.instances.length, 1);
+  });
+
+  it("stays closed once the conversation is left", async () => {
+    const { client, socket } = setup();
+    await client.connect(REQUEST_ID);
+    socket().open();
+
+    client.disconnect();
+    await tick();
+
+    assert.equal(FakeSocket.instances.length, 1);
+    assert.equal(client.conversationId, null);
+    assert.equal(client.messages.size, 0);
+  });
+
+  it("stops following token refreshes once the conversation is left", async () => {
+    const { client, refreshed } = setup();
+    await client.connect(REQUEST_ID);
+    await client.connect(REQUEST_ID);
+    assert.equal(refreshed.size, 1);
+
+    client.disconnect();
+
+    assert.equal(refreshed.size, 0);
+  });
+});
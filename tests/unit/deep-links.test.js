@@ -0,0 +1,173 @@
+/**
+ * PasugoDeepLinks (www/js/deep-links.js)
+ * pasugo:// and web links are parsed, checked through RouteGuard for the
+ * signed-in user and opened as a page or dashboard view, waiting through
+ * the splash screen and sign-in when needed
+ */
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createBrowserEnv } = require("../helpers/browser-env");
+
+const envs = [];
+afterEach(() => envs.splice(0).forEach((env) => env.dispose()));
+
+const customer = { user_id: 1, user_type: "customer" };
+const rider = { user_id: 2, user_type: "rider" };
+// Rider account acting as a customer
+const dualRole = { user_id: 3, user_type: "customer", roles: ["rider"] };
+
+/**
+ * A page with deep-links.js and the real auth and route-guard modules
+ * @param {Object} [options]
+ * @param {string} [options.url] - Page URL
+ * @param {Object} [options.user] - Signed-in user; none when omitted
+ * @param {string} [options.pending] - Link already waiting in sessionStorage
+ */
+function setup({ url, user, pending } = {}) {
+  const env = createBrowserEnv({
+    url,
+    scripts: [
+      "config.js",
+      "logger.js",
+      "secure-storage.js",
+      "session-sync.js",
+      "auth.js",
+    ],
+    localStorage: user
+      ? {
+          access_token: "access",
+          refresh_token: "refresh",
+          user_data: JSON.stringify(user),
+        }
+      : {},
+    sessionStorage: pending ? { pending_deep_link: pending } : {},
+  });
+  envs.push(env);
+  // As on the pages: auth.js checks the session, not route-guard.js
+  env.window.document.currentScript = { dataset: { autoProtect: "false" } };
+  env.load("route-guard.js").load("deep-links.js");
+  return { env, links: env.window.PasugoDeepLinks };
+}
+
+const pendingLink = (env) => env.sessionStorage.getItem("pending_deep_link");
+
+describe("PasugoDeepLinks.match", () => {
+  it("reads pasugo:// links and web paths on the app's host", () => {
+    const { links } = setup();
+    const match = (url) => {
+      const link = links.match(url);
+      return link && { path: link.path, params: { ...link.params } };
+    };
+
+    assert.deepEqual(match("pasugo://request/12"), {
+      path: "request/:id",
+      params: { id: "12" },
+    });
+    assert.deepEqual(match("pasugo://chat/7/?from=push"), {
+      path: "chat/:id",
+      params: { id: "7" },
+    });
+    assert.equal(match("http://localhost/notifications").path, "notifications");
+    assert.equal(match("/rider/verification").path, "rider/verification");
+  });
+
+  it("ignores other hosts, unknown paths and non-numeric IDs", () => {
+    const { links } = setup();
+
+    assert.equal(links.match("https://example.com/request/12"), null);
+    assert.equal(links.match("pasugo://request/abc"), null);
+    assert.equal(links.match("pasugo://payments/3"), null);
+    assert.equal(links.match("javascript:alert(1)"), null);
+  });
+});
+
+describe("PasugoDeepLinks.resolve", () => {
+  it("opens requests and chats on the user's own dashboard", () => {
+    const { links } = setup({ user: customer });
+
+    assert.equal(
+      links.resolve("pasugo://request/12"),
+      "http://localhost/pages/dashboard.html#/requests/12",
+    );
+    assert.equal(
+      links.resolve("pasugo://chat/4", rider),
+      "http://localhost/pages/rider-dashboard.html#/chats/4",
+    );
+    // The active mode decides, not every role of the account
+    assert.equal(
+      links.resolve("pasugo://notifications", dualRole),
+      "http://localhost/pages/dashboard.html#/notifications",
+    );
+  });
+
+  it("sends links the user may not open to 403", () => {
+    const { links } = setup({ url: "http://localhost/index.html" });
+
+    assert.equal(
+      links.resolve("pasugo://rider/verification", customer),
+      "http://localhost/pages/403.html",
+    );
+    assert.equal(
+      links.resolve("pasugo://rider/verification", rider),
+      "http://localhost/pages/rider-verification.html",
+    );
+  });
+});
+
+describe("PasugoDeepLinks opening", () => {
+  it("waits for the splash screen, then keeps the link until arrival", () => {
+    const { env, links } = setup({
+      url: "http://localhost/index.html?link=%2Frequest%2F12",
+      user: customer,
+    });
+    assert.equal(pendingLink(env), "/request/12");
+
+    links.hold();
+    links.receive("pasugo://request/14");
+    assert.deepEqual(env.location.navigations, []);
+
+    const opened = [];
+    assert.equal(
+      links.resume((href) => opened.push(href)),
+      true,
+    );
+    assert.deepEqual(opened, [
+      "http://localhost/pages/dashboard.html#/requests/14",
+    ]);
+    // Kept in case the dashboard redirects before its router reads the hash
+    assert.equal(pendingLink(env), "pasugo://request/14");
+  });
+
+  it("opens a pending link on the dashboard by changing the hash", () => {
+    const { env, links } = setup({
+      user: customer,
+      pending: "pasugo://chat/9",
+    });
+
+    assert.equal(links.resume(), true);
+
+    assert.equal(env.location.hash, "#/chats/9");
+    assert.deepEqual(env.location.navigations, []);
+    assert.equal(pendingLink(env), null);
+  });
+
+  it("keeps links received while signed out for after login", () => {
+    const { env, links } = setup({ url: "http://localhost/pages/login.html" });
+
+    links.receive("pasugo://request/5");
+
+    assert.deepEqual(env.location.navigations, []);
+    assert.equal(pendingLink(env), "pasugo://request/5");
+  });
+
+  it("drops links it does not know", () => {
+    const { env, links } = setup({ user: rider });
+
+    links.receive("pasugo://wallet");
+
+    assert.deepEqual(env.location.navigations, []);
+    assert.equal(pendingLink(env), null);
+  });
+});
@@ -0,0 +1,267 @@
+/**
+ * PasugoOutbox (www/js/outbox.js)
+ * Mutations made offline are kept in IndexedDB and replayed in order once
+ * the connection is back
+ */
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createBrowserEnv, plain } = require("../helpers/browser-env");
+
+const SESSION = {
+  access_token: "access-1",
+  user_data: JSON.stringify({ user_id: 7, user_type: "rider" }),
+};
+
+const envs = [];
+afterEach(() => envs.splice(0).forEach((env) => env.dispose()));
+
+/**
+ * In-memory stand-in for the parts of IndexedDB the outbox uses: one
+ * autoIncrement store per database, transactions that complete on the
+ * next microtask
+ */
+class FakeIndexedDB {
+  constructor() {
+    this.stores = new Map();
+  }
+
+  open() {
+    const request = {};
+    queueMicrotask(() => {
+      request.result = this._database();
+      request.onupgradeneeded?.({ target: request });
+      request.onsuccess?.();
+    });
+    return request;
+  }
+
+  _database() {
+    const stores = this.stores;
+    return {
+      objectStoreNames: { contains: (name) => stores.has(name) },
+      createObjectStore(name) {
+        stores.set(name, { rows: new Map(), nextId: 1 });
+      },
+      transaction(name) {
+        const data = stores.get(name);
+        const tx = {
+          objectStore: () => ({
+            add(value) {
+              const id = data.nextId++;
+              data.rows.set(id, structuredClone({ ...value, id }));
+              return { result: id };
+            },
+            put(value) {
+              data.rows.set(value.id, structuredClone(value));
+              return { result: value.id };
+            },
+            delete(id) {
+              data.rows.delete(id);
+              return { result: undefined };
+            },
+            getAll: () => ({
+              result: [...data.rows.values()].map((row) =>
+                structuredClone(row),
+              ),
+            }),
+          }),
+        };
+        queueMicrotask(() => tx.oncomplete?.());
+        return tx;
+      },
+    };
+  }
+}
+
+/**
+ * A signed-in rider page with outbox.js ahead of api_request.js, recording
+ * every outbox event
+ */
+function setup({ onLine = true } = {}) {
+  const env = createBrowserEnv({
+    scripts: ["config.js", "logger.js", "secure-storage.js", "api-cache.js"],
+    localStorage: SESSION,
+    navigator: { onLine },
+  });
+  envs.push(env);
+
+  env.window.indexedDB = new FakeIndexedDB();
+  env.load("outbox.js");
+  env.load("api_request.js");
+
+  const api = env.evaluate("pasugoAPI");
+  api.retryPolicy.baseDelay = 1;
+  api.retryPolicy.maxDelay = 1;
+  const outbox = env.window.pasugoOutbox;
+  const events = [];
+  outbox.subscribe((event) => event.type !== "change" && events.push(event));
+
+  // Connectivity comes back the way the browser announces it
+  const reconnect = async () => {
+    env.window.navigator.onLine = true;
+    env.window.dispatchEvent(new Event("online"));
+    do await tick();
+    while (outbox.isReplaying);
+  };
+
+  return { env, api, outbox, events, reconnect, fetch: env.fetch };
+}
+
+function ok(data = {}) {
+  return { status: 200, body: { success: true, message: "ok", data } };
+}
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+describe("PasugoOutbox queue", () => {
+  it("parks a mutation made offline as a pending entry", async () => {
+    const { api, outbox, fetch } = setup({ onLine: false });
+
+    const result = await api.acceptRequest(3);
+
+    assert.equal(result.queued, true);
+    assert.equal(fetch.calls.length, 0);
+    const [entry] = plain(await outbox.list());
+    assert.equal(result.outboxId, entry.id);
+    assert.deepEqual(
+      {
+        kind: entry.kind,
+        path: entry.path,
+        status: entry.status,
+        attempts: entry.attempts,
+        userId: entry.userId,
+        meta: entry.meta,
+      },
+      {
+        kind: "acceptRequest",
+        path: "/requests/3/accept",
+        status: "pending",
+        attempts: 0,
+        userId: 7,
+        meta: { requestId: 3 },
+      },
+    );
+  });
+
+  it("queues a mutation whose request never reached the server", async () => {
+    const { env, api, outbox, fetch } = setup();
+    fetch.on("POST", "/api/requests/3/accept", env.networkError());
+
+    const result = await api.acceptRequest(3);
+
+    assert.equal(result.queued, true);
+    assert.deepEqual(
+      (await outbox.list()).map((e) => e.kind),
+      ["acceptRequest"],
+    );
+  });
+
+  it("lists entries in the order they were queued", async () => {
+    const { api, outbox } = setup({ onLine: false });
+
+    await api.acceptRequest(3);
+    await api.updateRequestStatus(3, "in_progress");
+    await api.declineRequest(4);
+
+    assert.deepEqual(
+      (await outbox.list()).map((e) => e.label),
+      [
+        "Accept request #3",
+        "Mark request #3 in_progress",
+        "Decline request #4",
+      ],
+    );
+  });
+});
+
+describe("PasugoOutbox replay", () => {
+  it("replays the queue in order once the device is back online", async () => {
+    const { api, outbox, events, reconnect, fetch } = setup({
+      onLine: false,
+    });
+    await api.createRequest({ serviceType: "groceries" });
+    await api.updateRequestStatus(3, "in_progress");
+    const [created] = await outbox.list();
+    fetch.on("POST", "/api/requests/create", ok({ request_id: 21 }));
+    fetch.on("PATCH", "/api/requests/3/status", ok({ status: "in_progress" }));
+
+    await reconnect();
+
+    assert.deepEqual(
+      fetch.calls.map((c) => `${c.method} ${c.path}`),
+      ["POST /api/requests/create", "PATCH /api/requests/3/status"],
+    );
+    // The key minted while offline goes out with the replay
+    assert.equal(
+      fetch.calls[0].headers["idempotency-key"],
+      created.idempotencyKey,
+    );
+    assert.deepEqual(fetch.calls[1].body, { new_status: "in_progress" });
+    assert.deepEqual(
+      events.map((e) => [e.type, e.entry.kind, plain(e.data)]),
+      [
+        ["replayed", "createRequest", { request_id: 21 }],
+        ["replayed", "updateRequestStatus", { status: "in_progress" }],
+      ],
+    );
+    assert.deepEqual(await outbox.list(), []);
+  });
+
+  it("keeps the entry and everything after it pending on a network error", async () => {
+    const { env, api, outbox, events, reconnect, fetch } = setup({
+      onLine: false,
+    });
+    await api.acceptRequest(3);
+    await api.declineRequest(4);
+    fetch.on("POST", "/api/requests/3/accept", env.networkError());
+
+    await reconnect();
+
+    assert.deepEqual(
+      fetch.calls.map((c) => c.path),
+      ["/api/requests/3/accept"],
+    );
+    assert.deepEqual(events, []);
+    assert.deepEqual(
+      (await outbox.list()).map((e) => [e.kind, e.status, e.attempts]),
+      [
+        ["acceptRequest", "pending", 1],
+        ["declineRequest", "pending", 0],
+      ],
+    );
+  });
+
+  it("marks an entry the server rejects as failed and moves on", async () => {
+    const { api, outbox, events, reconnect, fetch } = setup({
+      onLine: false,
+    });
+    await api.acceptRequest(3);
+    await api.declineRequest(4);
+    fetch.on("POST", "/api/requests/3/accept", {
+      status: 409,
+      body: { detail: "Request already assigned" },
+    });
+    fetch.on("POST", "/api/requests/4/decline", ok());
+
+    await reconnect();
+
+    assert.deepEqual(
+      events.map((e) => [e.type, e.entry.kind]),
+      [
+        ["failed", "acceptRequest"],
+        ["replayed", "declineRequest"],
+      ],
+    );
+    assert.match(events[0].error.message, /already assigned/);
+    const [failed, ...rest] = await outbox.list();
+    assert.equal(failed.status, "failed");
+    assert.match(failed.lastError, /already assigned/);
+    assert.equal(rest.length, 0);
+
+    // A failed entry waits for the user instead of replaying again
+    await reconnect();
+    assert.equal(fetch.calls.length, 2);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * PasugoQR (www/js/qr-code.js)
+ * Version choice, the encoded matrix, and the SVG used for 2FA enrollment
+ */
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createBrowserEnv } = require("../helpers/browser-env");
+
+// "PASUGO" from a reference encoder (byte mode, ECC M, best mask)
+const PASUGO = [
+  "#######....##.#######",
+  "#.....#.##..#.#.....#",
+  "#.###.#..#.##.#.###.#",
+  "#.###.#..#....#.###.#",
+  "#.###.#.#####.#.###.#",
+  "#.....#..###..#.....#",
+  "#######.#.#.#.#######",
+  ".........#...........",
+  "#.#.#.#...#.#...#..#.",
+  "####.#.#...#.#.#.#.#.",
+  "####..#.##.#.###.####",
+  "..#.#...#..###.##..#.",
+  "#.###.#....#.###.##.#",
+  "........#.....##.#...",
+  "#######..##.#...##.##",
+  "#.....#...#...#.#..##",
+  "#.###.#.#.#.#.##.####",
+  "#.###.#..#.#.#.#...#.",
+  "#.###.#.##.#.######.#",
+  "#.....#....###..#..#.",
+  "#######.##.#.####.###",
+];
+
+const OTPAUTH =
+  "otpauth://totp/Pasugo%3Aadmin%40pasugo.test?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP" +
+  "&issuer=Pasugo&algorithm=SHA1&digits=6&period=30";
+
+const envs = [];
+afterEach(() => envs.splice(0).forEach((env) => env.dispose()));
+
+function setup() {
+  const env = createBrowserEnv({ scripts: ["qr-code.js"] });
+  envs.push(env);
+  return env.window.PasugoQR;
+}
+
+function rows(modules) {
+  return modules.map((row) => row.map((dark) => (dark ? "#" : ".")).join(""));
+}
+
+describe("PasugoQR", () => {
+  it("matches a reference encoder", () => {
+    const qr = setup().encode("PASUGO");
+
+    assert.equal(qr.version, 1);
+    assert.equal(qr.size, 21);
+    assert.deepEqual([...rows(qr.modules)], PASUGO);
+  });
+
+  it("grows the version to fit an otpauth link", () => {
+    const qr = setup().encode(OTPAUTH);
+
+    assert.equal(qr.version, 8);
+    assert.equal(qr.size, 49);
+    assert.equal(qr.modules.length, 49);
+  });
+
+  it("refuses text longer than version 10 holds", () => {
+    assert.throws(() => setup().encode("x".repeat(300)), /too long/i);
+  });
+
+  it("draws dark modules inside a quiet zone", () => {
+    const svg = setup().toSvg("PASUGO", { size: 160 });
+
+    assert.match(svg, /viewBox="0 0 29 29"/);
+    assert.match(svg, /width="160" height="160"/);
+    // Top-left finder pattern starts after the 4-module margin
+    assert.match(svg, /d="M4,4h1v1h-1z/);
+  });
+});
@@ -0,0 +1,251 @@
+/**
+ * RouteGuard.protect() (www/js/route-guard.js)
+ * Runs against a stubbed window.auth so each session state is explicit
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createBrowserEnv } = require("../helpers/browser-env");
+
+const envs = [];
+afterEach(() => envs.splice(0).forEach((env) => env.dispose()));
+
+/**
+ * Load route-guard.js on a page with a fake auth module
+ * @param {string} page - e.g. "rider-dashboard.html?tab=earnings"
+ * @param {Object} session - {loggedIn, valid, user}
+ */
+function setup(page, session = {}) {
+  const env = createBrowserEnv({ url: `http://localhost/pages/${page}` });
+  envs.push(env);
+  const validations = [];
+  env.window.auth = {
+    isUserLoggedIn: () => !!session.loggedIn,
+    validateSession: async () => {
+      validations.push(page);
+      return session.valid ?? true;
+    },
+    getCurrentUser: () => session.user || null,
+  };
+  env.load("logger.js");
+  env.load("secure-storage.js");
+  env.load("route-guard.js");
+  const { RouteGuard } = env.window.routeGuard;
+  return { env, guard: new RouteGuard(), validations };
+}
+
+const customer = { user_id: 1, user_type: "customer" };
+const rider = { user_id: 2, user_type: "rider" };
+const admin = { user_id: 3, user_type: "admin" };
+// An admin whose admin role grants only part of the console
+const support = {
+  user_id: 4,
+  user_type: "admin",
+  capabilities: ["console.view", "riders.view", "riders.approve"],
+};
+
+describe("RouteGuard.protect", () => {
+  it("allows public pages without a session", async () => {
+    const { env, guard, validations } = setup("index.html");
+
+    assert.equal(await guard.protect(), true);
+    assert.deepEqual(env.location.navigations, []);
+    assert.deepEqual(validations, []);
+  });
+
+  it("sends anonymous users to login with a redirect back", async () => {
+    const { env, guard } = setup("orders.html?status=pending");
+
+    assert.equal(await guard.protect(), false);
+    assert.deepEqual(env.location.navigations, [
+      `login.html?redirect=${encodeURIComponent("/pages/orders.html?status=pending")}`,
+    ]);
+  });
+
+  it("sends users with an invalid session to login", async () => {
+    const { env, guard, validations } = setup("dashboard.html", {
+      loggedIn: true,
+      valid: false,
+      user: customer,
+    });
+
+    assert.equal(await guard.protect(), false);
+    assert.deepEqual(validations, ["dashboard.html"]);
+    assert.match(env.location.navigations[0], /^login\.html\?redirect=/);
+  });
+
+  it("sends users without the required capability to 403.html", async () => {
+    const { env, guard } = setup("admin-dashboard.html", {
+      loggedIn: true,
+      user: rider,
+    });
+
+    assert.equal(await guard.protect(), false);
+    assert.deepEqual(env.location.navigations, ["403.html"]);
+    assert.equal(guard.isAuthenticated, true);
+  });
+
+  it("grants access when the role matches", async () => {
+    const { env, guard } = setup("rider-dashboard.html", {
+      loggedIn: true,
+      user: rider,
+    });
+
+    assert.equal(await guard.protect(), true);
+    assert.deepEqual(env.location.navigations, []);
+    assert.equal(guard.currentUser.user_type, "rider");
+  });
+
+  it("sends a dual-role account in customer mode to its dashboard", async () => {
+    const { env, guard } = setup("rider-dashboard.html", {
+      loggedIn: true,
+      user: { ...rider, user_type: "customer", roles: ["rider", "customer"] },
+    });
+
+    assert.equal(await guard.protect(), false);
+    assert.deepEqual(env.location.navigations, ["dashboard.html"]);
+  });
+
+  it("lets admins into every role-restricted page", async () => {
+    for (const page of [
+      "dashboard.html",
+      "rider-dashboard.html",
+      "rider-verification.html",
+    ]) {
+      const { guard } = setup(page, { loggedIn: true, user: admin });
+      assert.equal(await guard.protect(), true, page);
+    }
+  });
+
+  it("checks the capabilities from the API, not the role's defaults", async () => {
+    const consolePage = setup("admin-dashboard.html", {
+      loggedIn: true,
+      user: support,
+    });
+    assert.equal(await consolePage.guard.protect(), true);
+
+    const customerPage = setup("dashboard.html", {
+      loggedIn: true,
+      user: support,
+    });
+    assert.equal(await customerPage.guard.protect(), false);
+    assert.deepEqual(customerPage.env.location.navigations, ["403.html"]);
+  });
+
+  it("allows signed-in users on pages without role rules", async () => {
+    const { guard } = setup("chat.html", { loggedIn: true, user: customer });
+
+    assert.equal(await guard.protect(), true);
+  });
+
+  it("moves signed-in users from the login page to their dashboard", async () => {
+    const { env, guard } = setup("login.html", {
+      loggedIn: true,
+      user: rider,
+    });
+
+    assert.equal(await guard.protect(), false);
+    assert.deepEqual(env.location.navigations, ["rider-dashboard.html"]);
+  });
+
+  it("keeps users on the login page when their session is invalid", async () => {
+    const { env, guard } = setup("login.html", {
+      loggedIn: true,
+      valid: false,
+      user: customer,
+    });
+
+    assert.equal(await guard.protect(), true);
+    assert.deepEqual(env.location.navigations, []);
+  });
+
+  it("runs automatically on DOMContentLoaded", async () => {
+    const { env } = setup("orders.html");
+
+    env.window.document.dispatchEvent(new Event("DOMContentLoaded"));
+    await new Promise((resolve) => setImmediate(resolve));
+
+    assert.equal(env.location.navigations.length, 1);
+    assert.match(env.location.navigations[0], /^login\.html\?redirect=/);
+  });
+});
+
+describe("RouteGuard.getLoginRedirect", () => {
+  const loginWith = (target) =>
+    `login.html?redirect=${encodeURIComponent(target)}`;
+
+  it("returns an allowed page with its query", () => {
+    const { guard } = setup(loginWith("/pages/dashboard.html?request=12"));
+
+    assert.equal(
+      guard.getLoginRedirect(customer),
+      "/pages/dashboard.html?request=12",
+    );
+  });
+
+  it("ignores other origins and schemes", () => {
+    for (const target of [
+      "https://evil.example/pages/dashboard.html",
+      "//evil.example/pages/dashboard.html",
+      "javascript:alert(1)",
+    ]) {
+      const { guard } = setup(loginWith(target));
+      assert.equal(guard.getLoginRedirect(customer), null, target);
+    }
+  });
+
+  it("ignores pages the user may not open or that are not routes", () => {
+    const riderPage = setup(loginWith("/pages/rider-dashboard.html"));
+    assert.equal(riderPage.guard.getLoginRedirect(customer), null);
+    assert.equal(
+      riderPage.guard.getLoginRedirect(rider),
+      "/pages/rider-dashboard.html",
+    );
+
+    const loginPage = setup(loginWith("/pages/login.html"));
+    assert.equal(loginPage.guard.getLoginRedirect(customer), null);
+
+    // Another mode's dashboard opens by switching role, not by redirect
+    const customerMode = {
+      ...rider,
+      user_type: "customer",
+      roles: ["rider", "customer"],
+    };
+    assert.equal(riderPage.guard.getLoginRedirect(customerMode), null);
+  });
+
+  it("sends signed-in users on the login page to the redirect", async () => {
+    const { env, guard } = setup(
+      loginWith("/pages/dashboard.html?request=12"),
+      {
+        loggedIn: true,
+        user: customer,
+      },
+    );
+
+    assert.equal(await guard.protect(), false);
+    assert.deepEqual(env.location.navigations, [
+      "/pages/dashboard.html?request=12",
+    ]);
+  });
+});
+
+describe("RouteConfig.PROTECTED_ROUTES", () => {
+  it("lists pages that load route-guard.js, which auth.js relies on", () => {
+    const { env } = setup("index.html");
+    const pages = Object.keys(
+      env.window.routeGuard.RouteConfig.PROTECTED_ROUTES,
+    );
+
+    for (const page of pages) {
+      const html = fs.readFileSync(
+        path.join(__dirname, "..", "..", "www", "pages", page),
+        "utf8",
+      );
+      assert.match(html, /<script src="\.\.\/js\/route-guard\.js"/, page);
+    }
+  });
+});
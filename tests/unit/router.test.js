@@ -0,0 +1,137 @@
+/**
+ * PasugoRouter (www/js/router.js)
+ * Hash routes with params and query, Back, guard hooks (including
+ * route-guard.js's viewGuard) and leave hooks
+ */
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createBrowserEnv, plain } = require("../helpers/browser-env");
+
+const envs = [];
+afterEach(() => envs.splice(0).forEach((env) => env.dispose()));
+
+/**
+ * A dashboard page with a router whose routes record what opened
+ */
+function setup({ url = "http://localhost/pages/dashboard.html", user } = {}) {
+  const env = createBrowserEnv({ scripts: ["config.js", "logger.js"], url });
+  envs.push(env);
+  env.window.auth = { getCurrentUser: () => user || null };
+  env.load("route-guard.js").load("router.js");
+
+  const opened = [];
+  const router = new env.window.PasugoRouter();
+  const record = (name) => (to) =>
+    opened.push({ name, params: plain(to.params), query: plain(to.query) });
+  router
+    .route("/", { enter: record("map") })
+    .route("/orders", { enter: record("orders"), can: "requests.create" })
+    .route("/chats/:id", { enter: record("chat") });
+  return { env, router, opened };
+}
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+describe("PasugoRouter", () => {
+  it("opens the route in the hash on start", async () => {
+    const { router, opened } = setup({
+      url: "http://localhost/pages/dashboard.html#/chats/12?from=push",
+    });
+
+    assert.equal(await router.start(), true);
+    assert.deepEqual(opened, [
+      { name: "chat", params: { id: "12" }, query: { from: "push" } },
+    ]);
+  });
+
+  it("navigates by changing the hash, not the page", async () => {
+    const { env, router, opened } = setup();
+    await router.start();
+
+    await router.navigate("/chats/7");
+    await tick();
+
+    assert.equal(env.location.hash, "#/chats/7");
+    assert.deepEqual(env.location.navigations, []);
+    // The hashchange from navigate() does not open the route twice
+    assert.deepEqual(
+      opened.map((o) => o.name),
+      ["map", "chat"],
+    );
+  });
+
+  it("follows Back and links that change the hash", async () => {
+    const { env, router, opened } = setup();
+    await router.start();
+
+    env.location.hash = "/chats/3";
+    await tick();
+
+    assert.deepEqual(opened.pop().params, { id: "3" });
+    assert.equal(router.current.path, "/chats/3");
+  });
+
+  it("sends unknown paths to the fallback", async () => {
+    const { env, router, opened } = setup();
+    await router.start();
+
+    assert.equal(await router.navigate("/nowhere"), false);
+    assert.equal(env.location.hash, "#/");
+    assert.deepEqual(
+      opened.map((o) => o.name),
+      ["map", "map"],
+    );
+  });
+
+  it("lets guards refuse or redirect, including async ones", async () => {
+    const { env, router, opened } = setup();
+    router.beforeEach(async (to) => {
+      await Promise.resolve();
+      if (to.path === "/chats/0") return false;
+      if (to.path === "/orders") return "/chats/1";
+      return true;
+    });
+    await router.start();
+
+    assert.equal(await router.navigate("/chats/0"), false);
+    assert.equal(router.current.path, "/");
+    assert.equal(await router.navigate("/orders"), false);
+    assert.equal(env.location.hash, "#/chats/1");
+    assert.deepEqual(
+      opened.map((o) => o.name),
+      ["map", "map", "chat"],
+    );
+  });
+
+  it("calls leave when another route opens", async () => {
+    const { router } = setup();
+    const left = [];
+    router.route("/profile", { leave: (from) => left.push(from.path) });
+    await router.start();
+
+    await router.navigate("/profile");
+    await router.navigate("/profile");
+    await router.navigate("/");
+
+    assert.deepEqual(left, ["/profile"]);
+  });
+});
+
+describe("viewGuard", () => {
+  it("checks a view's capability against the stored user", async () => {
+    const customer = setup({ user: { user_id: 1, user_type: "customer" } });
+    customer.router.beforeEach(customer.env.window.routeGuard.viewGuard);
+    await customer.router.start();
+    assert.equal(await customer.router.navigate("/orders"), true);
+
+    const rider = setup({ user: { user_id: 2, user_type: "rider" } });
+    rider.router.beforeEach(rider.env.window.routeGuard.viewGuard);
+    await rider.router.start();
+    assert.equal(await rider.router.navigate("/orders"), false);
+    assert.equal(rider.router.current.path, "/");
+    // Views without a capability are open to anyone signed in
+    assert.equal(await rider.router.navigate("/chats/4"), true);
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * PasugoSecureStore (www/js/secure-storage.js)
+ * Legacy migration, the per-session mirror, adapter hydration and the
+ * WebCrypto adapter's encryption
+ */
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createBrowserEnv } = require("../helpers/browser-env");
+
+const envs = [];
+afterEach(() => envs.splice(0).forEach((env) => env.dispose()));
+
+/**
+ * In-memory stand-in for a persistent backend (keystore / IndexedDB)
+ */
+function fakeAdapter(values = {}) {
+  return {
+    name: "fake",
+    values,
+    isAvailable: async () => true,
+    load: async () => ({ ...values }),
+    save: async (key, value) => {
+      values[key] = value;
+    },
+    remove: async (key) => {
+      delete values[key];
+    },
+    clear: async () => {
+      Object.keys(values).forEach((key) => delete values[key]);
+    },
+  };
+}
+
+/**
+ * One page load; pass the previous page's sessionStorage to continue a session
+ */
+function setup({ localStorage, sessionStorage, adapter } = {}) {
+  const env = createBrowserEnv({
+    scripts: ["config.js", "logger.js"],
+    localStorage,
+    sessionStorage,
+  });
+  envs.push(env);
+  const page = { env, reloads: 0 };
+  env.location.reload = () => page.reloads++;
+  if (adapter) env.window.PASUGO_SECURE_ADAPTERS = [adapter];
+  env.load("secure-storage.js");
+  page.store = env.window.PasugoSecureStore;
+  return page;
+}
+
+function snapshot(storage) {
+  return Object.fromEntries(storage._data);
+}
+
+describe("PasugoSecureStore", () => {
+  it("moves plaintext tokens out of localStorage", async () => {
+    const adapter = fakeAdapter();
+    const { env, store } = setup({
+      localStorage: { access_token: "access-1", pasugo_env: "local" },
+      adapter,
+    });
+
+    assert.equal(store.getItem("access_token"), "access-1");
+    await store.flush();
+
+    assert.equal(env.localStorage.getItem("access_token"), null);
+    assert.equal(env.localStorage.getItem("pasugo_env"), "local");
+    assert.equal(adapter.values.access_token, "access-1");
+  });
+
+  it("serves the next page synchronously from the session mirror", async () => {
+    const first = setup({ adapter: fakeAdapter() });
+    await first.store.ready();
+    first.store.setItem("access_token", "access-1");
+
+    const second = setup({
+      sessionStorage: snapshot(first.env.sessionStorage),
+      adapter: fakeAdapter(),
+    });
+
+    assert.equal(second.store.getItem("access_token"), "access-1");
+    assert.equal(first.env.localStorage.getItem("access_token"), null);
+  });
+
+  it("keeps a logout even if the previous page left before persisting it", async () => {
+    const first = setup({ adapter: fakeAdapter({ access_token: "access-1" }) });
+    await first.store.ready();
+    first.store.clear();
+
+    const stale = fakeAdapter({ access_token: "access-1" });
+    const second = setup({
+      sessionStorage: snapshot(first.env.sessionStorage),
+      adapter: stale,
+    });
+    await second.store.flush();
+
+    assert.equal(second.store.getItem("access_token"), null);
+    assert.deepEqual(stale.values, {});
+    assert.equal(second.reloads, 0);
+  });
+
+  it("keeps the refresh token and app lock out of the session mirror", async () => {
+    const adapter = fakeAdapter();
+    const first = setup({ adapter });
+    await first.store.ready();
+    first.store.setItem("access_token", "access-1");
+    first.store.setItem("refresh_token", "refresh-1");
+    first.store.setItem("app_lock", '{"hash":"h","salt":"s"}');
+    await first.store.flush();
+
+    const mirror = JSON.stringify(snapshot(first.env.sessionStorage));
+    assert.match(mirror, /access-1/);
+    assert.doesNotMatch(mirror, /refresh-1|"hash"/);
+
+    // The next page reads them from the adapter once it is ready
+    const second = setup({
+      sessionStorage: snapshot(first.env.sessionStorage),
+      adapter: fakeAdapter({ ...adapter.values }),
+    });
+    assert.equal(second.store.getItem("refresh_token"), null);
+    await second.store.ready();
+    assert.equal(second.store.getItem("refresh_token"), "refresh-1");
+  });
+
+  it("keeps a removed refresh token removed on the next page", async () => {
+    const first = setup({
+      adapter: fakeAdapter({ refresh_token: "refresh-1" }),
+    });
+    await first.store.ready();
+    first.store.removeItem("refresh_token");
+
+    const stale = fakeAdapter({ refresh_token: "refresh-1" });
+    const second = setup({
+      sessionStorage: snapshot(first.env.sessionStorage),
+      adapter: stale,
+    });
+    await second.store.flush();
+
+    assert.equal(second.store.getItem("refresh_token"), null);
+    assert.deepEqual(stale.values, {});
+  });
+
+  it("restores a stored session on a cold start once ready", async () => {
+    const page = setup({ adapter: fakeAdapter({ access_token: "access-1" }) });
+
+    // Read before the adapter answered, as a page script would
+    assert.equal(page.store.getItem("access_token"), null);
+    await page.store.ready();
+
+    assert.equal(page.store.getItem("access_token"), "access-1");
+    // Pages wait for ready() rather than being reloaded
+    assert.equal(page.reloads, 0);
+  });
+
+  it("does not resurrect values cleared before hydration finished", async () => {
+    const adapter = fakeAdapter({ access_token: "access-1" });
+    const { store } = setup({ adapter });
+
+    store.clear();
+    await store.flush();
+
+    assert.equal(store.getItem("access_token"), null);
+    assert.deepEqual(adapter.values, {});
+  });
+
+  it("falls back to memory when no persistent backend exists", async () => {
+    const { store } = setup();
+
+    await store.ready();
+
+    assert.equal(store.adapter.name, "memory");
+  });
+});
+
+describe("WebCryptoStorageAdapter", () => {
+  it("stores ciphertext with a fresh IV per write", async () => {
+    const { env } = setup();
+    const adapter = new env.window.WebCryptoStorageAdapter();
+    const key = crypto.subtle.generateKey(
+      { name: "AES-GCM", length: 256 },
+      false,
+      ["encrypt", "decrypt"],
+    );
+    adapter.getKey = () => key;
+
+    const first = await adapter._encrypt("refresh-secret");
+    const second = await adapter._encrypt("refresh-secret");
+
+    assert.equal(first.iv.length, 12);
+    assert.notDeepEqual(first.iv, second.iv);
+    assert.equal(
+      Buffer.from(first.data).toString("latin1").includes("refresh-secret"),
+      false,
+    );
+    assert.equal(await adapter._decrypt(first), "refresh-secret");
+  });
+});
@@ -0,0 +1,450 @@
+/**
+ * SessionManager (www/js/auth.js)
+ * One refresh in flight at a time; only an explicit 401/403 ends the session,
+ * and every outcome is announced as a refreshed / expired / offline event
+ */
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createBrowserEnv } = require("../helpers/browser-env");
+
+const SESSION = {
+  access_token: "old-access",
+  refresh_token: "old-refresh",
+  user_data: JSON.stringify({ user_id: 7, user_type: "rider" }),
+};
+
+const envs = [];
+afterEach(() => envs.splice(0).forEach((env) => env.dispose()));
+
+function setup(localStorage = SESSION) {
+  const env = createBrowserEnv({
+    scripts: [
+      "config.js",
+      "logger.js",
+      "secure-storage.js",
+      "session-sync.js",
+      "auth.js",
+    ],
+    localStorage,
+  });
+  envs.push(env);
+  return {
+    env,
+    fetch: env.fetch,
+    manager: env.window.auth.SessionManager,
+  };
+}
+
+describe("SessionManager refresh", () => {
+  let env, fetch, manager;
+
+  beforeEach(() => {
+    ({ env, fetch, manager } = setup());
+  });
+
+  it("posts the refresh token and stores the rotated pair", async () => {
+    fetch.on("POST", "/api/auth/refresh", {
+      status: 200,
+      body: {
+        data: { access_token: "new-access", refresh_token: "new-refresh" },
+      },
+    });
+
+    const token = await manager.refreshToken();
+
+    assert.equal(token, "new-access");
+    assert.equal(
+      fetch.calls[0].url,
+      "https://pasugo.onrender.com/api/auth/refresh",
+    );
+    assert.deepEqual(fetch.calls[0].body, { refresh_token: "old-refresh" });
+    assert.equal(
+      env.window.PasugoSecureStore.getItem("access_token"),
+      "new-access",
+    );
+    assert.equal(
+      env.window.PasugoSecureStore.getItem("refresh_token"),
+      "new-refresh",
+    );
+  });
+
+  it("deduplicates concurrent refreshes into one request", async () => {
+    let release;
+    fetch.on(
+      "POST",
+      "/api/auth/refresh",
+      () =>
+        new Promise((resolve) => {
+          release = () =>
+            resolve({
+              status: 200,
+              body: { data: { access_token: "a2", refresh_token: "r2" } },
+            });
+        }),
+    );
+
+    const pending = [
+      manager.refreshToken(),
+      manager.refreshToken(),
+      manager.refreshToken(),
+    ];
+    assert.equal(manager.isRefreshing, true);
+    await new Promise((resolve) => setImmediate(resolve));
+    release();
+
+    assert.deepEqual(await Promise.all(pending), ["a2", "a2", "a2"]);
+    assert.equal(fetch.calls.length, 1);
+  });
+
+  it("allows a new refresh once the previous one settled", async () => {
+    fetch.on("POST", "/api/auth/refresh", {
+      status: 200,
+      body: { data: { access_token: "a2", refresh_token: "r2" } },
+    });
+
+    await manager.refreshToken();
+    await manager.refreshToken();
+
+    assert.equal(manager.isRefreshing, false);
+    assert.equal(manager.refreshPromise, null);
+    assert.equal(fetch.calls.length, 2);
+    assert.deepEqual(fetch.calls[1].body, { refresh_token: "r2" });
+  });
+
+  [401, 403].forEach((status) => {
+    it(`clears the session and redirects on ${status}`, async () => {
+      fetch.on("POST", "/api/auth/refresh", { status });
+
+      await assert.rejects(manager.refreshToken(), /Session expired/);
+
+      assert.equal(env.window.PasugoSecureStore.getItem("access_token"), null);
+      assert.equal(env.window.PasugoSecureStore.getItem("refresh_token"), null);
+      assert.equal(env.window.PasugoSecureStore.getItem("user_data"), null);
+      assert.deepEqual(env.location.navigations, ["login.html"]);
+    });
+  });
+
+  it("keeps the session on server errors", async () => {
+    fetch.on("POST", "/api/auth/refresh", { status: 503 });
+
+    await assert.rejects(manager.refreshToken(), /Token refresh failed: 503/);
+
+    assert.equal(
+      env.window.PasugoSecureStore.getItem("access_token"),
+      "old-access",
+    );
+    assert.equal(
+      env.window.PasugoSecureStore.getItem("refresh_token"),
+      "old-refresh",
+    );
+    assert.deepEqual(env.location.navigations, []);
+  });
+
+  it("keeps the session on network errors", async () => {
+    fetch.on("POST", "/api/auth/refresh", env.networkError());
+
+    await assert.rejects(manager.refreshToken(), /Failed to fetch/);
+
+    assert.equal(
+      env.window.PasugoSecureStore.getItem("refresh_token"),
+      "old-refresh",
+    );
+    assert.equal(manager.isRefreshing, false);
+  });
+
+  it("announces each outcome as a session event", async () => {
+    const events = [];
+    ["refreshed", "expired", "offline"].forEach((name) =>
+      manager.on(name, () => events.push(name)),
+    );
+    fetch.on(
+      "POST",
+      "/api/auth/refresh",
+      {
+        status: 200,
+        body: { data: { access_token: "a2", refresh_token: "r2" } },
+      },
+      { once: true },
+    );
+    fetch.on("POST", "/api/auth/refresh", env.networkError(), { once: true });
+    fetch.on("POST", "/api/auth/refresh", { status: 401 }, { once: true });
+
+    await manager.refreshToken();
+    await assert.rejects(manager.refreshToken());
+    await assert.rejects(manager.refreshToken());
+
+    assert.deepEqual(events, ["refreshed", "offline", "expired"]);
+    assert.throws(() => manager.on("logout", () => {}), /Unknown session/);
+  });
+
+  it("rejects with a SessionExpiredError when the session ends", async () => {
+    fetch.on("POST", "/api/auth/refresh", { status: 403 });
+
+    const error = await manager.refreshToken().catch((e) => e);
+
+    assert.equal(error.name, "SessionExpiredError");
+    assert.equal(error.code, "session_expired");
+  });
+
+  it("fails without calling the API when no refresh token is stored", async () => {
+    ({ env, fetch, manager } = setup({ access_token: "old-access" }));
+
+    await assert.rejects(manager.refreshToken(), /No refresh token available/);
+
+    assert.equal(fetch.calls.length, 0);
+  });
+});
+
+describe("authenticatedFetch", () => {
+  it("refreshes once on 401 and retries with the new token", async () => {
+    const { env, fetch } = setup();
+    fetch.on("GET", "/api/users/me", (call) =>
+      call.headers.authorization === "Bearer new-access"
+        ? { status: 200, body: { id: 7 } }
+        : { status: 401 },
+    );
+    fetch.on("POST", "/api/auth/refresh", {
+      status: 200,
+      body: { data: { access_token: "new-access", refresh_token: "r2" } },
+    });
+
+    const response = await env.window.auth.authenticatedFetch(
+      "https://pasugo.onrender.com/api/users/me",
+    );
+
+    assert.equal(response.status, 200);
+    // The global interceptor handles the 401 before authenticatedFetch sees it
+    assert.equal(fetch.callsTo("/api/auth/refresh").length, 1);
+  });
+
+  it("throws once the session has expired", async () => {
+    const { fetch, env } = setup();
+    fetch.on("GET", "/api/users/me", { status: 401 });
+    fetch.on("POST", "/api/auth/refresh", { status: 401 });
+
+    await assert.rejects(
+      env.window.auth.authenticatedFetch(
+        "https://pasugo.onrender.com/api/users/me",
+      ),
+      { name: "SessionExpiredError", message: /Please login again/ },
+    );
+    assert.deepEqual(env.location.navigations, ["login.html"]);
+  });
+
+  it("returns the 401 and keeps the session while offline", async () => {
+    const { fetch, env } = setup();
+    fetch.on("GET", "/api/users/me", { status: 401 });
+    fetch.on("POST", "/api/auth/refresh", env.networkError());
+
+    const response = await env.window.auth.authenticatedFetch(
+      "https://pasugo.onrender.com/api/users/me",
+    );
+
+    assert.equal(response.status, 401);
+    assert.equal(
+      env.window.PasugoSecureStore.getItem("refresh_token"),
+      "old-refresh",
+    );
+  });
+
+  it("throws when not signed in", async () => {
+    const { env } = setup({});
+
+    await assert.rejects(
+      env.window.auth.authenticatedFetch("https://pasugo.onrender.com/api/x"),
+      /Not authenticated/,
+    );
+  });
+});
+
+/**
+ * Unsigned JWT whose exp is `seconds` from now
+ */
+function jwt(seconds) {
+  const encode = (obj) =>
+    Buffer.from(JSON.stringify(obj)).toString("base64url");
+  const exp = Math.floor(Date.now() / 1000) + seconds;
+  return `${encode({ alg: "HS256" })}.${encode({ sub: "7", exp })}.sig`;
+}
+
+async function waitFor(predicate) {
+  for (let i = 0; i < 200 && !predicate(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  assert.ok(predicate(), "condition never became true");
+}
+
+describe("SessionManager expiry scheduling", () => {
+  it("reads exp from a JWT and ignores opaque tokens", () => {
+    const { manager } = setup();
+    const token = jwt(600);
+    const exp = JSON.parse(
+      Buffer.from(token.split(".")[1], "base64url").toString(),
+    ).exp;
+
+    assert.equal(manager.getTokenExpiry(token), exp * 1000);
+    assert.equal(manager.getTokenExpiry("old-access"), null);
+  });
+
+  it("does not arm a timer for tokens without exp", () => {
+    const { manager } = setup();
+
+    manager.schedule();
+
+    assert.equal(manager._timer, null);
+  });
+
+  it("refreshes before expiry and notifies subscribers", async () => {
+    const { fetch, manager } = setup({ ...SESSION, access_token: jwt(120) });
+    const fresh = jwt(3600);
+    fetch.on("POST", "/api/auth/refresh", {
+      status: 200,
+      body: { data: { access_token: fresh, refresh_token: "r2" } },
+    });
+    const received = [];
+    const unsubscribe = manager.on("refreshed", (token) =>
+      received.push(token),
+    );
+    manager.MIN_DELAY_MS = 0;
+    manager.REFRESH_LEAD_MS = 10 * 60 * 1000;
+
+    manager.schedule();
+    await waitFor(() => received.length === 1);
+    unsubscribe();
+
+    assert.deepEqual(received, [fresh]);
+    assert.equal(fetch.calls.length, 1);
+    // Re-armed for the new token
+    assert.notEqual(manager._timer, null);
+    manager.stop();
+  });
+
+  it("retries later when a scheduled refresh hits the network", async () => {
+    const { env, fetch, manager } = setup({
+      ...SESSION,
+      access_token: jwt(120),
+    });
+    fetch.on("POST", "/api/auth/refresh", env.networkError());
+    manager.MIN_DELAY_MS = 0;
+    manager.REFRESH_LEAD_MS = 10 * 60 * 1000;
+
+    manager.schedule();
+    await waitFor(() => fetch.calls.length === 1 && !manager.isRefreshing);
+    await waitFor(() => manager._timer !== null);
+
+    assert.notEqual(
+      env.window.PasugoSecureStore.getItem("refresh_token"),
+      null,
+    );
+    manager.stop();
+  });
+
+  it("stops the timer when the session is cleared", () => {
+    const { env, manager } = setup({ ...SESSION, access_token: jwt(3600) });
+
+    manager.schedule();
+    assert.notEqual(manager._timer, null);
+    env.window.auth.AuthTokenService.clearTokens();
+
+    assert.equal(manager._timer, null);
+  });
+});
+
+describe("devices and logout", () => {
+  it("describes a browser from its user agent with a stable id", () => {
+    const { env } = setup();
+    env.window.navigator.userAgent =
+      "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36";
+    const { DeviceInfo } = env.window.auth;
+
+    const first = DeviceInfo.describe();
+    const second = DeviceInfo.describe();
+
+    assert.equal(first.platform, "Web");
+    assert.equal(first.model, "Chrome on Linux");
+    assert.equal(first.os_version, null);
+    assert.ok(first.device_id);
+    assert.equal(second.device_id, first.device_id);
+    assert.equal(DeviceInfo.label(first), "Chrome on Linux");
+  });
+
+  it("prefers cordova-plugin-device in the app", () => {
+    const { env } = setup();
+    env.window.device = {
+      platform: "Android",
+      manufacturer: "samsung",
+      model: "SM-G991B",
+      version: "13",
+    };
+    const { DeviceInfo } = env.window.auth;
+
+    const info = DeviceInfo.describe();
+
+    assert.equal(info.model, "samsung SM-G991B");
+    assert.equal(DeviceInfo.label(info), "samsung SM-G991B · Android 13");
+  });
+
+  it("ends the server session when logging out", async () => {
+    const { env, fetch } = setup();
+    fetch.on("POST", "/api/auth/logout", { status: 200, body: {} });
+
+    await env.window.auth.logout();
+
+    const call = fetch.calls.find((c) => c.path === "/api/auth/logout");
+    assert.equal(call.init.keepalive, true);
+    assert.equal(call.headers.authorization, "Bearer old-access");
+    assert.deepEqual({ ...call.body }, { refresh_token: "old-refresh" });
+    assert.deepEqual(env.location.navigations, ["login.html"]);
+  });
+});
+
+describe("account roles", () => {
+  const dualRole = {
+    user_id: 7,
+    user_type: "rider",
+    roles: ["rider", "customer"],
+  };
+
+  it("lists the account's roles, falling back to user_type", () => {
+    const { env } = setup();
+    const { UserRoles } = env.window.auth;
+
+    assert.deepEqual([...UserRoles.of()], ["rider"]);
+    assert.deepEqual([...UserRoles.of(dualRole)], ["rider", "customer"]);
+    assert.deepEqual(
+      [...UserRoles.of({ user_type: "UserType.customer", roles: [] })],
+      ["customer"],
+    );
+    assert.equal(UserRoles.has("customer", dualRole), true);
+    assert.equal(UserRoles.has("admin", dualRole), false);
+  });
+
+  it("switches the active role and opens its dashboard", async () => {
+    const { env } = setup({ ...SESSION, user_data: JSON.stringify(dualRole) });
+    const { UserRoles, AuthTokenService } = env.window.auth;
+
+    assert.equal(await UserRoles.switchTo("admin"), false);
+    assert.equal(await UserRoles.switchTo("customer"), true);
+
+    assert.equal(AuthTokenService.getUserData().user_type, "customer");
+    assert.deepEqual(env.location.navigations, ["dashboard.html"]);
+  });
+
+  it("keeps the switched role when a fresh profile arrives", () => {
+    const { env } = setup({
+      ...SESSION,
+      user_data: JSON.stringify({ ...dualRole, user_type: "customer" }),
+    });
+    const { AuthTokenService } = env.window.auth;
+
+    AuthTokenService.saveUserData({ ...dualRole, full_name: "Pedro" });
+    assert.equal(AuthTokenService.getUserData().user_type, "customer");
+    assert.equal(AuthTokenService.getUserData().full_name, "Pedro");
+
+    // The customer role was taken away: back to the sign-up role
+    AuthTokenService.saveUserData({ ...dualRole, roles: ["rider"] });
+    assert.equal(AuthTokenService.getUserData().user_type, "rider");
+  });
+});
@@ -0,0 +1,298 @@
+/**
+ * PasugoSessionSync (www/js/session-sync.js)
+ * Two page environments stand in for two open tabs: they share one
+ * persistent adapter and one BroadcastChannel, as tabs of the same origin do
+ */
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createBrowserEnv } = require("../helpers/browser-env");
+
+const SESSION = {
+  access_token: "old-access",
+  refresh_token: "old-refresh",
+  user_data: JSON.stringify({ user_id: 7, user_type: "customer" }),
+};
+
+const envs = [];
+afterEach(() => envs.splice(0).forEach((env) => env.dispose()));
+
+/**
+ * The persistent backend every tab of the origin reads (IndexedDB)
+ */
+function sharedAdapter(values = {}) {
+  return {
+    name: "shared",
+    values,
+    isAvailable: async () => true,
+    load: async () => ({ ...values }),
+    save: async (key, value) => {
+      values[key] = value;
+    },
+    remove: async (key) => {
+      delete values[key];
+    },
+    clear: async () => {
+      Object.keys(values).forEach((key) => delete values[key]);
+    },
+  };
+}
+
+/**
+ * BroadcastChannel connecting the tabs of one test; delivery is async and
+ * never reaches the sender, as in a browser
+ */
+function channelHub() {
+  const channels = new Set();
+  const messages = [];
+  class HubChannel {
+    constructor(name) {
+      this.name = name;
+      this.onmessage = null;
+      channels.add(this);
+    }
+
+    postMessage(data) {
+      const copy = JSON.parse(JSON.stringify(data));
+      messages.push(copy);
+      channels.forEach((channel) => {
+        if (channel === this || channel.name !== this.name) return;
+        setTimeout(() => channel.onmessage?.({ data: copy }), 0);
+      });
+    }
+
+    close() {
+      channels.delete(this);
+    }
+  }
+  return { HubChannel, messages };
+}
+
+/**
+ * navigator.locks shared by the tabs: one holder per name at a time
+ */
+function sharedLocks() {
+  let tail = Promise.resolve();
+  return {
+    request(name, task) {
+      const run = tail.then(() => task());
+      tail = run.catch(() => {});
+      return run;
+    },
+  };
+}
+
+function openTab({ adapter, hub, locks, page = "dashboard.html" }) {
+  const env = createBrowserEnv({
+    scripts: ["config.js", "logger.js"],
+    url: `http://localhost/pages/${page}`,
+    navigator: locks && { locks },
+  });
+  envs.push(env);
+  const tab = { env, reloads: 0 };
+  env.location.reload = () => tab.reloads++;
+  env.window.PASUGO_SECURE_ADAPTERS = [adapter];
+  if (hub) env.window.BroadcastChannel = hub.HubChannel;
+  env.load("secure-storage.js").load("session-sync.js").load("auth.js");
+  tab.store = env.window.PasugoSecureStore;
+  tab.sync = env.window.PasugoSessionSync;
+  tab.auth = env.window.auth;
+  return tab;
+}
+
+/**
+ * Open tabs on one shared session and wait until they have loaded it
+ */
+async function openTabs(count, options = {}) {
+  const adapter = sharedAdapter(options.session ?? { ...SESSION });
+  const hub = options.hub === false ? null : channelHub();
+  const locks = options.locks ? sharedLocks() : undefined;
+  const tabs = (options.pages || Array(count).fill(undefined)).map((page) =>
+    openTab({ adapter, hub, locks, page }),
+  );
+  await Promise.all(tabs.map((tab) => tab.store.ready()));
+  return { tabs, adapter, hub };
+}
+
+// Let another tab's write land and its message be delivered and applied
+async function settle(tab) {
+  await tab.store.flush();
+  await new Promise((resolve) => setTimeout(resolve, 10));
+}
+
+/**
+ * Deliver one tab's localStorage writes to another as storage events
+ */
+function linkStorage(from, to) {
+  const setItem = from.env.localStorage.setItem.bind(from.env.localStorage);
+  from.env.localStorage.setItem = (key, value) => {
+    setItem(key, value);
+    const event = new Event("storage");
+    Object.assign(event, { key, newValue: String(value) });
+    to.env.window.dispatchEvent(event);
+  };
+}
+
+describe("PasugoSessionSync", () => {
+  it("signs every other tab out on logout", async () => {
+    const {
+      tabs: [first, second],
+    } = await openTabs(2);
+    const expired = [];
+    second.auth.SessionManager.on("expired", (reason) => expired.push(reason));
+
+    first.auth.AuthTokenService.clearTokens();
+    await settle(first);
+
+    assert.equal(second.store.getItem("access_token"), null);
+    assert.equal(second.store.getItem("refresh_token"), null);
+    assert.deepEqual(second.env.location.navigations, ["login.html"]);
+    assert.deepEqual(expired, ["Signed out in another tab"]);
+  });
+
+  it("hands rotated tokens to the other tabs", async () => {
+    const {
+      tabs: [first, second],
+    } = await openTabs(2);
+
+    first.auth.AuthTokenService.updateTokens("new-access", "new-refresh");
+    await settle(first);
+
+    assert.equal(second.store.getItem("access_token"), "new-access");
+    assert.equal(second.store.getItem("refresh_token"), "new-refresh");
+    assert.deepEqual(second.env.location.navigations, []);
+  });
+
+  it("only names the changed keys on the channel", async () => {
+    const {
+      tabs: [first],
+      hub,
+    } = await openTabs(2);
+
+    first.auth.AuthTokenService.updateTokens("new-access", "new-refresh");
+    await settle(first);
+
+    assert.deepEqual(
+      hub.messages.map((m) => m.keys),
+      [["access_token", "refresh_token"]],
+    );
+    assert.equal(JSON.stringify(hub.messages).includes("new-"), false);
+  });
+
+  it("moves a signed-out login tab along when another tab signs in", async () => {
+    const {
+      tabs: [first, login],
+    } = await openTabs(2, {
+      session: {},
+      pages: ["dashboard.html", "login.html"],
+    });
+
+    first.auth.AuthTokenService.saveTokens("new-access", "new-refresh", {
+      user_id: 7,
+      user_type: "customer",
+    });
+    await settle(first);
+
+    assert.equal(login.store.getItem("access_token"), "new-access");
+    assert.equal(login.reloads, 1);
+  });
+
+  it("reloads dashboards when the role changes", async () => {
+    const {
+      tabs: [first, second],
+    } = await openTabs(2);
+    const roles = [];
+    second.sync.on("role", (change) => roles.push({ ...change }));
+
+    first.auth.AuthTokenService.saveUserData({
+      user_id: 7,
+      user_type: "rider",
+    });
+    await settle(first);
+
+    assert.deepEqual(roles, [{ from: "customer", to: "rider" }]);
+    assert.equal(second.reloads, 1);
+  });
+
+  it("reports admin console sign-outs by key", async () => {
+    const {
+      tabs: [first, second],
+    } = await openTabs(2, { session: { admin_token: "admin-1" } });
+    const logouts = [];
+    second.sync.on("logout", ({ key }) => logouts.push(key));
+
+    first.store.removeItem("admin_token");
+    await settle(first);
+
+    assert.deepEqual(logouts, ["admin_token"]);
+    // Not a customer session, so auth.js leaves the page alone
+    assert.deepEqual(second.env.location.navigations, []);
+  });
+
+  it("forwards active request changes from storage events", async () => {
+    const {
+      tabs: [first, second],
+    } = await openTabs(2);
+    linkStorage(first, second);
+    const states = [];
+    second.sync.on("active-request", (state) => states.push(state));
+
+    first.env.localStorage.setItem(
+      "active_customer_request",
+      JSON.stringify({ requestId: 41, requestStatus: "waiting" }),
+    );
+
+    assert.deepEqual(JSON.parse(JSON.stringify(states)), [
+      { requestId: 41, requestStatus: "waiting" },
+    ]);
+  });
+
+  it("falls back to storage events without BroadcastChannel", async () => {
+    const {
+      tabs: [first, second],
+    } = await openTabs(2, { hub: false });
+    linkStorage(first, second);
+
+    first.auth.AuthTokenService.clearTokens();
+    await settle(first);
+
+    assert.equal(second.store.getItem("access_token"), null);
+    assert.deepEqual(second.env.location.navigations, ["login.html"]);
+    assert.equal(first.env.localStorage.getItem(first.sync.MESSAGE_KEY), null);
+  });
+
+  it("rejects unknown events", async () => {
+    const {
+      tabs: [tab],
+    } = await openTabs(1);
+
+    assert.throws(() => tab.sync.on("refreshed", () => {}), /Unknown sync/);
+  });
+});
+
+describe("SessionManager across tabs", () => {
+  it("spends the refresh token once when two tabs refresh together", async () => {
+    const {
+      tabs: [first, second],
+    } = await openTabs(2, { locks: true });
+    first.env.fetch.on("POST", "/api/auth/refresh", {
+      status: 200,
+      body: {
+        data: { access_token: "new-access", refresh_token: "new-refresh" },
+      },
+    });
+    // The rotated token is single-use, so a second refresh would be refused
+    second.env.fetch.on("POST", "/api/auth/refresh", { status: 401 });
+
+    const tokens = await Promise.all([
+      first.auth.SessionManager.refreshToken(),
+      second.auth.SessionManager.refreshToken(),
+    ]);
+
+    assert.deepEqual(tokens, ["new-access", "new-access"]);
+    assert.equal(second.env.fetch.callsTo("/api/auth/refresh").length, 0);
+    assert.equal(second.store.getItem("refresh_token"), "new-refresh");
+    assert.deepEqual(second.env.location.navigations, []);
+  });
+});
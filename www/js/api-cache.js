@@ -0,0 +1,206 @@
+/**
+ * API Read Cache
+ * Stale-while-revalidate cache for request and profile reads
+ * Cached data is served instantly; a background fetch refreshes it and
+ * notifies the caller (onUpdate) only when something actually changed
+ */
+
+const cacheLog = PasugoLogger.scope("Cache");
+
+// ============================================
+// STALE-WHILE-REVALIDATE CACHE
+// ============================================
+
+class PasugoCache {
+  // sessionStorage survives page changes (splash → dashboard) but not app restarts
+  static STORAGE_PREFIX = "pasugo_cache:";
+
+  // Data younger than this is served without revalidating
+  static FRESH_FOR = 5000;
+
+  // Data older than this is never served
+  static MAX_AGE = 10 * 60 * 1000;
+
+  static memory = new Map();
+  static inflight = new Map();
+
+  // Bumped on every invalidation so in-flight fetches can't resurrect old data
+  static version = 0;
+
+  /**
+   * Cache keys are scoped to the signed-in user
+   * @param {string} path - API path incl. query, e.g. "/api/requests/my-requests?page_size=50"
+   */
+  static key(path) {
+    let userId = "anon";
+    try {
+      const user = JSON.parse(PasugoSecureStore.getItem("user_data") || "{}");
+      userId = user.user_id || user.id || "anon";
+    } catch (e) {
+      /* unreadable user data */
+    }
+    return `${userId}:${path}`;
+  }
+
+  /**
+   * Cached entry for a path ({data, storedAt}) or null when missing/expired
+   */
+  static get(path) {
+    const key = this.key(path);
+    let entry = this.memory.get(key);
+    if (!entry) {
+      try {
+        entry = JSON.parse(sessionStorage.getItem(this.STORAGE_PREFIX + key));
+      } catch (e) {
+        entry = null;
+      }
+      if (entry) this.memory.set(key, entry);
+    }
+    if (!entry || Date.now() - entry.storedAt > this.MAX_AGE) return null;
+    return entry;
+  }
+
+  static set(path, data) {
+    const key = this.key(path);
+    const entry = { data, storedAt: Date.now() };
+    this.memory.set(key, entry);
+    try {
+      sessionStorage.setItem(this.STORAGE_PREFIX + key, JSON.stringify(entry));
+    } catch (e) {
+      /* quota exceeded – memory copy is enough */
+    }
+  }
+
+  /**
+   * Drop every cached path that starts with the given prefix
+   * @param {string} prefix - e.g. "/api/requests" or "/api/users/me"
+   */
+  static invalidate(prefix) {
+    this.version++;
+    const scoped = this.key(prefix);
+    for (const key of [...this.memory.keys()]) {
+      if (key.startsWith(scoped)) this.memory.delete(key);
+    }
+    try {
+      for (let i = sessionStorage.length - 1; i >= 0; i--) {
+        const key = sessionStorage.key(i);
+        if (key?.startsWith(this.STORAGE_PREFIX + scoped)) {
+          sessionStorage.removeItem(key);
+        }
+      }
+    } catch (e) {
+      /* storage unavailable */
+    }
+    cacheLog.debug(`Cache invalidated: ${prefix}`);
+  }
+
+  /**
+   * Drop everything (logout, user switch)
+   */
+  static clear() {
+    this.version++;
+    this.memory.clear();
+    try {
+      for (let i = sessionStorage.length - 1; i >= 0; i--) {
+        const key = sessionStorage.key(i);
+        if (key?.startsWith(this.STORAGE_PREFIX))
+          sessionStorage.removeItem(key);
+      }
+    } catch (e) {
+      /* storage unavailable */
+    }
+  }
+
+  /**
+   * Stale-while-revalidate read
+   * @param {string} path - Cache key (API path incl. query)
+   * @param {Function} fetcher - async () => data, throws on failure
+   * @param {Object} [options] - {onUpdate(data), freshFor, force}
+   *   force skips the cached copy (pollers) but still stores the result
+   * @returns {Promise<Object>} - {data, cached, stale}
+   */
+  static async swr(path, fetcher, options = {}) {
+    const cached = options.force ? null : this.get(path);
+
+    if (cached) {
+      const age = Date.now() - cached.storedAt;
+      const fresh = age < (options.freshFor ?? this.FRESH_FOR);
+      if (!fresh) {
+        this.revalidate(path, fetcher)
+          .then((data) => {
+            if (JSON.stringify(data) !== JSON.stringify(cached.data)) {
+              options.onUpdate?.(data);
+            }
+          })
+          .catch((error) => {
+            cacheLog.warn(`Revalidation failed for ${path}:`, error.message);
+          });
+      }
+      return { data: cached.data, cached: true, stale: !fresh };
+    }
+
+    const data = await this.revalidate(path, fetcher);
+    return { data, cached: false, stale: false };
+  }
+
+  /**
+   * Fetch and store, sharing one network call between concurrent readers
+   */
+  static revalidate(path, fetcher) {
+    const key = this.key(path);
+    if (this.inflight.has(key)) return this.inflight.get(key);
+
+    const version = this.version;
+    const promise = (async () => {
+      try {
+        const data = await fetcher();
+        if (version === this.version) this.set(path, data);
+        return data;
+      } finally {
+        this.inflight.delete(key);
+      }
+    })();
+    this.inflight.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Cache key for an absolute URL (path + query, origin dropped)
+   */
+  static pathOf(url) {
+    const parsed = new URL(url);
+    return parsed.pathname + parsed.search;
+  }
+
+  /**
+   * SWR wrapper for plain authenticated GETs used by the dashboard controllers
+   * @param {string} url - Absolute URL; the cache key is its path + query
+   * @param {Object} [options] - {headers, onUpdate, freshFor, force}
+   */
+  static getJSON(url, options = {}) {
+    const parsed = new URL(url);
+    return this.swr(
+      this.pathOf(url),
+      async () => {
+        const res = await fetch(url, { headers: options.headers });
+        if (!res.ok) {
+          const error = new Error(`GET ${parsed.pathname} → ${res.status}`);
+          error.status = res.status;
+          throw error;
+        }
+        return res.json();
+      },
+      options,
+    );
+  }
+}
+
+// ============================================
+// EXPORT FOR EXTERNAL USE
+// ============================================
+
+window.PasugoCache = PasugoCache;
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PasugoCache;
+}
@@ -1,13 +1,204 @@
 // api_request.js - Pasugo API Request Handler (FIXED)
 // Centralized API calls to backend
-// FIXED: Properly handles tokens from localStorage
+// FIXED: Properly handles tokens from PasugoSecureStore
+const apiLog = PasugoLogger.scope("API");
+
+// ============================================
+// API ERRORS
+// ============================================
+
+/**
+ * Base class for every failure surfaced by PasugoAPI
+ * @property {number|null} status - HTTP status (null when no response)
+ * @property {string} code - Machine-readable code, e.g. "validation_failed"
+ * @property {Object} fieldErrors - {field: message} from FastAPI detail arrays
+ * @property {boolean} retryable - Whether trying again later may succeed
+ */
+class PasugoApiError extends Error {
+  constructor(
+    message,
+    { status = null, code, fieldErrors, retryable, endpoint, cause } = {},
+  ) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code || this.constructor.defaultCode;
+    this.fieldErrors = fieldErrors || {};
+    this.retryable = retryable ?? this.constructor.defaultRetryable;
+    this.endpoint = endpoint || null;
+    this.retries = 0;
+    if (cause) this.cause = cause;
+  }
+
+  static defaultCode = "api_error";
+  static defaultRetryable = false;
+
+  /**
+   * Build the matching subclass from an HTTP error response
+   * @param {number} status - HTTP status
+   * @param {Object} body - Parsed JSON body ({detail} from FastAPI)
+   * @param {string} fallbackMessage - Used when the body has no message
+   * @param {Response} [response] - For Retry-After on 429
+   */
+  static fromResponse(
+    status,
+    body = {},
+    fallbackMessage = "Request failed",
+    response,
+  ) {
+    const detail = body.detail;
+    const fieldErrors = Array.isArray(detail)
+      ? PasugoApiError.parseFieldErrors(detail)
+      : {};
+    const message = Array.isArray(detail)
+      ? Object.values(fieldErrors).join(", ") || fallbackMessage
+      : (typeof detail === "string" && detail) ||
+        detail?.message ||
+        body.message ||
+        fallbackMessage;
+    const options = {
+      status,
+      code: body.code || body.error_code || detail?.code,
+      fieldErrors,
+    };
+
+    if (status === 401) return new AuthError(message, options);
+    if (status === 403) return new ForbiddenError(message, options);
+    if (status === 404) return new NotFoundError(message, options);
+    if (status === 409) return new ConflictError(message, options);
+    if (status === 400 || status === 422) {
+      return new ValidationError(message, options);
+    }
+    if (status === 429) {
+      const retryAfter = Number(response?.headers?.get("Retry-After"));
+      return new RateLimitError(message, {
+        ...options,
+        retryAfter: retryAfter > 0 ? retryAfter : null,
+      });
+    }
+    if (status >= 500) return new ServerError(message, options);
+    return new PasugoApiError(message, options);
+  }
+
+  /**
+   * FastAPI detail array → {field: message}
+   * [{loc: ["body", "budget_limit"], msg: "..."}] → {budget_limit: "..."}
+   */
+  static parseFieldErrors(detail) {
+    const fieldErrors = {};
+    detail.forEach((item) => {
+      const field =
+        (item.loc || []).filter((part) => part !== "body").join(".") ||
+        "_error";
+      if (!fieldErrors[field]) fieldErrors[field] = item.msg || "Invalid value";
+    });
+    return fieldErrors;
+  }
+
+  /**
+   * Wrap anything thrown (fetch TypeError, plain Error) as a PasugoApiError
+   */
+  static from(error) {
+    if (error instanceof PasugoApiError) return error;
+    if (error?.name === "AbortError") {
+      return new CancelledError("Request cancelled", { cause: error });
+    }
+    if (error instanceof TypeError) {
+      return new NetworkError("Network error. Check your connection.", {
+        cause: error,
+      });
+    }
+    return new PasugoApiError(error?.message || "Unknown error occurred", {
+      cause: error,
+    });
+  }
+}
+
+/** 401 – token missing, expired or rejected */
+class AuthError extends PasugoApiError {
+  static defaultCode = "auth_required";
+}
+
+/** 403 – signed in but not allowed */
+class ForbiddenError extends PasugoApiError {
+  static defaultCode = "forbidden";
+}
+
+/** 404 – resource does not exist (or is no longer visible) */
+class NotFoundError extends PasugoApiError {
+  static defaultCode = "not_found";
+}
+
+/** 409 – state changed underneath us, e.g. request taken by another rider */
+class ConflictError extends PasugoApiError {
+  static defaultCode = "conflict";
+}
+
+/** 400/422 – payload rejected; see fieldErrors */
+class ValidationError extends PasugoApiError {
+  static defaultCode = "validation_failed";
+}
+
+/** 429 – slow down; retryAfter is in seconds when the server says so */
+class RateLimitError extends PasugoApiError {
+  static defaultCode = "rate_limited";
+  static defaultRetryable = true;
+
+  constructor(message, options = {}) {
+    super(message, options);
+    this.retryAfter = options.retryAfter ?? null;
+  }
+}
+
+/** 5xx – backend failure (or Render cold start) */
+class ServerError extends PasugoApiError {
+  static defaultCode = "server_error";
+  static defaultRetryable = true;
+}
+
+/** No response at all – offline, DNS, CORS */
+class NetworkError extends PasugoApiError {
+  static defaultCode = "network_error";
+  static defaultRetryable = true;
+}
+
+/** Per-call timeout elapsed */
+class TimeoutError extends PasugoApiError {
+  static defaultCode = "timeout";
+  static defaultRetryable = true;
+
+  get timedOut() {
+    return true;
+  }
+}
+
+/** Caller aborted via AbortSignal */
+class CancelledError extends PasugoApiError {
+  static defaultCode = "cancelled";
+}
 
 class PasugoAPI {
   constructor() {
-    this.baseURL = "https://pasugo.onrender.com/api";
-    // Initialize token and user data from localStorage
+    this.baseURL = PasugoConfig.apiUrl("/api");
+
+    // Per-call timeout (ms) – Render cold starts can take a while
+    this.timeout = 20000;
+
+    // Exponential backoff for idempotent GETs and transient 5xx/429
+    this.retryPolicy = {
+      maxRetries: 3,
+      baseDelay: 500,
+      maxDelay: 8000,
+      retryStatuses: [429, 500, 502, 503, 504],
+    };
+
+    // Idempotency keys survive reloads so a retried mutation reuses its key
+    this.idempotencyStorageKey = "pasugo_idempotency_keys";
+    this.idempotencyTTL = 24 * 60 * 60 * 1000;
+
+    // Initialize token and user data from PasugoSecureStore
     this.updateToken();
-    console.log("✅ PasugoAPI initialized", {
+    apiLog.debug("PasugoAPI initialized", {
       hasToken: !!this.token,
       hasUserData: !!this.userData,
       userId: this.userData?.user_id || this.userData?.id,
@@ -17,16 +208,16 @@ class PasugoAPI {
   // ===== UTILITY METHODS =====
 
   updateToken() {
-    // Get token from localStorage (saved by auth.js)
-    this.token = localStorage.getItem("access_token");
+    // Get token from secure storage (saved by auth.js)
+    this.token = PasugoSecureStore.getItem("access_token");
 
-    // Get user data from localStorage
-    const userDataStr = localStorage.getItem("user_data");
+    // Get user data from secure storage
+    const userDataStr = PasugoSecureStore.getItem("user_data");
     this.userData = userDataStr ? JSON.parse(userDataStr) : {};
 
-    console.log("🔄 Token updated:", {
+    apiLog.debug("Token updated:", {
       hasToken: !!this.token,
-      userData: this.userData,
+      userId: this.userData?.user_id || this.userData?.id,
     });
   }
 
@@ -37,12 +228,383 @@ class PasugoAPI {
     };
   }
 
+  /**
+   * Normalize any failure into a result object
+   * `error` is always a PasugoApiError so callers can branch on its type
+   * (instanceof ConflictError) or on `code`; `message` stays for alert()s
+   */
   handleError(error, endpoint) {
-    console.error(`❌ API Error [${endpoint}]:`, error);
+    const apiError = PasugoApiError.from(error);
+    apiError.endpoint = apiError.endpoint || endpoint;
+    if (apiError.retries === 0 && error?.retries)
+      apiError.retries = error.retries;
+    apiLog.error(`API Error [${endpoint}]:`, apiError.code, apiError);
     return {
       success: false,
-      message: error.message || "Unknown error occurred",
+      message: apiError.message,
       data: null,
+      error: apiError,
+      code: apiError.code,
+      status: apiError.status,
+      fieldErrors: apiError.fieldErrors,
+      retryable: apiError.retryable,
+      aborted: apiError instanceof CancelledError,
+      timedOut: apiError instanceof TimeoutError,
+      retries: apiError.retries,
+    };
+  }
+
+  // ===== TRANSPORT (timeout, cancellation, retry) =====
+
+  /**
+   * Whether a failed attempt may be retried
+   * GETs (and mutations carrying an idempotency key) retry on network errors,
+   * timeouts and transient statuses. Other methods only retry on 429, where
+   * the server did not process the call.
+   */
+  isRetryable(method, status, hasIdempotencyKey = false) {
+    const idempotent =
+      method === "GET" || method === "HEAD" || hasIdempotencyKey;
+    if (status === undefined) return idempotent;
+    if (status === 429) return true;
+    return idempotent && this.retryPolicy.retryStatuses.includes(status);
+  }
+
+  /**
+   * Backoff delay for a retry attempt, honouring Retry-After when present
+   */
+  getRetryDelay(attempt, response) {
+    const { baseDelay, maxDelay } = this.retryPolicy;
+    const retryAfter = Number(response?.headers?.get("Retry-After"));
+    if (retryAfter > 0) return Math.min(retryAfter * 1000, maxDelay);
+    const backoff = Math.min(baseDelay * 2 ** attempt, maxDelay);
+    return backoff / 2 + Math.random() * (backoff / 2);
+  }
+
+  /**
+   * Sleep that wakes early (and rejects) when the caller aborts
+   */
+  sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(this.createAbortError());
+      const timer = setTimeout(() => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+      }, ms);
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(this.createAbortError());
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
+    });
+  }
+
+  createAbortError() {
+    return new CancelledError("Request cancelled");
+  }
+
+  /**
+   * Single fetch attempt bounded by a timeout and the caller's AbortSignal
+   */
+  async fetchOnce(url, init, timeout, signal) {
+    if (signal?.aborted) throw this.createAbortError();
+
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    try {
+      return await fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+      if (timedOut) {
+        throw new TimeoutError(
+          `Request timed out after ${Math.ceil(timeout / 1000)}s`,
+        );
+      }
+      if (signal?.aborted) throw this.createAbortError();
+      throw PasugoApiError.from(error);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+    }
+  }
+
+  /**
+   * Send a request to the API with timeout, cancellation and retries
+   * @param {string} path - Path relative to baseURL, e.g. "/requests/12"
+   * @param {Object} init - fetch init (method, headers, body)
+   * @param {Object} options - {signal, timeout, retries, idempotencyKey}
+   * @param {string} fallbackMessage - Error message when the server gives none
+   * @returns {Promise<Object>} - {response, data, retries}
+   */
+  async send(
+    path,
+    init = {},
+    options = {},
+    fallbackMessage = "Request failed",
+  ) {
+    const method = (init.method || "GET").toUpperCase();
+    const url = `${this.baseURL}${path}`;
+    const timeout = options.timeout ?? this.timeout;
+    const maxRetries = options.retries ?? this.retryPolicy.maxRetries;
+    const requestInit = {
+      ...init,
+      method,
+      headers: { ...(init.headers || this.getAuthHeaders()) },
+    };
+    const idempotencyKey = options.idempotencyKey || null;
+    if (idempotencyKey) requestInit.headers["Idempotency-Key"] = idempotencyKey;
+
+    let attempt = 0;
+    while (true) {
+      let response;
+      try {
+        response = await this.fetchOnce(
+          url,
+          requestInit,
+          timeout,
+          options.signal,
+        );
+      } catch (error) {
+        if (
+          error.retryable &&
+          attempt < maxRetries &&
+          this.isRetryable(method, undefined, !!idempotencyKey)
+        ) {
+          await this.sleep(this.getRetryDelay(attempt), options.signal);
+          attempt++;
+          continue;
+        }
+        error.retries = attempt;
+        throw error;
+      }
+
+      if (
+        !response.ok &&
+        attempt < maxRetries &&
+        this.isRetryable(method, response.status, !!idempotencyKey)
+      ) {
+        apiLog.warn(
+          `${method} ${path} → ${response.status}, retry ${attempt + 1}/${maxRetries}`,
+        );
+        await this.sleep(this.getRetryDelay(attempt, response), options.signal);
+        attempt++;
+        continue;
+      }
+
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        const error = PasugoApiError.fromResponse(
+          response.status,
+          data,
+          fallbackMessage,
+          response,
+        );
+        error.endpoint = path;
+        error.retries = attempt;
+        throw error;
+      }
+
+      // Any request mutation can change lists and details we have cached
+      if (method !== "GET" && path.startsWith("/requests")) {
+        window.PasugoCache?.invalidate("/api/requests");
+      }
+
+      return { response, data, retries: attempt };
+    }
+  }
+
+  /**
+   * GET through the stale-while-revalidate cache (api-cache.js)
+   * options.cache === false forces a network read (pollers) but still
+   * refreshes the cached copy. onUpdate(body) fires when a background
+   * revalidation brings different data.
+   * @returns {Promise<Object>} - {data, retries, cached}
+   */
+  async sendCached(path, options = {}, fallbackMessage, onUpdate) {
+    if (!window.PasugoCache) {
+      const { data, retries } = await this.send(
+        path,
+        { method: "GET" },
+        options,
+        fallbackMessage,
+      );
+      return { data, retries, cached: false };
+    }
+
+    let retries = 0;
+    const { data, cached } = await PasugoCache.swr(
+      `/api${path}`,
+      async () => {
+        const result = await this.send(
+          path,
+          { method: "GET" },
+          options,
+          fallbackMessage,
+        );
+        retries = result.retries;
+        return result.data;
+      },
+      { force: options.cache === false, onUpdate },
+    );
+    return { data, retries, cached };
+  }
+
+  // ===== IDEMPOTENCY KEYS =====
+
+  _loadIdempotencyKeys() {
+    try {
+      const keys = JSON.parse(
+        localStorage.getItem(this.idempotencyStorageKey) || "{}",
+      );
+      const now = Date.now();
+      // Drop stale entries so the map doesn't grow forever
+      Object.keys(keys).forEach((op) => {
+        if (now - keys[op].createdAt > this.idempotencyTTL) delete keys[op];
+      });
+      return keys;
+    } catch (e) {
+      return {};
+    }
+  }
+
+  _saveIdempotencyKeys(keys) {
+    localStorage.setItem(this.idempotencyStorageKey, JSON.stringify(keys));
+  }
+
+  generateIdempotencyKey() {
+    if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+  }
+
+  /**
+   * Stable short hash of a value, used to tell logical operations apart
+   */
+  hashOperation(value) {
+    const str = JSON.stringify(value ?? null);
+    let hash = 5381;
+    for (let i = 0; i < str.length; i++) {
+      hash = ((hash << 5) + hash + str.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(36);
+  }
+
+  /**
+   * Get (or create and persist) the idempotency key for an operation
+   * @param {string} operation - e.g. "submitBill:42:<payload hash>"
+   */
+  getIdempotencyKey(operation) {
+    const keys = this._loadIdempotencyKeys();
+    if (!keys[operation]) {
+      keys[operation] = {
+        key: this.generateIdempotencyKey(),
+        createdAt: Date.now(),
+      };
+    }
+    this._saveIdempotencyKeys(keys);
+    return keys[operation].key;
+  }
+
+  /**
+   * Forget an operation's key once the server has given a final answer
+   */
+  clearIdempotencyKey(operation) {
+    if (!operation) return;
+    const keys = this._loadIdempotencyKeys();
+    delete keys[operation];
+    this._saveIdempotencyKeys(keys);
+  }
+
+  /**
+   * Whether an error is a final answer for the operation (vs. worth retrying
+   * later with the same key)
+   */
+  isFinalFailure(error) {
+    return !!error.status && !error.retryable && error.status !== 408;
+  }
+
+  /**
+   * send() with an idempotency key that is reused until the server answers
+   * @param {string} operation - Logical operation id, e.g. "confirmPayment:42"
+   */
+  async sendIdempotent(operation, path, init, options = {}, fallbackMessage) {
+    const idempotencyKey =
+      options.idempotencyKey || this.getIdempotencyKey(operation);
+    try {
+      const result = await this.send(
+        path,
+        init,
+        { ...options, idempotencyKey },
+        fallbackMessage,
+      );
+      this.clearIdempotencyKey(operation);
+      return result;
+    } catch (error) {
+      if (this.isFinalFailure(error)) this.clearIdempotencyKey(operation);
+      throw error;
+    }
+  }
+
+  // ===== OFFLINE OUTBOX =====
+
+  /**
+   * Send a mutation, or park it in the offline outbox (outbox.js) when the
+   * device is offline or the request never reached the server
+   * @param {Object} mutation - {kind, path, method, body, label, meta, operation}
+   *   operation (optional) enables an idempotency key for the mutation
+   * @returns {Promise<Object>} - send() result, or {queued: true, entry}
+   */
+  async sendOrQueue(mutation, options = {}, fallbackMessage) {
+    const outbox = window.pasugoOutbox;
+    const init = {
+      method: mutation.method || "POST",
+      body: mutation.body ? JSON.stringify(mutation.body) : undefined,
+    };
+    if (mutation.operation) {
+      mutation = {
+        ...mutation,
+        idempotencyKey: this.getIdempotencyKey(mutation.operation),
+      };
+    }
+
+    if (outbox && !outbox.isOnline()) {
+      return { queued: true, entry: await outbox.enqueue(mutation) };
+    }
+
+    try {
+      const result = await this.send(
+        mutation.path,
+        init,
+        { ...options, idempotencyKey: mutation.idempotencyKey },
+        fallbackMessage,
+      );
+      this.clearIdempotencyKey(mutation.operation);
+      return result;
+    } catch (error) {
+      if (outbox && PasugoOutbox.isNetworkError(error)) {
+        return { queued: true, entry: await outbox.enqueue(mutation) };
+      }
+      if (this.isFinalFailure(error)) {
+        this.clearIdempotencyKey(mutation.operation);
+      }
+      throw error;
+    }
+  }
+
+  queuedResult(entry) {
+    return {
+      success: false,
+      queued: true,
+      message: `You're offline. "${entry.label}" will be sent when you're back online.`,
+      data: null,
+      outboxId: entry.id,
+      retries: 0,
     };
   }
 
@@ -51,29 +613,28 @@ class PasugoAPI {
   /**
    * Create a new request
    * @param {Object} requestData - {serviceType, itemsDescription, budgetLimit, specialInstructions, pickupLocation, deliveryAddress, deliveryOption}
-   * @returns {Promise<Object>} - {success, data: {request_id, status, ...}}
+   * @param {Object} [options] - {signal, timeout, retries}
+   * @returns {Promise<Object>} - {success, data: {request_id, status, ...}, retries}
    */
-  async createRequest(requestData) {
+  async createRequest(requestData, options = {}) {
     try {
-      console.log("📋 Creating request...", requestData);
+      apiLog.debug("Creating request...", requestData);
 
       // Update token before making request
       this.updateToken();
 
       // Check authentication
       if (!this.token) {
-        console.error("❌ No token found in localStorage");
-        console.log("📍 localStorage keys:", Object.keys(localStorage));
-        throw new Error(
+        apiLog.error("No token found in PasugoSecureStore");
+        throw new AuthError(
           "Not authenticated. Please login first. (No token found)",
         );
       }
 
       // Check user data
       if (!this.userData || (!this.userData.user_id && !this.userData.id)) {
-        console.error("❌ No user data found in localStorage");
-        console.log("📍 userData:", this.userData);
-        throw new Error(
+        apiLog.error("No user data found in PasugoSecureStore");
+        throw new AuthError(
           "User data not found. Please login again. (userData missing)",
         );
       }
@@ -102,38 +663,36 @@ class PasugoAPI {
           );
           payload.latitude = pos.coords.latitude;
           payload.longitude = pos.coords.longitude;
-          console.log(
-            `📍 Customer GPS included in request: ${pos.coords.latitude}, ${pos.coords.longitude}`,
-          );
+          apiLog.debug("Customer GPS included in request");
         }
       } catch (locErr) {
-        console.warn("⚠️ Could not get GPS for request:", locErr.message);
+        apiLog.warn("Could not get GPS for request:", locErr.message);
       }
 
-      console.log("📤 Sending payload:", payload);
-
-      const response = await fetch(`${this.baseURL}/requests/create`, {
-        method: "POST",
-        headers: this.getAuthHeaders(),
-        body: JSON.stringify(payload),
-      });
-
-      const data = await response.json();
-
-      console.log("📥 Response status:", response.status);
-      console.log("📥 Response data:", data);
+      apiLog.debug("Sending payload:", payload);
 
-      if (!response.ok) {
-        throw new Error(
-          data.detail || data.message || "Failed to create request",
-        );
-      }
+      const result = await this.sendOrQueue(
+        {
+          kind: "createRequest",
+          path: "/requests/create",
+          body: payload,
+          label: "Create request",
+          // Same form data → same key, so double taps and retries collapse
+          operation: `createRequest:${this.hashOperation(requestData)}`,
+        },
+        options,
+        "Failed to create request",
+      );
+      if (result.queued) return this.queuedResult(result.entry);
+      const { response, data, retries } = result;
 
-      console.log("✅ Request created successfully:", data);
+      apiLog.debug("Response status:", response.status);
+      apiLog.debug("Request created successfully:", data);
       return {
         success: true,
         message: "Request created successfully",
         data: data.data,
+        retries,
       };
     } catch (error) {
       return this.handleError(error, "createRequest");
@@ -144,50 +703,52 @@ class PasugoAPI {
 
   /**
    * Get current user's requests
-   * @param {Object} options - {serviceType, status, page, pageSize}
-   * @returns {Promise<Object>}
+   * Served from the SWR cache when possible; pass options.onUpdate to get
+   * the revalidated result, or options.cache = false to force the network
+   * @param {Object} query - {serviceType, status, page, pageSize}
+   * @param {Object} [options] - {signal, timeout, retries, cache, onUpdate}
+   * @returns {Promise<Object>} - {success, data, pagination, cached}
    */
-  async getMyRequests(options = {}) {
+  async getMyRequests(query = {}, options = {}) {
     try {
-      console.log("📋 Fetching my requests...");
+      apiLog.debug("Fetching my requests...");
 
       // Update token before making request
       this.updateToken();
 
       if (!this.token) {
-        throw new Error("Not authenticated. Please login first.");
+        throw new AuthError("Not authenticated. Please login first.");
       }
 
       const params = new URLSearchParams();
-      if (options.serviceType)
-        params.append("service_type", options.serviceType);
-      if (options.status) params.append("status", options.status);
-      if (options.page) params.append("page", options.page);
-      if (options.pageSize) params.append("page_size", options.pageSize);
+      if (query.serviceType) params.append("service_type", query.serviceType);
+      if (query.status) params.append("status", query.status);
+      if (query.page) params.append("page", query.page);
+      if (query.pageSize) params.append("page_size", query.pageSize);
 
       const queryString = params.toString();
-      const url = queryString
-        ? `${this.baseURL}/requests/my-requests?${queryString}`
-        : `${this.baseURL}/requests/my-requests`;
+      const path = queryString
+        ? `/requests/my-requests?${queryString}`
+        : "/requests/my-requests";
 
-      const response = await fetch(url, {
-        method: "GET",
-        headers: this.getAuthHeaders(),
+      const toResult = (body, retries = 0, cached = false) => ({
+        success: true,
+        message: "Requests retrieved successfully",
+        data: body.data,
+        pagination: body.pagination,
+        retries,
+        cached,
       });
 
-      const data = await response.json();
-
-      if (!response.ok) {
-        throw new Error(data.detail || "Failed to fetch requests");
-      }
+      const { data, retries, cached } = await this.sendCached(
+        path,
+        options,
+        "Failed to fetch requests",
+        (fresh) => options.onUpdate?.(toResult(fresh)),
+      );
 
-      console.log("✅ Requests fetched:", data);
-      return {
-        success: true,
-        message: "Requests retrieved successfully",
-        data: data.data,
-        pagination: data.pagination,
-      };
+      apiLog.debug(`Requests fetched${cached ? " (cached)" : ""}:`, data);
+      return toResult(data, retries, cached);
     } catch (error) {
       return this.handleError(error, "getMyRequests");
     }
@@ -196,36 +757,40 @@ class PasugoAPI {
   /**
    * Get specific request details
    * @param {number} requestId
+   * @param {Object} [options] - {signal, timeout, retries, cache, onUpdate}
    * @returns {Promise<Object>}
    */
-  async getRequestDetails(requestId) {
+  async getRequestDetails(requestId, options = {}) {
     try {
-      console.log(`📋 Fetching request details for ID: ${requestId}`);
+      apiLog.debug(`Fetching request details for ID: ${requestId}`);
 
       // Update token before making request
       this.updateToken();
 
       if (!this.token) {
-        throw new Error("Not authenticated. Please login first.");
+        throw new AuthError("Not authenticated. Please login first.");
       }
 
-      const response = await fetch(`${this.baseURL}/requests/${requestId}`, {
-        method: "GET",
-        headers: this.getAuthHeaders(),
+      const toResult = (body, retries = 0, cached = false) => ({
+        success: true,
+        message: "Request retrieved successfully",
+        data: body.data,
+        retries,
+        cached,
       });
 
-      const data = await response.json();
-
-      if (!response.ok) {
-        throw new Error(data.detail || "Failed to fetch request details");
-      }
+      const { data, retries, cached } = await this.sendCached(
+        `/requests/${requestId}`,
+        options,
+        "Failed to fetch request details",
+        (fresh) => options.onUpdate?.(toResult(fresh)),
+      );
 
-      console.log("✅ Request details fetched:", data);
-      return {
-        success: true,
-        message: "Request retrieved successfully",
-        data: data.data,
-      };
+      apiLog.debug(
+        `Request details fetched${cached ? " (cached)" : ""}:`,
+        data,
+      );
+      return toResult(data, retries, cached);
     } catch (error) {
       return this.handleError(error, "getRequestDetails");
     }
@@ -236,38 +801,39 @@ class PasugoAPI {
   /**
    * Accept a request (RIDER ONLY)
    * @param {number} requestId
+   * @param {Object} [options] - {signal, timeout, retries}
    * @returns {Promise<Object>}
    */
-  async acceptRequest(requestId) {
+  async acceptRequest(requestId, options = {}) {
     try {
-      console.log(`✅ Accepting request ID: ${requestId}`);
+      apiLog.debug(`Accepting request ID: ${requestId}`);
 
       // Update token before making request
       this.updateToken();
 
       if (!this.token) {
-        throw new Error("Not authenticated. Please login first.");
+        throw new AuthError("Not authenticated. Please login first.");
       }
 
-      const response = await fetch(
-        `${this.baseURL}/requests/${requestId}/accept`,
+      const result = await this.sendOrQueue(
         {
-          method: "POST",
-          headers: this.getAuthHeaders(),
+          kind: "acceptRequest",
+          path: `/requests/${requestId}/accept`,
+          label: `Accept request #${requestId}`,
+          meta: { requestId },
         },
+        options,
+        "Failed to accept request",
       );
+      if (result.queued) return this.queuedResult(result.entry);
+      const { data, retries } = result;
 
-      const data = await response.json();
-
-      if (!response.ok) {
-        throw new Error(data.detail || "Failed to accept request");
-      }
-
-      console.log("✅ Request accepted:", data);
+      apiLog.debug("Request accepted:", data);
       return {
         success: true,
         message: "Request accepted successfully",
         data: data.data,
+        retries,
       };
     } catch (error) {
       return this.handleError(error, "acceptRequest");
@@ -278,39 +844,41 @@ class PasugoAPI {
    * Update request status
    * @param {number} requestId
    * @param {string} newStatus - pending, assigned, in_progress, completed, cancelled
+   * @param {Object} [options] - {signal, timeout, retries}
    * @returns {Promise<Object>}
    */
-  async updateRequestStatus(requestId, newStatus) {
+  async updateRequestStatus(requestId, newStatus, options = {}) {
     try {
-      console.log(`🔄 Updating request ${requestId} status to: ${newStatus}`);
+      apiLog.debug(`Updating request ${requestId} status to: ${newStatus}`);
 
       // Update token before making request
       this.updateToken();
 
       if (!this.token) {
-        throw new Error("Not authenticated. Please login first.");
+        throw new AuthError("Not authenticated. Please login first.");
       }
 
-      const response = await fetch(
-        `${this.baseURL}/requests/${requestId}/status`,
+      const result = await this.sendOrQueue(
         {
+          kind: "updateRequestStatus",
+          path: `/requests/${requestId}/status`,
           method: "PATCH",
-          headers: this.getAuthHeaders(),
-          body: JSON.stringify({ new_status: newStatus }),
+          body: { new_status: newStatus },
+          label: `Mark request #${requestId} ${newStatus}`,
+          meta: { requestId, newStatus },
         },
+        options,
+        "Failed to update request status",
       );
+      if (result.queued) return this.queuedResult(result.entry);
+      const { data, retries } = result;
 
-      const data = await response.json();
-
-      if (!response.ok) {
-        throw new Error(data.detail || "Failed to update request status");
-      }
-
-      console.log("✅ Request status updated:", data);
+      apiLog.debug("Request status updated:", data);
       return {
         success: true,
         message: `Request status updated to ${newStatus}`,
         data: data.data,
+        retries,
       };
     } catch (error) {
       return this.handleError(error, "updateRequestStatus");
@@ -320,38 +888,33 @@ class PasugoAPI {
   /**
    * Cancel a request
    * @param {number} requestId
+   * @param {Object} [options] - {signal, timeout, retries}
    * @returns {Promise<Object>}
    */
-  async cancelRequest(requestId) {
+  async cancelRequest(requestId, options = {}) {
     try {
-      console.log(`❌ Cancelling request ID: ${requestId}`);
+      apiLog.debug(`Cancelling request ID: ${requestId}`);
 
       // Update token before making request
       this.updateToken();
 
       if (!this.token) {
-        throw new Error("Not authenticated. Please login first.");
+        throw new AuthError("Not authenticated. Please login first.");
       }
 
-      const response = await fetch(
-        `${this.baseURL}/requests/${requestId}/cancel`,
-        {
-          method: "POST",
-          headers: this.getAuthHeaders(),
-        },
+      const { data, retries } = await this.send(
+        `/requests/${requestId}/cancel`,
+        { method: "POST" },
+        options,
+        "Failed to cancel request",
       );
 
-      const data = await response.json();
-
-      if (!response.ok) {
-        throw new Error(data.detail || "Failed to cancel request");
-      }
-
-      console.log("✅ Request cancelled:", data);
+      apiLog.debug("Request cancelled:", data);
       return {
         success: true,
         message: "Request cancelled successfully",
         data: data.data,
+        retries,
       };
     } catch (error) {
       return this.handleError(error, "cancelRequest");
@@ -364,37 +927,32 @@ class PasugoAPI {
    * Customer selects a specific rider for their request
    * @param {number} requestId
    * @param {number} riderId
+   * @param {Object} [options] - {signal, timeout, retries}
    * @returns {Promise<Object>}
    */
-  async selectRider(requestId, riderId) {
+  async selectRider(requestId, riderId, options = {}) {
     try {
-      console.log(`👤 Selecting rider ${riderId} for request ${requestId}`);
+      apiLog.debug(`Selecting rider ${riderId} for request ${requestId}`);
 
       this.updateToken();
 
       if (!this.token) {
-        throw new Error("Not authenticated. Please login first.");
+        throw new AuthError("Not authenticated. Please login first.");
       }
 
-      const response = await fetch(
-        `${this.baseURL}/requests/${requestId}/select-rider?rider_id=${riderId}`,
-        {
-          method: "POST",
-          headers: this.getAuthHeaders(),
-        },
+      const { data, retries } = await this.send(
+        `/requests/${requestId}/select-rider?rider_id=${riderId}`,
+        { method: "POST" },
+        options,
+        "Failed to select rider",
       );
 
-      const data = await response.json();
-
-      if (!response.ok) {
-        throw new Error(data.detail || "Failed to select rider");
-      }
-
-      console.log("✅ Rider selected:", data);
+      apiLog.debug("Rider selected:", data);
       return {
         success: true,
         message: data.message,
         data: data.data,
+        retries,
       };
     } catch (error) {
       return this.handleError(error, "selectRider");
@@ -404,112 +962,316 @@ class PasugoAPI {
   /**
    * Poll request status (lightweight check for customer)
    * @param {number} requestId
+   * @param {Object} [options] - {signal, timeout, retries}
    * @returns {Promise<Object>}
    */
-  async pollRequestStatus(requestId) {
+  async pollRequestStatus(requestId, options = {}) {
     try {
       this.updateToken();
 
       if (!this.token) {
-        throw new Error("Not authenticated");
+        throw new AuthError("Not authenticated");
       }
 
-      const response = await fetch(
-        `${this.baseURL}/requests/${requestId}/status-poll`,
-        {
-          method: "GET",
-          headers: this.getAuthHeaders(),
-        },
+      const { data, retries } = await this.send(
+        `/requests/${requestId}/status-poll`,
+        { method: "GET" },
+        options,
+        "Failed to poll status",
       );
 
-      const data = await response.json();
+      return {
+        success: true,
+        data: data.data,
+        retries,
+      };
+    } catch (error) {
+      return this.handleError(error, "pollRequestStatus");
+    }
+  }
 
-      if (!response.ok) {
-        throw new Error(data.detail || "Failed to poll status");
+  /**
+   * Get pending requests for current rider (RIDER ONLY)
+   * @param {Object} [options] - {signal, timeout, retries}
+   * @returns {Promise<Object>}
+   */
+  async getPendingRequestsForMe(options = {}) {
+    try {
+      apiLog.debug("Fetching pending requests for me...");
+
+      this.updateToken();
+
+      if (!this.token) {
+        throw new AuthError("Not authenticated");
       }
 
+      const { data, retries } = await this.send(
+        "/requests/pending-for-me",
+        { method: "GET" },
+        options,
+        "Failed to fetch pending requests",
+      );
+
+      apiLog.debug(`Found ${data.data.length} pending requests`);
       return {
         success: true,
+        message: data.message,
         data: data.data,
+        retries,
       };
     } catch (error) {
-      return this.handleError(error, "pollRequestStatus");
+      return this.handleError(error, "getPendingRequestsForMe");
     }
   }
 
   /**
-   * Get pending requests for current rider (RIDER ONLY)
+   * Decline a request (RIDER ONLY)
+   * @param {number} requestId
+   * @param {Object} [options] - {signal, timeout, retries}
    * @returns {Promise<Object>}
    */
-  async getPendingRequestsForMe() {
+  async declineRequest(requestId, options = {}) {
     try {
-      console.log("📋 Fetching pending requests for me...");
+      apiLog.debug(`Declining request ${requestId}`);
 
       this.updateToken();
 
       if (!this.token) {
-        throw new Error("Not authenticated");
+        throw new AuthError("Not authenticated");
       }
 
-      const response = await fetch(`${this.baseURL}/requests/pending-for-me`, {
-        method: "GET",
-        headers: this.getAuthHeaders(),
-      });
+      const result = await this.sendOrQueue(
+        {
+          kind: "declineRequest",
+          path: `/requests/${requestId}/decline`,
+          label: `Decline request #${requestId}`,
+          meta: { requestId },
+        },
+        options,
+        "Failed to decline request",
+      );
+      if (result.queued) return this.queuedResult(result.entry);
+      const { data, retries } = result;
+
+      apiLog.debug("Request declined");
+      return {
+        success: true,
+        message: data.message,
+        data: data.data,
+        retries,
+      };
+    } catch (error) {
+      return this.handleError(error, "declineRequest");
+    }
+  }
 
-      const data = await response.json();
+  // ===== DELIVERY PROGRESS (RIDER ONLY) =====
 
-      if (!response.ok) {
-        throw new Error(data.detail || "Failed to fetch pending requests");
+  /**
+   * Mark shopping/pickup done and start delivery
+   * @param {number} requestId
+   * @param {Object} [options] - {signal, timeout, retries}
+   * @returns {Promise<Object>}
+   */
+  async startDelivery(requestId, options = {}) {
+    try {
+      apiLog.debug(`Starting delivery for request ${requestId}`);
+
+      this.updateToken();
+
+      if (!this.token) {
+        throw new AuthError("Not authenticated");
       }
 
-      console.log(`✅ Found ${data.data.length} pending requests`);
+      const result = await this.sendOrQueue(
+        {
+          kind: "startDelivery",
+          path: `/requests/${requestId}/start-delivery`,
+          label: `Start delivery #${requestId}`,
+          meta: { requestId },
+        },
+        options,
+        "Failed to start delivery",
+      );
+      if (result.queued) return this.queuedResult(result.entry);
+      const { data, retries } = result;
+
+      apiLog.debug("Delivery started");
       return {
         success: true,
         message: data.message,
         data: data.data,
+        retries,
       };
     } catch (error) {
-      return this.handleError(error, "getPendingRequestsForMe");
+      return this.handleError(error, "startDelivery");
     }
   }
 
   /**
-   * Decline a request (RIDER ONLY)
+   * Mark a delivery as completed
    * @param {number} requestId
+   * @param {Object} [options] - {signal, timeout, retries}
    * @returns {Promise<Object>}
    */
-  async declineRequest(requestId) {
+  async completeDelivery(requestId, options = {}) {
     try {
-      console.log(`❌ Declining request ${requestId}`);
+      apiLog.debug(`Completing delivery for request ${requestId}`);
 
       this.updateToken();
 
       if (!this.token) {
-        throw new Error("Not authenticated");
+        throw new AuthError("Not authenticated");
       }
 
-      const response = await fetch(
-        `${this.baseURL}/requests/${requestId}/decline`,
+      const result = await this.sendOrQueue(
         {
-          method: "POST",
-          headers: this.getAuthHeaders(),
+          kind: "completeDelivery",
+          path: `/requests/${requestId}/complete-delivery`,
+          label: `Complete delivery #${requestId}`,
+          meta: { requestId },
         },
+        options,
+        "Failed to complete delivery",
       );
+      if (result.queued) return this.queuedResult(result.entry);
+      const { data, retries } = result;
 
-      const data = await response.json();
+      apiLog.debug("Delivery completed");
+      return {
+        success: true,
+        message: data.message,
+        data: data.data,
+        retries,
+      };
+    } catch (error) {
+      return this.handleError(error, "completeDelivery");
+    }
+  }
 
-      if (!response.ok) {
-        throw new Error(data.detail || "Failed to decline request");
+  // ===== BILLING & PAYMENT =====
+
+  /**
+   * Send the bill for a request to the customer (RIDER ONLY)
+   * @param {number} requestId
+   * @param {Object} bill - {itemCost, serviceFee}
+   * @param {Object} [options] - {signal, timeout, retries}
+   * @returns {Promise<Object>}
+   */
+  async submitBill(requestId, bill, options = {}) {
+    try {
+      apiLog.debug(`Submitting bill for request ${requestId}`);
+
+      this.updateToken();
+
+      if (!this.token) {
+        throw new AuthError("Not authenticated");
       }
 
-      console.log("✅ Request declined");
+      const payload = {
+        item_cost: bill.itemCost,
+        service_fee: bill.serviceFee,
+      };
+
+      // A corrected bill is a new operation, so it gets a new key
+      const { data, retries } = await this.sendIdempotent(
+        `submitBill:${requestId}:${this.hashOperation(payload)}`,
+        `/requests/${requestId}/submit-bill`,
+        { method: "POST", body: JSON.stringify(payload) },
+        options,
+        "Failed to submit bill",
+      );
+
+      apiLog.debug("Bill submitted");
       return {
         success: true,
         message: data.message,
         data: data.data,
+        retries,
       };
     } catch (error) {
-      return this.handleError(error, "declineRequest");
+      return this.handleError(error, "submitBill");
+    }
+  }
+
+  /**
+   * Confirm the customer's payment with a proof photo (RIDER ONLY)
+   * @param {number} requestId
+   * @param {string} paymentProofUrl - Cloudinary URL of the proof photo
+   * @param {Object} [options] - {signal, timeout, retries}
+   * @returns {Promise<Object>} - data.delivery_auto_completed when applicable
+   */
+  async confirmPayment(requestId, paymentProofUrl, options = {}) {
+    try {
+      apiLog.debug(`Confirming payment for request ${requestId}`);
+
+      this.updateToken();
+
+      if (!this.token) {
+        throw new AuthError("Not authenticated");
+      }
+
+      const payload = { payment_proof_url: paymentProofUrl };
+
+      const { data, retries } = await this.sendIdempotent(
+        `confirmPayment:${requestId}:${this.hashOperation(payload)}`,
+        `/requests/${requestId}/confirm-payment`,
+        { method: "POST", body: JSON.stringify(payload) },
+        options,
+        "Failed to confirm payment",
+      );
+
+      apiLog.debug("Payment confirmed");
+      return {
+        success: true,
+        message: data.message,
+        data: data.data,
+        retries,
+      };
+    } catch (error) {
+      return this.handleError(error, "confirmPayment");
+    }
+  }
+
+  /**
+   * Submit a GCash payment reference (CUSTOMER)
+   * @param {number} requestId
+   * @param {Object} payment - {gcashReference, gcashScreenshotUrl}
+   * @param {Object} [options] - {signal, timeout, retries}
+   * @returns {Promise<Object>}
+   */
+  async submitGcashPayment(requestId, payment, options = {}) {
+    try {
+      apiLog.debug(`Submitting GCash payment for request ${requestId}`);
+
+      this.updateToken();
+
+      if (!this.token) {
+        throw new AuthError("Not authenticated");
+      }
+
+      const payload = { gcash_reference: payment.gcashReference };
+      if (payment.gcashScreenshotUrl) {
+        payload.gcash_screenshot_url = payment.gcashScreenshotUrl;
+      }
+
+      const { data, retries } = await this.sendIdempotent(
+        `submitGcashPayment:${requestId}:${this.hashOperation(payload)}`,
+        `/requests/${requestId}/submit-payment`,
+        { method: "POST", body: JSON.stringify(payload) },
+        options,
+        "Failed to submit payment",
+      );
+
+      apiLog.debug("GCash payment submitted");
+      return {
+        success: true,
+        message: data.message,
+        data: data.data,
+        retries,
+      };
+    } catch (error) {
+      return this.handleError(error, "submitGcashPayment");
     }
   }
 
@@ -522,17 +1284,18 @@ class PasugoAPI {
    * @param {string} photoUrl - Cloudinary URL
    * @param {string} fileName - Original file name
    * @param {number} fileSize - File size in bytes
+   * @param {Object} [options] - {signal, timeout, retries}
    * @returns {Promise<Object>}
    */
-  async addBillPhoto(requestId, photoUrl, fileName, fileSize) {
+  async addBillPhoto(requestId, photoUrl, fileName, fileSize, options = {}) {
     try {
-      console.log(`📸 Adding bill photo to request ${requestId}`);
+      apiLog.debug(`Adding bill photo to request ${requestId}`);
 
       // Update token before making request
       this.updateToken();
 
       if (!this.token) {
-        throw new Error("Not authenticated. Please login first.");
+        throw new AuthError("Not authenticated. Please login first.");
       }
 
       const payload = {
@@ -541,26 +1304,19 @@ class PasugoAPI {
         file_size: fileSize,
       };
 
-      const response = await fetch(
-        `${this.baseURL}/requests/${requestId}/add-bill-photo`,
-        {
-          method: "POST",
-          headers: this.getAuthHeaders(),
-          body: JSON.stringify(payload),
-        },
+      const { data, retries } = await this.send(
+        `/requests/${requestId}/add-bill-photo`,
+        { method: "POST", body: JSON.stringify(payload) },
+        options,
+        "Failed to add bill photo",
       );
 
-      const data = await response.json();
-
-      if (!response.ok) {
-        throw new Error(data.detail || "Failed to add bill photo");
-      }
-
-      console.log("✅ Bill photo added:", data);
+      apiLog.debug("Bill photo added:", data);
       return {
         success: true,
         message: "Bill photo added successfully",
         data: data.data,
+        retries,
       };
     } catch (error) {
       return this.handleError(error, "addBillPhoto");
@@ -575,17 +1331,25 @@ class PasugoAPI {
    * @param {string} fileUrl - Cloudinary URL
    * @param {string} fileType - MIME type
    * @param {number} fileSize - File size in bytes
+   * @param {Object} [options] - {signal, timeout, retries}
    * @returns {Promise<Object>}
    */
-  async addAttachment(requestId, fileName, fileUrl, fileType, fileSize) {
+  async addAttachment(
+    requestId,
+    fileName,
+    fileUrl,
+    fileType,
+    fileSize,
+    options = {},
+  ) {
     try {
-      console.log(`📎 Adding attachment to request ${requestId}`);
+      apiLog.debug(`Adding attachment to request ${requestId}`);
 
       // Update token before making request
       this.updateToken();
 
       if (!this.token) {
-        throw new Error("Not authenticated. Please login first.");
+        throw new AuthError("Not authenticated. Please login first.");
       }
 
       const payload = {
@@ -595,26 +1359,19 @@ class PasugoAPI {
         file_size: fileSize,
       };
 
-      const response = await fetch(
-        `${this.baseURL}/requests/${requestId}/add-attachment`,
-        {
-          method: "POST",
-          headers: this.getAuthHeaders(),
-          body: JSON.stringify(payload),
-        },
+      const { data, retries } = await this.send(
+        `/requests/${requestId}/add-attachment`,
+        { method: "POST", body: JSON.stringify(payload) },
+        options,
+        "Failed to add attachment",
       );
 
-      const data = await response.json();
-
-      if (!response.ok) {
-        throw new Error(data.detail || "Failed to add attachment");
-      }
-
-      console.log("✅ Attachment added:", data);
+      apiLog.debug("Attachment added:", data);
       return {
         success: true,
         message: "Attachment added successfully",
         data: data.data,
+        retries,
       };
     } catch (error) {
       return this.handleError(error, "addAttachment");
@@ -625,39 +1382,32 @@ class PasugoAPI {
    * Delete bill photo
    * @param {number} requestId
    * @param {number} photoId
+   * @param {Object} [options] - {signal, timeout, retries}
    * @returns {Promise<Object>}
    */
-  async deleteBillPhoto(requestId, photoId) {
+  async deleteBillPhoto(requestId, photoId, options = {}) {
     try {
-      console.log(
-        `🗑️ Deleting bill photo ${photoId} from request ${requestId}`,
-      );
+      apiLog.debug(`Deleting bill photo ${photoId} from request ${requestId}`);
 
       // Update token before making request
       this.updateToken();
 
       if (!this.token) {
-        throw new Error("Not authenticated. Please login first.");
+        throw new AuthError("Not authenticated. Please login first.");
       }
 
-      const response = await fetch(
-        `${this.baseURL}/requests/${requestId}/photos/${photoId}`,
-        {
-          method: "DELETE",
-          headers: this.getAuthHeaders(),
-        },
+      const { data, retries } = await this.send(
+        `/requests/${requestId}/photos/${photoId}`,
+        { method: "DELETE" },
+        options,
+        "Failed to delete bill photo",
       );
 
-      const data = await response.json();
-
-      if (!response.ok) {
-        throw new Error(data.detail || "Failed to delete bill photo");
-      }
-
-      console.log("✅ Bill photo deleted:", data);
+      apiLog.debug("Bill photo deleted:", data);
       return {
         success: true,
         message: "Photo deleted successfully",
+        retries,
       };
     } catch (error) {
       return this.handleError(error, "deleteBillPhoto");
@@ -668,39 +1418,34 @@ class PasugoAPI {
    * Delete attachment
    * @param {number} requestId
    * @param {number} attachmentId
+   * @param {Object} [options] - {signal, timeout, retries}
    * @returns {Promise<Object>}
    */
-  async deleteAttachment(requestId, attachmentId) {
+  async deleteAttachment(requestId, attachmentId, options = {}) {
     try {
-      console.log(
-        `🗑️ Deleting attachment ${attachmentId} from request ${requestId}`,
+      apiLog.debug(
+        `Deleting attachment ${attachmentId} from request ${requestId}`,
       );
 
       // Update token before making request
       this.updateToken();
 
       if (!this.token) {
-        throw new Error("Not authenticated. Please login first.");
+        throw new AuthError("Not authenticated. Please login first.");
       }
 
-      const response = await fetch(
-        `${this.baseURL}/requests/${requestId}/attachments/${attachmentId}`,
-        {
-          method: "DELETE",
-          headers: this.getAuthHeaders(),
-        },
+      const { data, retries } = await this.send(
+        `/requests/${requestId}/attachments/${attachmentId}`,
+        { method: "DELETE" },
+        options,
+        "Failed to delete attachment",
       );
 
-      const data = await response.json();
-
-      if (!response.ok) {
-        throw new Error(data.detail || "Failed to delete attachment");
-      }
-
-      console.log("✅ Attachment deleted:", data);
+      apiLog.debug("Attachment deleted:", data);
       return {
         success: true,
         message: "Attachment deleted successfully",
+        retries,
       };
     } catch (error) {
       return this.handleError(error, "deleteAttachment");
@@ -712,26 +1457,29 @@ class PasugoAPI {
   /**
    * Upload an image to Cloudinary via backend
    * @param {File|Blob} file - The file to upload
+   * @param {Object} [options] - {signal, timeout, retries}
    * @returns {Promise<Object>} - {success, data: {url, public_id, ...}}
    */
-  async uploadImage(file) {
+  async uploadImage(file, options = {}) {
     try {
       this.updateToken();
-      if (!this.token) throw new Error("Not authenticated");
+      if (!this.token) throw new AuthError("Not authenticated");
 
       const formData = new FormData();
       formData.append("file", file);
 
-      const response = await fetch(`${this.baseURL}/uploads/image`, {
-        method: "POST",
-        headers: { Authorization: `Bearer ${this.token}` },
-        body: formData,
-      });
-
-      const data = await response.json();
-      if (!response.ok) throw new Error(data.detail || "Image upload failed");
+      const { data, retries } = await this.send(
+        "/uploads/image",
+        {
+          method: "POST",
+          headers: { Authorization: `Bearer ${this.token}` },
+          body: formData,
+        },
+        { timeout: 60000, ...options },
+        "Image upload failed",
+      );
 
-      return { success: true, data: data.data };
+      return { success: true, data: data.data, retries };
     } catch (error) {
       return this.handleError(error, "uploadImage");
     }
@@ -740,26 +1488,29 @@ class PasugoAPI {
   /**
    * Upload any file to Cloudinary via backend
    * @param {File|Blob} file - The file to upload
+   * @param {Object} [options] - {signal, timeout, retries}
    * @returns {Promise<Object>} - {success, data: {url, public_id, ...}}
    */
-  async uploadFile(file) {
+  async uploadFile(file, options = {}) {
     try {
       this.updateToken();
-      if (!this.token) throw new Error("Not authenticated");
+      if (!this.token) throw new AuthError("Not authenticated");
 
       const formData = new FormData();
       formData.append("file", file);
 
-      const response = await fetch(`${this.baseURL}/uploads/file`, {
-        method: "POST",
-        headers: { Authorization: `Bearer ${this.token}` },
-        body: formData,
-      });
-
-      const data = await response.json();
-      if (!response.ok) throw new Error(data.detail || "File upload failed");
+      const { data, retries } = await this.send(
+        "/uploads/file",
+        {
+          method: "POST",
+          headers: { Authorization: `Bearer ${this.token}` },
+          body: formData,
+        },
+        { timeout: 60000, ...options },
+        "File upload failed",
+      );
 
-      return { success: true, data: data.data };
+      return { success: true, data: data.data, retries };
     } catch (error) {
       return this.handleError(error, "uploadFile");
     }
@@ -770,33 +1521,147 @@ class PasugoAPI {
    * Converts base64 to Blob first, then uploads
    * @param {string} dataUrl - base64 data URL
    * @param {string} filename - original filename
+   * @param {Object} [options] - {signal, timeout, retries}
    * @returns {Promise<Object>}
    */
-  async uploadBase64Image(dataUrl, filename = "image.jpg") {
+  async uploadBase64Image(dataUrl, filename = "image.jpg", options = {}) {
     try {
       const res = await fetch(dataUrl);
       const blob = await res.blob();
       const file = new File([blob], filename, { type: blob.type });
-      return this.uploadImage(file);
+      return this.uploadImage(file, options);
     } catch (error) {
       return this.handleError(error, "uploadBase64Image");
     }
   }
 
+  // ===== SESSIONS & DEVICES =====
+
+  /**
+   * Devices signed in to this account, most recently active first
+   * @param {Object} [options] - {signal, timeout, retries}
+   * @returns {Promise<Object>} - data: [{session_id, platform, model,
+   *   os_version, location, last_seen_at, current, ...}]
+   */
+  async getSessions(options = {}) {
+    try {
+      this.updateToken();
+      if (!this.token) throw new AuthError("Not authenticated");
+
+      const { data, retries } = await this.send(
+        "/auth/sessions",
+        { method: "GET" },
+        options,
+        "Failed to load devices",
+      );
+      return {
+        success: true,
+        message: "Devices retrieved successfully",
+        data: data.data || [],
+        retries,
+      };
+    } catch (error) {
+      return this.handleError(error, "getSessions");
+    }
+  }
+
+  /**
+   * Sign another device out; its next request sends it to the login page
+   * @param {string} sessionId
+   * @param {Object} [options] - {signal, timeout, retries}
+   * @returns {Promise<Object>}
+   */
+  async revokeSession(sessionId, options = {}) {
+    try {
+      this.updateToken();
+      if (!this.token) throw new AuthError("Not authenticated");
+
+      const { retries } = await this.send(
+        `/auth/sessions/${encodeURIComponent(sessionId)}`,
+        { method: "DELETE" },
+        options,
+        "Failed to log out device",
+      );
+      return { success: true, message: "Device logged out", retries };
+    } catch (error) {
+      return this.handleError(error, "revokeSession");
+    }
+  }
+
+  /**
+   * End every session of this account, including this device's
+   * @param {Object} [options] - {signal, timeout, retries}
+   * @returns {Promise<Object>}
+   */
+  async logoutEverywhere(options = {}) {
+    try {
+      this.updateToken();
+      if (!this.token) throw new AuthError("Not authenticated");
+
+      const { retries } = await this.send(
+        "/auth/logout-all",
+        { method: "POST" },
+        options,
+        "Failed to log out all devices",
+      );
+      return {
+        success: true,
+        message: "Logged out of all devices",
+        retries,
+      };
+    } catch (error) {
+      return this.handleError(error, "logoutEverywhere");
+    }
+  }
+
+  // ===== ACCOUNT ROLES =====
+
+  /**
+   * Add a role to the signed-in account (a rider ordering as a customer)
+   * @param {string} role - "customer"
+   * @param {Object} [options] - {signal, timeout, retries}
+   * @returns {Promise<Object>} - data: the updated user, with `roles`
+   */
+  async addRole(role, options = {}) {
+    try {
+      this.updateToken();
+      if (!this.token) throw new AuthError("Not authenticated");
+
+      const { data, retries } = await this.send(
+        "/users/me/roles",
+        { method: "POST", body: JSON.stringify({ role }) },
+        options,
+        "Failed to add role",
+      );
+      return {
+        success: true,
+        message: data.message || "Role added",
+        data: data.data,
+        retries,
+      };
+    } catch (error) {
+      return this.handleError(error, "addRole");
+    }
+  }
+
   // ===== HEALTH CHECK =====
 
   /**
    * Check if backend is online
+   * @param {Object} [options] - {signal, timeout}
    * @returns {Promise<boolean>}
    */
-  async healthCheck() {
+  async healthCheck(options = {}) {
     try {
-      const response = await fetch(
+      const response = await this.fetchOnce(
         `${this.baseURL.replace("/api", "")}/health`,
+        {},
+        options.timeout ?? this.timeout,
+        options.signal,
       );
       return response.ok;
     } catch (error) {
-      console.error("❌ Backend health check failed");
+      apiLog.error("Backend health check failed");
       return false;
     }
   }
@@ -805,9 +1670,24 @@ class PasugoAPI {
 // Create global instance
 const pasugoAPI = new PasugoAPI();
 
+// Error classes for controllers (instanceof checks)
+Object.assign(window, {
+  PasugoApiError,
+  AuthError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  ValidationError,
+  RateLimitError,
+  ServerError,
+  NetworkError,
+  TimeoutError,
+  CancelledError,
+});
+
 // Export for use in modules
 if (typeof module !== "undefined" && module.exports) {
   module.exports = PasugoAPI;
 }
 
-console.log("✅ API module loaded. pasugoAPI is ready to use.");
+apiLog.debug("API module loaded. pasugoAPI is ready to use.");
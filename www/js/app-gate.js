@@ -0,0 +1,250 @@
+/**
+ * App Gate Module
+ * Blocks the app when the backend says this build is too old or the
+ * service is down for maintenance. The remote app config
+ * (GET /api/app-config) holds {min_version, maintenance, message,
+ * store_urls}; min_version is compared with PasugoConfig.APP_VERSION
+ * (config.xml's version).
+ *
+ * The splash screen waits for it before routing (whenOpen), and every page
+ * that loads it re-checks periodically and when the app is resumed, so an
+ * open app is stopped too. If the config can't be fetched nothing changes:
+ * being offline never blocks the app.
+ */
+
+const gateLog = PasugoLogger.scope("AppGate");
+
+class PasugoAppGate {
+  static CONFIG_PATH = "/api/app-config";
+  static CHECK_INTERVAL_MS = 5 * 60 * 1000;
+  // Shorter while blocked, so the app reopens soon after maintenance
+  static BLOCKED_CHECK_INTERVAL_MS = 30 * 1000;
+  static FETCH_TIMEOUT_MS = 5000;
+
+  static SCREENS = {
+    update: {
+      icon: "⬆️",
+      title: "Update required",
+      message:
+        "This version of Pasugo is no longer supported. Please update to continue.",
+      action: "Update now",
+    },
+    maintenance: {
+      icon: "🛠️",
+      title: "Under maintenance",
+      message:
+        "Pasugo is down for scheduled maintenance. Please try again shortly.",
+      action: "Try again",
+    },
+  };
+
+  // "update", "maintenance" or null when the app may be used
+  static state = null;
+  static config = null;
+
+  static _checking = null;
+  static _timer = null;
+  static _screen = null;
+  static _waiters = [];
+
+  // ===== VERSIONS =====
+
+  /**
+   * Compare dotted versions numerically ("1.10.0" > "1.9.2")
+   * @returns {number} - Negative, zero or positive, like a sort comparator
+   */
+  static compareVersions(a, b) {
+    const left = String(a).split(".");
+    const right = String(b).split(".");
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+      const diff = (parseInt(left[i], 10) || 0) - (parseInt(right[i], 10) || 0);
+      if (diff) return diff;
+    }
+    return 0;
+  }
+
+  /**
+   * What the config blocks this build with, or null
+   */
+  static blockFor(config, version = PasugoConfig.APP_VERSION) {
+    if (!config) return null;
+    if (config.maintenance) return "maintenance";
+    if (
+      config.min_version &&
+      this.compareVersions(version, config.min_version) < 0
+    ) {
+      return "update";
+    }
+    return null;
+  }
+
+  // ===== CHECKING =====
+
+  /**
+   * Fetch the app config and show or clear the block screen. Checks in
+   * flight are shared.
+   * @returns {Promise<string|null>} - The state afterwards
+   */
+  static check() {
+    if (!this._checking) {
+      this._checking = this._check().finally(() => {
+        this._checking = null;
+        this._schedule();
+      });
+    }
+    return this._checking;
+  }
+
+  static async _check() {
+    const config = await this.fetchConfig();
+    if (config) this._apply(this.blockFor(config), config);
+    return this.state;
+  }
+
+  /**
+   * The config's data, or null when it can't be fetched
+   */
+  static async fetchConfig() {
+    // AbortSignal.timeout() is missing from older Android WebViews
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.FETCH_TIMEOUT_MS);
+    try {
+      const response = await fetch(PasugoConfig.apiUrl(this.CONFIG_PATH), {
+        signal: controller.signal,
+      });
+      if (!response.ok) {
+        gateLog.warn(`App config returned ${response.status}`);
+        return null;
+      }
+      return (await response.json()).data || null;
+    } catch (error) {
+      gateLog.warn("App config unavailable:", error.message);
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Resolves once the app may be used; never while an update is required
+   */
+  static async whenOpen() {
+    if (this._checking) await this._checking;
+    if (!this.state) return;
+    await new Promise((resolve) => this._waiters.push(resolve));
+  }
+
+  static _apply(state, config) {
+    const changed = state !== this.state;
+    this.state = state;
+    this.config = config;
+    if (state) {
+      if (changed) gateLog.warn(`Blocked: ${state}`);
+      this._show(state, config);
+      return;
+    }
+    if (changed) gateLog.info("App open again");
+    this._hide();
+    this._waiters.splice(0).forEach((resolve) => resolve());
+  }
+
+  static _schedule() {
+    clearTimeout(this._timer);
+    this._timer = setTimeout(
+      () => this.check(),
+      this.state ? this.BLOCKED_CHECK_INTERVAL_MS : this.CHECK_INTERVAL_MS,
+    );
+  }
+
+  static start() {
+    // Cordova lifecycle: a build left open in the background checks again
+    document.addEventListener("resume", () => this.check());
+    this.check();
+  }
+
+  // ===== ACTIONS =====
+
+  /**
+   * The store page for this platform, from config.store_urls
+   */
+  static storeUrl() {
+    const platform = window.device?.platform?.toLowerCase();
+    return (platform && this.config?.store_urls?.[platform]) || null;
+  }
+
+  /**
+   * Open the store (config.xml's allow-intent hands https links to the
+   * system); the web build has no store and reloads to get the new files
+   */
+  static update() {
+    const url = this.storeUrl();
+    if (url) window.location.href = url;
+    else window.location.reload();
+  }
+
+  // ===== BLOCK SCREEN =====
+
+  static _show(state, config) {
+    if (this._screen?.state === state) {
+      this._setMessage(config);
+      return;
+    }
+    this._hide();
+    this._screen = { state, element: this._render(state) };
+    this._setMessage(config);
+  }
+
+  static _hide() {
+    this._screen?.element.remove();
+    this._screen = null;
+  }
+
+  static _setMessage(config) {
+    const message = this._screen.element.querySelector(".app-gate-message");
+    if (message) {
+      message.textContent =
+        config?.message || this.SCREENS[this._screen.state].message;
+    }
+  }
+
+  static _render(state) {
+    const copy = this.SCREENS[state];
+    const screen = document.createElement("div");
+    screen.className = "app-gate-screen";
+    screen.id = "appGateScreen";
+    screen.dataset.state = state;
+    screen.innerHTML = `
+      <div class="app-gate-card">
+        <div class="app-gate-icon"></div>
+        <h2 class="app-gate-title"></h2>
+        <p class="app-gate-message"></p>
+        <button class="app-gate-action" id="appGateAction"></button>
+      </div>
+    `;
+    document.body.appendChild(screen);
+
+    const action = screen.querySelector("#appGateAction");
+    if (!action) return screen;
+
+    screen.querySelector(".app-gate-icon").textContent = copy.icon;
+    screen.querySelector(".app-gate-title").textContent = copy.title;
+    action.textContent = copy.action;
+    action.addEventListener("click", () => {
+      if (state === "update") this.update();
+      else this.check();
+    });
+    return screen;
+  }
+}
+
+PasugoAppGate.start();
+
+// ============================================
+// EXPORT FOR EXTERNAL USE
+// ============================================
+
+window.PasugoAppGate = PasugoAppGate;
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PasugoAppGate;
+}
@@ -0,0 +1,434 @@
+/**
+ * App Lock Module
+ * Optional PIN, plus fingerprint/face unlock where the device has it,
+ * for the customer and rider dashboards. Once set, the app asks for it
+ * when it is reopened, after it has sat idle for the chosen time, and
+ * before sensitive actions (confirming a payment, changing GCash details).
+ *
+ * The PIN is kept as a salted PBKDF2 hash in PasugoSecureStore and is
+ * removed with the session on logout. The last activity time lives in
+ * sessionStorage, so a cold start always asks.
+ *
+ * Usage: if (!(await PasugoAppLock.reauthenticate("..."))) return;
+ * Load after auth.js.
+ */
+
+const lockLog = PasugoLogger.scope("AppLock");
+
+// ============================================
+// BIOMETRICS
+// ============================================
+
+/**
+ * cordova-plugin-fingerprint-aio (window.Fingerprint); absent in browsers
+ */
+class BiometricUnlock {
+  static isAvailable() {
+    if (!window.Fingerprint) return Promise.resolve(false);
+    return new Promise((resolve) => {
+      window.Fingerprint.isAvailable(
+        () => resolve(true),
+        () => resolve(false),
+      );
+    });
+  }
+
+  /**
+   * Show the system prompt
+   * @returns {Promise<boolean>} - false when cancelled or not recognised
+   */
+  static verify(description) {
+    return new Promise((resolve) => {
+      window.Fingerprint.show(
+        { title: "Unlock Pasugo", description, disableBackup: true },
+        () => resolve(true),
+        () => resolve(false),
+      );
+    });
+  }
+}
+
+// ============================================
+// APP LOCK
+// ============================================
+
+class PasugoAppLock {
+  static STORAGE_KEY = AuthTokenService.APP_LOCK_KEY;
+  static ACTIVE_KEY = "pasugo_lock_active_at";
+
+  static PIN_PATTERN = /^\d{4,6}$/;
+  static MAX_ATTEMPTS = 5;
+  static PBKDF2_ITERATIONS = 100000;
+  // Choices offered in settings; 0 asks every time the app is reopened
+  static LOCK_AFTER_OPTIONS = [0, 1, 5, 15];
+  static DEFAULT_LOCK_AFTER = 1;
+  static IDLE_CHECK_MS = 15000;
+  static ACTIVITY_WRITE_MS = 5000;
+
+  static _screen = null;
+  static _lastWrite = 0;
+
+  // ===== SETTINGS =====
+
+  static isEnabled() {
+    return !!this._config();
+  }
+
+  /**
+   * @returns {Object} - {enabled, lockAfterMinutes, biometric}
+   */
+  static getSettings() {
+    const config = this._config();
+    return {
+      enabled: !!config,
+      lockAfterMinutes: config
+        ? config.lockAfterMinutes
+        : this.DEFAULT_LOCK_AFTER,
+      biometric: !!config?.biometric,
+    };
+  }
+
+  static biometricAvailable() {
+    return BiometricUnlock.isAvailable();
+  }
+
+  /**
+   * Turn the lock on or change its settings. The PIN may be left out when
+   * the lock is already on to keep the current one.
+   * @param {Object} settings - {pin, lockAfterMinutes, biometric}
+   * @returns {Promise<Object>} - {success, message}
+   */
+  static async configure({ pin, lockAfterMinutes, biometric }) {
+    const current = this._config();
+    if ((pin || !current) && !this.PIN_PATTERN.test(pin || "")) {
+      return { success: false, message: "Choose a PIN of 4 to 6 digits" };
+    }
+    if (!this.LOCK_AFTER_OPTIONS.includes(lockAfterMinutes)) {
+      return { success: false, message: "Choose when the app should lock" };
+    }
+    if (typeof crypto === "undefined" || !crypto.subtle) {
+      return {
+        success: false,
+        message: "App lock is not supported on this device",
+      };
+    }
+
+    const config = { ...current, lockAfterMinutes, biometric: !!biometric };
+    if (pin) {
+      const salt = crypto.getRandomValues(new Uint8Array(16));
+      config.salt = this._toBase64(salt);
+      config.iterations = this.PBKDF2_ITERATIONS;
+      config.hash = await this._hash(pin, config.salt, config.iterations);
+      config.failures = 0;
+    }
+    this._save(config);
+    this._touch(true);
+    lockLog.info(current ? "App lock updated" : "App lock turned on");
+    return {
+      success: true,
+      message: current ? "App lock updated" : "App lock is on",
+    };
+  }
+
+  static disable() {
+    PasugoSecureStore.removeItem(this.STORAGE_KEY);
+    lockLog.info("App lock turned off");
+    return { success: true, message: "App lock is off" };
+  }
+
+  // ===== LOCKING =====
+
+  /**
+   * Cover the app until the PIN (or biometric) is given
+   * @returns {Promise<boolean>} - Resolves true once unlocked
+   */
+  static lock() {
+    if (!this.isEnabled()) return Promise.resolve(true);
+    sessionStorage.removeItem(this.ACTIVE_KEY);
+    return this._prompt({
+      title: "Pasugo is locked",
+      message: "Enter your PIN to continue",
+      cancellable: false,
+    });
+  }
+
+  /**
+   * Ask again before a sensitive action; always true when the lock is off
+   * @param {string} message - What the PIN is for
+   * @returns {Promise<boolean>} - false when the user cancels
+   */
+  static reauthenticate(message) {
+    if (!this.isEnabled()) return Promise.resolve(true);
+    return this._prompt({
+      title: "Confirm it's you",
+      message,
+      cancellable: true,
+    });
+  }
+
+  /**
+   * Check a PIN typed on the lock screen. Too many wrong PINs sign out.
+   * @returns {Promise<Object>} - {success, message}
+   */
+  static async submitPin(pin) {
+    const config = this._config();
+    if (!config) {
+      this._finish(true);
+      return { success: true, message: "App lock is off" };
+    }
+
+    const hash = await this._hash(
+      String(pin || ""),
+      config.salt,
+      config.iterations,
+    );
+    if (hash !== config.hash) {
+      const failures = (config.failures || 0) + 1;
+      if (failures >= this.MAX_ATTEMPTS) {
+        lockLog.warn("Too many wrong PINs, signing out");
+        this.signOut();
+        return { success: false, message: "Too many attempts. Signing out…" };
+      }
+      this._save({ ...config, failures });
+      const left = this.MAX_ATTEMPTS - failures;
+      return {
+        success: false,
+        message: `Wrong PIN. ${left} attempt${left === 1 ? "" : "s"} left.`,
+      };
+    }
+
+    if (config.failures) this._save({ ...config, failures: 0 });
+    this._finish(true);
+    return { success: true, message: "Unlocked" };
+  }
+
+  static async useBiometric() {
+    const config = this._config();
+    if (!config?.biometric || !(await BiometricUnlock.isAvailable())) {
+      return false;
+    }
+    const verified = await BiometricUnlock.verify(
+      this._screen?.message || "Unlock to continue",
+    );
+    if (verified) this._finish(true);
+    return verified;
+  }
+
+  /**
+   * Close a reauthenticate() prompt without confirming
+   */
+  static cancel() {
+    if (this._screen?.cancellable) this._finish(false);
+  }
+
+  /**
+   * Leave through a password login (forgotten PIN, too many attempts)
+   */
+  static signOut() {
+    window.auth.logout();
+  }
+
+  // ===== IDLE TRACKING =====
+
+  static start() {
+    ["pointerdown", "keydown", "touchstart"].forEach((type) => {
+      document.addEventListener(type, () => this._touch(), { passive: true });
+    });
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "visible") this._check(true);
+      else this._touch(true);
+    });
+    // Cordova lifecycle
+    document.addEventListener("pause", () => this._touch(true));
+    document.addEventListener("resume", () => this._check(true));
+
+    setInterval(() => {
+      if (document.visibilityState !== "hidden") this._check(false);
+    }, this.IDLE_CHECK_MS);
+    PasugoSecureStore.ready().then(() => this._check(false));
+  }
+
+  /**
+   * Whether the lock is due: always on a new app session (or a reload
+   * while locked), otherwise once idle for the chosen time. With "every
+   * time" the app only locks when it comes back to the foreground.
+   */
+  static isDue(onResume = false) {
+    const config = this._config();
+    if (!config) return false;
+    const activeAt = Number(sessionStorage.getItem(this.ACTIVE_KEY));
+    if (!activeAt) return true;
+    if (!config.lockAfterMinutes) return onResume;
+    return Date.now() - activeAt >= config.lockAfterMinutes * 60000;
+  }
+
+  static _check(onResume) {
+    if (this.isDue(onResume)) this.lock();
+  }
+
+  /**
+   * Record user activity (at most every few seconds unless forced)
+   */
+  static _touch(force = false) {
+    if (this._screen || !this.isEnabled()) return;
+    const now = Date.now();
+    if (!force && now - this._lastWrite < this.ACTIVITY_WRITE_MS) return;
+    this._lastWrite = now;
+    sessionStorage.setItem(this.ACTIVE_KEY, String(now));
+  }
+
+  // ===== LOCK SCREEN =====
+
+  static _prompt({ title, message, cancellable }) {
+    return new Promise((resolve) => {
+      if (this._screen) {
+        // A lock takes over an open confirmation; it can't be cancelled
+        this._screen.waiters.push(resolve);
+        if (!cancellable) this._setCancellable(false);
+        return;
+      }
+      this._screen = {
+        element: this._render(title, message),
+        message,
+        cancellable,
+        waiters: [resolve],
+      };
+      this._setCancellable(cancellable);
+      if (this._config().biometric) this.useBiometric();
+    });
+  }
+
+  static _finish(unlocked) {
+    const screen = this._screen;
+    if (!screen) return;
+    this._screen = null;
+    screen.element.remove();
+    if (unlocked) this._touch(true);
+    screen.waiters.forEach((resolve) => resolve(unlocked));
+  }
+
+  static _setCancellable(cancellable) {
+    this._screen.cancellable = cancellable;
+    const cancelBtn = this._screen.element.querySelector("#appLockCancel");
+    if (cancelBtn) cancelBtn.style.display = cancellable ? "" : "none";
+  }
+
+  static _render(title, message) {
+    const screen = document.createElement("div");
+    screen.className = "app-lock-screen";
+    screen.id = "appLockScreen";
+    screen.innerHTML = `
+      <div class="app-lock-card">
+        <div class="app-lock-icon"><i class="fa-solid fa-lock"></i></div>
+        <h2 class="app-lock-title"></h2>
+        <p class="app-lock-message"></p>
+        <input type="password" id="appLockPin" class="app-lock-input"
+          inputmode="numeric" maxlength="6" autocomplete="off"
+          placeholder="PIN" />
+        <p class="app-lock-error" id="appLockError"></p>
+        <button class="app-lock-submit" id="appLockSubmit">Unlock</button>
+        <button class="app-lock-link" id="appLockBiometric" style="display: none">
+          <i class="fa-solid fa-fingerprint"></i> Use fingerprint or face
+        </button>
+        <button class="app-lock-link" id="appLockCancel">Cancel</button>
+        <button class="app-lock-link" id="appLockSignOut">
+          Forgot PIN? Sign in again
+        </button>
+      </div>
+    `;
+    document.body.appendChild(screen);
+
+    const find = (selector) => screen.querySelector(selector);
+    const input = find("#appLockPin");
+    if (!input) return screen;
+
+    find(".app-lock-title").textContent = title;
+    find(".app-lock-message").textContent = message;
+    const submitBtn = find("#appLockSubmit");
+    const error = find("#appLockError");
+
+    const submit = async () => {
+      if (submitBtn.disabled) return;
+      submitBtn.disabled = true;
+      const result = await this.submitPin(input.value);
+      submitBtn.disabled = false;
+      if (!result.success) {
+        error.textContent = result.message;
+        input.value = "";
+        input.focus();
+      }
+    };
+    submitBtn.addEventListener("click", submit);
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") submit();
+    });
+    find("#appLockCancel").addEventListener("click", () => this.cancel());
+    find("#appLockSignOut").addEventListener("click", () => this.signOut());
+
+    const biometricBtn = find("#appLockBiometric");
+    biometricBtn.addEventListener("click", () => this.useBiometric());
+    if (this._config()?.biometric) {
+      BiometricUnlock.isAvailable().then((available) => {
+        if (available) biometricBtn.style.display = "";
+      });
+    }
+
+    input.focus();
+    return screen;
+  }
+
+  // ===== STORAGE =====
+
+  static _config() {
+    try {
+      return JSON.parse(PasugoSecureStore.getItem(this.STORAGE_KEY)) || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  static _save(config) {
+    PasugoSecureStore.setItem(this.STORAGE_KEY, JSON.stringify(config));
+  }
+
+  static async _hash(pin, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+      "raw",
+      new TextEncoder().encode(pin),
+      "PBKDF2",
+      false,
+      ["deriveBits"],
+    );
+    const bits = await crypto.subtle.deriveBits(
+      {
+        name: "PBKDF2",
+        hash: "SHA-256",
+        salt: this._fromBase64(salt),
+        iterations,
+      },
+      material,
+      256,
+    );
+    return this._toBase64(new Uint8Array(bits));
+  }
+
+  static _toBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+  }
+
+  static _fromBase64(text) {
+    return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+  }
+}
+
+PasugoAppLock.start();
+
+// ============================================
+// EXPORT FOR EXTERNAL USE
+// ============================================
+
+window.PasugoAppLock = PasugoAppLock;
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PasugoAppLock;
+}
@@ -4,165 +4,114 @@
  * Updated with OTP-based registration flow and role-based routing
  */
 
-// Use API_BASE_URL from main.js or define if not available
-const API_BASE_URL_AUTH =
-  window.API_BASE_URL ||
-  (typeof API_BASE_URL !== "undefined"
-    ? API_BASE_URL
-    : "https://pasugo.onrender.com");
+// Backend origin for the active environment (see config.js)
+const API_BASE_URL_AUTH = PasugoConfig.getApiBase();
+const authLog = PasugoLogger.scope("Auth");
 
 // ============================================
-// GLOBAL FETCH INTERCEPTOR – auto-refresh on 401
-// Wraps the native fetch so every call in the app
-// (dashboard-controller, rider-chat, etc.) gets
-// automatic token refresh without code changes.
+// SESSION ERRORS
 // ============================================
-(function installFetchInterceptor() {
-  const _originalFetch = window.fetch;
-  let _refreshing = null;
-
-  window.fetch = async function (input, init) {
-    let response = await _originalFetch.call(window, input, init);
-
-    // Only intercept 401s for our own API calls that carry a Bearer token
-    const url = typeof input === "string" ? input : input?.url || "";
-    const authHeader =
-      init?.headers?.Authorization ||
-      init?.headers?.authorization ||
-      (init?.headers instanceof Headers
-        ? init.headers.get("Authorization")
-        : "");
-
-    if (
-      response.status === 401 &&
-      authHeader &&
-      String(authHeader).startsWith("Bearer ") &&
-      url.includes("/api/")
-    ) {
-      // Avoid infinite loop – don't intercept the refresh call itself
-      if (url.includes("/api/auth/refresh")) return response;
-
-      try {
-        // Deduplicate concurrent refreshes
-        if (!_refreshing) {
-          _refreshing = (async () => {
-            const rt = localStorage.getItem("refresh_token");
-            if (!rt) throw new Error("No refresh token");
-
-            const rRes = await _originalFetch.call(
-              window,
-              `${API_BASE_URL_AUTH}/api/auth/refresh`,
-              {
-                method: "POST",
-                headers: { "Content-Type": "application/json" },
-                body: JSON.stringify({ refresh_token: rt }),
-              },
-            );
-
-            if (!rRes.ok) throw new Error("Refresh rejected");
-
-            const rData = await rRes.json();
-            localStorage.setItem("access_token", rData.data.access_token);
-            if (rData.data.refresh_token)
-              localStorage.setItem("refresh_token", rData.data.refresh_token);
-            return rData.data.access_token;
-          })();
-        }
-
-        const newToken = await _refreshing;
-        _refreshing = null;
-
-        // Retry original request with new token
-        const newInit = { ...init, headers: { ...init?.headers } };
-        if (newInit.headers instanceof Headers) {
-          newInit.headers.set("Authorization", `Bearer ${newToken}`);
-        } else {
-          newInit.headers.Authorization = `Bearer ${newToken}`;
-        }
-        response = await _originalFetch.call(window, input, newInit);
-      } catch (refreshErr) {
-        _refreshing = null;
-        console.warn("Auto-refresh failed:", refreshErr.message);
-        // Only redirect to login if we truly have no valid session
-        localStorage.removeItem("access_token");
-        localStorage.removeItem("refresh_token");
-        if (
-          !window.location.href.includes("login.html") &&
-          !window.location.href.includes("register.html") &&
-          !window.location.href.includes("index.html")
-        ) {
-          window.location.href = "login.html";
-        }
-      }
-    }
 
-    return response;
-  };
-})();
+/**
+ * The server rejected the session (or there was none to refresh)
+ * Tokens are already cleared when this is thrown
+ */
+class SessionExpiredError extends Error {
+  constructor(message = "Session expired") {
+    super(message);
+    this.name = "SessionExpiredError";
+    this.code = "session_expired";
+  }
+}
 
 // ============================================
 // TOKEN STORAGE SERVICE
 // ============================================
 
 class AuthTokenService {
-  // Keys for localStorage
+  // Keys in PasugoSecureStore (never plain localStorage)
   static ACCESS_TOKEN_KEY = "access_token";
   static REFRESH_TOKEN_KEY = "refresh_token";
   static USER_DATA_KEY = "user_data";
+  // App lock PIN (app-lock.js); it belongs to the session, so the next
+  // account on the device starts without one
+  static APP_LOCK_KEY = "app_lock";
 
   /**
-   * Save tokens to localStorage after login
+   * Save tokens to secure storage after login
    */
   static saveTokens(accessToken, refreshToken, userData) {
-    localStorage.setItem(this.ACCESS_TOKEN_KEY, accessToken);
-    localStorage.setItem(this.REFRESH_TOKEN_KEY, refreshToken);
-    localStorage.setItem(this.USER_DATA_KEY, JSON.stringify(userData));
+    PasugoSecureStore.setItem(this.ACCESS_TOKEN_KEY, accessToken);
+    PasugoSecureStore.setItem(this.REFRESH_TOKEN_KEY, refreshToken);
+    this.saveUserData(userData);
+    SessionManager.schedule();
   }
 
   /**
-   * Get access token from localStorage
+   * Get access token from secure storage
    */
   static getAccessToken() {
-    return localStorage.getItem(this.ACCESS_TOKEN_KEY);
+    return PasugoSecureStore.getItem(this.ACCESS_TOKEN_KEY);
   }
 
   /**
-   * Get refresh token from localStorage
+   * Get refresh token from secure storage
    */
   static getRefreshToken() {
-    return localStorage.getItem(this.REFRESH_TOKEN_KEY);
+    return PasugoSecureStore.getItem(this.REFRESH_TOKEN_KEY);
   }
 
   /**
-   * Get user data from localStorage
+   * Get user data from secure storage
    */
   static getUserData() {
-    const userData = localStorage.getItem(this.USER_DATA_KEY);
+    const userData = PasugoSecureStore.getItem(this.USER_DATA_KEY);
     return userData ? JSON.parse(userData) : null;
   }
 
+  /**
+   * Save user data. Profiles from the API carry the account's sign-up
+   * user_type, so a role switched to in this session is kept.
+   */
+  static saveUserData(userData) {
+    const current = this.getUserData();
+    if (
+      current &&
+      current.user_id === userData?.user_id &&
+      UserRoles.of(userData).includes(current.user_type)
+    ) {
+      userData = { ...userData, user_type: current.user_type };
+    }
+    PasugoSecureStore.setItem(this.USER_DATA_KEY, JSON.stringify(userData));
+  }
+
   /**
    * Update access token only (after refresh)
    */
   static updateAccessToken(accessToken) {
-    localStorage.setItem(this.ACCESS_TOKEN_KEY, accessToken);
+    PasugoSecureStore.setItem(this.ACCESS_TOKEN_KEY, accessToken);
   }
 
   /**
-   * Update both tokens (after refresh with rotation)
+   * Update tokens after a refresh; the refresh token only when rotated
    */
   static updateTokens(accessToken, refreshToken) {
-    localStorage.setItem(this.ACCESS_TOKEN_KEY, accessToken);
-    localStorage.setItem(this.REFRESH_TOKEN_KEY, refreshToken);
+    PasugoSecureStore.setItem(this.ACCESS_TOKEN_KEY, accessToken);
+    if (refreshToken) {
+      PasugoSecureStore.setItem(this.REFRESH_TOKEN_KEY, refreshToken);
+    }
   }
 
   /**
    * Clear all tokens (on logout)
    */
   static clearTokens() {
-    localStorage.removeItem(this.ACCESS_TOKEN_KEY);
-    localStorage.removeItem(this.REFRESH_TOKEN_KEY);
-    localStorage.removeItem(this.USER_DATA_KEY);
+    PasugoSecureStore.removeItem(this.ACCESS_TOKEN_KEY);
+    PasugoSecureStore.removeItem(this.REFRESH_TOKEN_KEY);
+    PasugoSecureStore.removeItem(this.USER_DATA_KEY);
+    PasugoSecureStore.removeItem(this.APP_LOCK_KEY);
+    SessionManager.stop();
+    window.PasugoCache?.clear();
   }
 
   /**
@@ -174,15 +123,218 @@ class AuthTokenService {
 }
 
 // ============================================
-// AUTO TOKEN REFRESH MANAGER
+// ACCOUNT ROLES
+// One account can hold several roles, e.g. a rider who also orders as a
+// customer. user_data.user_type is the role the app is acting as, and
+// picks the dashboard; user_data.roles lists every role the account has.
+// ============================================
+
+class UserRoles {
+  static DASHBOARDS = {
+    customer: "dashboard.html",
+    rider: "rider-dashboard.html",
+    admin: "admin-dashboard.html",
+  };
+
+  /**
+   * Handle Python enum format: "UserType.rider" -> "rider"
+   */
+  static normalize(role) {
+    if (!role) return null;
+    return role.includes(".") ? role.split(".")[1] : role;
+  }
+
+  /**
+   * Role the app is acting as
+   */
+  static active(user = AuthTokenService.getUserData()) {
+    return this.normalize(user?.user_type || user?.role);
+  }
+
+  /**
+   * Every role of the account; older API responses only have user_type
+   */
+  static of(user = AuthTokenService.getUserData()) {
+    if (!user) return [];
+    const roles = (user.roles || []).map((role) => this.normalize(role));
+    const active = this.active(user);
+    return active && !roles.includes(active) ? [active, ...roles] : roles;
+  }
+
+  static has(role, user = AuthTokenService.getUserData()) {
+    return this.of(user).includes(role);
+  }
+
+  static dashboardFor(role) {
+    return this.DASHBOARDS[role] || this.DASHBOARDS.customer;
+  }
+
+  /**
+   * Act as another of the account's roles and open its dashboard. Other
+   * tabs follow through session-sync's "role" event.
+   * @returns {Promise<boolean>} - false if the account lacks the role
+   */
+  static async switchTo(role) {
+    const user = AuthTokenService.getUserData();
+    if (!this.has(role, user)) {
+      authLog.warn(`Account has no ${role} role`);
+      return false;
+    }
+    authLog.info(`Switching to ${role} mode`);
+    PasugoSecureStore.setItem(
+      AuthTokenService.USER_DATA_KEY,
+      JSON.stringify({ ...user, user_type: role }),
+    );
+    await PasugoSecureStore.flush();
+    window.location.href = this.dashboardFor(role);
+    return true;
+  }
+}
+
+// ============================================
+// DEVICE INFO
+// Sent with every sign-in so the Devices list in the profile can tell the
+// user's sessions apart
+// ============================================
+
+class DeviceInfo {
+  // Random per-install id (not a secret); a repeat sign-in from the same
+  // device replaces its old session instead of adding one
+  static ID_KEY = "pasugo_device_id";
+
+  static id() {
+    let id = localStorage.getItem(this.ID_KEY);
+    if (!id) {
+      id = crypto.randomUUID
+        ? crypto.randomUUID()
+        : Math.random().toString(36).slice(2) + Date.now().toString(36);
+      localStorage.setItem(this.ID_KEY, id);
+    }
+    return id;
+  }
+
+  /**
+   * {device_id, platform, model, os_version} – from cordova-plugin-device
+   * in the app, from the user agent in a browser
+   */
+  static describe() {
+    const device = window.device;
+    if (device?.platform) {
+      return {
+        device_id: this.id(),
+        platform: device.platform,
+        model: [device.manufacturer, device.model].filter(Boolean).join(" "),
+        os_version: device.version || null,
+      };
+    }
+
+    const ua = navigator.userAgent || "";
+    const browser =
+      [
+        [/Edg\//, "Edge"],
+        [/Firefox\//, "Firefox"],
+        [/Chrome\//, "Chrome"],
+        [/Safari\//, "Safari"],
+      ].find(([pattern]) => pattern.test(ua))?.[1] || "Browser";
+    const os =
+      [
+        [/Android/, "Android"],
+        [/iPhone|iPad/, "iOS"],
+        [/Windows/, "Windows"],
+        [/Mac OS X/, "macOS"],
+        [/Linux/, "Linux"],
+      ].find(([pattern]) => pattern.test(ua))?.[1] || null;
+    return {
+      device_id: this.id(),
+      platform: "Web",
+      model: os ? `${browser} on ${os}` : browser,
+      os_version: null,
+    };
+  }
+
+  /**
+   * "Samsung SM-G991B · Android 13" for an entry of /api/auth/sessions
+   */
+  static label(session) {
+    const name = session.model || session.platform || "Unknown device";
+    return session.os_version
+      ? `${name} · ${session.platform} ${session.os_version}`
+      : name;
+  }
+}
+
+// ============================================
+// SESSION MANAGER
+// The one place that refreshes tokens, retries 401s and decides when a
+// session is over. The fetch interceptor, authenticatedFetch,
+// validateSession, the splash screen and the chat sockets all use it, so a
+// failure means the same thing everywhere:
+//   refresh rejected (401/403) or no refresh token → "expired", signed out
+//   network or server error                       → "offline", session kept
 // ============================================
 
-class TokenRefreshManager {
+class SessionManager {
   static isRefreshing = false;
   static refreshPromise = null;
 
+  // Refresh this long before the access token's exp claim
+  static REFRESH_LEAD_MS = 60 * 1000;
+  // Floor for the timer, so a short-lived token can't cause a refresh loop
+  static MIN_DELAY_MS = 5 * 1000;
+  // Next attempt after a scheduled refresh failed on the network
+  static RETRY_DELAY_MS = 30 * 1000;
+  static REFRESH_TIMEOUT_MS = 15 * 1000;
+  // Web Lock held while refreshing, so two tabs never spend the same
+  // (single-use) refresh token
+  static REFRESH_LOCK = "pasugo_token_refresh";
+
+  // Pages that stay put when the session ends (the user is signing in)
+  static AUTH_PAGES = ["login.html", "register.html", "index.html"];
+
+  // The unpatched fetch, so the refresh call never re-enters the interceptor
+  static nativeFetch = window.fetch;
+
+  static _timer = null;
+  static _leaving = false;
+  static _listeners = {
+    refreshed: new Set(),
+    expired: new Set(),
+    offline: new Set(),
+  };
+
+  // ===== EVENTS =====
+
+  /**
+   * Listen for session changes:
+   *   refreshed(accessToken) – a new token is stored; reconnect sockets with it
+   *   expired(reason)        – the session ended and tokens are cleared
+   *   offline(error)         – a refresh could not complete; session kept
+   * @returns {Function} - Unsubscribe
+   */
+  static on(event, listener) {
+    const listeners = this._listeners[event];
+    if (!listeners) throw new Error(`Unknown session event: ${event}`);
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  static _emit(event, detail) {
+    this._listeners[event].forEach((listener) => {
+      try {
+        listener(detail);
+      } catch (error) {
+        authLog.error(`Session "${event}" listener failed:`, error);
+      }
+    });
+  }
+
+  // ===== REFRESH =====
+
   /**
-   * Refresh the access token using refresh token
+   * Exchange the refresh token for a new access token (one call at a time)
+   * @returns {Promise<string>} - The new access token
+   * @throws {SessionExpiredError} - The session is over (already cleared)
+   * @throws {Error} - Network/server failure; the session is kept
    */
   static async refreshToken() {
     // If already refreshing, return the existing promise
@@ -191,79 +343,259 @@ class TokenRefreshManager {
     }
 
     this.isRefreshing = true;
+    const staleToken = AuthTokenService.getAccessToken();
 
-    this.refreshPromise = (async () => {
+    this.refreshPromise = this._exclusive(async () => {
       try {
-        const refreshToken = AuthTokenService.getRefreshToken();
+        // Another tab may have refreshed while this one waited for the lock
+        await PasugoSecureStore.reload([
+          AuthTokenService.ACCESS_TOKEN_KEY,
+          AuthTokenService.REFRESH_TOKEN_KEY,
+        ]);
+        const current = AuthTokenService.getAccessToken();
+        if (current && current !== staleToken) {
+          this.schedule();
+          return current;
+        }
 
+        const refreshToken = AuthTokenService.getRefreshToken();
         if (!refreshToken) {
-          throw new Error("No refresh token available");
+          throw this.expire("No refresh token available");
         }
 
         const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 15000);
-
-        const response = await fetch(`${API_BASE_URL_AUTH}/api/auth/refresh`, {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify({ refresh_token: refreshToken }),
-          signal: controller.signal,
-        });
-
-        clearTimeout(timeoutId);
+        const timeoutId = setTimeout(
+          () => controller.abort(),
+          this.REFRESH_TIMEOUT_MS,
+        );
+        let response;
+        try {
+          response = await this.nativeFetch.call(
+            window,
+            `${API_BASE_URL_AUTH}/api/auth/refresh`,
+            {
+              method: "POST",
+              headers: { "Content-Type": "application/json" },
+              body: JSON.stringify({ refresh_token: refreshToken }),
+              signal: controller.signal,
+            },
+          );
+        } finally {
+          clearTimeout(timeoutId);
+        }
 
-        // Only clear tokens on explicit auth rejection
+        // Only an explicit rejection ends the session
         if (response.status === 401 || response.status === 403) {
-          console.warn("Token refresh rejected by server – session expired");
-          AuthTokenService.clearTokens();
-          window.location.href = "login.html";
-          throw new Error("Session expired");
+          throw this.expire("Session expired");
         }
-
         if (!response.ok) {
           throw new Error(`Token refresh failed: ${response.status}`);
         }
 
-        const data = await response.json();
-
-        // Update tokens in storage
-        const newAccessToken = data.data.access_token;
-        const newRefreshToken = data.data.refresh_token;
-
-        AuthTokenService.updateTokens(newAccessToken, newRefreshToken);
-
-        return newAccessToken;
+        const { data } = await response.json();
+        AuthTokenService.updateTokens(data.access_token, data.refresh_token);
+        // Persist before releasing the lock, so the next tab reads these
+        await PasugoSecureStore.flush();
+        this.schedule();
+        this._emit("refreshed", data.access_token);
+        return data.access_token;
       } catch (error) {
-        // Don't clear tokens on network / timeout errors – keep session alive
-        if (
-          error.message === "Session expired" ||
-          error.message === "No refresh token available"
-        ) {
-          throw error;
+        if (!(error instanceof SessionExpiredError)) {
+          authLog.warn(
+            "Token refresh failed (keeping session):",
+            error.message,
+          );
+          this._emit("offline", error);
         }
-        console.warn(
-          "Token refresh network error (keeping session):",
-          error.message,
-        );
         throw error;
       } finally {
         this.isRefreshing = false;
         this.refreshPromise = null;
       }
-    })();
+    });
 
     return this.refreshPromise;
   }
+
+  static _exclusive(task) {
+    return navigator.locks
+      ? navigator.locks.request(this.REFRESH_LOCK, task)
+      : task();
+  }
+
+  /**
+   * End the session: clear tokens, notify listeners and go to login
+   * @returns {SessionExpiredError} - For the caller to throw
+   */
+  static expire(reason = "Session expired") {
+    authLog.warn(`Session ended: ${reason}`);
+    AuthTokenService.clearTokens();
+    this._emit("expired", reason);
+    this._leave();
+    return new SessionExpiredError(reason);
+  }
+
+  /**
+   * Another tab signed out; its logout already emptied the shared store
+   */
+  static endedElsewhere() {
+    this.stop();
+    window.PasugoCache?.clear();
+    this._emit("expired", "Signed out in another tab");
+    this._leave();
+  }
+
+  static isOnAuthPage() {
+    return this.AUTH_PAGES.some((page) => window.location.href.includes(page));
+  }
+
+  /**
+   * Go to login, once however many callers find the session gone. Pages
+   * with route-guard.js (every protected page) add ?redirect= so signing
+   * in again returns here.
+   */
+  static _leave() {
+    if (this._leaving || this.isOnAuthPage()) return;
+    this._leaving = true;
+    const RouteGuard = window.routeGuard?.RouteGuard;
+    if (RouteGuard) new RouteGuard().redirectToLogin();
+    else window.location.href = "login.html";
+  }
+
+  // ===== 401 RETRY =====
+
+  /**
+   * fetch() that refreshes once and retries when our API answers 401 to a
+   * Bearer call. Installed as window.fetch below. When the refresh fails
+   * the caller gets the original 401 (after expire() on a rejection).
+   */
+  static async fetch(input, init) {
+    const response = await this.nativeFetch.call(window, input, init);
+    if (response.status !== 401 || !this._isApiBearerCall(input, init)) {
+      return response;
+    }
+
+    let token;
+    try {
+      token = await this.refreshToken();
+    } catch (error) {
+      return response;
+    }
+
+    const headers = new Headers(init?.headers);
+    headers.set("Authorization", `Bearer ${token}`);
+    return this.nativeFetch.call(window, input, { ...init, headers });
+  }
+
+  static _isApiBearerCall(input, init) {
+    const url = typeof input === "string" ? input : input?.url || "";
+    // Avoid infinite loop – don't intercept the refresh call itself
+    if (!url.includes("/api/") || url.includes("/api/auth/refresh")) {
+      return false;
+    }
+    const authHeader = new Headers(init?.headers).get("Authorization") || "";
+    return authHeader.startsWith("Bearer ");
+  }
+
+  // ===== EXPIRY TRACKING =====
+
+  /**
+   * Expiry of a JWT in ms since epoch (null when it has no readable exp)
+   */
+  static getTokenExpiry(token) {
+    try {
+      const payload = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+      const padded = payload.padEnd(Math.ceil(payload.length / 4) * 4, "=");
+      const { exp } = JSON.parse(atob(padded));
+      return typeof exp === "number" ? exp * 1000 : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Arm the timer for the stored access token
+   * Opaque tokens without exp keep the refresh-on-401 behaviour only
+   */
+  static schedule(delay) {
+    this.stop();
+    const token = AuthTokenService.getAccessToken();
+    if (!token || !AuthTokenService.getRefreshToken()) return;
+
+    if (delay === undefined) {
+      const expiry = this.getTokenExpiry(token);
+      if (!expiry) return;
+      delay = Math.max(
+        expiry - this.REFRESH_LEAD_MS - Date.now(),
+        this.MIN_DELAY_MS,
+      );
+    }
+    authLog.debug(`Next token refresh in ${Math.round(delay / 1000)}s`);
+    this._timer = setTimeout(() => this._refreshOnSchedule(), delay);
+  }
+
+  static stop() {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  static async _refreshOnSchedule() {
+    this._timer = null;
+    try {
+      await this.refreshToken();
+    } catch (error) {
+      // An expired session is already signed out; retry anything else
+      if (!(error instanceof SessionExpiredError)) {
+        this.schedule(this.RETRY_DELAY_MS);
+      }
+    }
+  }
 }
 
+// ============================================
+// GLOBAL FETCH INTERCEPTOR – auto-refresh on 401
+// Wraps the native fetch so every call in the app
+// (dashboard-controller, rider-chat, etc.) gets
+// automatic token refresh without code changes.
+// ============================================
+
+window.fetch = (input, init) => SessionManager.fetch(input, init);
+
+// ============================================
+// CROSS-TAB SESSION EVENTS
+// Follow sign-in, logout, refreshes and role switches made in other tabs
+// (see session-sync.js)
+// ============================================
+
+PasugoSessionSync.on("logout", ({ key }) => {
+  if (key === AuthTokenService.ACCESS_TOKEN_KEY) {
+    SessionManager.endedElsewhere();
+  }
+});
+
+PasugoSessionSync.on("tokens", ({ key }) => {
+  if (key !== AuthTokenService.ACCESS_TOKEN_KEY) return;
+  // Signed in elsewhere: reloading the auth page forwards to the dashboard
+  if (SessionManager.isOnAuthPage()) {
+    window.location.reload();
+  } else {
+    SessionManager.schedule();
+  }
+});
+
+// Each dashboard serves one role; a reload re-runs the role routing below
+PasugoSessionSync.on("role", () => {
+  if (!SessionManager.isOnAuthPage()) window.location.reload();
+});
+
 // ============================================
 // AUTHENTICATED FETCH WRAPPER
 // ============================================
 
 /**
- * Make authenticated API requests with automatic token refresh
+ * Make an API request with the stored token
+ * 401s are refreshed and retried by the interceptor; this only turns an
+ * ended session into an error
  */
 async function authenticatedFetch(url, options = {}) {
   const token = AuthTokenService.getAccessToken();
@@ -272,31 +604,161 @@ async function authenticatedFetch(url, options = {}) {
     throw new Error("Not authenticated");
   }
 
-  // Add authorization header
-  const headers = {
-    ...options.headers,
-    Authorization: `Bearer ${token}`,
-  };
+  const response = await fetch(url, {
+    ...options,
+    headers: { ...options.headers, Authorization: `Bearer ${token}` },
+  });
 
-  // Make the request
-  let response = await fetch(url, { ...options, headers });
+  if (response.status === 401 && !AuthTokenService.isAuthenticated()) {
+    throw new SessionExpiredError("Session expired. Please login again.");
+  }
 
-  // If 401 (Unauthorized), try to refresh token
-  if (response.status === 401) {
-    try {
-      // Refresh the token
-      const newToken = await TokenRefreshManager.refreshToken();
+  return response;
+}
+
+// ============================================
+// OTP VERIFICATION UI
+// The 6-digit code step shared by registration and "Login with code"
+// ============================================
+
+// Philippine mobile numbers: 09XXXXXXXXX or +639XXXXXXXXX
+const PH_PHONE_PATTERN = /^(\+63|0)\d{9,10}$/;
+
+class OTPVerificationUI {
+  static RESEND_COOLDOWN_MS = 30 * 1000;
+
+  /**
+   * @param {Object} options
+   * @param {string} options.title - Heading, e.g. "Verify Your Email"
+   * @param {string} options.message - Where the code was sent
+   * @param {string} options.verifyLabel - Verify button text
+   * @param {Function} options.onVerify - async (otp); throw to show an error
+   * @param {Function} options.onResend - async (); throw to show an error
+   * @param {Function} options.onBack - Leave the code step
+   * @param {Function} options.onError - (message) shown by the owning form
+   */
+  constructor(options) {
+    this.options = options;
+    this.element = null;
+    this._isVerifying = false;
+  }
+
+  /**
+   * Add the code step to the container (once)
+   */
+  show(container) {
+    if (this.element) return;
+
+    const { title, message, verifyLabel } = this.options;
+    this.element = document.createElement("div");
+    this.element.id = "otpVerificationUI";
+    this.element.innerHTML = `
+      <div style="text-align: center; padding: 20px;">
+        <h2>${title}</h2>
+        <p style="color: #666; margin-bottom: 20px;">
+          ${message}
+        </p>
+        
+        <div class="form-group">
+          <input 
+            type="text" 
+            id="otpInput" 
+            maxlength="6" 
+            inputmode="numeric"
+            pattern="[0-9]*"
+            autocomplete="one-time-code"
+            placeholder="Enter OTP"
+            style="text-align: center; font-size: 24px; letter-spacing: 8px;"
+            required
+          />
+        </div>
+        
+        <button id="verifyOTPBtn" class="btn btn-primary">
+          ${verifyLabel}
+        </button>
+        
+        <div style="margin-top: 20px;">
+          <button id="resendOTPBtn" class="btn" style="background: transparent; color: var(--primary-black);">
+            Resend OTP
+          </button>
+        </div>
+        
+        <div style="margin-top: 15px;">
+          <button id="backToFormBtn" class="btn" style="background: transparent; color: #666;">
+            ← Back to form
+          </button>
+        </div>
+      </div>
+    `;
+
+    container.appendChild(this.element);
+
+    this.input = this.element.querySelector("#otpInput");
+    this.verifyBtn = this.element.querySelector("#verifyOTPBtn");
+    this.resendBtn = this.element.querySelector("#resendOTPBtn");
+
+    this.verifyBtn.addEventListener("click", () => this.verify());
+    this.resendBtn.addEventListener("click", () => this.resend());
+    this.element
+      .querySelector("#backToFormBtn")
+      .addEventListener("click", () => this.options.onBack());
+
+    // Auto-submit on 6 digits
+    this.input.addEventListener("input", (e) => {
+      if (e.target.value.length === 6) {
+        this.verify();
+      }
+    });
+    this.input.focus();
+  }
+
+  remove() {
+    clearTimeout(this._cooldownTimer);
+    this.element?.remove();
+    this.element = null;
+  }
+
+  async verify() {
+    // Guard against double submission (auto-submit + button click race)
+    if (this._isVerifying) return;
+
+    const otp = this.input.value.trim();
+    if (otp.length !== 6) {
+      this.options.onError("Please enter a valid 6-digit OTP");
+      return;
+    }
+
+    this._isVerifying = true;
+    this.verifyBtn.disabled = true;
+    this.verifyBtn.textContent = "Verifying...";
 
-      // Retry the original request with new token
-      headers.Authorization = `Bearer ${newToken}`;
-      response = await fetch(url, { ...options, headers });
+    try {
+      await this.options.onVerify(otp);
     } catch (error) {
-      // Refresh failed, user needs to login again
-      throw new Error("Session expired. Please login again.");
+      this.options.onError(error.message);
+      this.verifyBtn.disabled = false;
+      this.verifyBtn.textContent = this.options.verifyLabel;
+    } finally {
+      this._isVerifying = false;
     }
   }
 
-  return response;
+  async resend() {
+    this.resendBtn.disabled = true;
+    this.resendBtn.textContent = "Sending...";
+
+    try {
+      await this.options.onResend();
+      this._cooldownTimer = setTimeout(() => {
+        this.resendBtn.disabled = false;
+        this.resendBtn.textContent = "Resend OTP";
+      }, OTPVerificationUI.RESEND_COOLDOWN_MS);
+    } catch (error) {
+      this.options.onError(error.message);
+      this.resendBtn.disabled = false;
+      this.resendBtn.textContent = "Resend OTP";
+    }
+  }
 }
 
 // ============================================
@@ -308,6 +770,7 @@ class RegistrationForm {
     this.form = document.querySelector(formSelector);
     this.userType = userType;
     this._isRequestingOTP = false;
+    this.otpUI = null;
     this.setupFormListeners();
     this.setupDynamicFields();
   }
@@ -488,8 +951,7 @@ class RegistrationForm {
   }
 
   isValidPhone(phone) {
-    const phoneRegex = /^(\+63|0)\d{9,10}$/;
-    return phoneRegex.test(phone.replace(/\s|-/g, ""));
+    return PH_PHONE_PATTERN.test(phone.replace(/\s|-/g, ""));
   }
 
   isStrongPassword(password) {
@@ -576,7 +1038,7 @@ class RegistrationForm {
   async requestRegistrationOTP(email) {
     try {
       const payload = { email: email.trim().toLowerCase() };
-      console.log("📤 Sending OTP request with:", payload);
+      authLog.debug("Requesting registration OTP");
       
       const response = await fetch(
         `${API_BASE_URL_AUTH}/api/auth/register/request-otp`,
@@ -589,24 +1051,21 @@ class RegistrationForm {
 
       if (!response.ok) {
         const error = await response.json();
-        console.error("❌ OTP request failed:", error);
+        authLog.error("OTP request failed:", error);
         throw new Error(error.detail || error.message || "Failed to send OTP");
       }
 
       const data = await response.json();
-      console.log("✅ OTP request successful:", data);
+      authLog.debug("OTP request successful:", data);
       return data;
     } catch (error) {
-      console.error("Error in requestRegistrationOTP:", error);
+      authLog.error("Error in requestRegistrationOTP:", error);
       throw error;
     }
   }
 
   showOTPVerificationUI() {
-    const existingOTPUI = document.getElementById("otpVerificationUI");
-    if (existingOTPUI) {
-      return;
-    }
+    if (this.otpUI) return;
 
     // Hide the registration form
     const registerForm = document.getElementById("registerForm");
@@ -614,218 +1073,118 @@ class RegistrationForm {
       registerForm.style.display = "none";
     }
 
-    // Create OTP verification UI
-    const container = document.querySelector(".main-container");
-    const otpUI = document.createElement("div");
-    otpUI.id = "otpVerificationUI";
-    otpUI.innerHTML = `
-      <div style="text-align: center; padding: 20px;">
-        <h2>Verify Your Email</h2>
-        <p style="color: #666; margin-bottom: 20px;">
-          Enter the 6-digit code sent to your email
-        </p>
-        
-        <div class="form-group">
-          <input 
-            type="text" 
-            id="otpInput" 
-            maxlength="6" 
-            inputmode="numeric"
-            pattern="[0-9]*"
-            autocomplete="one-time-code"
-            placeholder="Enter OTP"
-            style="text-align: center; font-size: 24px; letter-spacing: 8px;"
-            required
-          />
-        </div>
-        
-        <button id="verifyOTPBtn" class="btn btn-primary">
-          Verify & Register
-        </button>
-        
-        <div style="margin-top: 20px;">
-          <button id="resendOTPBtn" class="btn" style="background: transparent; color: var(--primary-black);">
-            Resend OTP
-          </button>
-        </div>
-        
-        <div style="margin-top: 15px;">
-          <button id="backToFormBtn" class="btn" style="background: transparent; color: #666;">
-            ← Back to form
-          </button>
-        </div>
-      </div>
-    `;
-
-    container.appendChild(otpUI);
-
-    // Add event listeners
-    document
-      .getElementById("verifyOTPBtn")
-      .addEventListener("click", () => this.verifyOTPAndRegister());
-    document
-      .getElementById("resendOTPBtn")
-      .addEventListener("click", () => this.resendOTP());
-    document
-      .getElementById("backToFormBtn")
-      .addEventListener("click", () => this.backToForm());
-
-    // Auto-submit on 6 digits
-    document.getElementById("otpInput").addEventListener("input", (e) => {
-      if (e.target.value.length === 6) {
-        this.verifyOTPAndRegister();
-      }
+    const errorDiv = document.getElementById("errorMessage");
+    this.otpUI = new OTPVerificationUI({
+      title: "Verify Your Email",
+      message: "Enter the 6-digit code sent to your email",
+      verifyLabel: "Verify & Register",
+      onVerify: (otp) => this.verifyOTPAndRegister(otp),
+      onResend: () => this.resendOTP(),
+      onBack: () => this.backToForm(),
+      onError: (message) => this.showError(errorDiv, message),
     });
+    this.otpUI.show(document.querySelector(".main-container"));
   }
 
-  async verifyOTPAndRegister() {
-    // Guard against double submission (auto-submit + button click race)
-    if (this._isVerifyingOTP) return;
-    this._isVerifyingOTP = true;
-
-    const otpInput = document.getElementById("otpInput");
-    const verifyBtn = document.getElementById("verifyOTPBtn");
-    const errorDiv = document.getElementById("errorMessage");
+  async verifyOTPAndRegister(otp) {
     const successDiv = document.getElementById("successMessage");
 
-    const otp = otpInput.value.trim();
+    const formData = JSON.parse(sessionStorage.getItem("pendingRegistration"));
 
-    if (otp.length !== 6) {
-      this.showError(errorDiv, "Please enter a valid 6-digit OTP");
-      this._isVerifyingOTP = false;
-      return;
-    }
-
-    verifyBtn.disabled = true;
-    verifyBtn.textContent = "Verifying...";
-
-    try {
-      const formData = JSON.parse(
-        sessionStorage.getItem("pendingRegistration"),
+    if (!formData || !formData.email) {
+      throw new Error(
+        "Registration data not found. Please go back and fill the form again.",
       );
+    }
 
-      if (!formData || !formData.email) {
-        throw new Error(
-          "Registration data not found. Please go back and fill the form again.",
-        );
-      }
-
-      console.log(`📤 Verifying OTP: '${otp}' for email: ${formData.email}`);
-
-      // Prepare registration payload
-      const registrationData = {
-        email: formData.email,
-        otp: otp,
-        full_name: formData.full_name,
-        phone_number: formData.phone_number,
-        password: formData.password,
-        user_type: formData.user_type,
-        address: formData.address || "",
-      };
+    authLog.debug("Verifying registration OTP");
+
+    // Prepare registration payload
+    const registrationData = {
+      email: formData.email,
+      otp: otp,
+      full_name: formData.full_name,
+      phone_number: formData.phone_number,
+      password: formData.password,
+      user_type: formData.user_type,
+      address: formData.address || "",
+      device: DeviceInfo.describe(),
+    };
 
-      // Add rider-specific fields if registering as rider
-      if (formData.user_type === "rider") {
-        registrationData.id_number = formData.id_number;
-        registrationData.vehicle_type = formData.vehicle_type;
-        registrationData.vehicle_plate = formData.vehicle_plate;
-        registrationData.license_number = formData.license_number;
-        registrationData.service_zones = formData.service_zones;
-      }
+    // Add rider-specific fields if registering as rider
+    if (formData.user_type === "rider") {
+      registrationData.id_number = formData.id_number;
+      registrationData.vehicle_type = formData.vehicle_type;
+      registrationData.vehicle_plate = formData.vehicle_plate;
+      registrationData.license_number = formData.license_number;
+      registrationData.service_zones = formData.service_zones;
+    }
 
-      const response = await fetch(
-        `${API_BASE_URL_AUTH}/api/auth/register/verify-otp`,
-        {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify(registrationData),
-        },
-      );
+    const response = await fetch(
+      `${API_BASE_URL_AUTH}/api/auth/register/verify-otp`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(registrationData),
+      },
+    );
 
-      if (!response.ok) {
-        const errorData = await response.json();
-        // Handle Pydantic 422 validation errors (detail is an array)
-        let errorMsg = "OTP verification failed";
-        if (Array.isArray(errorData.detail)) {
-          errorMsg = errorData.detail
-            .map((e) => e.msg || e.message || JSON.stringify(e))
-            .join(", ");
-        } else if (typeof errorData.detail === "string") {
-          errorMsg = errorData.detail;
-        }
-        throw new Error(errorMsg);
+    if (!response.ok) {
+      const errorData = await response.json();
+      // Handle Pydantic 422 validation errors (detail is an array)
+      let errorMsg = "OTP verification failed";
+      if (Array.isArray(errorData.detail)) {
+        errorMsg = errorData.detail
+          .map((e) => e.msg || e.message || JSON.stringify(e))
+          .join(", ");
+      } else if (typeof errorData.detail === "string") {
+        errorMsg = errorData.detail;
       }
+      throw new Error(errorMsg);
+    }
 
-      const result = await response.json();
+    const result = await response.json();
 
-      // Clear stored form data
-      sessionStorage.removeItem("pendingRegistration");
+    // Clear stored form data
+    sessionStorage.removeItem("pendingRegistration");
 
-      this.showSuccess(
-        successDiv,
-        "Registration successful! Redirecting...",
-      );
+    this.showSuccess(successDiv, "Registration successful! Redirecting...");
 
-      setTimeout(() => {
-        if (formData.user_type === "rider") {
-          window.location.href = "rider-verification.html";
-        } else {
-          window.location.href = "login.html";
-        }
-      }, 2000);
-    } catch (error) {
-      this.showError(errorDiv, error.message);
-      verifyBtn.disabled = false;
-      verifyBtn.textContent = "Verify & Register";
-    } finally {
-      this._isVerifyingOTP = false;
-    }
+    setTimeout(() => {
+      if (formData.user_type === "rider") {
+        window.location.href = "rider-verification.html";
+      } else {
+        window.location.href = "login.html";
+      }
+    }, 2000);
   }
 
   async resendOTP() {
-    const resendBtn = document.getElementById("resendOTPBtn");
-    const errorDiv = document.getElementById("errorMessage");
     const successDiv = document.getElementById("successMessage");
+    const formData = JSON.parse(sessionStorage.getItem("pendingRegistration"));
 
-    resendBtn.disabled = true;
-    resendBtn.textContent = "Sending...";
-
-    try {
-      const formData = JSON.parse(
-        sessionStorage.getItem("pendingRegistration"),
-      );
-
-      const response = await fetch(`${API_BASE_URL_AUTH}/api/auth/otp/resend`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          email: formData.email,
-          otp_type: "registration",
-        }),
-      });
-
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.detail || "Failed to resend OTP");
-      }
-
-      this.showSuccess(successDiv, "New OTP sent to your email!");
+    const response = await fetch(`${API_BASE_URL_AUTH}/api/auth/otp/resend`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        email: formData.email,
+        otp_type: "registration",
+      }),
+    });
 
-      setTimeout(() => {
-        resendBtn.disabled = false;
-        resendBtn.textContent = "Resend OTP";
-      }, 30000); // Disable for 30 seconds
-    } catch (error) {
-      this.showError(errorDiv, error.message);
-      resendBtn.disabled = false;
-      resendBtn.textContent = "Resend OTP";
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.detail || "Failed to resend OTP");
     }
+
+    this.showSuccess(successDiv, "New OTP sent to your email!");
   }
 
   backToForm() {
-    const otpUI = document.getElementById("otpVerificationUI");
     const registerForm = document.getElementById("registerForm");
 
-    if (otpUI) otpUI.remove();
+    this.otpUI?.remove();
+    this.otpUI = null;
     if (registerForm) registerForm.style.display = "block";
 
     // Clear error/success messages
@@ -851,13 +1210,9 @@ class RegistrationForm {
       address: addressEl?.value.trim() || "",
     };
 
-    console.log("📝 Form Data Collected:", {
-      full_name: data.full_name ? "✓" : "✗ (empty)",
-      email: data.email ? data.email : "✗ (empty)",
-      phone_number: data.phone_number ? "✓" : "✗ (empty)",
-      password: data.password ? "✓" : "✗ (empty)",
+    authLog.debug("Form data collected:", {
       user_type: data.user_type,
-      address: data.address ? "✓" : "✗ (empty)",
+      missing: Object.keys(data).filter((key) => !data[key]),
     });
 
     // Add rider-specific fields if user type is rider
@@ -907,6 +1262,10 @@ class RegistrationForm {
 class LoginForm {
   constructor(formSelector) {
     this.form = document.querySelector(formSelector);
+    // "Login with code": phone number → SMS code, no password
+    this.codeForm = document.getElementById("codeLoginForm");
+    this.otpUI = null;
+    this.codePhone = null;
     this.setupFormListeners();
   }
 
@@ -917,6 +1276,34 @@ class LoginForm {
         field.addEventListener("blur", () => this.validateField(field));
       });
     }
+    if (this.codeForm) {
+      this.codeForm.addEventListener("submit", (e) =>
+        this.handleCodeRequest(e),
+      );
+    }
+    document.querySelectorAll("[data-login-mode]").forEach((link) => {
+      link.addEventListener("click", (e) => {
+        e.preventDefault();
+        this.setMode(link.dataset.loginMode);
+      });
+    });
+  }
+
+  /**
+   * Switch between the password form and "Login with code"
+   * @param {string} mode - "password" | "code"
+   */
+  setMode(mode) {
+    this.otpUI?.remove();
+    this.otpUI = null;
+    if (this.form) this.form.style.display = mode === "code" ? "none" : "";
+    if (this.codeForm) {
+      this.codeForm.style.display = mode === "code" ? "" : "none";
+    }
+    ["errorMessage", "successMessage"].forEach((id) => {
+      const element = document.getElementById(id);
+      if (element) element.style.display = "none";
+    });
   }
 
   validateField(field) {
@@ -987,6 +1374,7 @@ class LoginForm {
           email,
           password,
           remember_me: rememberMe,
+          device: DeviceInfo.describe(),
         }),
       });
 
@@ -996,58 +1384,213 @@ class LoginForm {
       }
 
       const result = await response.json();
-      const data = result.data;
-
-      // DEBUG: Log the entire response to see what we're getting
-      console.log("=== LOGIN DEBUG ===");
-      console.log("Full result:", result);
-      console.log("Data object:", data);
-      console.log("User object:", data.user);
-      console.log("User type from user_type:", data.user?.user_type);
-      console.log("User type from role:", data.user?.role);
-      console.log("==================");
-
-      // Store tokens and user data
-      AuthTokenService.saveTokens(
-        data.access_token,
-        data.refresh_token,
-        data.user,
-      );
+      await this.completeLogin(result.data);
+    } catch (error) {
+      this.showError(errorDiv, error.message);
+      submitBtn.disabled = false;
+      submitBtn.textContent = "Login";
+    }
+  }
 
-      this.showSuccess(successDiv, "Login successful! Redirecting...");
+  /**
+   * Store the issued tokens and go to the user's dashboard
+   * Shared by the password and code logins
+   */
+  async completeLogin(data) {
+    const successDiv = document.getElementById("successMessage");
 
+    // Admins with two-factor on finish signing in on the console's own form
+    if (data.mfa_required) {
+      this.showSuccess(
+        successDiv,
+        "Continue signing in from the admin console...",
+      );
       setTimeout(() => {
-        // Redirect based on user type
-        // Handle Python enum format: "UserType.rider" -> "rider"
-        let userType = data.user.user_type || data.user.role;
+        window.location.href = "admin-dashboard.html";
+      }, 1500);
+      return;
+    }
 
-        // Strip "UserType." prefix if present
-        if (userType && userType.includes(".")) {
-          userType = userType.split(".")[1];
-        }
+    authLog.info("Login successful", {
+      user_id: data.user?.user_id,
+      user_type: data.user?.user_type || data.user?.role,
+    });
 
-        console.log("Determined user type for redirect:", userType);
-        console.log(
-          "Checking condition userType === 'rider':",
-          userType === "rider",
-        );
+    // Store tokens and user data
+    AuthTokenService.saveTokens(
+      data.access_token,
+      data.refresh_token,
+      data.user,
+    );
+    await PasugoSecureStore.flush();
 
-        if (userType === "rider") {
-          console.log("REDIRECTING TO: rider-dashboard.html");
-          window.location.href = "rider-dashboard.html";
-        } else if (userType === "admin") {
-          console.log("REDIRECTING TO: admin-dashboard.html");
-          window.location.href = "admin-dashboard.html";
-        } else {
-          console.log("REDIRECTING TO: dashboard.html (customer)");
-          window.location.href = "dashboard.html"; // customer dashboard
-        }
-      }, 1500);
+    this.showSuccess(successDiv, "Login successful! Redirecting...");
+
+    setTimeout(() => {
+      // Back to the page that sent the user here (?redirect=), if allowed
+      const redirect = LoginForm.redirectTarget(data.user);
+      if (redirect) {
+        authLog.debug("Returning to", redirect);
+        window.location.href = redirect;
+        return;
+      }
+
+      // Redirect based on user type
+      // Handle Python enum format: "UserType.rider" -> "rider"
+      let userType = data.user.user_type || data.user.role;
+
+      // Strip "UserType." prefix if present
+      if (userType && userType.includes(".")) {
+        userType = userType.split(".")[1];
+      }
+
+      authLog.debug("Redirecting by user type:", userType);
+
+      if (userType === "rider") {
+        window.location.href = "rider-dashboard.html";
+      } else if (userType === "admin") {
+        window.location.href = "admin-dashboard.html";
+      } else {
+        window.location.href = "dashboard.html"; // customer dashboard
+      }
+    }, 1500);
+  }
+
+  /**
+   * The login page's ?redirect= target, when route-guard.js (loaded on
+   * login.html) allows it for this user's role
+   * @returns {string|null}
+   */
+  static redirectTarget(user) {
+    const RouteGuard = window.routeGuard?.RouteGuard;
+    if (!RouteGuard || !user) return null;
+    return new RouteGuard().getLoginRedirect({
+      ...user,
+      user_type: UserRoles.active(user),
+    });
+  }
+
+  // ===== LOGIN WITH CODE =====
+
+  async handleCodeRequest(e) {
+    e.preventDefault();
+
+    const errorDiv = document.getElementById("errorMessage");
+    const successDiv = document.getElementById("successMessage");
+    const submitBtn = this.codeForm.querySelector('button[type="submit"]');
+    const phone = document
+      .getElementById("loginPhone")
+      .value.replace(/\s|-/g, "");
+
+    if (errorDiv) errorDiv.style.display = "none";
+    if (successDiv) successDiv.style.display = "none";
+
+    if (!PH_PHONE_PATTERN.test(phone)) {
+      this.showError(errorDiv, "Please enter a valid phone number");
+      return;
+    }
+
+    submitBtn.disabled = true;
+    submitBtn.textContent = "Sending code...";
+
+    try {
+      const result = await this.requestLoginCode(phone);
+      this.codePhone = phone;
+
+      // Development backends return the code so it can be typed in
+      const otpCode = result?.data?.otp_code;
+      this.showSuccess(
+        successDiv,
+        otpCode
+          ? `Code sent to your phone! Your code is: ${otpCode}`
+          : "Code sent to your phone! Please check your messages.",
+      );
+      this.showCodeVerificationUI();
     } catch (error) {
       this.showError(errorDiv, error.message);
+    } finally {
       submitBtn.disabled = false;
-      submitBtn.textContent = "Login";
+      submitBtn.textContent = "Send Code";
+    }
+  }
+
+  async requestLoginCode(phone) {
+    authLog.debug("Requesting login code");
+    const response = await fetch(
+      `${API_BASE_URL_AUTH}/api/auth/login/request-otp`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ phone_number: phone }),
+      },
+    );
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.detail || "Failed to send code");
+    }
+    return response.json();
+  }
+
+  showCodeVerificationUI() {
+    if (this.otpUI) return;
+    this.codeForm.style.display = "none";
+
+    const errorDiv = document.getElementById("errorMessage");
+    this.otpUI = new OTPVerificationUI({
+      title: "Enter Your Code",
+      message: `Enter the 6-digit code sent to ${this.codePhone}`,
+      verifyLabel: "Verify & Sign In",
+      onVerify: (otp) => this.verifyLoginCode(otp),
+      onResend: () => this.resendLoginCode(),
+      onBack: () => this.setMode("code"),
+      onError: (message) => this.showError(errorDiv, message),
+    });
+    this.otpUI.show(document.querySelector(".main-container"));
+  }
+
+  async verifyLoginCode(otp) {
+    const rememberMe = document.getElementById("rememberMe")?.checked ?? true;
+    const response = await fetch(
+      `${API_BASE_URL_AUTH}/api/auth/login/verify-otp`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          phone_number: this.codePhone,
+          otp,
+          remember_me: rememberMe,
+          device: DeviceInfo.describe(),
+        }),
+      },
+    );
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.detail || "Code verification failed");
+    }
+
+    const result = await response.json();
+    await this.completeLogin(result.data);
+  }
+
+  async resendLoginCode() {
+    const successDiv = document.getElementById("successMessage");
+    const response = await fetch(`${API_BASE_URL_AUTH}/api/auth/otp/resend`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        phone_number: this.codePhone,
+        otp_type: "login",
+      }),
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.detail || "Failed to resend code");
     }
+
+    this.showSuccess(successDiv, "New code sent to your phone!");
   }
 
   showError(element, message) {
@@ -1075,11 +1618,35 @@ class LoginForm {
 /**
  * Logout user and clear all tokens
  */
-function logout() {
+async function logout() {
+  endServerSession();
   AuthTokenService.clearTokens();
+  await PasugoSecureStore.flush();
   window.location.href = "login.html";
 }
 
+/**
+ * Tell the API this device signed out, so it leaves the Devices list.
+ * Fire-and-forget: keepalive lets it finish after the page navigates away.
+ */
+function endServerSession() {
+  const accessToken = AuthTokenService.getAccessToken();
+  if (!accessToken) return;
+  SessionManager.nativeFetch
+    .call(window, `${API_BASE_URL_AUTH}/api/auth/logout`, {
+      method: "POST",
+      keepalive: true,
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${accessToken}`,
+      },
+      body: JSON.stringify({
+        refresh_token: AuthTokenService.getRefreshToken(),
+      }),
+    })
+    .catch(() => {});
+}
+
 /**
  * Get current user data from storage
  */
@@ -1115,7 +1682,7 @@ function requireLogin() {
  */
 async function validateSession() {
   if (!isUserLoggedIn()) {
-    console.log("Session validation: User not logged in");
+    authLog.debug("Session validation: User not logged in");
     return false;
   }
 
@@ -1138,56 +1705,37 @@ async function validateSession() {
 
     clearTimeout(timeoutId);
 
-    // Server explicitly rejected the token
+    // Still rejected after the interceptor's refresh: either the session
+    // expired (tokens cleared) or the refresh was offline (tokens kept)
     if (response.status === 401 || response.status === 403) {
-      console.log("Session validation: Token rejected, attempting refresh...");
-      try {
-        await TokenRefreshManager.refreshToken();
-        return true;
-      } catch (error) {
-        console.error("Session validation: Refresh failed:", error);
-        return false;
-      }
+      return AuthTokenService.isAuthenticated();
     }
 
     const data = await response.json();
 
     if (data.valid) {
-      console.log("Session validation: Token is valid");
+      authLog.debug("Session validation: Token is valid");
       // Update user data if needed
       if (data.data && data.data.user) {
         const currentUser = AuthTokenService.getUserData();
-        const updatedUser = { ...currentUser, ...data.data.user };
-        localStorage.setItem(
-          AuthTokenService.USER_DATA_KEY,
-          JSON.stringify(updatedUser),
-        );
+        AuthTokenService.saveUserData({ ...currentUser, ...data.data.user });
       }
       return true;
     } else {
       // Token invalid per server, try to refresh
-      console.log("Session validation: Token invalid, attempting refresh...");
+      authLog.debug("Session validation: Token invalid, attempting refresh...");
       try {
-        await TokenRefreshManager.refreshToken();
+        await SessionManager.refreshToken();
         return true;
       } catch (error) {
-        console.error("Session validation: Refresh failed:", error);
-        // Only return false if it was an explicit auth rejection
-        if (
-          error.message === "Session expired" ||
-          error.message === "No refresh token available"
-        ) {
-          return false;
-        }
-        // Network error – trust existing tokens
-        console.log("Session validation: Network error, trusting local tokens");
-        return true;
+        // Offline keeps the session, as it does everywhere else
+        return !(error instanceof SessionExpiredError);
       }
     }
   } catch (error) {
     // Network error / timeout – DON'T log the user out
     // Trust local tokens, they'll get validated on the next API call
-    console.warn(
+    authLog.warn(
       "Session validation: Network error, trusting local tokens:",
       error.message,
     );
@@ -1200,7 +1748,7 @@ async function validateSession() {
 // ============================================
 
 document.addEventListener("DOMContentLoaded", async () => {
-  console.log("Auth module: DOMContentLoaded event");
+  authLog.debug("DOMContentLoaded event");
 
   // Initialize registration form
   const registerForm = document.getElementById("registerForm");
@@ -1219,57 +1767,39 @@ document.addEventListener("DOMContentLoaded", async () => {
 
   // Get current page
   const currentPage = window.location.pathname.split("/").pop() || "index.html";
-  console.log("Auth module: Current page:", currentPage);
-
-  // Check authentication on protected pages
-  const protectedPages = [
-    "dashboard.html",
-    "rider-dashboard.html",
-    "admin-dashboard.html",
-    "profile.html",
-    "transactions.html",
-    "orders.html",
-  ];
-
-  if (protectedPages.some((page) => currentPage.includes(page))) {
-    console.log("Auth module: Protected page detected, validating session...");
-    // Validate session
-    const isValid = await validateSession();
+  authLog.debug("Current page:", currentPage);
 
-    if (!isValid) {
-      console.log("Auth module: Session invalid, redirecting to login");
-      window.location.href = "../pages/login.html";
-    } else {
-      console.log("Auth module: Session valid");
+  // Both checks below need the stored session
+  await PasugoSecureStore.ready();
 
-      // Check if user is on the correct dashboard
-      const user = getCurrentUser();
-      let userType = user?.user_type || user?.role;
+  // Check the session on protected pages: route-guard.js's
+  // RouteConfig.PROTECTED_ROUTES. Every protected page loads it
+  // (tests/unit/route-guard.test.js checks).
+  const routeGuard = window.routeGuard;
+  const capability = routeGuard?.RouteConfig.PROTECTED_ROUTES[currentPage];
 
-      // Strip "UserType." prefix if present
-      if (userType && userType.includes(".")) {
-        userType = userType.split(".")[1];
-      }
+  if (capability) {
+    authLog.debug("Protected page detected, validating session...");
+    const guard = new routeGuard.RouteGuard();
+
+    if (!(await validateSession())) {
+      authLog.debug("Session invalid, redirecting to login");
+      SessionManager._leave();
+    } else {
+      authLog.debug("Session valid");
 
+      // Another mode's dashboard, or a page the account can't use: go to
+      // the active role's own dashboard
+      const user = getCurrentUser();
+      const acting = { ...user, user_type: UserRoles.active(user) };
       if (
-        userType === "rider" &&
-        currentPage.includes("dashboard.html") &&
-        !currentPage.includes("rider-dashboard")
-      ) {
-        console.log("Auth module: Rider on customer dashboard, redirecting...");
-        window.location.href = "rider-dashboard.html";
-      } else if (
-        userType === "customer" &&
-        currentPage.includes("rider-dashboard")
-      ) {
-        console.log("Auth module: Customer on rider dashboard, redirecting...");
-        window.location.href = "dashboard.html";
-      } else if (
-        userType === "admin" &&
-        !currentPage.includes("admin-dashboard")
+        guard.isOtherRoleDashboard(acting, currentPage) ||
+        !guard.hasCapability(acting, capability)
       ) {
-        console.log("Auth module: Admin on wrong dashboard, redirecting...");
-        window.location.href = "admin-dashboard.html";
+        const dashboard = UserRoles.dashboardFor(acting.user_type);
+        authLog.debug(`Not for this account, redirecting to ${dashboard}`);
+        if (dashboard === currentPage) guard.redirectToUnauthorized();
+        else window.location.href = dashboard;
       }
     }
   }
@@ -1277,44 +1807,31 @@ document.addEventListener("DOMContentLoaded", async () => {
   // If on login/register page and already logged in, redirect to appropriate dashboard
   const authPages = ["login.html", "register.html", "rider-register.html"];
   if (authPages.some((page) => currentPage.includes(page))) {
-    console.log(
-      "Auth module: Auth page detected, checking if already logged in...",
+    authLog.debug(
+      "Auth page detected, checking if already logged in...",
     );
     if (isUserLoggedIn()) {
-      console.log("Auth module: User already logged in, validating...");
+      authLog.debug("User already logged in, validating...");
       const isValid = await validateSession();
       if (isValid) {
-        console.log("Auth module: Session valid, redirecting to dashboard");
+        authLog.debug("Session valid, redirecting to dashboard");
 
         const user = getCurrentUser();
-        let userType = user?.user_type || user?.role;
-
-        // Strip "UserType." prefix if present
-        if (userType && userType.includes(".")) {
-          userType = userType.split(".")[1];
-        }
-
-        let dashboardPath;
-        if (userType === "rider") {
-          dashboardPath = currentPage.includes("../")
-            ? "rider-dashboard.html"
-            : "../pages/rider-dashboard.html";
-        } else if (userType === "admin") {
-          dashboardPath = currentPage.includes("../")
-            ? "admin-dashboard.html"
-            : "../pages/admin-dashboard.html";
-        } else {
-          dashboardPath = currentPage.includes("../")
-            ? "dashboard.html"
-            : "../pages/dashboard.html";
-        }
-
-        window.location.href = dashboardPath;
+        const dashboardPath = UserRoles.dashboardFor(UserRoles.active(user));
+        window.location.href = LoginForm.redirectTarget(user) || dashboardPath;
       }
     }
   }
 });
 
+// Refresh ahead of expiry on every page with a session. Timers don't run
+// while the app is backgrounded, so re-check whenever it comes back.
+PasugoSecureStore.ready().then(() => SessionManager.schedule());
+document.addEventListener("visibilitychange", () => {
+  if (document.visibilityState === "visible") SessionManager.schedule();
+});
+document.addEventListener("resume", () => SessionManager.schedule());
+
 // ============================================
 // EXPORT FUNCTIONS FOR EXTERNAL USE
 // ============================================
@@ -1330,5 +1847,8 @@ window.auth = {
   RegistrationForm,
   LoginForm,
   AuthTokenService,
-  TokenRefreshManager,
+  SessionManager,
+  SessionExpiredError,
+  DeviceInfo,
+  UserRoles,
 };
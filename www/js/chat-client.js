@@ -0,0 +1,528 @@
+/**
+ * Chat Client Module
+ * The real-time chat core behind every chat UI. ChatClient owns the
+ * conversation (get-or-create by request, history over REST), the socket
+ * lifecycle (keepalive, reconnects, token refresh), the event protocol and
+ * the messages seen so far. What the user sees is left to a renderer, so
+ * the customer's request modal and the rider's chat panel draw the same
+ * conversation their own way.
+ *
+ * Renderer hooks (all optional):
+ *   clear()                        - before the history is drawn
+ *   renderMessage(message, isOwn)  - append a message
+ *   showSystem(text)               - append a system line
+ *   showTyping(isTyping)           - the other side's typing bubble
+ *   showReceipts(messageIds)       - own messages the other side has read
+ *   showUpload(active)             - an image is uploading
+ *   showStatus(status)             - one of ChatClient.STATUS
+ *   onNewMessage(message, isOwn)   - after a live message (badges, sounds)
+ */
+
+const chatLog = PasugoLogger.scope("Chat");
+
+class ChatClient {
+  static STATUS = {
+    CONNECTED: "connected", // our socket just opened
+    ONLINE: "online", // the other side is here
+    OFFLINE: "offline", // the other side left
+    TYPING: "typing",
+    RECONNECTING: "reconnecting",
+    LOST: "lost", // gave up reconnecting
+  };
+
+  static PING_INTERVAL_MS = 30000;
+  static RECONNECT_DELAY_MS = 2000;
+  static MAX_RECONNECTS = 5;
+  // Typing bursts stop after this much quiet, on both ends
+  static TYPING_IDLE_MS = 3000;
+  static TYPING_STATUS_MS = 3500;
+  static MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+  // Close codes that must not be retried: normal close, bad token, forbidden
+  static FINAL_CLOSE_CODES = [1000, 4001, 4003];
+
+  /**
+   * @param {Object} options
+   * @param {Object} options.renderer - Object implementing the renderer hooks
+   * @param {string} [options.greeting] - System line for an empty history
+   */
+  constructor({ renderer, greeting = "Start the conversation!" } = {}) {
+    this.renderer = renderer || {};
+    this.greeting = greeting;
+
+    this.requestId = null;
+    this.conversationId = null;
+    // message_id → message, in arrival order
+    this.messages = new Map();
+
+    this.ws = null;
+    this.isConnected = false;
+    this.reconnectAttempts = 0;
+    this.authRetried = false;
+    this.queue = []; // sends made while the socket was down
+
+    this._hasOpened = false;
+    this._pingInterval = null;
+    this._reconnectTimer = null;
+    this._typingTimeout = null;
+    this._typingStatusReset = null;
+    this._offRefreshed = null;
+  }
+
+  /**
+   * Whether a send would go out right now rather than be queued
+   */
+  get isOpen() {
+    return this.isConnected && this.ws?.readyState === WebSocket.OPEN;
+  }
+
+  // ===== CONVERSATION =====
+
+  /**
+   * Join the chat of a request: get or create its conversation, draw the
+   * history and go live
+   * @throws {Error} - When the conversation can't be opened
+   */
+  async connect(requestId) {
+    this.disconnect();
+    this.requestId = requestId;
+    // The server only checks ?token= on connect, so move to a new socket
+    // with each refreshed token before the old one lapses
+    this._offRefreshed = window.auth?.SessionManager.on("refreshed", () =>
+      this._reconnectWithFreshToken(),
+    );
+
+    const res = await this._fetch("/api/messages/conversations", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ request_id: requestId }),
+    });
+    if (!res.ok) {
+      const errData = await res.json().catch(() => ({}));
+      throw new Error(errData.detail || "Failed to get conversation");
+    }
+    const data = await res.json();
+    this.conversationId = data.data.conversation_id;
+    chatLog.debug(`Got conversation ${this.conversationId}`);
+
+    await this.loadHistory();
+    this._open();
+  }
+
+  /**
+   * Draw a conversation's history without joining it live
+   */
+  async view(conversationId) {
+    this.disconnect();
+    this.conversationId = conversationId;
+    await this.loadHistory();
+  }
+
+  /**
+   * Redraw the conversation from the server's history
+   */
+  async loadHistory() {
+    const messages = await this._fetchHistory();
+    if (!messages) return;
+
+    this.messages.clear();
+    this._call("clear");
+    if (!messages.length) this._call("showSystem", this.greeting);
+    messages.forEach((m) => this._store(m) && this._draw(m));
+    this._markUnread(messages);
+  }
+
+  /**
+   * Stop the live connection but keep the conversation on screen, e.g.
+   * once the request is finished
+   */
+  close() {
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+    clearInterval(this._pingInterval);
+    this.stopTyping();
+    if (this.ws) {
+      this.ws.onclose = null;
+      this.ws.close(1000);
+      this.ws = null;
+    }
+    this.isConnected = false;
+  }
+
+  /**
+   * Leave the conversation entirely
+   */
+  disconnect() {
+    this.close();
+    this._offRefreshed?.();
+    this._offRefreshed = null;
+    clearTimeout(this._typingStatusReset);
+    this.requestId = null;
+    this.conversationId = null;
+    this.messages.clear();
+    this.queue = [];
+    this.reconnectAttempts = 0;
+    this._hasOpened = false;
+  }
+
+  // ===== SENDING =====
+
+  /**
+   * Send a message; while the socket is down it is queued and sent on
+   * reconnect
+   * @param {string|Object} message - Text, or {content, message_type,
+   *   attachment_url, attachment_type}
+   */
+  send(message) {
+    const fields = typeof message === "string" ? { content: message } : message;
+    const content = fields.content?.trim();
+    if (!content && !fields.attachment_url) return;
+
+    this.stopTyping();
+    this._send({
+      event: "send_message",
+      message_type: "text",
+      ...fields,
+      content,
+    });
+  }
+
+  /**
+   * Upload an image and send it as a message
+   */
+  async sendImage(file) {
+    if (!file || !file.type.startsWith("image/")) {
+      this._call("showSystem", "Please select an image file.");
+      return;
+    }
+    if (file.size > ChatClient.MAX_IMAGE_BYTES) {
+      this._call("showSystem", "Image too large. Max 10MB.");
+      return;
+    }
+
+    this._call("showUpload", true);
+    try {
+      const formData = new FormData();
+      formData.append("file", file);
+      const res = await this._fetch("/api/uploads/image", {
+        method: "POST",
+        body: formData,
+      });
+      if (!res.ok) throw new Error("Upload failed");
+
+      const result = await res.json();
+      const imageUrl = result.data?.url;
+      if (!imageUrl) throw new Error("No URL returned");
+
+      this.send({
+        content: "📷 Photo",
+        message_type: "image",
+        attachment_url: imageUrl,
+        attachment_type: "image",
+      });
+    } catch (err) {
+      chatLog.error("Image upload error:", err);
+      this._call("showSystem", "Failed to send image. Please try again.");
+    } finally {
+      this._call("showUpload", false);
+    }
+  }
+
+  startTyping() {
+    if (!this.isOpen) return;
+    this._emit({ event: "typing_start" });
+    clearTimeout(this._typingTimeout);
+    this._typingTimeout = setTimeout(
+      () => this.stopTyping(),
+      ChatClient.TYPING_IDLE_MS,
+    );
+  }
+
+  stopTyping() {
+    if (!this._typingTimeout) return;
+    clearTimeout(this._typingTimeout);
+    this._typingTimeout = null;
+    if (this.isOpen) this._emit({ event: "typing_stop" });
+  }
+
+  markRead(ids) {
+    if (!this.isOpen || !ids?.length) return;
+    this._emit({ event: "mark_read", message_ids: ids });
+    ids.forEach((id) => {
+      const message = this.messages.get(id);
+      if (message) message.is_read = true;
+    });
+  }
+
+  // ===== SOCKET =====
+
+  _open() {
+    const token = PasugoSecureStore.getItem("access_token");
+    if (!token || !this.conversationId) return;
+
+    const ws = new WebSocket(
+      PasugoConfig.wsUrl(
+        `/api/messages/ws/${this.conversationId}?token=${token}`,
+      ),
+    );
+    this.ws = ws;
+
+    ws.onopen = () => {
+      chatLog.debug("WebSocket connected");
+      const reopened = this._hasOpened;
+      this.isConnected = true;
+      this._hasOpened = true;
+      this.reconnectAttempts = 0;
+      this.authRetried = false;
+      this._call("showStatus", ChatClient.STATUS.CONNECTED);
+
+      while (this.queue.length) this._emit(this.queue.shift());
+      clearInterval(this._pingInterval);
+      this._pingInterval = setInterval(
+        () => this._emit({ event: "ping" }),
+        ChatClient.PING_INTERVAL_MS,
+      );
+      // Messages sent while we were away never reached this socket
+      if (reopened) this._catchUp();
+      else this._markUnread([...this.messages.values()]);
+    };
+
+    ws.onmessage = (e) => {
+      try {
+        this._handleEvent(JSON.parse(e.data));
+      } catch (err) {
+        chatLog.error("parse error:", err);
+      }
+    };
+
+    ws.onclose = (e) => {
+      chatLog.debug("WS closed:", e.code);
+      this.isConnected = false;
+      clearInterval(this._pingInterval);
+      // Stale token: one refresh, whose "refreshed" event reconnects. A
+      // refresh that fails short of ending the session (e.g. offline)
+      // falls back to the usual retries
+      if (e.code === 4001 && !this.authRetried && window.auth) {
+        this.authRetried = true;
+        const { SessionManager, SessionExpiredError } = window.auth;
+        SessionManager.refreshToken().catch((error) => {
+          if (error instanceof SessionExpiredError) {
+            this._call("showStatus", ChatClient.STATUS.LOST);
+          } else {
+            this._scheduleReconnect();
+          }
+        });
+        return;
+      }
+      if (!ChatClient.FINAL_CLOSE_CODES.includes(e.code)) {
+        this._scheduleReconnect();
+      }
+    };
+
+    ws.onerror = (e) => chatLog.error("WS error:", e);
+  }
+
+  _reconnectWithFreshToken() {
+    if (!this.ws || !this.conversationId) return;
+    const stale = this.ws;
+    stale.onclose = null;
+    stale.close(1000, "Token refreshed");
+    clearInterval(this._pingInterval);
+    this.isConnected = false;
+    chatLog.debug("Reconnecting with refreshed token");
+    this._open();
+  }
+
+  _scheduleReconnect() {
+    if (this._reconnectTimer || !this.conversationId) return;
+    if (this.reconnectAttempts >= ChatClient.MAX_RECONNECTS) {
+      this._call("showStatus", ChatClient.STATUS.LOST);
+      return;
+    }
+    this.reconnectAttempts++;
+    this._call("showStatus", ChatClient.STATUS.RECONNECTING);
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+      this._open();
+    }, ChatClient.RECONNECT_DELAY_MS * this.reconnectAttempts);
+  }
+
+  _send(payload) {
+    if (this.isOpen) {
+      this._emit(payload);
+      return;
+    }
+    this.queue.push(payload);
+    if (!this.isConnected && this.ws?.readyState !== WebSocket.CONNECTING) {
+      this._scheduleReconnect();
+    }
+  }
+
+  _emit(payload) {
+    this.ws.send(JSON.stringify(payload));
+  }
+
+  // ===== EVENTS =====
+
+  _handleEvent(data) {
+    const STATUS = ChatClient.STATUS;
+    const fromOther = data.user_id !== this.userId();
+
+    switch (data.event) {
+      case "new_message":
+        this._receive(data);
+        break;
+      case "user_typing":
+        if (fromOther) this._showTyping(data.is_typing);
+        break;
+      case "messages_read":
+        data.message_ids?.forEach((id) => {
+          const message = this.messages.get(id);
+          if (message) message.is_read = true;
+        });
+        this._call("showReceipts", data.message_ids || []);
+        break;
+      case "user_joined":
+        if (fromOther) this._call("showStatus", STATUS.ONLINE);
+        break;
+      case "user_left":
+        if (fromOther) this._call("showStatus", STATUS.OFFLINE);
+        break;
+      case "pong":
+        break;
+      case "error":
+        chatLog.error("server error:", data.message);
+        break;
+      default:
+        chatLog.debug(`Ignoring unknown event ${data.event}`);
+    }
+  }
+
+  _receive(data) {
+    const { event, ...message } = data;
+    if (!this._store(message)) return;
+
+    const isOwn = message.sender_id === this.userId();
+    this._draw(message);
+    this._call("onNewMessage", message, isOwn);
+    if (!isOwn) this.markRead([message.message_id]);
+  }
+
+  _showTyping(isTyping) {
+    this._call("showTyping", Boolean(isTyping));
+    if (!isTyping) return;
+    this._call("showStatus", ChatClient.STATUS.TYPING);
+    clearTimeout(this._typingStatusReset);
+    this._typingStatusReset = setTimeout(
+      () => this._call("showStatus", ChatClient.STATUS.ONLINE),
+      ChatClient.TYPING_STATUS_MS,
+    );
+  }
+
+  // ===== MESSAGE STORE =====
+
+  /**
+   * Keep a message; false when it was already seen
+   */
+  _store(message) {
+    if (message.message_id == null) return true;
+    if (this.messages.has(message.message_id)) return false;
+    this.messages.set(message.message_id, message);
+    return true;
+  }
+
+  _draw(message) {
+    // A real message replaces the typing bubble
+    this._call("showTyping", false);
+    if (message.message_type === "system") {
+      this._call("showSystem", message.content);
+      return;
+    }
+    this._call("renderMessage", message, message.sender_id === this.userId());
+  }
+
+  /**
+   * Append whatever arrived while the socket was down
+   */
+  async _catchUp() {
+    const messages = await this._fetchHistory();
+    if (!messages) return;
+    const missed = messages.filter((m) => this._store(m));
+    missed.forEach((m) => {
+      this._draw(m);
+      this._call("onNewMessage", m, m.sender_id === this.userId());
+    });
+    this._markUnread(missed);
+  }
+
+  _markUnread(messages) {
+    const myId = this.userId();
+    this.markRead(
+      messages
+        .filter((m) => m.sender_id !== myId && !m.is_read)
+        .map((m) => m.message_id),
+    );
+  }
+
+  // ===== HELPERS =====
+
+  async _fetchHistory() {
+    const conversationId = this.conversationId;
+    if (!conversationId) return null;
+    try {
+      const res = await this._fetch(
+        `/api/messages/conversations/${conversationId}`,
+      );
+      // Left or switched conversations while loading
+      if (!res.ok || conversationId !== this.conversationId) return null;
+      const data = await res.json();
+      return data.data?.messages || [];
+    } catch (err) {
+      chatLog.error("loadHistory error:", err);
+      return null;
+    }
+  }
+
+  _fetch(path, options = {}) {
+    const token = PasugoSecureStore.getItem("access_token");
+    return fetch(PasugoConfig.apiUrl(path), {
+      ...options,
+      headers: { ...options.headers, Authorization: `Bearer ${token}` },
+    });
+  }
+
+  _call(hook, ...args) {
+    try {
+      this.renderer[hook]?.(...args);
+    } catch (err) {
+      chatLog.error(`Renderer ${hook} failed:`, err);
+    }
+  }
+
+  userId() {
+    try {
+      return JSON.parse(PasugoSecureStore.getItem("user_data") || "{}").user_id;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * HTML-escape text for a renderer's innerHTML
+   */
+  static escape(text) {
+    const d = document.createElement("div");
+    d.appendChild(document.createTextNode(String(text ?? "")));
+    return d.innerHTML;
+  }
+}
+
+// ============================================
+// EXPORT FOR EXTERNAL USE
+// ============================================
+
+window.ChatClient = ChatClient;
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ChatClient;
+}
@@ -5,14 +5,14 @@
  * This file shows how to integrate Cloudinary uploads in your Cordova app
  */
 
+const uploadLog = PasugoLogger.scope("Upload");
+
 // ============================================
 // CLOUDINARY UPLOAD SERVICE
 // ============================================
 
 class CloudinaryUploadService {
-  constructor(
-    apiBaseUrl = window.API_BASE_URL || "https://pasugo.onrender.com",
-  ) {
+  constructor(apiBaseUrl = PasugoConfig.getApiBase()) {
     this.apiBaseUrl = apiBaseUrl;
     this.maxFileSize = 10 * 1024 * 1024; // 10MB
   }
@@ -50,7 +50,8 @@ class CloudinaryUploadService {
 
       // Get authentication token
       const token =
-        window.auth?.getAccessToken?.() || localStorage.getItem("access_token");
+        window.auth?.getAccessToken?.() ||
+        PasugoSecureStore.getItem("access_token");
       if (!token) {
         throw new Error("Not authenticated. Please login first.");
       }
@@ -70,10 +71,10 @@ class CloudinaryUploadService {
       }
 
       const result = await response.json();
-      console.log(`✅ File uploaded: ${uploadType}`, result);
+      uploadLog.debug(`File uploaded: ${uploadType}`, result);
       return result;
     } catch (error) {
-      console.error(`❌ Upload error (${uploadType}):`, error);
+      uploadLog.error(`Upload error (${uploadType}):`, error);
       throw error;
     }
   }
@@ -117,7 +118,7 @@ class CloudinaryUploadService {
       const result = await response.json();
       return result.success;
     } catch (error) {
-      console.error("Health check failed:", error);
+      uploadLog.error("Health check failed:", error);
       return false;
     }
   }
@@ -179,21 +180,21 @@ async function handleRiderIdUpload(event) {
  */
 async function uploadBillPhotoForRequest(requestId, file) {
   try {
-    console.log(`Uploading bill photo for request ${requestId}...`);
+    uploadLog.debug(`Uploading bill photo for request ${requestId}...`);
 
     const uploadResult = await window.cloudinaryUploadService.uploadBillPhoto(
       file,
       requestId,
     );
 
-    console.log("✅ Bill photo uploaded:", uploadResult.data.url);
+    uploadLog.debug("Bill photo uploaded:", uploadResult.data.url);
 
     // Update UI with photo thumbnail
     displayBillPhotoThumbnail(uploadResult.data.url);
 
     return uploadResult.data.url;
   } catch (error) {
-    console.error("❌ Failed to upload bill photo:", error);
+    uploadLog.error("Failed to upload bill photo:", error);
     showNotification(`Failed to upload bill photo: ${error.message}`, "error");
     throw error;
   }
@@ -392,7 +393,7 @@ function setupFileInput(inputElement, maxSizeMB = 10) {
  * Show notification message
  */
 function showNotification(message, type = "info") {
-  console.log(`[${type.toUpperCase()}] ${message}`);
+  uploadLog.debug(`[${type.toUpperCase()}] ${message}`);
 
   // If you have a toast/notification library, use it here
   // Example: toast(message, type);
@@ -449,7 +450,7 @@ function capturePhotoFromCamera(uploadCallback) {
         .catch((err) => showNotification("Failed to process photo", "error"));
     },
     (error) => {
-      console.error("Camera error:", error);
+      uploadLog.error("Camera error:", error);
       showNotification("Failed to capture photo", "error");
     },
     {
@@ -482,7 +483,7 @@ function selectPhotoFromGallery(uploadCallback) {
         .catch((err) => showNotification("Failed to process image", "error"));
     },
     (error) => {
-      console.error("Gallery error:", error);
+      uploadLog.error("Gallery error:", error);
       showNotification("Failed to select image", "error");
     },
     {
@@ -523,7 +524,7 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   }
 
-  console.log("✅ Cloudinary upload service ready");
+  uploadLog.debug("Cloudinary upload service ready");
 });
 
 // ============================================
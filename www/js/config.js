@@ -0,0 +1,128 @@
+/**
+ * App Configuration Module
+ * Single source of truth for backend URLs across every page and module
+ * Environment is chosen at build time (BUILD_ENV) and can be overridden
+ * at runtime from the hidden settings screen (pages/dev-settings.html)
+ */
+
+// ============================================
+// ENVIRONMENT CONFIGURATION
+// ============================================
+
+class PasugoConfig {
+  // Rewritten by `npm run env:<name>` (scripts/set-env.js) before a build
+  static BUILD_ENV = "production";
+  // config.xml's version, copied in by scripts/sync-version.js on every
+  // `cordova prepare` (and by the env script)
+  static APP_VERSION = "1.0.0";
+
+  // localStorage keys for the runtime override
+  static ENV_OVERRIDE_KEY = "pasugo_env";
+  static LOCAL_API_OVERRIDE_KEY = "pasugo_local_api";
+
+  static ENVIRONMENTS = {
+    local: {
+      label: "Local",
+      apiBase: "http://localhost:8000",
+    },
+    staging: {
+      label: "Staging",
+      apiBase: "https://pasugo-staging.onrender.com",
+    },
+    production: {
+      label: "Production",
+      apiBase: "https://pasugo.onrender.com",
+    },
+  };
+
+  /**
+   * Name of the active environment (runtime override wins over build env)
+   */
+  static getEnvName() {
+    let override = null;
+    try {
+      override = localStorage.getItem(this.ENV_OVERRIDE_KEY);
+    } catch (e) {
+      /* storage unavailable */
+    }
+    if (override && this.ENVIRONMENTS[override]) return override;
+    return this.ENVIRONMENTS[this.BUILD_ENV] ? this.BUILD_ENV : "production";
+  }
+
+  /**
+   * Active environment definition
+   */
+  static getEnv() {
+    return this.ENVIRONMENTS[this.getEnvName()];
+  }
+
+  /**
+   * Backend origin without trailing slash, e.g. https://pasugo.onrender.com
+   */
+  static getApiBase() {
+    const name = this.getEnvName();
+    if (name === "local") {
+      try {
+        const custom = localStorage.getItem(this.LOCAL_API_OVERRIDE_KEY);
+        if (custom) return custom.replace(/\/+$/, "");
+      } catch (e) {
+        /* storage unavailable */
+      }
+    }
+    return this.ENVIRONMENTS[name].apiBase;
+  }
+
+  /**
+   * WebSocket origin derived from the API origin (http → ws, https → wss)
+   */
+  static getWsBase() {
+    return this.getApiBase().replace(/^http/, "ws");
+  }
+
+  /**
+   * Full URL for a REST path, e.g. apiUrl("/api/users/me")
+   */
+  static apiUrl(path = "") {
+    return `${this.getApiBase()}${path}`;
+  }
+
+  /**
+   * Full URL for a WebSocket path, e.g. wsUrl("/api/messages/ws/12")
+   */
+  static wsUrl(path = "") {
+    return `${this.getWsBase()}${path}`;
+  }
+
+  /**
+   * Switch environment at runtime (hidden settings screen)
+   * Pass null to fall back to the build environment
+   */
+  static setEnv(name, localApiBase = null) {
+    if (name && !this.ENVIRONMENTS[name]) {
+      throw new Error(`Unknown environment: ${name}`);
+    }
+    if (name) {
+      localStorage.setItem(this.ENV_OVERRIDE_KEY, name);
+    } else {
+      localStorage.removeItem(this.ENV_OVERRIDE_KEY);
+    }
+    if (localApiBase) {
+      localStorage.setItem(this.LOCAL_API_OVERRIDE_KEY, localApiBase);
+    } else {
+      localStorage.removeItem(this.LOCAL_API_OVERRIDE_KEY);
+    }
+  }
+}
+
+// Backwards-compatible global used by older modules (main.js, cloudinary-upload.js)
+window.API_BASE_URL = PasugoConfig.getApiBase();
+
+// ============================================
+// EXPORT FOR EXTERNAL USE
+// ============================================
+
+window.PasugoConfig = PasugoConfig;
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PasugoConfig;
+}
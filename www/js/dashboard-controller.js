@@ -3,9 +3,18 @@
  * Handles: Navigation, Panels, Notifications, Chat History, Order History, Rating
  */
 
-const API_BASE = window.API_BASE_URL || "https://pasugo.onrender.com";
+const API_BASE = PasugoConfig.getApiBase();
 
 class DashboardController {
+  // Hash path of each panel (router.js)
+  static PANEL_ROUTES = {
+    mapPanel: "/",
+    historyPanel: "/orders",
+    notificationsPanel: "/notifications",
+    profilePanel: "/profile",
+    chatHistoryPanel: "/chats",
+  };
+
   constructor() {
     this.currentPanel = "mapPanel";
     this.notifications = [];
@@ -14,12 +23,16 @@ class DashboardController {
     this.unreadCount = 0;
     this.notifPollInterval = null;
     this.orderFilter = "all";
+    this.router = null;
     this.init();
   }
 
   init() {
-    document.addEventListener("DOMContentLoaded", () => {
+    document.addEventListener("DOMContentLoaded", async () => {
+      // On a cold start the stored session is still loading
+      await PasugoSecureStore.ready();
       this._setupNavigation();
+      this._setupRouter();
       this._setupPanels();
       this._setupRating();
       this._setupProfile();
@@ -31,7 +44,7 @@ class DashboardController {
 
   // ═══════ AUTHENTICATION HELPER ═══════
   _getHeaders() {
-    const token = localStorage.getItem("access_token");
+    const token = PasugoSecureStore.getItem("access_token");
     return {
       "Content-Type": "application/json",
       Authorization: `Bearer ${token}`,
@@ -45,7 +58,7 @@ class DashboardController {
       tab.addEventListener("click", (e) => {
         e.preventDefault();
         const panelId = tab.dataset.panel;
-        if (panelId) this.showPanel(panelId, tab);
+        if (panelId) this.showPanel(panelId);
       });
     });
 
@@ -57,6 +70,9 @@ class DashboardController {
     this._bindClick("menuNotifications", () =>
       this.showPanel("notificationsPanel"),
     );
+    this._bindClick("menuDiagnostics", () =>
+      this.router.navigate("/diagnostics"),
+    );
     this._bindClick("menuLogout", () => this._logout());
 
     // Back buttons
@@ -86,7 +102,60 @@ class DashboardController {
     }
   }
 
-  showPanel(panelId, clickedTab = null) {
+  // ═══════ ROUTER ═══════
+  // Panels are router views, so Back returns to the previous panel and a
+  // link like dashboard.html#/orders opens one directly – without reloading
+  // the map or dropping the chat socket
+  _setupRouter() {
+    this.router = new PasugoRouter({ fallback: "/" });
+    const can = { historyPanel: "requests.create" };
+    Object.entries(DashboardController.PANEL_ROUTES).forEach(
+      ([panelId, path]) => {
+        this.router.route(path, {
+          can: can[panelId],
+          enter: () => this._renderPanel(panelId),
+        });
+      },
+    );
+    // Imported from diagnostics.html on first visit
+    this.router.route("/diagnostics", {
+      view: "diagnostics.html",
+      enter: ({ view }) => this._renderPanel(view.id),
+    });
+    // Deep links (deep-links.js): a request and its chat both open on the map
+    ["/requests/:id", "/chats/:id"].forEach((path) => {
+      this.router.route(path, {
+        can: "requests.create",
+        // Not awaited, so the lookup doesn't hold up other navigations
+        enter: ({ params }) => {
+          this._openRequest(Number(params.id));
+        },
+      });
+    });
+    this.router.beforeEach(window.routeGuard.viewGuard);
+    this.router.start();
+  }
+
+  async _openRequest(requestId) {
+    this._renderPanel("mapPanel");
+    if (await requestModalInstance?.openRequest(requestId)) return;
+    // Finished, not theirs, or another request is active. Leave the user
+    // where they are if they moved on while it loaded.
+    if (this.router.current?.params.id === String(requestId)) {
+      this.router.navigate("/orders", { replace: true });
+    }
+  }
+
+  /**
+   * Open a panel through the router (adds a history entry)
+   */
+  showPanel(panelId) {
+    const path = DashboardController.PANEL_ROUTES[panelId];
+    if (this.router && path) return this.router.navigate(path);
+    this._renderPanel(panelId);
+  }
+
+  _renderPanel(panelId) {
     // Hide all panels
     document
       .querySelectorAll(".app-panel")
@@ -118,18 +187,13 @@ class DashboardController {
     document
       .querySelectorAll(".nav-tab")
       .forEach((t) => t.classList.remove("active"));
-    if (clickedTab) {
-      clickedTab.classList.add("active");
-    } else {
-      // Find matching tab
-      const matchTab = document.querySelector(
-        `.nav-tab[data-panel="${panelId}"]`,
-      );
-      if (matchTab) matchTab.classList.add("active");
-      if (panelId === "mapPanel") {
-        const mapTab = document.getElementById("navMap");
-        if (mapTab) mapTab.classList.add("active");
-      }
+    const matchTab = document.querySelector(
+      `.nav-tab[data-panel="${panelId}"]`,
+    );
+    if (matchTab) matchTab.classList.add("active");
+    if (panelId === "mapPanel") {
+      const mapTab = document.getElementById("navMap");
+      if (mapTab) mapTab.classList.add("active");
     }
 
     this.currentPanel = panelId;
@@ -200,6 +264,22 @@ class DashboardController {
     );
     this._bindClick("savePrefsBtn", () => this._savePreferences());
 
+    // App lock modal
+    this._bindClick("profAppLock", () => {
+      this._loadAppLockSettings();
+      this._showModal("appLockOverlay");
+    });
+    this._bindClick("closeAppLockModal", () =>
+      this._hideModal("appLockOverlay"),
+    );
+    this._bindClick("saveAppLockBtn", () => this._saveAppLock());
+
+    // Devices
+    this._bindClick("profLogoutEverywhere", () => this._logoutEverywhere());
+
+    // Role switcher
+    this._bindClick("profSwitchRole", () => this._switchRole());
+
     // Address modal
     this._bindClick("profAddAddress", () => {
       this._resetAddressModal();
@@ -235,6 +315,7 @@ class DashboardController {
     [
       "changePasswordOverlay",
       "preferencesOverlay",
+      "appLockOverlay",
       "addAddressOverlay",
     ].forEach((id) => {
       const overlay = document.getElementById(id);
@@ -247,23 +328,24 @@ class DashboardController {
   }
 
   async _loadProfile() {
-    // Load from localStorage first (fast)
-    const userData = localStorage.getItem("user_data");
+    // Load from PasugoSecureStore first (fast)
+    const userData = PasugoSecureStore.getItem("user_data");
     if (userData) {
       const user = JSON.parse(userData);
       this._populateProfile(user);
     }
 
-    // Then fetch fresh data from API
+    // Then cached/fresh data from API (revalidates in the background)
+    const applyUser = (freshUser) => {
+      window.auth.AuthTokenService.saveUserData(freshUser);
+      this._populateProfile(window.auth.AuthTokenService.getUserData());
+    };
     try {
-      const res = await fetch(`${API_BASE}/api/users/me`, {
+      const { data } = await PasugoCache.getJSON(`${API_BASE}/api/users/me`, {
         headers: this._getHeaders(),
+        onUpdate: applyUser,
       });
-      if (res.ok) {
-        const freshUser = await res.json();
-        localStorage.setItem("user_data", JSON.stringify(freshUser));
-        this._populateProfile(freshUser);
-      }
+      applyUser(data);
     } catch (e) {
       /* use cached data */
     }
@@ -271,6 +353,9 @@ class DashboardController {
     // Load addresses
     this._loadAddresses();
 
+    // Signed-in devices
+    this._loadDevices();
+
     // Load quick stats
     this._loadProfileStats();
   }
@@ -322,28 +407,36 @@ class DashboardController {
     this._setText("profValPhone", user.phone_number || "—");
     this._setText("profValAddress", user.address || "—");
     this._setText("profValEmail", user.email || "—");
+
+    // Only accounts that also ride get the switcher
+    const roleSection = document.getElementById("profRoleSection");
+    if (roleSection) {
+      roleSection.style.display = window.auth.UserRoles.has("rider", user)
+        ? ""
+        : "none";
+    }
   }
 
   async _loadProfileStats() {
+    const renderStats = (data) => {
+      const orders = data.data || [];
+      const completed = orders.filter(
+        (o) => o.status === "completed" || o.status === "delivered",
+      );
+      const totalSpent = completed.reduce(
+        (sum, o) => sum + parseFloat(o.total_amount || 0),
+        0,
+      );
+
+      this._setText("profStatOrders", completed.length);
+      this._setText("profStatSpent", `₱${totalSpent.toFixed(0)}`);
+    };
     try {
-      const res = await fetch(
+      const { data } = await PasugoCache.getJSON(
         `${API_BASE}/api/requests/my-requests?page_size=999`,
-        { headers: this._getHeaders() },
+        { headers: this._getHeaders(), onUpdate: renderStats },
       );
-      if (res.ok) {
-        const data = await res.json();
-        const orders = data.data || [];
-        const completed = orders.filter(
-          (o) => o.status === "completed" || o.status === "delivered",
-        );
-        const totalSpent = completed.reduce(
-          (sum, o) => sum + parseFloat(o.total_amount || 0),
-          0,
-        );
-
-        this._setText("profStatOrders", completed.length);
-        this._setText("profStatSpent", `₱${totalSpent.toFixed(0)}`);
-      }
+      renderStats(data);
     } catch (e) {
       /* silent */
     }
@@ -369,7 +462,7 @@ class DashboardController {
     const formData = new FormData();
     formData.append("file", file);
 
-    const token = localStorage.getItem("access_token");
+    const token = PasugoSecureStore.getItem("access_token");
     try {
       this._profToast("Uploading photo...");
       const res = await fetch(`${API_BASE}/api/uploads/profile-photo`, {
@@ -386,10 +479,11 @@ class DashboardController {
           img.style.display = "";
         }
         if (placeholder) placeholder.style.display = "none";
-        // Update localStorage
-        const ud = JSON.parse(localStorage.getItem("user_data") || "{}");
+        // Update the stored user data
+        const ud = JSON.parse(PasugoSecureStore.getItem("user_data") || "{}");
         ud.profile_photo_url = data.data.url;
-        localStorage.setItem("user_data", JSON.stringify(ud));
+        PasugoSecureStore.setItem("user_data", JSON.stringify(ud));
+        PasugoCache.invalidate("/api/users/me");
         this._profToast("Photo updated!");
       } else {
         this._profToast("Upload failed");
@@ -474,10 +568,11 @@ class DashboardController {
       });
       const data = await res.json();
       if (data.success) {
-        // Update localStorage
-        const ud = JSON.parse(localStorage.getItem("user_data") || "{}");
+        // Update the stored user data
+        const ud = JSON.parse(PasugoSecureStore.getItem("user_data") || "{}");
         Object.assign(ud, body);
-        localStorage.setItem("user_data", JSON.stringify(ud));
+        PasugoSecureStore.setItem("user_data", JSON.stringify(ud));
+        PasugoCache.invalidate("/api/users/me");
 
         // Update display values & hide inputs
         if (body.full_name) {
@@ -682,6 +777,70 @@ class DashboardController {
     }
   }
 
+  // ── Devices ──
+  async _loadDevices() {
+    const container = document.getElementById("profDeviceList");
+    if (!container) return;
+
+    const result = await pasugoAPI.getSessions();
+    if (!result.success) {
+      container.innerHTML =
+        '<div class="prof-empty-mini">Could not load devices</div>';
+      return;
+    }
+    container.innerHTML = result.data
+      .map((s) => {
+        const icon = s.platform === "Web" ? "fa-desktop" : "fa-mobile-screen";
+        const seen = s.current
+          ? "Active now"
+          : `Last active: ${this._timeAgo(s.last_seen_at)}`;
+        return `
+        <div class="prof-address-card" data-session-id="${this._escHtml(s.session_id)}">
+          <div class="prof-address-icon"><i class="fa-solid ${icon}"></i></div>
+          <div class="prof-address-body">
+            <div class="prof-address-label">${this._escHtml(window.auth.DeviceInfo.label(s))}</div>
+            <div class="prof-address-text">${this._escHtml(s.location || "Unknown location")} · ${seen}</div>
+            ${s.current ? '<div class="prof-address-default">This device</div>' : ""}
+          </div>
+          ${
+            s.current
+              ? ""
+              : `<div class="prof-address-actions">
+                  <button class="danger" title="Log out this device" onclick="window.dashCtrl._revokeDevice('${this._escHtml(s.session_id)}')"><i class="fa-solid fa-right-from-bracket"></i></button>
+                </div>`
+          }
+        </div>`;
+      })
+      .join("");
+  }
+
+  async _revokeDevice(sessionId) {
+    if (!confirm("Log out this device?")) return;
+    const result = await pasugoAPI.revokeSession(sessionId);
+    this._profToast(result.message);
+    if (result.success) this._loadDevices();
+  }
+
+  async _logoutEverywhere() {
+    if (!confirm("Log out of Pasugo on every device, including this one?")) {
+      return;
+    }
+    const result = await pasugoAPI.logoutEverywhere();
+    if (!result.success) {
+      this._profToast(result.message);
+      return;
+    }
+    if (this.notifPollInterval) clearInterval(this.notifPollInterval);
+    window.auth.logout();
+  }
+
+  // ── Role Switch ──
+  async _switchRole() {
+    // An active request stays saved and resumes on the way back
+    if (this.notifPollInterval) clearInterval(this.notifPollInterval);
+    await window.auth.UserRoles.switchTo("rider");
+  }
+
   // ── Change Password ──
   async _submitPasswordChange() {
     const current = document.getElementById("currentPasswordInput").value;
@@ -750,6 +909,62 @@ class DashboardController {
     this._profToast("Preferences saved!");
   }
 
+  // ── App Lock ──
+  async _loadAppLockSettings() {
+    const settings = PasugoAppLock.getSettings();
+    const enabled = document.getElementById("appLockEnabled");
+    const timeout = document.getElementById("appLockTimeout");
+    const biometric = document.getElementById("settingsAppLockBiometric");
+    const pin = document.getElementById("appLockPinInput");
+    const confirmPin = document.getElementById("appLockConfirmInput");
+    if (enabled) enabled.checked = settings.enabled;
+    if (timeout) timeout.value = String(settings.lockAfterMinutes);
+    if (biometric) biometric.checked = settings.biometric;
+    if (pin) {
+      pin.value = "";
+      pin.placeholder = settings.enabled
+        ? "Leave blank to keep your PIN"
+        : "4 to 6 digits";
+    }
+    if (confirmPin) confirmPin.value = "";
+
+    const available = await PasugoAppLock.biometricAvailable();
+    const row = document.getElementById("settingsAppLockBiometricRow");
+    if (row) row.style.display = available ? "" : "none";
+  }
+
+  async _saveAppLock() {
+    const enabled = document.getElementById("appLockEnabled")?.checked;
+    const pin = document.getElementById("appLockPinInput")?.value.trim() || "";
+    const confirmPin =
+      document.getElementById("appLockConfirmInput")?.value.trim() || "";
+    if (pin !== confirmPin) {
+      this._profToast("PINs don't match");
+      return;
+    }
+
+    // Changing or turning off an existing lock needs the current PIN
+    if (
+      PasugoAppLock.isEnabled() &&
+      !(await PasugoAppLock.reauthenticate("Enter your current PIN"))
+    ) {
+      return;
+    }
+
+    const result = enabled
+      ? await PasugoAppLock.configure({
+          pin,
+          lockAfterMinutes: Number(
+            document.getElementById("appLockTimeout")?.value,
+          ),
+          biometric: document.getElementById("settingsAppLockBiometric")
+            ?.checked,
+        })
+      : PasugoAppLock.disable();
+    if (result.success) this._hideModal("appLockOverlay");
+    this._profToast(result.message);
+  }
+
   // ── Modal Helpers ──
   _showModal(id) {
     const el = document.getElementById(id);
@@ -918,18 +1133,8 @@ class DashboardController {
     const container = document.getElementById("orderList");
     if (!container) return;
 
-    container.innerHTML =
-      '<div class="page-loader"><div class="spinner"></div><span>Loading orders...</span></div>';
-
-    try {
-      const res = await fetch(
-        `${API_BASE}/api/requests/my-requests?page_size=50`,
-        {
-          headers: this._getHeaders(),
-        },
-      );
-      const data = await res.json();
-
+    const url = `${API_BASE}/api/requests/my-requests?page_size=50`;
+    const showOrders = (data) => {
       if (data.success && data.data) {
         this.orders = data.data;
         this._renderOrders();
@@ -937,6 +1142,20 @@ class DashboardController {
         container.innerHTML =
           '<div class="empty-state"><i class="fa-solid fa-box-open"></i><h3>No orders yet</h3><p>Your order history will appear here</p></div>';
       }
+    };
+
+    // Spinner only when there's nothing cached to show
+    if (!PasugoCache.get(PasugoCache.pathOf(url))) {
+      container.innerHTML =
+        '<div class="page-loader"><div class="spinner"></div><span>Loading orders...</span></div>';
+    }
+
+    try {
+      const { data } = await PasugoCache.getJSON(url, {
+        headers: this._getHeaders(),
+        onUpdate: showOrders,
+      });
+      showOrders(data);
     } catch (e) {
       container.innerHTML =
         '<div class="empty-state"><i class="fa-solid fa-exclamation-circle"></i><h3>Error loading</h3><p>Please try again</p></div>';
@@ -1078,19 +1297,7 @@ class DashboardController {
     container.querySelectorAll(".conversation-item").forEach((item) => {
       item.addEventListener("click", () => {
         const requestId = item.dataset.requestId;
-        if (requestId) {
-          // Navigate back to map and open chat modal if there's an active request
-          this.showPanel("mapPanel");
-          // Store and trigger chat reopening
-          localStorage.setItem("open_chat_request_id", requestId);
-          // If request modal exists and has reconnect capability
-          if (
-            window.requestModalInstance &&
-            typeof window.requestModalInstance.reconnectToRequest === "function"
-          ) {
-            window.requestModalInstance.reconnectToRequest(parseInt(requestId));
-          }
-        }
+        if (requestId) this.router.navigate(`/chats/${requestId}`);
       });
     });
   }
@@ -1235,6 +1442,7 @@ class DashboardController {
       const data = await res.json();
 
       if (data.success) {
+        PasugoCache.invalidate("/api/requests");
         this._hideRatingModal();
         this._showToast("Rating submitted! Thank you!", "success");
       } else {
@@ -1260,9 +1468,12 @@ class DashboardController {
       if (window.auth && window.auth.logout) {
         window.auth.logout();
       } else {
+        PasugoSecureStore.clear();
         localStorage.clear();
         sessionStorage.clear();
-        window.location.href = "login.html";
+        PasugoSecureStore.flush().finally(() => {
+          window.location.href = "login.html";
+        });
       }
     }
   }
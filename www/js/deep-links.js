@@ -0,0 +1,199 @@
+/**
+ * Deep links into the app
+ * pasugo://request/12, pasugo://chat/12, pasugo://notifications and
+ * pasugo://rider/verification. Cordova hands pasugo:// links to
+ * handleOpenURL (cordova-plugin-customurlscheme); on the web the host
+ * sends https://<app>/request/12 to index.html?link=/request/12.
+ *
+ * A link is kept in sessionStorage until it is opened, so it survives the
+ * splash screen and signing in. Requests and chats open as views of the
+ * user's dashboard (#/requests/12 – see router.js), after the same
+ * RouteGuard capability check as typing the page's address.
+ */
+
+const linkLog = PasugoLogger.scope("DeepLinks");
+
+class PasugoDeepLinks {
+  static SCHEME = "pasugo://";
+  static STORAGE_KEY = "pending_deep_link";
+
+  // Link paths and what they open: a dashboard view or a page. Params are
+  // numeric IDs.
+  static LINKS = [
+    { path: "request/:id", view: "/requests/:id" },
+    { path: "chat/:id", view: "/chats/:id" },
+    { path: "notifications", view: "/notifications" },
+    { path: "rider/verification", page: "rider-verification.html" },
+  ];
+
+  // Set by the splash screen: links wait until it has checked the session
+  static held = false;
+
+  // ===== PARSING =====
+
+  /**
+   * Link path of a pasugo:// URL, or of an http(s) URL or path on this
+   * app's host, without surrounding slashes; null for anything else
+   */
+  static pathOf(url) {
+    const text = String(url || "").trim();
+    if (text.toLowerCase().startsWith(this.SCHEME)) {
+      return text
+        .slice(this.SCHEME.length)
+        .split(/[?#]/)[0]
+        .replace(/^\/+|\/+$/g, "");
+    }
+
+    let parsed;
+    try {
+      parsed = new URL(text, window.location.href);
+    } catch (error) {
+      return null;
+    }
+    if (
+      !/^https?:$/.test(parsed.protocol) ||
+      parsed.host !== window.location.host
+    ) {
+      return null;
+    }
+    return parsed.pathname.replace(/^\/+|\/+$/g, "");
+  }
+
+  /**
+   * The LINKS entry for a URL with its params, or null
+   */
+  static match(url) {
+    const path = this.pathOf(url);
+    if (path === null) return null;
+
+    for (const link of this.LINKS) {
+      const keys = [];
+      const source = link.path.replace(/:(\w+)/g, (_, key) => {
+        keys.push(key);
+        return "(\\d+)";
+      });
+      const found = new RegExp(`^${source}$`).exec(path);
+      if (!found) continue;
+      const params = {};
+      keys.forEach((key, i) => {
+        params[key] = found[i + 1];
+      });
+      return { ...link, params };
+    }
+    return null;
+  }
+
+  // ===== TARGETS =====
+
+  /**
+   * Absolute URL of a page in www/pages, from any page of the app
+   */
+  static pageUrl(page) {
+    const inPages = window.location.pathname.includes("/pages/");
+    const base = new URL(inPages ? "./" : "pages/", window.location.href);
+    return new URL(page, base).href;
+  }
+
+  /**
+   * Where a link takes this user: the page or dashboard view, or 403.html
+   * when RouteGuard says the page is not theirs
+   * @returns {string|null} - Absolute URL, or null for an unknown link
+   */
+  static resolve(url, user = window.auth?.getCurrentUser()) {
+    const link = this.match(url);
+    if (!link || !user) return null;
+
+    const role = UserRoles.active(user);
+    const target = link.page
+      ? link.page
+      : `${UserRoles.dashboardFor(role)}#${link.view.replace(
+          /:(\w+)/g,
+          (_, key) => link.params[key],
+        )}`;
+
+    const { RouteGuard, RouteConfig } = window.routeGuard;
+    const guard = new RouteGuard();
+    const actingUser = { ...user, user_type: role };
+    const page = target.split("#")[0];
+    const allowed =
+      !guard.isOtherRoleDashboard(actingUser, page) &&
+      guard.hasCapability(actingUser, RouteConfig.PROTECTED_ROUTES[page]);
+    if (!allowed) {
+      linkLog.warn("Link not allowed for this user:", url);
+      return this.pageUrl(RouteConfig.UNAUTHORIZED_PAGE);
+    }
+    return this.pageUrl(target);
+  }
+
+  // ===== OPENING =====
+
+  /**
+   * Take a link from the OS or the page address. Opens it now, unless
+   * the splash screen holds links until the session is checked.
+   */
+  static receive(url) {
+    linkLog.info("Received", url);
+    sessionStorage.setItem(this.STORAGE_KEY, url);
+    if (!this.held) this.resume();
+  }
+
+  static hold() {
+    this.held = true;
+  }
+
+  /**
+   * Open the pending link if the user is signed in. Signed-out users keep
+   * it through login, and it opens on the dashboard they land on.
+   * @param {Function} [open] - Navigates to the link's URL
+   * @returns {boolean} - Whether it navigated
+   */
+  static resume(
+    open = (href) => {
+      window.location.href = href;
+    },
+  ) {
+    this.held = false;
+    const url = sessionStorage.getItem(this.STORAGE_KEY);
+    if (!url || !window.auth?.isUserLoggedIn()) return false;
+
+    const href = this.resolve(url);
+    if (!href) {
+      linkLog.warn("Unknown link, ignoring:", url);
+      sessionStorage.removeItem(this.STORAGE_KEY);
+      return false;
+    }
+
+    // A view on another page stays pending until that page opens it, in
+    // case its role check redirects first and drops the hash
+    const target = new URL(href);
+    const arrived = target.pathname === window.location.pathname;
+    if (arrived || !target.hash) sessionStorage.removeItem(this.STORAGE_KEY);
+
+    linkLog.debug("Opening", href);
+    // Same page: only the hash changes, and the dashboard's router opens it
+    open(href);
+    return true;
+  }
+}
+
+// Cordova calls this for pasugo:// links, at launch and while running
+window.handleOpenURL = (url) => {
+  setTimeout(() => PasugoDeepLinks.receive(url), 0);
+};
+
+// Web build: index.html?link=/request/12
+const initialLink = new URLSearchParams(window.location.search).get("link");
+if (initialLink) {
+  sessionStorage.setItem(PasugoDeepLinks.STORAGE_KEY, initialLink);
+}
+
+// Dashboards open a link that was waiting for sign-in or for them
+document.addEventListener("DOMContentLoaded", async () => {
+  await PasugoSecureStore.ready();
+  if (!PasugoDeepLinks.held) PasugoDeepLinks.resume();
+});
+
+window.PasugoDeepLinks = PasugoDeepLinks;
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PasugoDeepLinks;
+}
@@ -0,0 +1,338 @@
+/**
+ * Logging Module
+ * Levelled, module-tagged logging with token/PII redaction and an in-app
+ * ring buffer that survives page navigation. The buffer is exported from
+ * the diagnostics screen (pages/diagnostics.html) when reporting a bug.
+ *
+ * Usage: const apiLog = PasugoLogger.scope("API"); apiLog.info("Ready");
+ */
+
+// ============================================
+// LOGGER
+// ============================================
+
+class PasugoLogger {
+  static LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+  // Console level per environment; production only shows problems
+  static DEFAULT_LEVELS = {
+    local: "debug",
+    staging: "debug",
+    production: "warn",
+  };
+
+  // The buffer keeps at least info so bug reports have context
+  static BUFFER_MIN_LEVEL = "info";
+  static BUFFER_SIZE = 300;
+  static MAX_ENTRY_LENGTH = 2000;
+
+  // localStorage keys
+  static LEVEL_OVERRIDE_KEY = "pasugo_log_level";
+  static BUFFER_KEY = "pasugo_log_buffer";
+
+  // Object keys whose values are never logged
+  static SECRET_KEYS =
+    /token|password|secret|authorization|cookie|otp|pin_code|api_key|signature/i;
+
+  // Object keys holding personal data; values are masked
+  static PII_KEYS =
+    /email|phone|address|(^|_)name$|^lat(itude)?$|^lng$|^lon(gitude)?$|gcash_number|birth/i;
+
+  static _buffer = null;
+  static _flushTimer = null;
+
+  // ===== LEVELS =====
+
+  /**
+   * Active console level (runtime override wins over the environment default)
+   */
+  static getLevel() {
+    let override = null;
+    try {
+      override = localStorage.getItem(this.LEVEL_OVERRIDE_KEY);
+    } catch (e) {
+      /* storage unavailable */
+    }
+    if (override && this.LEVELS[override]) return override;
+
+    const env =
+      typeof PasugoConfig !== "undefined"
+        ? PasugoConfig.getEnvName()
+        : "production";
+    return this.DEFAULT_LEVELS[env] || "warn";
+  }
+
+  /**
+   * Override the console level from the diagnostics screen
+   * Pass null to fall back to the environment default
+   */
+  static setLevel(level) {
+    if (level && !this.LEVELS[level]) {
+      throw new Error(`Unknown log level: ${level}`);
+    }
+    if (level) {
+      localStorage.setItem(this.LEVEL_OVERRIDE_KEY, level);
+    } else {
+      localStorage.removeItem(this.LEVEL_OVERRIDE_KEY);
+    }
+  }
+
+  static isEnabled(level) {
+    return this.LEVELS[level] >= this.LEVELS[this.getLevel()];
+  }
+
+  // ===== LOGGING =====
+
+  /**
+   * Logger bound to one module tag, e.g. scope("Auth").warn("...")
+   */
+  static scope(module) {
+    return {
+      debug: (...args) => this.log("debug", module, args),
+      info: (...args) => this.log("info", module, args),
+      warn: (...args) => this.log("warn", module, args),
+      error: (...args) => this.log("error", module, args),
+    };
+  }
+
+  /**
+   * Write one entry to the console (if the level allows) and the buffer
+   * @param {string} level - debug | info | warn | error
+   * @param {string} module - Tag shown as [Module]
+   * @param {Array} args - Message first, then any values
+   */
+  static log(level, module, args) {
+    const toConsole = this.isEnabled(level);
+    const toBuffer =
+      this.LEVELS[level] >=
+      Math.min(
+        this.LEVELS[this.BUFFER_MIN_LEVEL],
+        this.LEVELS[this.getLevel()],
+      );
+    if (!toConsole && !toBuffer) return;
+
+    // A leading string is the message; everything else is data
+    const [first, ...rest] = args;
+    const hasMessage = typeof first === "string";
+    const message = hasMessage ? this.redactText(first) : this.describe(first);
+    const data = (hasMessage ? rest : args).map((v) => this.redact(v));
+
+    if (toConsole) {
+      const method = level === "debug" ? "log" : level;
+      console[method](`[${module}] ${message}`, ...data);
+    }
+    if (toBuffer) {
+      this._push({
+        time: new Date().toISOString(),
+        level,
+        module,
+        message,
+        data: data.length ? this._truncate(data) : undefined,
+      });
+    }
+  }
+
+  // ===== REDACTION =====
+
+  /**
+   * Copy of a value that is safe to print or export
+   * Secrets are dropped, PII is masked, cycles and depth are bounded
+   */
+  static redact(value, key = "", depth = 0, seen = new WeakSet()) {
+    if (key && this.SECRET_KEYS.test(key)) {
+      return value == null || typeof value === "boolean" ? value : "[REDACTED]";
+    }
+    if (key && this.PII_KEYS.test(key)) {
+      return this.mask(value);
+    }
+    if (value == null || typeof value === "boolean") return value;
+    if (typeof value === "number") return value;
+    if (typeof value === "string") return this.redactText(value);
+    if (typeof value === "function") return `[Function ${value.name || ""}]`;
+    if (typeof value !== "object") return String(value);
+
+    if (value instanceof Error) {
+      return {
+        name: value.name,
+        message: this.redactText(value.message || ""),
+        ...(value.code !== undefined && { code: value.code }),
+        ...(value.status !== undefined && { status: value.status }),
+      };
+    }
+    if (typeof Response !== "undefined" && value instanceof Response) {
+      return `[Response ${value.status}]`;
+    }
+    if (typeof Node !== "undefined" && value instanceof Node) {
+      return `[${value.nodeName}${value.id ? "#" + value.id : ""}]`;
+    }
+    if (seen.has(value)) return "[Circular]";
+    if (depth >= 4) return Array.isArray(value) ? "[Array]" : "[Object]";
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+      return value
+        .slice(0, 50)
+        .map((item) => this.redact(item, "", depth + 1, seen));
+    }
+    const result = {};
+    Object.keys(value).forEach((k) => {
+      result[k] = this.redact(value[k], k, depth + 1, seen);
+    });
+    return result;
+  }
+
+  /**
+   * Strip bearer tokens, JWTs, emails and phone numbers from free text
+   */
+  static redactText(text) {
+    return String(text)
+      .replace(/Bearer\s+[\w.~+/=-]+/gi, "Bearer [REDACTED]")
+      .replace(/eyJ[\w-]+\.[\w-]+\.[\w-]*/g, "[JWT]")
+      .replace(/[\w.+-]+@[\w-]+\.[\w.-]+/g, "[email]")
+      .replace(/(\+?63|0)9\d{9}\b/g, "[phone]");
+  }
+
+  /**
+   * Mask a personal value while keeping its shape recognisable
+   */
+  static mask(value) {
+    if (value == null || value === "") return value;
+    if (typeof value !== "string") return "[masked]";
+    return value.length <= 2 ? "***" : `${value[0]}***${value.slice(-1)}`;
+  }
+
+  /**
+   * Short label for a non-string first argument
+   */
+  static describe(value) {
+    if (value instanceof Error) return this.redactText(value.message);
+    return value === undefined ? "" : typeof value;
+  }
+
+  // ===== RING BUFFER =====
+
+  /**
+   * Buffered entries, oldest first
+   */
+  static getEntries() {
+    return this._load().slice();
+  }
+
+  static clear() {
+    this._buffer = [];
+    try {
+      localStorage.removeItem(this.BUFFER_KEY);
+    } catch (e) {
+      /* storage unavailable */
+    }
+  }
+
+  /**
+   * Plain-text report for bug reports: device/app header plus every entry
+   */
+  static exportText() {
+    let user = null;
+    const store =
+      typeof PasugoSecureStore !== "undefined"
+        ? PasugoSecureStore
+        : localStorage;
+    try {
+      const raw = JSON.parse(store.getItem("user_data") || "null");
+      if (raw) user = { id: raw.user_id, type: raw.user_type };
+    } catch (e) {
+      /* unreadable user data */
+    }
+
+    const header = [
+      "Pasugo diagnostics",
+      `Generated: ${new Date().toISOString()}`,
+      `Environment: ${typeof PasugoConfig !== "undefined" ? PasugoConfig.getEnvName() : "unknown"}`,
+      `Log level: ${this.getLevel()}`,
+      `User: ${user ? `#${user.id} (${user.type})` : "signed out"}`,
+      `Page: ${location.pathname}`,
+      `Agent: ${navigator.userAgent}`,
+      `Online: ${navigator.onLine}`,
+      "",
+    ];
+    const lines = this._load().map((e) => {
+      const data = e.data === undefined ? "" : ` ${JSON.stringify(e.data)}`;
+      return `${e.time} ${e.level.toUpperCase().padEnd(5)} [${e.module}] ${e.message}${data}`;
+    });
+    return header.concat(lines).join("\n");
+  }
+
+  static _load() {
+    if (this._buffer) return this._buffer;
+    try {
+      this._buffer = JSON.parse(localStorage.getItem(this.BUFFER_KEY)) || [];
+    } catch (e) {
+      this._buffer = [];
+    }
+    return this._buffer;
+  }
+
+  static _push(entry) {
+    const buffer = this._load();
+    buffer.push(entry);
+    if (buffer.length > this.BUFFER_SIZE) {
+      buffer.splice(0, buffer.length - this.BUFFER_SIZE);
+    }
+    // Batch writes; pagehide flushes whatever is pending
+    if (!this._flushTimer) {
+      this._flushTimer = setTimeout(() => this.flush(), 1000);
+    }
+  }
+
+  /**
+   * Persist the buffer now
+   */
+  static flush() {
+    clearTimeout(this._flushTimer);
+    this._flushTimer = null;
+    if (!this._buffer) return;
+    try {
+      localStorage.setItem(this.BUFFER_KEY, JSON.stringify(this._buffer));
+    } catch (e) {
+      // Quota exceeded: keep the newest half
+      this._buffer.splice(0, Math.ceil(this._buffer.length / 2));
+    }
+  }
+
+  static _truncate(data) {
+    const json = JSON.stringify(data);
+    if (json === undefined || json.length <= this.MAX_ENTRY_LENGTH) {
+      return data;
+    }
+    return `${json.slice(0, this.MAX_ENTRY_LENGTH)}… (truncated)`;
+  }
+}
+
+// ============================================
+// GLOBAL ERROR CAPTURE
+// ============================================
+
+(function captureGlobalErrors() {
+  if (typeof window.addEventListener !== "function") return;
+  const windowLog = PasugoLogger.scope("Window");
+
+  window.addEventListener("error", (event) => {
+    windowLog.error(
+      `Uncaught: ${event.message}`,
+      event.filename ? `${event.filename}:${event.lineno}` : "",
+    );
+  });
+  window.addEventListener("unhandledrejection", (event) => {
+    windowLog.error("Unhandled rejection", event.reason);
+  });
+  window.addEventListener("pagehide", () => PasugoLogger.flush());
+})();
+
+// ============================================
+// EXPORT FOR EXTERNAL USE
+// ============================================
+
+window.PasugoLogger = PasugoLogger;
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PasugoLogger;
+}
@@ -1,12 +1,14 @@
 // API Configuration
-const API_BASE_URL = 'https://pasugo.onrender.com';
+// Resolved from config.js so every page follows the selected environment
+const API_BASE_URL = PasugoConfig.getApiBase();
+const mainLog = PasugoLogger.scope("Main");
 
 // Make API_BASE_URL globally accessible
 window.API_BASE_URL = API_BASE_URL;
 
 // Helper function for API calls
 async function apiCall(endpoint, method = 'GET', data = null) {
-    const token = localStorage.getItem('access_token');
+    const token = PasugoSecureStore.getItem('access_token');
     const headers = {
         'Content-Type': 'application/json',
     };
@@ -33,7 +35,7 @@ async function apiCall(endpoint, method = 'GET', data = null) {
 
         return await response.json();
     } catch (error) {
-        console.error('API Error:', error);
+        mainLog.error('API Error:', error);
         throw error;
     }
 }
@@ -57,8 +59,8 @@ async function login(email, password) {
     }
 
     const result = await response.json();
-    localStorage.setItem('access_token', result.data.access_token);
-    localStorage.setItem('refresh_token', result.data.refresh_token);
+    PasugoSecureStore.setItem('access_token', result.data.access_token);
+    PasugoSecureStore.setItem('refresh_token', result.data.refresh_token);
     localStorage.setItem('user', JSON.stringify(result.data.user));
     return result.data;
 }
@@ -88,7 +90,7 @@ async function register(fullName, email, phoneNumber, password, userType, addres
 }
 
 function logout() {
-    localStorage.removeItem('access_token');
+    PasugoSecureStore.removeItem('access_token');
     window.location.href = 'index.html';
 }
 
@@ -105,7 +107,7 @@ function showNotification(message, type = 'success') {
 }
 
 function isLoggedIn() {
-    return !!localStorage.getItem('access_token');
+    return !!PasugoSecureStore.getItem('access_token');
 }
 
 function requireLogin() {
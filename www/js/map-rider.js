@@ -1,6 +1,8 @@
 // map-rider.js - Rider Map Controller with Location Tracking
 // Handles map display and rider location updates
 
+const riderMapLog = PasugoLogger.scope("RiderMap");
+
 class RiderMapController {
   constructor() {
     this.map = null;
@@ -19,16 +21,16 @@ class RiderMapController {
       maximumAge: 0,
     };
 
-    console.log("🗺️ RiderMapController initialized");
+    riderMapLog.debug("RiderMapController initialized");
   }
 
   // Initialize the map
   init() {
-    console.log("🚀 Initializing rider map...");
+    riderMapLog.debug("Initializing rider map...");
 
     // Check if Leaflet is loaded
     if (typeof L === "undefined") {
-      console.error("❌ Leaflet library not loaded!");
+      riderMapLog.error("Leaflet library not loaded!");
       this.showError("Map library failed to load");
       return false;
     }
@@ -36,7 +38,7 @@ class RiderMapController {
     // Check if map container exists
     const mapContainer = document.getElementById("riderMap");
     if (!mapContainer) {
-      console.error("❌ Map container 'riderMap' not found!");
+      riderMapLog.error("Map container 'riderMap' not found!");
       return false;
     }
 
@@ -58,7 +60,7 @@ class RiderMapController {
         maxZoom: 19,
       }).addTo(this.map);
 
-      console.log("✅ Map created successfully");
+      riderMapLog.debug("Map created successfully");
 
       // Setup map controls
       this.setupControls();
@@ -70,13 +72,13 @@ class RiderMapController {
       setTimeout(() => {
         if (this.map) {
           this.map.invalidateSize();
-          console.log("🗺️ Map size invalidated");
+          riderMapLog.debug("Map size invalidated");
         }
       }, 500);
 
       return true;
     } catch (error) {
-      console.error("❌ Error initializing map:", error);
+      riderMapLog.error("Error initializing map:", error);
       this.showError("Failed to initialize map: " + error.message);
       return false;
     }
@@ -89,8 +91,8 @@ class RiderMapController {
     if (recenterBtn) {
       recenterBtn.addEventListener("click", () => {
         if (this.currentPosition) {
-          console.log(
-            "🎯 Recentering to current position:",
+          riderMapLog.debug(
+            "Recentering to current position:",
             this.currentPosition,
           );
           this.map.setView(this.currentPosition, 16, {
@@ -99,14 +101,14 @@ class RiderMapController {
           });
         } else {
           // Try to get current location
-          console.log("📍 Trying to get current location...");
+          riderMapLog.debug("Trying to get current location...");
           if (navigator.geolocation) {
             navigator.geolocation.getCurrentPosition(
               (position) => {
                 const lat = position.coords.latitude;
                 const lng = position.coords.longitude;
                 this.currentPosition = [lat, lng];
-                console.log("✅ Got location:", this.currentPosition);
+                riderMapLog.debug("Got location:", this.currentPosition);
                 this.map.setView(this.currentPosition, 16, {
                   animate: true,
                   duration: 0.5,
@@ -114,7 +116,7 @@ class RiderMapController {
                 this.updateRiderMarker(lat, lng);
               },
               (error) => {
-                console.error("❌ Location error:", error);
+                riderMapLog.error("Location error:", error);
                 alert(
                   "Unable to get your location. Please enable location services.",
                 );
@@ -166,12 +168,12 @@ class RiderMapController {
       });
     }
 
-    console.log("✅ Map controls setup complete");
+    riderMapLog.debug("Map controls setup complete");
   }
 
   // Start tracking rider's location
   startLocationTracking() {
-    console.log("📍 Starting location tracking...");
+    riderMapLog.debug("Starting location tracking...");
 
     if (!("geolocation" in navigator)) {
       alert("Geolocation is not supported by your browser.");
@@ -194,9 +196,7 @@ class RiderMapController {
         const lng = position.coords.longitude;
         const accuracy = position.coords.accuracy;
 
-        console.log(
-          `📍 Location update: ${lat.toFixed(6)}, ${lng.toFixed(6)} (±${accuracy.toFixed(2)}m)`,
-        );
+        riderMapLog.debug(`Location update (±${accuracy.toFixed(2)}m)`);
 
         // Update current position
         this.currentPosition = [lat, lng];
@@ -213,7 +213,7 @@ class RiderMapController {
             animate: true,
             duration: 0.5,
           });
-          console.log("🎯 Centering map on rider location");
+          riderMapLog.debug("Centering map on rider location");
         }
 
         // Update status
@@ -228,7 +228,7 @@ class RiderMapController {
         }
       },
       (error) => {
-        console.error("❌ Location error:", error);
+        riderMapLog.error("Location error:", error);
         this.handleLocationError(error);
 
         // Hide loading overlay
@@ -344,7 +344,7 @@ class RiderMapController {
 
   // Show error message
   showError(message) {
-    console.error("Map Error:", message);
+    riderMapLog.error("Map Error:", message);
     // Could add a toast notification here
   }
 
@@ -396,7 +396,7 @@ class RiderMapController {
       const bounds = L.latLngBounds(latLngs);
       this.map.fitBounds(bounds, { padding: [40, 80] });
     } catch (error) {
-      console.error("Map Error:", error);
+      riderMapLog.error("Map Error:", error);
     }
   }
 
@@ -406,7 +406,7 @@ class RiderMapController {
       navigator.geolocation.clearWatch(this.watchId);
       this.watchId = null;
       this.isTracking = false;
-      console.log("🛑 Location tracking stopped");
+      riderMapLog.debug("Location tracking stopped");
     }
   }
 
@@ -419,7 +419,7 @@ class RiderMapController {
   ) {
     if (!this.map) return;
 
-    console.log(`📍 Focusing on coordinates: ${lat}, ${lng} (${customerName})`);
+    riderMapLog.debug("Focusing on delivery coordinates");
 
     // Remove old delivery marker
     if (this.deliveryMarker) {
@@ -592,7 +592,7 @@ class RiderMapController {
         });
       }
     } catch (error) {
-      console.error("Map Error:", error);
+      riderMapLog.error("Map Error:", error);
     }
   }
 }
@@ -601,7 +601,7 @@ class RiderMapController {
 let riderMapController = null;
 
 document.addEventListener("DOMContentLoaded", () => {
-  console.log("🗺️ DOM loaded - initializing rider map...");
+  riderMapLog.debug("DOM loaded - initializing rider map...");
 
   // Small delay to ensure Leaflet is fully loaded
   setTimeout(() => {
@@ -609,11 +609,11 @@ document.addEventListener("DOMContentLoaded", () => {
     const success = riderMapController.init();
 
     if (success) {
-      console.log("✅ Rider map controller ready");
+      riderMapLog.debug("Rider map controller ready");
       // Make available globally
       window.riderMapController = riderMapController;
     } else {
-      console.error("❌ Failed to initialize rider map controller");
+      riderMapLog.error("Failed to initialize rider map controller");
     }
   }, 100);
 });
@@ -625,4 +625,4 @@ window.addEventListener("beforeunload", () => {
   }
 });
 
-console.log("✅ map-rider.js loaded");
+riderMapLog.debug("map-rider.js loaded");
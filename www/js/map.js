@@ -2,7 +2,8 @@
 // Handles all map interactions, geolocation, and marker management
 // FOR CUSTOMER DASHBOARD - Sends location updates to keep customer position fresh
 
-const API_BASE_URL = "https://pasugo.onrender.com";
+const API_BASE_URL = PasugoConfig.getApiBase();
+const mapLog = PasugoLogger.scope("Map");
 
 class PasugoMap {
   constructor() {
@@ -43,16 +44,16 @@ class PasugoMap {
   // Check if user is authenticated
   checkAuthentication() {
     // Use the same auth check as your auth.js system
-    const token = localStorage.getItem("access_token");
-    const userData = localStorage.getItem("user_data");
+    const token = PasugoSecureStore.getItem("access_token");
+    const userData = PasugoSecureStore.getItem("user_data");
 
     if (token && userData) {
       this.isAuthenticated = true;
       this.currentUser = JSON.parse(userData);
-      console.log("✅ User is authenticated:", this.currentUser.full_name);
+      mapLog.debug("User is authenticated:", this.currentUser.user_id);
     } else {
       this.isAuthenticated = false;
-      console.warn("⚠️ No authentication token found - Please login first");
+      mapLog.warn("No authentication token found - Please login first");
       this.showAuthWarning();
     }
   }
@@ -101,7 +102,7 @@ class PasugoMap {
       return;
     }
 
-    console.log("🎯 Acquiring GPS location...");
+    mapLog.debug("Acquiring GPS location...");
 
     const maxAttempts = 3;
     let currentAttempt = 0;
@@ -113,8 +114,8 @@ class PasugoMap {
         (position) => {
           const accuracy = position.coords.accuracy;
 
-          console.log(
-            `📍 Attempt ${currentAttempt}/${maxAttempts}: Accuracy ±${accuracy.toFixed(2)}m`,
+          mapLog.debug(
+            `Attempt ${currentAttempt}/${maxAttempts}: Accuracy ±${accuracy.toFixed(2)}m`,
           );
 
           if (accuracy < this.bestAccuracy) {
@@ -148,9 +149,7 @@ class PasugoMap {
     const userLng = position.coords.longitude;
     const accuracy = position.coords.accuracy;
 
-    console.log(
-      `📍 Location acquired: ${userLat.toFixed(6)}, ${userLng.toFixed(6)} (±${accuracy.toFixed(2)}m)`,
-    );
+    mapLog.debug(`Location acquired (±${accuracy.toFixed(2)}m)`);
 
     this.showLoading(false);
 
@@ -173,7 +172,7 @@ class PasugoMap {
 
     // Only fetch riders if authenticated
     if (this.isAuthenticated) {
-      console.log("📍 Customer view - fetching nearby riders");
+      mapLog.debug("Customer view - fetching nearby riders");
       this.fetchAvailableRiders();
 
       // Auto-refresh riders every 10 seconds
@@ -181,7 +180,7 @@ class PasugoMap {
         this.fetchAvailableRiders();
       }, 10000);
     } else {
-      console.warn("⚠️ Skipping backend operations - not authenticated");
+      mapLog.warn("Skipping backend operations - not authenticated");
       this.updateRiderCount(0);
     }
 
@@ -192,7 +191,7 @@ class PasugoMap {
   // Handle location errors
   handleLocationError(errorMsg) {
     this.showLoading(false);
-    console.error("Location error:", errorMsg);
+    mapLog.error("Location error:", errorMsg);
 
     this.userPosition = {
       lat: this.defaultLocation[0],
@@ -226,7 +225,7 @@ class PasugoMap {
     }
 
     try {
-      const token = localStorage.getItem("access_token");
+      const token = PasugoSecureStore.getItem("access_token");
       const { lat, lng } = this.userPosition;
 
       const response = await fetch(
@@ -238,7 +237,7 @@ class PasugoMap {
 
       if (response.ok) {
         const data = await response.json();
-        console.log(`✅ Found ${data.count} riders`);
+        mapLog.debug(`Found ${data.count} riders`);
 
         if (data.riders && data.riders.length > 0) {
           this.displayRidersOnMap(data.riders);
@@ -256,7 +255,7 @@ class PasugoMap {
         this.updateRiderCount(0);
       }
     } catch (error) {
-      console.error("❌ Fetch riders error:", error);
+      mapLog.error("Fetch riders error:", error);
       this.clearRiderMarkers();
       this.updateRiderCount(0);
     }
@@ -272,7 +271,7 @@ class PasugoMap {
       }
     });
 
-    console.log(`📍 Displayed ${riders.length} riders on map`);
+    mapLog.debug(`Displayed ${riders.length} riders on map`);
   }
 
   // Add rider marker
@@ -388,7 +387,7 @@ class PasugoMap {
         }
       },
       (error) => {
-        console.warn("⚠️ Watch position error");
+        mapLog.warn("Watch position error");
       },
       {
         enableHighAccuracy: true,
@@ -405,7 +404,7 @@ class PasugoMap {
     this.lastLocationSyncTime = now;
 
     try {
-      const token = localStorage.getItem("access_token");
+      const token = PasugoSecureStore.getItem("access_token");
       if (!token) return;
 
       const res = await fetch(`${API_BASE_URL}/api/locations/update`, {
@@ -422,12 +421,12 @@ class PasugoMap {
       });
 
       if (res.ok) {
-        console.log("✅ Customer location synced to backend");
+        mapLog.debug("Customer location synced to backend");
       } else {
-        console.warn("⚠️ Failed to sync customer location:", res.status);
+        mapLog.warn("Failed to sync customer location:", res.status);
       }
     } catch (err) {
-      console.warn("⚠️ Location sync error:", err.message);
+      mapLog.warn("Location sync error:", err.message);
     }
   }
 
@@ -463,7 +462,7 @@ class PasugoMap {
           if (locationEl) locationEl.textContent = name;
         }
       })
-      .catch((error) => console.warn("Geocoding error:", error));
+      .catch((error) => mapLog.warn("Geocoding error:", error));
   }
 
   // Toggle map layer
@@ -534,7 +533,9 @@ class PasugoMap {
 // Initialize
 let pasugoMap;
 
-document.addEventListener("DOMContentLoaded", function () {
+document.addEventListener("DOMContentLoaded", async function () {
+  // PasugoMap checks the session as it is built
+  await PasugoSecureStore.ready();
   pasugoMap = new PasugoMap();
   pasugoMap.init();
   setupEventListeners();
@@ -0,0 +1,454 @@
+/**
+ * Offline Outbox Module
+ * Persists request mutations made while offline (IndexedDB) and replays
+ * them in order once connectivity returns
+ * Load after config.js and before api_request.js
+ */
+
+const outboxLog = PasugoLogger.scope("Outbox");
+
+// ============================================
+// OUTBOX STORE
+// ============================================
+
+class PasugoOutbox {
+  static DB_NAME = "pasugo_outbox";
+  static DB_VERSION = 1;
+  static STORE = "mutations";
+
+  static STATUS = {
+    PENDING: "pending",
+    SENDING: "sending",
+    FAILED: "failed",
+  };
+
+  constructor() {
+    this.dbPromise = null;
+    this.listeners = new Set();
+    this.isReplaying = false;
+    this._watchConnectivity();
+  }
+
+  // ===== INDEXEDDB =====
+
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error("IndexedDB not supported"));
+        return;
+      }
+      const req = indexedDB.open(PasugoOutbox.DB_NAME, PasugoOutbox.DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(PasugoOutbox.STORE)) {
+          db.createObjectStore(PasugoOutbox.STORE, {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+
+    return this.dbPromise;
+  }
+
+  async _tx(mode, fn) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(PasugoOutbox.STORE, mode);
+      const store = tx.objectStore(PasugoOutbox.STORE);
+      const req = fn(store);
+      tx.oncomplete = () => resolve(req?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // ===== QUEUE OPERATIONS =====
+
+  /**
+   * Queue a mutation for later replay
+   * @param {Object} mutation - {kind, path, method, body, label, meta,
+   *   operation, idempotencyKey}
+   * @returns {Promise<Object>} - The stored entry (with id)
+   */
+  async enqueue(mutation) {
+    const entry = {
+      kind: mutation.kind,
+      path: mutation.path,
+      method: mutation.method || "POST",
+      body: mutation.body ?? null,
+      label: mutation.label || mutation.kind,
+      meta: mutation.meta || {},
+      // Replays reuse the original key so the backend can collapse duplicates
+      operation: mutation.operation || null,
+      idempotencyKey: mutation.idempotencyKey || null,
+      userId: this._getUserId(),
+      status: PasugoOutbox.STATUS.PENDING,
+      attempts: 0,
+      lastError: null,
+      createdAt: new Date().toISOString(),
+    };
+    entry.id = await this._tx("readwrite", (store) => store.add(entry));
+    outboxLog.debug(`Outbox: queued "${entry.label}" (#${entry.id})`);
+    this._emit({ type: "change" });
+    return entry;
+  }
+
+  /**
+   * All entries for the current user, oldest first
+   */
+  async list() {
+    const all = (await this._tx("readonly", (store) => store.getAll())) || [];
+    const userId = this._getUserId();
+    return all
+      .filter((e) => !e.userId || !userId || e.userId === userId)
+      .sort((a, b) => a.id - b.id);
+  }
+
+  async _put(entry) {
+    await this._tx("readwrite", (store) => store.put(entry));
+  }
+
+  async remove(id) {
+    await this._tx("readwrite", (store) => store.delete(id));
+    this._emit({ type: "change" });
+  }
+
+  /**
+   * Move a failed entry back to pending and replay
+   */
+  async retry(id) {
+    const entry = (await this.list()).find((e) => e.id === id);
+    if (!entry) return;
+    entry.status = PasugoOutbox.STATUS.PENDING;
+    entry.lastError = null;
+    await this._put(entry);
+    this._emit({ type: "change" });
+    return this.replay();
+  }
+
+  async discard(id) {
+    return this.remove(id);
+  }
+
+  // ===== REPLAY =====
+
+  /**
+   * Replay pending entries one at a time, in the order they were queued.
+   * Stops at the first network failure so ordering is preserved.
+   */
+  async replay() {
+    if (this.isReplaying || !this.isOnline()) return;
+    if (typeof pasugoAPI === "undefined") return;
+    this.isReplaying = true;
+
+    try {
+      // Replays go out with the stored session's token
+      await PasugoSecureStore.ready();
+      const pending = (await this.list()).filter(
+        (e) => e.status !== PasugoOutbox.STATUS.FAILED,
+      );
+
+      for (const entry of pending) {
+        entry.status = PasugoOutbox.STATUS.SENDING;
+        entry.attempts++;
+        await this._put(entry);
+        this._emit({ type: "change" });
+
+        try {
+          pasugoAPI.updateToken();
+          const { data } = await pasugoAPI.send(
+            entry.path,
+            {
+              method: entry.method,
+              body: entry.body ? JSON.stringify(entry.body) : undefined,
+            },
+            { retries: 0, idempotencyKey: entry.idempotencyKey },
+            `${entry.label} failed`,
+          );
+          pasugoAPI.clearIdempotencyKey(entry.operation);
+          await this._tx("readwrite", (store) => store.delete(entry.id));
+          outboxLog.debug(`Outbox: replayed "${entry.label}" (#${entry.id})`);
+          this._emit({ type: "replayed", entry, data: data.data });
+        } catch (error) {
+          if (PasugoOutbox.isNetworkError(error)) {
+            // Still offline – leave it (and everything after it) pending
+            entry.status = PasugoOutbox.STATUS.PENDING;
+            await this._put(entry);
+            this._emit({ type: "change" });
+            break;
+          }
+          if (pasugoAPI.isFinalFailure(error)) {
+            pasugoAPI.clearIdempotencyKey(entry.operation);
+          }
+          entry.status = PasugoOutbox.STATUS.FAILED;
+          entry.lastError = error.message;
+          await this._put(entry);
+          outboxLog.warn(
+            `Outbox: "${entry.label}" (#${entry.id}) failed:`,
+            error.message,
+          );
+          this._emit({ type: "failed", entry, error });
+        }
+      }
+    } catch (error) {
+      outboxLog.error("Outbox replay error:", error);
+    } finally {
+      this.isReplaying = false;
+      this._emit({ type: "change" });
+    }
+  }
+
+  // ===== CONNECTIVITY =====
+
+  /**
+   * Online check that understands cordova-plugin-network-information
+   */
+  isOnline() {
+    const conn = navigator.connection;
+    if (conn && typeof Connection !== "undefined" && conn.type) {
+      return conn.type !== Connection.NONE;
+    }
+    return navigator.onLine !== false;
+  }
+
+  /**
+   * True when a failure means "never reached the server"
+   */
+  static isNetworkError(error) {
+    return error instanceof NetworkError;
+  }
+
+  _watchConnectivity() {
+    const onOnline = () => {
+      outboxLog.debug("Outbox: connection restored, replaying...");
+      this.replay();
+    };
+    // Browser event, plus the Cordova network plugin's document event
+    window.addEventListener("online", onOnline);
+    document.addEventListener("online", onOnline, false);
+    document.addEventListener("deviceready", () => this.replay(), false);
+
+    if (document.readyState === "loading") {
+      document.addEventListener("DOMContentLoaded", () => this.replay());
+    } else {
+      setTimeout(() => this.replay(), 0);
+    }
+  }
+
+  // ===== EVENTS =====
+
+  /**
+   * Subscribe to outbox events: change | replayed | failed
+   * @returns {Function} unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  _emit(event) {
+    this.listeners.forEach((listener) => {
+      try {
+        listener(event);
+      } catch (e) {
+        outboxLog.error("Outbox listener error:", e);
+      }
+    });
+  }
+
+  _getUserId() {
+    try {
+      const user = JSON.parse(PasugoSecureStore.getItem("user_data") || "{}");
+      return user.user_id || user.id || null;
+    } catch {
+      return null;
+    }
+  }
+}
+
+// ============================================
+// PENDING / FAILED INDICATOR
+// ============================================
+
+class OutboxIndicator {
+  constructor(outbox) {
+    this.outbox = outbox;
+    this.el = null;
+    this.sheet = null;
+    outbox.subscribe(() => this.render());
+    if (document.readyState === "loading") {
+      document.addEventListener("DOMContentLoaded", () => this.render());
+    } else {
+      this.render();
+    }
+  }
+
+  async render() {
+    let entries = [];
+    try {
+      entries = await this.outbox.list();
+    } catch (e) {
+      return; // IndexedDB unavailable – nothing to show
+    }
+
+    const failed = entries.filter(
+      (e) => e.status === PasugoOutbox.STATUS.FAILED,
+    );
+    const pending = entries.length - failed.length;
+
+    if (!entries.length) {
+      this.el?.remove();
+      this.el = null;
+      this.sheet?.remove();
+      this.sheet = null;
+      return;
+    }
+
+    if (!this.el) {
+      this._injectStyles();
+      this.el = document.createElement("button");
+      this.el.type = "button";
+      this.el.className = "outbox-pill";
+      this.el.addEventListener("click", () => this.toggleSheet());
+      document.body.appendChild(this.el);
+    }
+
+    this.el.classList.toggle("has-failed", failed.length > 0);
+    const parts = [];
+    if (pending) {
+      parts.push(
+        `<i class="fa-solid fa-cloud-arrow-up"></i> ${pending} waiting for connection`,
+      );
+    }
+    if (failed.length) {
+      parts.push(
+        `<i class="fa-solid fa-triangle-exclamation"></i> ${failed.length} failed`,
+      );
+    }
+    this.el.innerHTML = parts.join(" · ");
+
+    if (this.sheet) this._renderSheet(entries);
+  }
+
+  toggleSheet() {
+    if (this.sheet) {
+      this.sheet.remove();
+      this.sheet = null;
+      return;
+    }
+    this.sheet = document.createElement("div");
+    this.sheet.className = "outbox-sheet";
+    this.sheet.addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-outbox-action]");
+      if (!btn) return;
+      const id = Number(btn.dataset.id);
+      if (btn.dataset.outboxAction === "retry") this.outbox.retry(id);
+      else this.outbox.discard(id);
+    });
+    document.body.appendChild(this.sheet);
+    this.render();
+  }
+
+  _renderSheet(entries) {
+    this.sheet.innerHTML = entries
+      .map((e) => {
+        const isFailed = e.status === PasugoOutbox.STATUS.FAILED;
+        const statusText = isFailed
+          ? this._escape(e.lastError || "Failed")
+          : e.status === PasugoOutbox.STATUS.SENDING
+            ? "Sending..."
+            : "Waiting for connection";
+        return `
+          <div class="outbox-row ${isFailed ? "failed" : ""}">
+            <div>
+              <strong>${this._escape(e.label)}</strong>
+              <small>${statusText}</small>
+            </div>
+            <div class="outbox-actions">
+              ${isFailed ? `<button data-outbox-action="retry" data-id="${e.id}">Retry</button>` : ""}
+              <button data-outbox-action="discard" data-id="${e.id}">Discard</button>
+            </div>
+          </div>`;
+      })
+      .join("");
+  }
+
+  _escape(text) {
+    const d = document.createElement("div");
+    d.appendChild(document.createTextNode(String(text)));
+    return d.innerHTML;
+  }
+
+  _injectStyles() {
+    if (document.getElementById("outboxStyles")) return;
+    const style = document.createElement("style");
+    style.id = "outboxStyles";
+    style.textContent = `
+      .outbox-pill {
+        position: fixed;
+        top: calc(env(safe-area-inset-top, 0px) + 10px);
+        left: 50%;
+        transform: translateX(-50%);
+        z-index: 10050;
+        padding: 8px 14px;
+        border: none;
+        border-radius: 20px;
+        background: #333;
+        color: #fff;
+        font-size: 12px;
+        box-shadow: 0 4px 12px rgba(0,0,0,0.2);
+        cursor: pointer;
+      }
+      .outbox-pill.has-failed { background: #dc3545; }
+      .outbox-sheet {
+        position: fixed;
+        top: calc(env(safe-area-inset-top, 0px) + 50px);
+        left: 50%;
+        transform: translateX(-50%);
+        z-index: 10050;
+        width: min(92vw, 380px);
+        background: #fff;
+        border-radius: 12px;
+        box-shadow: 0 8px 24px rgba(0,0,0,0.2);
+        padding: 6px 0;
+      }
+      .outbox-row {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        gap: 10px;
+        padding: 10px 14px;
+        font-size: 13px;
+      }
+      .outbox-row small { display: block; color: #888; }
+      .outbox-row.failed small { color: #dc3545; }
+      .outbox-actions button {
+        margin-left: 6px;
+        padding: 4px 10px;
+        border: 1px solid #ddd;
+        border-radius: 6px;
+        background: #fff;
+        font-size: 12px;
+        cursor: pointer;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
+
+// ============================================
+// GLOBAL INSTANCE
+// ============================================
+
+window.pasugoOutbox = new PasugoOutbox();
+window.outboxIndicator = new OutboxIndicator(window.pasugoOutbox);
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { PasugoOutbox, OutboxIndicator };
+}
@@ -0,0 +1,386 @@
+/**
+ * QR Code Module
+ * Draws QR codes in the page, so secrets such as a 2FA enrollment link
+ * never go to a third-party QR service. Byte mode, error correction level
+ * M, versions 1-10 (up to 213 bytes) – enough for otpauth:// links.
+ *
+ * Usage: element.innerHTML = PasugoQR.toSvg("otpauth://totp/...")
+ */
+
+// ============================================
+// GF(256) ARITHMETIC (Reed-Solomon)
+// ============================================
+
+const QR_EXP = new Array(512);
+const QR_LOG = new Array(256);
+(function buildGaloisTables() {
+  let x = 1;
+  for (let i = 0; i < 255; i++) {
+    QR_EXP[i] = x;
+    QR_LOG[x] = i;
+    x <<= 1;
+    if (x & 0x100) x ^= 0x11d;
+  }
+  for (let i = 255; i < 512; i++) QR_EXP[i] = QR_EXP[i - 255];
+})();
+
+function qrMultiply(a, b) {
+  return a && b ? QR_EXP[QR_LOG[a] + QR_LOG[b]] : 0;
+}
+
+// ============================================
+// QR CODE
+// ============================================
+
+class PasugoQR {
+  // Level M per version: EC codewords per block and the block data sizes
+  static BLOCKS = [
+    null,
+    { ec: 10, data: [16] },
+    { ec: 16, data: [28] },
+    { ec: 26, data: [44] },
+    { ec: 18, data: [32, 32] },
+    { ec: 24, data: [43, 43] },
+    { ec: 16, data: [27, 27, 27, 27] },
+    { ec: 18, data: [31, 31, 31, 31] },
+    { ec: 22, data: [38, 38, 39, 39] },
+    { ec: 22, data: [36, 36, 36, 37, 37] },
+    { ec: 26, data: [43, 43, 43, 43, 44] },
+  ];
+
+  static ALIGNMENT = [
+    null,
+    [],
+    [6, 18],
+    [6, 22],
+    [6, 26],
+    [6, 30],
+    [6, 34],
+    [6, 22, 38],
+    [6, 24, 42],
+    [6, 26, 46],
+    [6, 28, 50],
+  ];
+
+  /**
+   * Encode text as a module matrix
+   * @param {string} text
+   * @param {number} [mask] - 0-7; picked by the lowest penalty when omitted
+   * @returns {{version: number, size: number, mask: number, modules: boolean[][]}}
+   */
+  static encode(text, mask) {
+    const bytes = Array.from(new TextEncoder().encode(text));
+    const version = this._pickVersion(bytes.length);
+    const codewords = this._codewords(bytes, version);
+
+    const size = 17 + version * 4;
+    const grid = {
+      size,
+      modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+      reserved: Array.from({ length: size }, () => new Array(size).fill(false)),
+    };
+    this._drawFunctionPatterns(grid, version);
+    this._drawCodewords(grid, codewords);
+
+    const masks = mask === undefined ? [0, 1, 2, 3, 4, 5, 6, 7] : [mask];
+    let best = null;
+    masks.forEach((candidate) => {
+      const modules = this._applyMask(grid, candidate);
+      this._drawFormatBits(grid, modules, candidate);
+      const penalty = masks.length > 1 ? this._penalty(modules) : 0;
+      if (!best || penalty < best.penalty) {
+        best = { mask: candidate, modules, penalty };
+      }
+    });
+    return { version, size, mask: best.mask, modules: best.modules };
+  }
+
+  /**
+   * SVG markup with a 4-module quiet zone
+   * @param {string} text
+   * @param {Object} [options] - {size: pixel width, color}
+   */
+  static toSvg(text, options = {}) {
+    const { size, modules } = this.encode(text);
+    const total = size + 8;
+    let path = "";
+    modules.forEach((row, y) =>
+      row.forEach((dark, x) => {
+        if (dark) path += `M${x + 4},${y + 4}h1v1h-1z`;
+      }),
+    );
+    const pixels = options.size || 200;
+    return (
+      `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} ${total}" ` +
+      `width="${pixels}" height="${pixels}" shape-rendering="crispEdges">` +
+      `<rect width="100%" height="100%" fill="#fff"/>` +
+      `<path d="${path}" fill="${options.color || "#000"}"/></svg>`
+    );
+  }
+
+  // ===== DATA =====
+
+  static _pickVersion(length) {
+    for (let version = 1; version < this.BLOCKS.length; version++) {
+      const capacity = this.BLOCKS[version].data.reduce((a, b) => a + b, 0);
+      const countBits = version < 10 ? 8 : 16;
+      if (4 + countBits + length * 8 <= capacity * 8) return version;
+    }
+    throw new Error("Text is too long for a QR code");
+  }
+
+  /**
+   * Data bits, padding, error correction and block interleaving
+   */
+  static _codewords(bytes, version) {
+    const { ec, data: blockSizes } = this.BLOCKS[version];
+    const capacity = blockSizes.reduce((a, b) => a + b, 0);
+
+    const bits = [];
+    const push = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    push(0b0100, 4);
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach((b) => push(b, 8));
+    push(0, Math.min(4, capacity * 8 - bits.length));
+    push(0, (8 - (bits.length % 8)) % 8);
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit));
+    }
+    for (let pad = 0xec; data.length < capacity; pad ^= 0xec ^ 0x11) {
+      data.push(pad);
+    }
+
+    const divisor = this._generator(ec);
+    const blocks = [];
+    let offset = 0;
+    blockSizes.forEach((length) => {
+      const block = data.slice(offset, offset + length);
+      offset += length;
+      blocks.push({ data: block, ec: this._remainder(block, divisor) });
+    });
+
+    const result = [];
+    const longest = Math.max(...blockSizes);
+    for (let i = 0; i < longest; i++) {
+      blocks.forEach((b) => i < b.data.length && result.push(b.data[i]));
+    }
+    for (let i = 0; i < ec; i++) blocks.forEach((b) => result.push(b.ec[i]));
+    return result;
+  }
+
+  static _generator(degree) {
+    let poly = [1];
+    for (let i = 0; i < degree; i++) {
+      const next = new Array(poly.length + 1).fill(0);
+      poly.forEach((coef, j) => {
+        next[j] ^= coef;
+        next[j + 1] ^= qrMultiply(coef, QR_EXP[i]);
+      });
+      poly = next;
+    }
+    return poly;
+  }
+
+  static _remainder(data, generator) {
+    const result = new Array(generator.length - 1).fill(0);
+    data.forEach((byte) => {
+      const factor = byte ^ result.shift();
+      result.push(0);
+      for (let i = 0; i < result.length; i++) {
+        result[i] ^= qrMultiply(generator[i + 1], factor);
+      }
+    });
+    return result;
+  }
+
+  // ===== LAYOUT =====
+
+  static _set(grid, x, y, dark) {
+    grid.modules[y][x] = dark;
+    grid.reserved[y][x] = true;
+  }
+
+  static _drawFunctionPatterns(grid, version) {
+    const { size } = grid;
+
+    for (let i = 0; i < size; i++) {
+      this._set(grid, 6, i, i % 2 === 0);
+      this._set(grid, i, 6, i % 2 === 0);
+    }
+
+    // Finders with their white separators
+    [
+      [3, 3],
+      [size - 4, 3],
+      [3, size - 4],
+    ].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x < 0 || y < 0 || x >= size || y >= size) continue;
+          const ring = Math.max(Math.abs(dx), Math.abs(dy));
+          this._set(grid, x, y, ring !== 2 && ring !== 4);
+        }
+      }
+    });
+
+    const positions = this.ALIGNMENT[version];
+    const last = positions.length - 1;
+    positions.forEach((cy, i) =>
+      positions.forEach((cx, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last)) return;
+        if (i === last && j === 0) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            const ring = Math.max(Math.abs(dx), Math.abs(dy));
+            this._set(grid, cx + dx, cy + dy, ring !== 1);
+          }
+        }
+      }),
+    );
+
+    // Reserve the format areas now; the bits go in once the mask is known
+    this._drawFormatBits(grid, grid.modules, 0);
+
+    if (version >= 7) {
+      let rem = version;
+      for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+      const bits = (version << 12) | rem;
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) === 1;
+        const a = size - 11 + (i % 3);
+        const b = Math.floor(i / 3);
+        this._set(grid, a, b, dark);
+        this._set(grid, b, a, dark);
+      }
+    }
+  }
+
+  static _drawFormatBits(grid, modules, mask) {
+    const { size } = grid;
+    // Level M is 0b00, so the data bits are just the mask
+    let rem = mask;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((mask << 10) | rem) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) === 1;
+    const set = (x, y, dark) => {
+      modules[y][x] = dark;
+      grid.reserved[y][x] = true;
+    };
+
+    for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+    set(8, 7, bit(6));
+    set(8, 8, bit(7));
+    set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+    set(8, size - 8, true);
+  }
+
+  /**
+   * Zig-zag two columns at a time from the bottom right, skipping the
+   * vertical timing pattern
+   */
+  static _drawCodewords(grid, codewords) {
+    const { size } = grid;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      const upward = ((right + 1) & 2) === 0;
+      for (let vert = 0; vert < size; vert++) {
+        const y = upward ? size - 1 - vert : vert;
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          if (grid.reserved[y][x] || i >= codewords.length * 8) continue;
+          grid.modules[y][x] =
+            ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+          i++;
+        }
+      }
+    }
+  }
+
+  // ===== MASKING =====
+
+  static MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+    (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+    (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+  ];
+
+  static _applyMask(grid, mask) {
+    const invert = this.MASKS[mask];
+    return grid.modules.map((row, y) =>
+      row.map((dark, x) =>
+        !grid.reserved[y][x] && invert(x, y) ? !dark : dark,
+      ),
+    );
+  }
+
+  /**
+   * The standard's four penalty rules; the lowest score scans best
+   */
+  static _penalty(modules) {
+    const size = modules.length;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i]);
+      lines.push(modules.map((row) => row[i]));
+    }
+
+    let penalty = 0;
+    lines.forEach((line) => {
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) penalty += run - 2;
+          run = 1;
+        }
+      }
+      const text = line.map((dark) => (dark ? "1" : "0")).join("");
+      penalty += 40 * (text.match(/(?=10111010000|00001011101)/g) || []).length;
+    });
+
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+        if (
+          x < size - 1 &&
+          y < size - 1 &&
+          modules[y][x] === modules[y][x + 1] &&
+          modules[y][x] === modules[y + 1][x] &&
+          modules[y][x] === modules[y + 1][x + 1]
+        ) {
+          penalty += 3;
+        }
+      }
+    }
+    const percent = (dark * 100) / (size * size);
+    penalty += 10 * Math.floor(Math.abs(percent - 50) / 5);
+    return penalty;
+  }
+}
+
+// ============================================
+// EXPORT FOR EXTERNAL USE
+// ============================================
+
+window.PasugoQR = PasugoQR;
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PasugoQR;
+}
@@ -1,304 +1,61 @@
-// request-modal.js - WITH REAL WEBSOCKET CHAT
+// request-modal.js - WITH REAL WEBSOCKET CHAT (chat-client.js)
 // ─────────────────────────────────────────────────────────────
-// WebSocket constants
-const PASUGO_WS_BASE = "wss://pasugo.onrender.com";
-const PASUGO_API_BASE = "https://pasugo.onrender.com";
+const PASUGO_API_BASE = PasugoConfig.getApiBase();
+const requestLog = PasugoLogger.scope("Request");
 
 // ─────────────────────────────────────────────────────────────
-// WebSocket Chat Manager (embedded — no extra file needed)
+// Customer chat renderer – draws the shared ChatClient's
+// conversation in the request modal's chat
 // ─────────────────────────────────────────────────────────────
 class ChatManager {
   constructor(controller) {
     this.ctrl = controller; // reference back to RequestModalController
-    this.ws = null;
-    this.conversationId = null;
-    this.isConnected = false;
-    this.reconnectAttempts = 0;
-    this.maxReconnects = 5;
-    this.pingInterval = null;
-    this.typingTimeout = null;
-    this.messageQueue = [];
+    this.client = new ChatClient({
+      renderer: this,
+      greeting: "Say hello to your rider! 👋",
+    });
   }
 
-  // ── Connect ──────────────────────────────────────────────
+  // ── Conversation ─────────────────────────────────────────
   async connect(requestId) {
     try {
-      const token = localStorage.getItem("access_token");
-
-      // 1. Get or create conversation for this request
-      const res = await fetch(`${PASUGO_API_BASE}/api/messages/conversations`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${token}`,
-        },
-        body: JSON.stringify({ request_id: requestId }),
-      });
-
-      if (!res.ok) throw new Error("Failed to get conversation");
-      const data = await res.json();
-      this.conversationId = data.data.conversation_id;
-
-      // 2. Load history first, then open WS
-      await this.loadHistory();
-      this.openWS();
+      await this.client.connect(requestId);
     } catch (err) {
-      console.error("[Chat] connect error:", err);
+      requestLog.error("connect error:", err);
       this.showSystem("Could not connect to chat.");
     }
   }
 
-  openWS() {
-    const token = localStorage.getItem("access_token");
-    if (!token || !this.conversationId) return;
-
-    const url = `${PASUGO_WS_BASE}/api/messages/ws/${this.conversationId}?token=${token}`;
-    this.ws = new WebSocket(url);
-
-    this.ws.onopen = () => {
-      console.log("[Chat] WS connected");
-      this.isConnected = true;
-      this.reconnectAttempts = 0;
-      this.setStatus("Online", "#4caf50");
-      setTimeout(() => this.setStatus("On the way"), 2000);
-
-      // Flush queued messages
-      while (this.messageQueue.length) {
-        this.ws.send(JSON.stringify(this.messageQueue.shift()));
-      }
-
-      // Keepalive ping every 30s
-      this.pingInterval = setInterval(() => {
-        if (this.isConnected) this.ws.send(JSON.stringify({ event: "ping" }));
-      }, 30000);
-    };
-
-    this.ws.onmessage = (e) => {
-      try {
-        this.handleEvent(JSON.parse(e.data));
-      } catch (err) {
-        console.error("[Chat] parse error:", err);
-      }
-    };
-
-    this.ws.onclose = (e) => {
-      console.log("[Chat] WS closed:", e.code);
-      this.isConnected = false;
-      clearInterval(this.pingInterval);
-      if (e.code !== 1000 && e.code !== 4001 && e.code !== 4003) {
-        this.scheduleReconnect();
-      }
-    };
-
-    this.ws.onerror = (e) => console.error("[Chat] WS error:", e);
-  }
-
-  scheduleReconnect() {
-    if (this.reconnectAttempts >= this.maxReconnects) {
-      this.showSystem("Connection lost. Please refresh.");
-      return;
-    }
-    this.reconnectAttempts++;
-    this.setStatus("Reconnecting...", "#ff9800");
-    setTimeout(() => this.openWS(), 2000 * this.reconnectAttempts);
+  disconnect() {
+    clearTimeout(this._onlineStatusReset);
+    this.client.disconnect();
   }
 
-  disconnect() {
-    clearInterval(this.pingInterval);
-    clearTimeout(this.typingTimeout);
-    if (this.ws) {
-      this.ws.close(1000);
-      this.ws = null;
-    }
-    this.isConnected = false;
-    this.conversationId = null;
-    this.reconnectAttempts = 0;
-    this.messageQueue = [];
+  get isOpen() {
+    return this.client.isOpen;
   }
 
-  // ── Send ─────────────────────────────────────────────────
   send(content) {
-    if (!content?.trim()) return;
-    const payload = {
-      event: "send_message",
-      content: content.trim(),
-      message_type: "text",
-    };
-    if (this.isConnected && this.ws?.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify(payload));
-    } else {
-      this.messageQueue.push(payload);
-      this.scheduleReconnect();
-    }
-    this.stopTyping();
+    this.client.send(content);
   }
 
-  // ── Send image ───────────────────────────────────────────
-  async sendImage(file) {
-    if (!file || !file.type.startsWith("image/")) {
-      this.showSystem("Please select an image file.");
-      return;
-    }
-
-    // Max 10MB
-    if (file.size > 10 * 1024 * 1024) {
-      this.showSystem("Image too large. Max 10MB.");
-      return;
-    }
-
-    const container = this.ctrl.chatContainer;
-
-    // Show upload progress
-    const progressEl = document.createElement("div");
-    progressEl.className = "chat-upload-progress";
-    progressEl.innerHTML = `<div class="chat-upload-spinner"></div> Uploading image...`;
-    container?.appendChild(progressEl);
-    if (container) container.scrollTop = container.scrollHeight;
-
-    // Disable attach buttons
-    const galleryBtn = document.getElementById("chatGalleryBtn");
-    const cameraBtn = document.getElementById("chatCameraBtn");
-    galleryBtn?.classList.add("uploading");
-    cameraBtn?.classList.add("uploading");
-
-    try {
-      const token = localStorage.getItem("access_token");
-      const formData = new FormData();
-      formData.append("file", file);
-
-      const res = await fetch(`${PASUGO_API_BASE}/api/uploads/image`, {
-        method: "POST",
-        headers: { Authorization: `Bearer ${token}` },
-        body: formData,
-      });
-
-      if (!res.ok) throw new Error("Upload failed");
-
-      const result = await res.json();
-      const imageUrl = result.data?.url;
-      if (!imageUrl) throw new Error("No URL returned");
-
-      // Send via WebSocket
-      const payload = {
-        event: "send_message",
-        content: "\ud83d\udcf7 Photo",
-        message_type: "image",
-        attachment_url: imageUrl,
-        attachment_type: "image",
-      };
-
-      if (this.isConnected && this.ws?.readyState === WebSocket.OPEN) {
-        this.ws.send(JSON.stringify(payload));
-      } else {
-        this.messageQueue.push(payload);
-        this.scheduleReconnect();
-      }
-    } catch (err) {
-      console.error("[Chat] Image upload error:", err);
-      this.showSystem("Failed to send image. Please try again.");
-    } finally {
-      progressEl?.remove();
-      galleryBtn?.classList.remove("uploading");
-      cameraBtn?.classList.remove("uploading");
-    }
+  sendImage(file) {
+    return this.client.sendImage(file);
   }
 
-  // ── Typing ───────────────────────────────────────────────
   startTyping() {
-    if (!this.isConnected) return;
-    this.ws.send(JSON.stringify({ event: "typing_start" }));
-    clearTimeout(this.typingTimeout);
-    this.typingTimeout = setTimeout(() => this.stopTyping(), 3000);
-  }
-
-  stopTyping() {
-    clearTimeout(this.typingTimeout);
-    this.typingTimeout = null;
-    if (this.isConnected && this.ws?.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify({ event: "typing_stop" }));
-    }
-  }
-
-  // ── Mark read ────────────────────────────────────────────
-  markRead(ids) {
-    if (!this.isConnected || !ids?.length) return;
-    this.ws.send(JSON.stringify({ event: "mark_read", message_ids: ids }));
-  }
-
-  // ── Load history ─────────────────────────────────────────
-  async loadHistory() {
-    try {
-      const token = localStorage.getItem("access_token");
-      const res = await fetch(
-        `${PASUGO_API_BASE}/api/messages/conversations/${this.conversationId}`,
-        { headers: { Authorization: `Bearer ${token}` } },
-      );
-      if (!res.ok) return;
-      const data = await res.json();
-      const messages = data.data?.messages || [];
-      const container = this.ctrl.chatContainer;
-      if (!container) return;
-
-      container.innerHTML = "";
-      if (!messages.length) {
-        this.showSystem("Say hello to your rider! 👋");
-      } else {
-        messages.forEach((m) => this.renderMessage(m));
-        container.scrollTop = container.scrollHeight;
-      }
-
-      // Mark unread
-      const myId = this.getMyId();
-      const unread = messages
-        .filter((m) => m.sender_id !== myId)
-        .map((m) => m.message_id);
-      if (unread.length) this.markRead(unread);
-    } catch (err) {
-      console.error("[Chat] loadHistory error:", err);
-    }
+    this.client.startTyping();
   }
 
-  // ── Handle incoming WS event ─────────────────────────────
-  handleEvent(data) {
-    switch (data.event) {
-      case "new_message":
-        this.renderMessage(data);
-        this.markRead([data.message_id]);
-        break;
-      case "user_typing":
-        this.handleTypingIndicator(data);
-        break;
-      case "messages_read":
-        this.updateReadReceipts(data.message_ids);
-        break;
-      case "user_joined":
-        if (data.user_id !== this.getMyId()) this.setStatus("On the way");
-        break;
-      case "user_left":
-        if (data.user_id !== this.getMyId()) this.setStatus("Offline", "#888");
-        break;
-      case "pong":
-        break;
-      case "error":
-        console.error("[Chat] server error:", data.message);
-        break;
-    }
+  // ── Renderer hooks ───────────────────────────────────────
+  clear() {
+    if (this.ctrl.chatContainer) this.ctrl.chatContainer.innerHTML = "";
   }
 
-  // ── Render message bubble ────────────────────────────────
-  renderMessage(msg) {
+  renderMessage(msg, isOwn) {
     const container = this.ctrl.chatContainer;
     if (!container) return;
 
-    // Remove typing bubble before adding real message
-    container.querySelector(".typing-indicator-bubble")?.remove();
-
-    if (msg.message_type === "system") {
-      this.showSystem(msg.content);
-      return;
-    }
-
-    const isOwn = msg.sender_id === this.getMyId();
     const time = msg.sent_at
       ? new Date(msg.sent_at).toLocaleTimeString([], {
           hour: "2-digit",
@@ -315,7 +72,7 @@ class ChatManager {
                onerror="this.parentElement.innerHTML='<em style=\'color:#999\'>Image unavailable</em>'">
         </div>`;
     } else {
-      contentHtml = this.escape(msg.content || "");
+      contentHtml = ChatClient.escape(msg.content);
     }
 
     const group = document.createElement("div");
@@ -344,38 +101,31 @@ class ChatManager {
     container.scrollTop = container.scrollHeight;
   }
 
-  // ── Typing indicator ─────────────────────────────────────
-  handleTypingIndicator(data) {
+  showTyping(isTyping) {
     const container = this.ctrl.chatContainer;
     if (!container) return;
     const existing = container.querySelector(".typing-indicator-bubble");
 
-    if (data.is_typing && data.user_id !== this.getMyId()) {
-      if (!existing) {
-        const el = document.createElement("div");
-        el.className = "message-group rider typing-indicator-bubble";
-        el.innerHTML = `
-          <div class="message-bubble rider" style="padding:10px 14px">
-            <span class="typing-dots"><span></span><span></span><span></span></span>
-          </div>`;
-        container.appendChild(el);
-        container.scrollTop = container.scrollHeight;
-      }
-      this.setStatus("typing...");
-      clearTimeout(this._typingStatusReset);
-      this._typingStatusReset = setTimeout(
-        () => this.setStatus("On the way"),
-        3500,
-      );
-    } else {
+    if (!isTyping) {
       existing?.remove();
+      return;
     }
+    if (existing) return;
+    const el = document.createElement("div");
+    el.className = "message-group rider typing-indicator-bubble";
+    el.innerHTML = `
+      <div class="message-bubble rider" style="padding:10px 14px">
+        <span class="typing-dots"><span></span><span></span><span></span></span>
+      </div>`;
+    container.appendChild(el);
+    container.scrollTop = container.scrollHeight;
   }
 
-  // ── Read receipts ────────────────────────────────────────
-  updateReadReceipts(ids) {
-    ids?.forEach((id) => {
-      const el = document.querySelector(`.msg-status[data-id="${id}"]`);
+  showReceipts(ids) {
+    ids.forEach((id) => {
+      const el = this.ctrl.chatContainer?.querySelector(
+        `.msg-status[data-id="${id}"]`,
+      );
       if (el) {
         el.textContent = "✓✓";
         el.style.color = "#4fc3f7";
@@ -383,27 +133,60 @@ class ChatManager {
     });
   }
 
-  // ── Helpers ──────────────────────────────────────────────
-  setStatus(text, color = "") {
-    const el = this.ctrl.riderStatus;
-    if (el) {
-      el.textContent = text;
-      el.style.color = color;
+  showUpload(active) {
+    const container = this.ctrl.chatContainer;
+    const galleryBtn = document.getElementById("chatGalleryBtn");
+    const cameraBtn = document.getElementById("chatCameraBtn");
+    galleryBtn?.classList.toggle("uploading", active);
+    cameraBtn?.classList.toggle("uploading", active);
+
+    if (!active) {
+      this._uploadProgress?.remove();
+      this._uploadProgress = null;
+      return;
     }
+    this._uploadProgress = document.createElement("div");
+    this._uploadProgress.className = "chat-upload-progress";
+    this._uploadProgress.innerHTML = `<div class="chat-upload-spinner"></div> Uploading image...`;
+    container?.appendChild(this._uploadProgress);
+    if (container) container.scrollTop = container.scrollHeight;
   }
 
-  getMyId() {
-    try {
-      return JSON.parse(localStorage.getItem("user_data") || "{}").user_id;
-    } catch {
-      return null;
+  showStatus(status) {
+    const STATUS = ChatClient.STATUS;
+    clearTimeout(this._onlineStatusReset);
+    switch (status) {
+      case STATUS.CONNECTED:
+        this.setStatus("Online", "#4caf50");
+        this._onlineStatusReset = setTimeout(
+          () => this.setStatus("On the way"),
+          2000,
+        );
+        break;
+      case STATUS.ONLINE:
+        this.setStatus("On the way");
+        break;
+      case STATUS.OFFLINE:
+        this.setStatus("Offline", "#888");
+        break;
+      case STATUS.TYPING:
+        this.setStatus("typing...");
+        break;
+      case STATUS.RECONNECTING:
+        this.setStatus("Reconnecting...", "#ff9800");
+        break;
+      case STATUS.LOST:
+        this.showSystem("Connection lost. Please refresh.");
+        break;
     }
   }
 
-  escape(text) {
-    const d = document.createElement("div");
-    d.appendChild(document.createTextNode(text));
-    return d.innerHTML;
+  setStatus(text, color = "") {
+    const el = this.ctrl.riderStatus;
+    if (el) {
+      el.textContent = text;
+      el.style.color = color;
+    }
   }
 }
 
@@ -498,19 +281,25 @@ class RequestModalController {
     this.chat = new ChatManager(this); // ✅ real WebSocket chat
 
     if (typeof pasugoAPI === "undefined") {
-      console.error("❌ pasugoAPI not found!");
+      requestLog.error("pasugoAPI not found!");
       return;
     }
     this.init();
 
     // Restore active request state on page load
     this.restoreActiveRequest();
+
+    // Resume requests that were created while offline
+    this.watchOutbox();
+
+    // Follow requests started or closed in another tab
+    this.watchOtherTabs();
   }
 
   init() {
     if (!this.initElements()) return;
     this.setupEventListeners();
-    console.log("✅ RequestModalController initialized");
+    requestLog.debug("RequestModalController initialized");
   }
 
   initElements() {
@@ -1211,6 +1000,51 @@ class RequestModalController {
   }
 
   // ── Submit request ────────────────────────────────────────
+  // Field names from the createRequest payload, for validation messages
+  static FIELD_LABELS = {
+    service_type: "Service",
+    items_description: "Items",
+    budget_limit: "Budget",
+    special_instructions: "Instructions",
+    pickup_location: "Pickup location",
+    delivery_address: "Delivery address",
+    delivery_option: "Delivery option",
+    payment_method: "Payment method",
+  };
+
+  // React to each PasugoApiError type instead of alerting a bare string
+  showCreateRequestError(error) {
+    if (error instanceof AuthError) {
+      alert("Your session has expired. Please sign in again.");
+      window.location.href = "login.html";
+    } else if (error instanceof ValidationError) {
+      const fields = Object.entries(error.fieldErrors);
+      if (!fields.length) {
+        alert("Please check your request: " + error.message);
+        return;
+      }
+      const lines = fields.map(
+        ([field, msg]) =>
+          `• ${RequestModalController.FIELD_LABELS[field.split(".").pop()] || field}: ${msg}`,
+      );
+      alert("Please check your request:\n" + lines.join("\n"));
+    } else if (error instanceof ConflictError) {
+      alert(
+        "You already have an active request. Finish or cancel it before creating a new one.",
+      );
+    } else if (error instanceof RateLimitError) {
+      const wait = error.retryAfter ? ` in ${error.retryAfter}s` : " shortly";
+      alert(`Too many requests. Please try again${wait}.`);
+    } else if (error?.retryable) {
+      // Network loss, timeout or a 5xx – the form is kept as-is
+      alert(
+        "We couldn't reach Pasugo right now. Your request was not sent – please try again.",
+      );
+    } else {
+      alert("Error: " + (error?.message || "Unknown error occurred"));
+    }
+  }
+
   async submitNewRequest() {
     this.updateConfirmationDisplay();
     if (!this.formData.serviceType || !this.formData.items) {
@@ -1233,8 +1067,16 @@ class RequestModalController {
         paymentMethod: this.formData.paymentMethod || "cod",
       });
 
+      if (result.queued) {
+        // Saved to the offline outbox – handleOutboxEvent picks it up later
+        this.requestModalOverlay.style.display = "none";
+        this.modalBackdrop?.classList.remove("active");
+        alert(result.message);
+        return;
+      }
+
       if (!result.success) {
-        alert("Error: " + result.message);
+        this.showCreateRequestError(result.error);
         return;
       }
 
@@ -1255,6 +1097,73 @@ class RequestModalController {
     }
   }
 
+  // ── Offline outbox ────────────────────────────────────────
+  watchOutbox() {
+    if (!window.pasugoOutbox) return;
+    window.pasugoOutbox.subscribe((event) => this.handleOutboxEvent(event));
+  }
+
+  handleOutboxEvent(event) {
+    if (event.entry?.kind !== "createRequest") return;
+
+    if (event.type === "failed") {
+      alert(`Your offline request could not be sent: ${event.error.message}`);
+      return;
+    }
+
+    if (event.type !== "replayed" || !event.data?.request_id) return;
+
+    // Don't hijack the UI if another request is already in progress
+    if (this.requestId) {
+      requestLog.warn(
+        "Offline request created but another is active, skipping",
+      );
+      return;
+    }
+
+    requestLog.debug("Offline request created:", event.data.request_id);
+    this.requestId = event.data.request_id;
+    this.uploadMediaToCloudinary(this.requestId);
+    this.requestStatus = "waiting";
+    this.saveRequestState();
+    this.showRiderSelection();
+  }
+
+  // ── Other tabs ────────────────────────────────────────────
+  watchOtherTabs() {
+    window.PasugoSessionSync?.on("active-request", (state) =>
+      this.handleRemoteRequestState(state),
+    );
+  }
+
+  handleRemoteRequestState(state) {
+    const requestId = state?.requestId || null;
+    // Same request: this tab's own polling keeps it up to date
+    if (requestId === this.requestId) return;
+
+    if (this.requestId) {
+      requestLog.debug("Active request changed in another tab");
+      this.leaveActiveRequest();
+    }
+    if (requestId) {
+      this.requestId = requestId;
+      this.requestStatus = state.requestStatus;
+      this.checkAndRestoreRequest(state);
+    }
+  }
+
+  // Stop following the current request; the other tab owns the saved state
+  leaveActiveRequest() {
+    this.stopWaitingTimer();
+    this.stopDeliveryStatusPolling();
+    this.chat.disconnect();
+    this.requestId = null;
+    this.requestStatus = null;
+    this.closeWaitingModal();
+    this.chatModalOverlay.style.display = "none";
+    this.resetForm();
+  }
+
   // ── Upload media to Cloudinary after request creation ────
   async uploadMediaToCloudinary(requestId) {
     try {
@@ -1272,13 +1181,13 @@ class RequestModalController {
               photo.name,
               photo.size,
             );
-            console.log(
-              "📸 Bill photo uploaded to Cloudinary:",
+            requestLog.debug(
+              "Bill photo uploaded to Cloudinary:",
               uploadResult.data.url,
             );
           }
         } catch (err) {
-          console.warn("Failed to upload bill photo:", err);
+          requestLog.warn("Failed to upload bill photo:", err);
         }
       }
 
@@ -1297,17 +1206,17 @@ class RequestModalController {
               file.type,
               file.size,
             );
-            console.log(
-              "📎 File uploaded to Cloudinary:",
+            requestLog.debug(
+              "File uploaded to Cloudinary:",
               uploadResult.data.url,
             );
           }
         } catch (err) {
-          console.warn("Failed to upload attachment:", err);
+          requestLog.warn("Failed to upload attachment:", err);
         }
       }
     } catch (err) {
-      console.error("Media upload error:", err);
+      requestLog.error("Media upload error:", err);
     }
   }
 
@@ -1325,7 +1234,7 @@ class RequestModalController {
     }
 
     try {
-      const token = localStorage.getItem("access_token");
+      const token = PasugoSecureStore.getItem("access_token");
       const res = await fetch(
         `${PASUGO_API_BASE}/api/locations/riders/available?lat=${userPos.lat}&lng=${userPos.lng}&radius=10&limit=5`,
         { headers: { Authorization: `Bearer ${token}` } },
@@ -1425,7 +1334,11 @@ class RequestModalController {
     }, 1000);
 
     this.statusPollInterval = setInterval(async () => {
-      const result = await pasugoAPI.pollRequestStatus(this.requestId);
+      // The interval itself is the retry loop, so don't stack retries on top
+      const result = await pasugoAPI.pollRequestStatus(this.requestId, {
+        timeout: 10000,
+        retries: 0,
+      });
       if (result.success) {
         const { status, timed_out, rider_info } = result.data;
         if (timed_out) {
@@ -1586,7 +1499,10 @@ class RequestModalController {
       }
 
       try {
-        const result = await pasugoAPI.getRequestDetails(this.requestId);
+        // Status polling must see the server, not the cache
+        const result = await pasugoAPI.getRequestDetails(this.requestId, {
+          cache: false,
+        });
         if (!result.success) return;
 
         const request = result.data;
@@ -1604,7 +1520,7 @@ class RequestModalController {
         // Update payment panel whenever bill is ready
         this.updateCustomerPaymentPanel(request);
       } catch (err) {
-        console.error("[StatusPoll] Error:", err);
+        requestLog.error("Error:", err);
       }
     }, 5000);
   }
@@ -1617,7 +1533,7 @@ class RequestModalController {
   }
 
   handleDeliveryStarted(request) {
-    console.log("🚚 Delivery started!");
+    requestLog.debug("Delivery started!");
     this.requestStatus = "delivering";
     this.saveRequestState();
 
@@ -1669,7 +1585,7 @@ class RequestModalController {
   }
 
   handleDeliveryCompleted(request) {
-    console.log("✅ Delivery completed!");
+    requestLog.debug("Delivery completed!");
     this.stopDeliveryStatusPolling();
 
     // Update progress to completed
@@ -1680,7 +1596,7 @@ class RequestModalController {
   }
 
   handleRequestCancelled() {
-    console.log("❌ Request was cancelled");
+    requestLog.debug("Request was cancelled");
     this.stopDeliveryStatusPolling();
     this.chat.disconnect();
     this.clearRequestState();
@@ -1913,7 +1829,7 @@ class RequestModalController {
         try {
           const formData = new FormData();
           formData.append("file", screenshotInput.files[0]);
-          const token = localStorage.getItem("access_token");
+          const token = PasugoSecureStore.getItem("access_token");
           const uploadRes = await fetch(
             `${PASUGO_API_BASE}/api/uploads/image`,
             {
@@ -1927,49 +1843,25 @@ class RequestModalController {
             screenshotUrl = uploadData.data?.url || uploadData.url;
           }
         } catch (uploadErr) {
-          console.warn("Screenshot upload failed:", uploadErr);
+          requestLog.warn("Screenshot upload failed:", uploadErr);
         }
       }
 
-      const token = localStorage.getItem("access_token");
-      const payload = { gcash_reference: reference };
-      if (screenshotUrl) payload.gcash_screenshot_url = screenshotUrl;
-
-      const res = await fetch(
-        `${PASUGO_API_BASE}/api/requests/${this.requestId}/submit-payment`,
-        {
-          method: "POST",
-          headers: {
-            Authorization: `Bearer ${token}`,
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify(payload),
-        },
-      );
-
-      if (!res.ok) {
-        const errData = await res.json().catch(() => ({}));
-        throw new Error(errData.detail || "Failed to submit payment");
-      }
+      const result = await pasugoAPI.submitGcashPayment(this.requestId, {
+        gcashReference: reference,
+        gcashScreenshotUrl: screenshotUrl,
+      });
+      if (!result.success) throw result.error;
 
       // Send chat message
-      if (
-        this.chat?.isConnected &&
-        this.chat?.ws?.readyState === WebSocket.OPEN
-      ) {
-        this.chat.ws.send(
-          JSON.stringify({
-            event: "send_message",
-            content: `💳 GCash payment submitted!\nReference: ${reference}`,
-            message_type: "text",
-          }),
-        );
+      if (this.chat?.isOpen) {
+        this.chat.send(`💳 GCash payment submitted!\nReference: ${reference}`);
       }
 
       // UI will update on next poll
       alert("GCash payment submitted! Rider will verify your payment.");
     } catch (err) {
-      console.error("[Payment] GCash submit error:", err);
+      requestLog.error("GCash submit error:", err);
       alert("Failed to submit payment: " + err.message);
     } finally {
       if (btn) {
@@ -2064,14 +1956,14 @@ class RequestModalController {
       serviceType: this.formData.serviceType,
     };
     localStorage.setItem("active_customer_request", JSON.stringify(state));
-    console.log("💾 Request state saved:", state);
+    requestLog.debug("Request state saved:", state);
   }
 
   clearRequestState() {
     localStorage.removeItem("active_customer_request");
     this.requestId = null;
     this.requestStatus = null;
-    console.log("🗑️ Request state cleared");
+    requestLog.debug("Request state cleared");
   }
 
   restoreActiveRequest() {
@@ -2082,14 +1974,14 @@ class RequestModalController {
       const state = JSON.parse(savedState);
       if (!state.requestId) return;
 
-      console.log("🔄 Restoring active request:", state);
+      requestLog.debug("Restoring active request:", state);
       this.requestId = state.requestId;
       this.requestStatus = state.requestStatus;
 
       // Check if request is still active from backend
       this.checkAndRestoreRequest(state);
     } catch (e) {
-      console.error("Failed to restore request state:", e);
+      requestLog.error("Failed to restore request state:", e);
       this.clearRequestState();
     }
   }
@@ -2109,26 +2001,25 @@ class RequestModalController {
           if (res.ok) {
             result = { success: true, data: data.data };
           } else if (res.status === 404 || res.status === 403) {
-            console.log("📋 Request no longer accessible, clearing state");
+            requestLog.debug("Request no longer accessible, clearing state");
             this.clearRequestState();
             return;
           } else {
             // Auth or server error — don't clear state, just bail
-            console.warn(`[RestoreRequest] Got ${res.status}, keeping state`);
+            requestLog.warn(`Got ${res.status}, keeping state`);
             return;
           }
         } catch (fetchErr) {
           // Network error — don't clear state
-          console.warn(
-            "[RestoreRequest] Network error, keeping state:",
-            fetchErr.message,
-          );
+          requestLog.warn("Network error, keeping state:", fetchErr.message);
           return;
         }
       } else {
-        result = await pasugoAPI.getRequestDetails(state.requestId);
+        result = await pasugoAPI.getRequestDetails(state.requestId, {
+          cache: false,
+        });
         if (!result.success) {
-          console.log("📋 Request check failed, keeping state");
+          requestLog.debug("Request check failed, keeping state");
           return;
         }
       }
@@ -2138,7 +2029,7 @@ class RequestModalController {
 
       // Check if request is completed or cancelled
       if (status === "completed" || status === "cancelled") {
-        console.log(`📋 Request is ${status}, clearing state`);
+        requestLog.debug(`Request is ${status}, clearing state`);
         this.clearRequestState();
         return;
       }
@@ -2178,14 +2069,39 @@ class RequestModalController {
         }
       }
 
-      console.log(
-        `✅ Request restored: ${this.requestId} (${this.requestStatus})`,
+      requestLog.debug(
+        `Request restored: ${this.requestId} (${this.requestStatus})`,
       );
     } catch (e) {
-      console.error("Failed to check request status:", e);
+      requestLog.error("Failed to check request status:", e);
     }
   }
 
+  /**
+   * Show a request from a deep link. Only one request is followed at a
+   * time, so a link to another request is refused while one is active.
+   * @returns {Promise<boolean>} - Whether the request is now shown
+   */
+  async openRequest(requestId) {
+    if (this.requestId === requestId) {
+      if (this.requestStatus === "waiting") this.openWaitingModal();
+      else if (this.requestStatus) this.openChatModal();
+      return true;
+    }
+    if (this.requestId) return false;
+
+    this.requestId = requestId;
+    await this.checkAndRestoreRequest({ requestId });
+    if (this.requestId !== requestId) return false;
+    // Not reachable right now: don't start following it
+    if (!this.requestStatus) {
+      this.requestId = null;
+      return false;
+    }
+    this.saveRequestState();
+    return true;
+  }
+
   // ── Reset ─────────────────────────────────────────────────
   resetForm() {
     this.currentStep = 1;
@@ -1,36 +1,36 @@
 // rider-chat.js - Rider Chat Manager with WebSocket
 // ─────────────────────────────────────────────────────────────
-// Handles real-time chat between rider and customer
+// Handles real-time chat between rider and customer; the socket and
+// message protocol live in the shared ChatClient (chat-client.js)
 
-const PASUGO_WS_BASE = "wss://pasugo.onrender.com";
-const PASUGO_API_BASE = "https://pasugo.onrender.com";
+const PASUGO_API_BASE = PasugoConfig.getApiBase();
+const riderChatLog = PasugoLogger.scope("RiderChat");
 
 class RiderChatManager {
   constructor() {
-    this.ws = null;
-    this.conversationId = null;
+    this.chat = new ChatClient({
+      renderer: this,
+      greeting: "Chat with your customer! 👋",
+    });
     this.requestId = null;
     this.customerId = null;
     this.customerName = "";
-    this.isConnected = false;
-    this.reconnectAttempts = 0;
-    this.maxReconnects = 5;
-    this.pingInterval = null;
-    this.typingTimeout = null;
-    this.messageQueue = [];
     this.isOpen = false;
     this.unreadCount = 0;
     this.currentRequestStatus = null;
     this.currentRequestDetails = null;
     this.statusPollInterval = null;
 
+    // Re-sync the task panel when queued offline actions are replayed
+    window.pasugoOutbox?.subscribe((event) => this.handleOutboxEvent(event));
+
     // DOM elements (will be set when panel is created)
     this.chatPanel = null;
     this.chatContainer = null;
     this.chatInput = null;
     this.customerStatus = null;
 
-    console.log("🔧 RiderChatManager initialized");
+    riderChatLog.debug("RiderChatManager initialized");
   }
 
   // ── Initialize chat panel UI ─────────────────────────────
@@ -45,9 +45,9 @@ class RiderChatManager {
     this.setupEventListeners();
 
     // Restore active request if any
-    this.restoreActiveRequest();
+    this.restoring = this.restoreActiveRequest();
 
-    console.log("✅ Rider chat UI initialized");
+    riderChatLog.debug("Rider chat UI initialized");
   }
 
   // ── Restore active request on page reload ────────────────
@@ -60,8 +60,8 @@ class RiderChatManager {
       await this._verifyAndConnect(savedRequestId, savedCustomerName);
     } else {
       // No saved request — check backend for any active assigned/in_progress requests
-      console.log(
-        "[RiderChat] No saved request, checking backend for active tasks...",
+      riderChatLog.debug(
+        "No saved request, checking backend for active tasks...",
       );
       await this._recoverFromBackend();
     }
@@ -76,7 +76,7 @@ class RiderChatManager {
           : (url) =>
               fetch(url, {
                 headers: {
-                  Authorization: `Bearer ${localStorage.getItem("access_token")}`,
+                  Authorization: `Bearer ${PasugoSecureStore.getItem("access_token")}`,
                 },
               });
 
@@ -89,8 +89,8 @@ class RiderChatManager {
         const data = await res.json();
         if (data.data?.length > 0) {
           const req = data.data[0];
-          console.log(
-            `🔄 [RiderChat] Found active ${st} request #${req.request_id} from backend`,
+          riderChatLog.debug(
+            `Found active ${st} request #${req.request_id} from backend`,
           );
           // Save to localStorage so future reloads are fast
           localStorage.setItem("active_request_id", req.request_id);
@@ -104,15 +104,15 @@ class RiderChatManager {
           return;
         }
       }
-      console.log("[RiderChat] No active requests found on backend");
+      riderChatLog.debug("No active requests found on backend");
     } catch (e) {
-      console.warn("[RiderChat] Backend recovery failed:", e.message);
+      riderChatLog.warn("Backend recovery failed:", e.message);
     }
   }
 
   // Verify a saved request is still active and connect
   async _verifyAndConnect(requestId, customerName) {
-    console.log(`🔄 [RiderChat] Restoring request ${requestId}...`);
+    riderChatLog.debug(`Restoring request ${requestId}...`);
 
     try {
       let res;
@@ -121,7 +121,7 @@ class RiderChatManager {
           `${PASUGO_API_BASE}/api/requests/${requestId}`,
         );
       } else {
-        const token = localStorage.getItem("access_token");
+        const token = PasugoSecureStore.getItem("access_token");
         res = await fetch(`${PASUGO_API_BASE}/api/requests/${requestId}`, {
           headers: { Authorization: `Bearer ${token}` },
         });
@@ -129,14 +129,14 @@ class RiderChatManager {
 
       if (!res.ok) {
         if (res.status === 404 || res.status === 403) {
-          console.log("📋 Request no longer accessible, clearing state");
+          riderChatLog.debug("Request no longer accessible, clearing state");
           this.clearActiveRequest();
           // Try recovering from backend in case there's another active request
           await this._recoverFromBackend();
           return;
         }
-        console.warn(
-          `[RiderChat] Restore check got ${res.status}, trying reconnect anyway...`,
+        riderChatLog.warn(
+          `Restore check got ${res.status}, trying reconnect anyway...`,
         );
         this.setCustomerInfo(customerName || "Customer");
         await this.connect(parseInt(requestId, 10));
@@ -147,7 +147,7 @@ class RiderChatManager {
       const status = data.data?.status?.toLowerCase();
 
       if (status === "completed" || status === "cancelled") {
-        console.log(`📋 Request is ${status}, clearing state`);
+        riderChatLog.debug(`Request is ${status}, clearing state`);
         this.clearActiveRequest();
         return;
       }
@@ -160,7 +160,7 @@ class RiderChatManager {
       this.setCustomerInfo(backendCustomerName);
       await this.connect(parseInt(requestId, 10));
     } catch (e) {
-      console.error(
+      riderChatLog.error(
         "Failed to restore request (network error, keeping state):",
         e,
       );
@@ -168,11 +168,45 @@ class RiderChatManager {
         this.setCustomerInfo(customerName || "Customer");
         await this.connect(parseInt(requestId, 10));
       } catch (e2) {
-        console.error("Reconnect also failed:", e2);
+        riderChatLog.error("Reconnect also failed:", e2);
       }
     }
   }
 
+  /**
+   * Open the chat of a request from a deep link: the current delivery, or
+   * an accepted one this rider is not following yet
+   * @returns {Promise<boolean>} - Whether its chat is now open
+   */
+  async openRequest(requestId) {
+    await this.restoring;
+    if (this.requestId === requestId) {
+      this.openChat();
+      return true;
+    }
+    if (this.requestId) return false;
+
+    try {
+      const res = await authenticatedFetch(
+        `${PASUGO_API_BASE}/api/requests/${requestId}`,
+      );
+      if (!res.ok) return false;
+      const request = (await res.json()).data;
+      const status = request?.status?.toLowerCase();
+      if (status !== "assigned" && status !== "in_progress") return false;
+
+      const customerName = request.customer_name || "Customer";
+      localStorage.setItem("active_request_id", requestId);
+      localStorage.setItem("active_request_customer", customerName);
+      this.setCustomerInfo(customerName);
+      await this.connect(requestId);
+      return this.requestId === requestId;
+    } catch (e) {
+      riderChatLog.warn("Could not open linked request:", e.message);
+      return false;
+    }
+  }
+
   clearActiveRequest() {
     localStorage.removeItem("active_request_id");
     localStorage.removeItem("active_request_customer");
@@ -819,7 +853,7 @@ class RiderChatManager {
       input.addEventListener("keypress", (e) => {
         if (e.key === "Enter") this.sendMessage();
       });
-      input.addEventListener("input", () => this.startTyping());
+      input.addEventListener("input", () => this.chat.startTyping());
     }
 
     // Gallery button
@@ -890,38 +924,16 @@ class RiderChatManager {
   // ── Connect to conversation ──────────────────────────────
   async connect(requestId) {
     this.requestId = requestId;
-    console.log(`📱 [RiderChat] Connecting to request ${requestId}...`);
+    riderChatLog.debug(`Connecting to request ${requestId}...`);
 
     try {
-      const token = localStorage.getItem("access_token");
-
       // Re-enable input in case it was disabled from a previous completed chat
       if (this.chatInput) this.chatInput.disabled = false;
       const sendBtn = document.getElementById("riderChatSend");
       if (sendBtn) sendBtn.disabled = false;
 
-      // Get or create conversation
-      const res = await fetch(`${PASUGO_API_BASE}/api/messages/conversations`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${token}`,
-        },
-        body: JSON.stringify({ request_id: requestId }),
-      });
-
-      if (!res.ok) {
-        const errData = await res.json().catch(() => ({}));
-        throw new Error(errData.detail || "Failed to get conversation");
-      }
-
-      const data = await res.json();
-      this.conversationId = data.data.conversation_id;
-      console.log(`✅ [RiderChat] Got conversation ${this.conversationId}`);
-
-      // Load history and open WebSocket
-      await this.loadHistory();
-      this.openWS();
+      // Get or create the conversation, load history and go live
+      await this.chat.connect(requestId);
 
       // Show active task banner
       this.showActiveTaskBanner();
@@ -938,83 +950,18 @@ class RiderChatManager {
       // Auto-open the chat panel so the user sees it
       this.openChat();
     } catch (err) {
-      console.error("[RiderChat] connect error:", err);
+      riderChatLog.error("connect error:", err);
       this.showSystem("Could not connect to chat: " + err.message);
     }
   }
 
-  openWS() {
-    const token = localStorage.getItem("access_token");
-    if (!token || !this.conversationId) return;
-
-    const url = `${PASUGO_WS_BASE}/api/messages/ws/${this.conversationId}?token=${token}`;
-    console.log(`🔌 [RiderChat] Opening WebSocket...`);
-
-    this.ws = new WebSocket(url);
-
-    this.ws.onopen = () => {
-      console.log("✅ [RiderChat] WebSocket connected");
-      this.isConnected = true;
-      this.reconnectAttempts = 0;
-      this.setStatus("Online", "#4caf50");
-
-      // Flush queued messages
-      while (this.messageQueue.length) {
-        this.ws.send(JSON.stringify(this.messageQueue.shift()));
-      }
-
-      // Keepalive ping
-      this.pingInterval = setInterval(() => {
-        if (this.isConnected) this.ws.send(JSON.stringify({ event: "ping" }));
-      }, 30000);
-    };
-
-    this.ws.onmessage = (e) => {
-      try {
-        this.handleEvent(JSON.parse(e.data));
-      } catch (err) {
-        console.error("[RiderChat] parse error:", err);
-      }
-    };
-
-    this.ws.onclose = (e) => {
-      console.log("[RiderChat] WS closed:", e.code);
-      this.isConnected = false;
-      clearInterval(this.pingInterval);
-      if (e.code !== 1000 && e.code !== 4001 && e.code !== 4003) {
-        this.scheduleReconnect();
-      }
-    };
-
-    this.ws.onerror = (e) => console.error("[RiderChat] WS error:", e);
-  }
-
-  scheduleReconnect() {
-    if (this.reconnectAttempts >= this.maxReconnects) {
-      this.setStatus("Connection lost", "#dc3545");
-      return;
-    }
-    this.reconnectAttempts++;
-    this.setStatus("Reconnecting...", "#ff9800");
-    setTimeout(() => this.openWS(), 2000 * this.reconnectAttempts);
-  }
-
   disconnect() {
-    console.log("🔌 [RiderChat] Disconnecting...");
-    clearInterval(this.pingInterval);
+    riderChatLog.debug("Disconnecting...");
     clearInterval(this.statusPollInterval);
     this.statusPollInterval = null;
-    clearTimeout(this.typingTimeout);
-    if (this.ws) {
-      this.ws.close(1000);
-      this.ws = null;
-    }
-    this.isConnected = false;
-    this.conversationId = null;
+    this.chat.disconnect();
     this.requestId = null;
     this.currentRequestStatus = null;
-    this.reconnectAttempts = 0;
-    this.messageQueue = [];
     // Re-enable input for next conversation
     if (this.chatInput) this.chatInput.disabled = false;
     const sendBtn = document.getElementById("riderChatSend");
@@ -1036,7 +983,7 @@ class RiderChatManager {
         return;
       }
       try {
-        const token = localStorage.getItem("access_token");
+        const token = PasugoSecureStore.getItem("access_token");
         const res = await fetch(
           `${PASUGO_API_BASE}/api/requests/${this.requestId}`,
           { headers: { Authorization: `Bearer ${token}` } },
@@ -1046,8 +993,8 @@ class RiderChatManager {
         const status = (data.data?.status || "").toLowerCase();
 
         if (status === "completed" || status === "cancelled") {
-          console.log(
-            `📋 [RiderChat] Request externally ${status}, switching to read-only`,
+          riderChatLog.debug(
+            `Request externally ${status}, switching to read-only`,
           );
           this.showSystem(`This request has been ${status}.`);
           this.currentRequestDetails = data.data;
@@ -1062,11 +1009,7 @@ class RiderChatManager {
           );
           clearInterval(this.statusPollInterval);
           this.statusPollInterval = null;
-          if (this.ws) {
-            this.ws.close(1000);
-            this.ws = null;
-          }
-          this.isConnected = false;
+          this.chat.close();
           return;
         }
 
@@ -1089,7 +1032,7 @@ class RiderChatManager {
     if (!this.requestId) return;
 
     try {
-      const token = localStorage.getItem("access_token");
+      const token = PasugoSecureStore.getItem("access_token");
       const res = await fetch(
         `${PASUGO_API_BASE}/api/requests/${this.requestId}`,
         {
@@ -1110,9 +1053,7 @@ class RiderChatManager {
 
       // Auto-close chat if request is already completed or cancelled
       if (reqStatus === "completed" || reqStatus === "cancelled") {
-        console.log(
-          `📋 [RiderChat] Request is ${reqStatus}, showing read-only`,
-        );
+        riderChatLog.debug(`Request is ${reqStatus}, showing read-only`);
         this.showSystem(`This request has been ${reqStatus}.`);
         // Show task details in read-only but do NOT auto-disconnect —
         // let the rider browse the chat history. They close manually.
@@ -1125,11 +1066,7 @@ class RiderChatManager {
         // Stop WebSocket & polling since request is done
         clearInterval(this.statusPollInterval);
         this.statusPollInterval = null;
-        if (this.ws) {
-          this.ws.close(1000);
-          this.ws = null;
-        }
-        this.isConnected = false;
+        this.chat.close();
         this.setStatus(
           reqStatus === "completed" ? "Completed" : "Cancelled",
           "#999",
@@ -1152,7 +1089,7 @@ class RiderChatManager {
           .toUpperCase();
       }
     } catch (err) {
-      console.error("[RiderChat] fetchRequestDetails error:", err);
+      riderChatLog.error("fetchRequestDetails error:", err);
       const taskItemsList = document.getElementById("taskItemsList");
       if (taskItemsList) {
         taskItemsList.innerHTML = `<div style="color:#dc3545">Failed to load task details</div>`;
@@ -1516,24 +1453,15 @@ class RiderChatManager {
     }
 
     try {
-      const token = localStorage.getItem("access_token");
-      const res = await fetch(
-        `${PASUGO_API_BASE}/api/requests/${this.requestId}/start-delivery`,
-        {
-          method: "POST",
-          headers: {
-            Authorization: `Bearer ${token}`,
-            "Content-Type": "application/json",
-          },
-        },
-      );
+      const result = await pasugoAPI.startDelivery(this.requestId);
 
-      if (!res.ok) {
-        const errData = await res.json().catch(() => ({}));
-        throw new Error(errData.detail || "Failed to start delivery");
+      if (result.queued) {
+        this.showQueuedAction(btn, result.message);
+        return;
       }
+      if (!result.success) throw result.error;
 
-      const responseData = await res.json();
+      const responseData = { data: result.data };
 
       this.currentRequestStatus = "in_progress";
       this.updateTaskActionButtons("in_progress");
@@ -1550,7 +1478,7 @@ class RiderChatManager {
       }
 
       // Send service-aware chat message
-      if (this.isConnected && this.ws?.readyState === WebSocket.OPEN) {
+      if (this.chat.isOpen) {
         const sType = (
           this.currentRequestDetails?.service_type || ""
         ).toLowerCase();
@@ -1564,13 +1492,10 @@ class RiderChatManager {
           documents:
             "📄 Documents are ready! On my way to deliver them to you!",
         };
-        this.ws.send(
-          JSON.stringify({
-            event: "send_message",
-            content: chatMessages[sType] || "🚚 On my way to you now!",
-            message_type: "text",
-          }),
-        );
+        this.chat.send({
+          content: chatMessages[sType] || "🚚 On my way to you now!",
+          message_type: "text",
+        });
       }
 
       const sType2 = (
@@ -1595,9 +1520,7 @@ class RiderChatManager {
 
       if (customerLoc?.latitude && customerLoc?.longitude) {
         // Use real GPS coordinates from the database
-        console.log(
-          `📍 Customer GPS: ${customerLoc.latitude}, ${customerLoc.longitude}`,
-        );
+        riderChatLog.debug("Using customer GPS from the request");
         setTimeout(() => {
           if (window.riderMapController?.focusOnCoordinates) {
             window.riderMapController.focusOnCoordinates(
@@ -1630,13 +1553,17 @@ class RiderChatManager {
             `⚠️ Customer "${customerName}" has no saved location. ` +
               `Ask them to share their location in the chat, or contact them by phone.`,
           );
-          console.warn(
-            "[RiderChat] No customer location data available at all",
-          );
+          riderChatLog.warn("No customer location data available at all");
         }
       }
     } catch (err) {
-      console.error("[RiderChat] startDelivery error:", err);
+      riderChatLog.error("startDelivery error:", err);
+      if (err instanceof ConflictError) {
+        // Status already moved on (other device or a replayed offline action)
+        this.showSystem("This task was already updated. Refreshing...");
+        this.fetchRequestDetails();
+        return;
+      }
       alert("Failed to start: " + err.message);
       if (btn) {
         btn.disabled = false;
@@ -1690,22 +1617,13 @@ class RiderChatManager {
     }
 
     try {
-      const token = localStorage.getItem("access_token");
-      const res = await fetch(
-        `${PASUGO_API_BASE}/api/requests/${this.requestId}/complete-delivery`,
-        {
-          method: "POST",
-          headers: {
-            Authorization: `Bearer ${token}`,
-            "Content-Type": "application/json",
-          },
-        },
-      );
+      const result = await pasugoAPI.completeDelivery(this.requestId);
 
-      if (!res.ok) {
-        const errData = await res.json().catch(() => ({}));
-        throw new Error(errData.detail || "Failed to complete delivery");
+      if (result.queued) {
+        this.showQueuedAction(btn, result.message);
+        return;
       }
+      if (!result.success) throw result.error;
 
       this.currentRequestStatus = "completed";
       this.updateTaskActionButtons("completed");
@@ -1718,7 +1636,7 @@ class RiderChatManager {
       }
 
       // Send service-aware completion message
-      if (this.isConnected && this.ws?.readyState === WebSocket.OPEN) {
+      if (this.chat.isOpen) {
         const sType = (
           this.currentRequestDetails?.service_type || ""
         ).toLowerCase();
@@ -1734,15 +1652,12 @@ class RiderChatManager {
           documents:
             "✅ Documents delivered! Thank you for using Pasugo. Have a great day!",
         };
-        this.ws.send(
-          JSON.stringify({
-            event: "send_message",
-            content:
-              completeMsgs[sType] ||
-              "✅ Task completed! Thank you for using Pasugo.",
-            message_type: "text",
-          }),
-        );
+        this.chat.send({
+          content:
+            completeMsgs[sType] ||
+            "✅ Task completed! Thank you for using Pasugo.",
+          message_type: "text",
+        });
       }
 
       this.showSystem("Task completed successfully!");
@@ -1753,7 +1668,13 @@ class RiderChatManager {
         this.disconnect();
       }, 2000);
     } catch (err) {
-      console.error("[RiderChat] completeDelivery error:", err);
+      riderChatLog.error("completeDelivery error:", err);
+      if (err instanceof ConflictError) {
+        // Status already moved on (other device or a replayed offline action)
+        this.showSystem("This task was already updated. Refreshing...");
+        this.fetchRequestDetails();
+        return;
+      }
       alert("Failed to complete: " + err.message);
       if (btn) {
         btn.disabled = false;
@@ -1772,11 +1693,40 @@ class RiderChatManager {
     }
   }
 
+  // ── Offline outbox ───────────────────────────────────────
+  showQueuedAction(btn, message) {
+    if (btn) {
+      btn.disabled = true;
+      btn.innerHTML =
+        '<i class="fa-solid fa-cloud-arrow-up"></i> Waiting for connection...';
+    }
+    this.showSystem(message);
+  }
+
+  handleOutboxEvent(event) {
+    const kind = event.entry?.kind;
+    if (kind !== "startDelivery" && kind !== "completeDelivery") return;
+    if (String(event.entry.meta.requestId) !== String(this.requestId)) return;
+
+    if (event.type === "failed") {
+      this.showSystem(`Offline action failed: ${event.error.message}`);
+      this.fetchRequestDetails();
+    } else if (event.type === "replayed") {
+      this.showSystem(
+        kind === "startDelivery"
+          ? "Back online – delivery started."
+          : "Back online – task completed!",
+      );
+      // Re-sync buttons and badge with the server's view of the task
+      this.fetchRequestDetails();
+    }
+  }
+
   // ── Auto-fetch distance-based service fee ────────────────
   async autoFetchServiceFee(serviceFeeInput, updateTotalFn) {
     if (!this.requestId || !serviceFeeInput) return;
     try {
-      const token = localStorage.getItem("access_token");
+      const token = PasugoSecureStore.getItem("access_token");
       const res = await fetch(
         `${PASUGO_API_BASE}/api/requests/${this.requestId}/calculate-fee`,
         { headers: { Authorization: `Bearer ${token}` } },
@@ -1800,12 +1750,12 @@ class RiderChatManager {
           badge.style.display = "block";
         }
         updateTotalFn();
-        console.log(
-          `✅ Service fee auto-calculated: ₱${fee} (${json.data.distance_km} km)`,
+        riderChatLog.debug(
+          `Service fee auto-calculated: ₱${fee} (${json.data.distance_km} km)`,
         );
       }
     } catch (err) {
-      console.warn("⚠️ Could not auto-fetch service fee:", err.message);
+      riderChatLog.warn("Could not auto-fetch service fee:", err.message);
       // Let rider enter manually
       serviceFeeInput.readOnly = false;
       serviceFeeInput.placeholder = "Enter manually";
@@ -1846,28 +1796,12 @@ class RiderChatManager {
     }
 
     try {
-      const token = localStorage.getItem("access_token");
-      const res = await fetch(
-        `${PASUGO_API_BASE}/api/requests/${this.requestId}/submit-bill`,
-        {
-          method: "POST",
-          headers: {
-            Authorization: `Bearer ${token}`,
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify({
-            item_cost: itemCost,
-            service_fee: serviceFee,
-          }),
-        },
-      );
-
-      if (!res.ok) {
-        const errData = await res.json().catch(() => ({}));
-        throw new Error(errData.detail || "Failed to submit bill");
-      }
-
-      const data = await res.json();
+      // Idempotency key in pasugoAPI keeps retries from double-billing
+      const result = await pasugoAPI.submitBill(this.requestId, {
+        itemCost,
+        serviceFee,
+      });
+      if (!result.success) throw result.error;
 
       // Update local state
       if (this.currentRequestDetails) {
@@ -1881,20 +1815,21 @@ class RiderChatManager {
       this.updateTaskActionButtons(this.currentRequestStatus);
 
       // Send chat message about the bill
-      if (this.isConnected && this.ws?.readyState === WebSocket.OPEN) {
-        this.ws.send(
-          JSON.stringify({
-            event: "send_message",
-            content: `💰 Bill Summary:\n• Item Cost: ₱${itemCost.toFixed(2)}\n• Service Fee: ₱${serviceFee.toFixed(2)}\n• Total: ₱${total.toFixed(2)}\n\nPlease prepare the payment.`,
-            message_type: "text",
-          }),
-        );
+      if (this.chat.isOpen) {
+        this.chat.send({
+          content: `💰 Bill Summary:\n• Item Cost: ₱${itemCost.toFixed(2)}\n• Service Fee: ₱${serviceFee.toFixed(2)}\n• Total: ₱${total.toFixed(2)}\n\nPlease prepare the payment.`,
+          message_type: "text",
+        });
       }
 
       this.showSystem("Bill sent to customer!");
     } catch (err) {
-      console.error("[RiderChat] submitBill error:", err);
-      alert("Failed to submit bill: " + err.message);
+      riderChatLog.error("submitBill error:", err);
+      const fieldMessages = Object.values(err.fieldErrors || {});
+      alert(
+        "Failed to submit bill: " +
+          (fieldMessages.length ? fieldMessages.join(", ") : err.message),
+      );
       if (btn) {
         btn.disabled = false;
         btn.innerHTML =
@@ -1934,7 +1869,7 @@ class RiderChatManager {
     }
 
     try {
-      const token = localStorage.getItem("access_token");
+      const token = PasugoSecureStore.getItem("access_token");
       const formData = new FormData();
       formData.append("file", file);
 
@@ -1963,7 +1898,7 @@ class RiderChatManager {
         confirmPaymentBtn.style.opacity = "1";
       }
     } catch (err) {
-      console.error("[RiderChat] Proof upload error:", err);
+      riderChatLog.error("Proof upload error:", err);
       alert("Failed to upload photo. Please try again.");
     } finally {
       if (proofCameraBtn) {
@@ -1994,6 +1929,13 @@ class RiderChatManager {
         : "Confirm you received the cash payment with proof photo?";
 
     if (!confirm(msg)) return;
+    if (
+      !(await PasugoAppLock.reauthenticate(
+        "Enter your PIN to confirm the payment",
+      ))
+    ) {
+      return;
+    }
 
     const btn = document.getElementById("confirmPaymentBtn");
     if (btn) {
@@ -2003,27 +1945,13 @@ class RiderChatManager {
     }
 
     try {
-      const token = localStorage.getItem("access_token");
-      const res = await fetch(
-        `${PASUGO_API_BASE}/api/requests/${this.requestId}/confirm-payment`,
-        {
-          method: "POST",
-          headers: {
-            Authorization: `Bearer ${token}`,
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify({
-            payment_proof_url: this.paymentProofUrl,
-          }),
-        },
+      const result = await pasugoAPI.confirmPayment(
+        this.requestId,
+        this.paymentProofUrl,
       );
+      if (!result.success) throw result.error;
 
-      if (!res.ok) {
-        const errData = await res.json().catch(() => ({}));
-        throw new Error(errData.detail || "Failed to confirm payment");
-      }
-
-      const responseData = await res.json();
+      const responseData = { data: result.data };
 
       // Update local state
       if (this.currentRequestDetails) {
@@ -2043,27 +1971,21 @@ class RiderChatManager {
         }
 
         // Send completion chat message + proof image
-        if (this.isConnected && this.ws?.readyState === WebSocket.OPEN) {
+        if (this.chat.isOpen) {
           // Send proof of payment image first
           if (this.paymentProofUrl) {
-            this.ws.send(
-              JSON.stringify({
-                event: "send_message",
-                content: "📸 Proof of Payment",
-                message_type: "image",
-                attachment_url: this.paymentProofUrl,
-                attachment_type: "image",
-              }),
-            );
+            this.chat.send({
+              content: "📸 Proof of Payment",
+              message_type: "image",
+              attachment_url: this.paymentProofUrl,
+              attachment_type: "image",
+            });
           }
-          this.ws.send(
-            JSON.stringify({
-              event: "send_message",
-              content:
-                "✅ Payment confirmed and delivery completed! Thank you for using Pasugo. Have a great day!",
-              message_type: "text",
-            }),
-          );
+          this.chat.send({
+            content:
+              "✅ Payment confirmed and delivery completed! Thank you for using Pasugo. Have a great day!",
+            message_type: "text",
+          });
         }
 
         this.showSystem("Payment confirmed & delivery completed!");
@@ -2079,25 +2001,19 @@ class RiderChatManager {
         this.updateTaskActionButtons(this.currentRequestStatus);
 
         // Send proof image + chat message
-        if (this.isConnected && this.ws?.readyState === WebSocket.OPEN) {
+        if (this.chat.isOpen) {
           if (this.paymentProofUrl) {
-            this.ws.send(
-              JSON.stringify({
-                event: "send_message",
-                content: "📸 Proof of Payment",
-                message_type: "image",
-                attachment_url: this.paymentProofUrl,
-                attachment_type: "image",
-              }),
-            );
+            this.chat.send({
+              content: "📸 Proof of Payment",
+              message_type: "image",
+              attachment_url: this.paymentProofUrl,
+              attachment_type: "image",
+            });
           }
-          this.ws.send(
-            JSON.stringify({
-              event: "send_message",
-              content: "✅ Payment received and confirmed! Thank you.",
-              message_type: "text",
-            }),
-          );
+          this.chat.send({
+            content: "✅ Payment received and confirmed! Thank you.",
+            message_type: "text",
+          });
         }
 
         this.paymentProofUrl = null;
@@ -2105,7 +2021,7 @@ class RiderChatManager {
         this.showSystem("Payment confirmed!");
       }
     } catch (err) {
-      console.error("[RiderChat] confirmPayment error:", err);
+      riderChatLog.error("confirmPayment error:", err);
       alert("Failed to confirm payment: " + err.message);
       if (btn) {
         btn.disabled = false;
@@ -2153,203 +2069,31 @@ class RiderChatManager {
     const content = this.chatInput?.value?.trim();
     if (!content) return;
 
-    const payload = {
-      event: "send_message",
-      content: content,
-      message_type: "text",
-    };
-
-    if (this.isConnected && this.ws?.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify(payload));
-    } else {
-      this.messageQueue.push(payload);
-      this.scheduleReconnect();
-    }
-
+    this.chat.send(content);
     this.chatInput.value = "";
-    this.stopTyping();
   }
 
-  // ── Send image ───────────────────────────────────────────
-  async sendImage(file) {
-    if (!file || !file.type.startsWith("image/")) {
-      this.showSystem("Please select an image file.");
-      return;
-    }
-
-    // Max 10MB
-    if (file.size > 10 * 1024 * 1024) {
-      this.showSystem("Image too large. Max 10MB.");
-      return;
-    }
-
-    // Show upload progress
-    const progressEl = document.createElement("div");
-    progressEl.className = "rider-upload-progress";
-    progressEl.innerHTML = `<div class="rider-upload-spinner"></div> Uploading image...`;
-    this.chatContainer?.appendChild(progressEl);
-    this.chatContainer.scrollTop = this.chatContainer.scrollHeight;
-
-    // Disable attach buttons while uploading
-    const galleryBtn = document.getElementById("riderGalleryBtn");
-    const cameraBtn = document.getElementById("riderCameraBtn");
-    galleryBtn?.classList.add("uploading");
-    cameraBtn?.classList.add("uploading");
-
-    try {
-      const token = localStorage.getItem("access_token");
-      const formData = new FormData();
-      formData.append("file", file);
-
-      const res = await fetch(`${PASUGO_API_BASE}/api/uploads/image`, {
-        method: "POST",
-        headers: { Authorization: `Bearer ${token}` },
-        body: formData,
-      });
-
-      if (!res.ok) throw new Error("Upload failed");
-
-      const result = await res.json();
-      const imageUrl = result.data?.url;
-      if (!imageUrl) throw new Error("No URL returned");
-
-      // Send via WebSocket
-      const payload = {
-        event: "send_message",
-        content: "📷 Photo",
-        message_type: "image",
-        attachment_url: imageUrl,
-        attachment_type: "image",
-      };
-
-      if (this.isConnected && this.ws?.readyState === WebSocket.OPEN) {
-        this.ws.send(JSON.stringify(payload));
-      } else {
-        this.messageQueue.push(payload);
-        this.scheduleReconnect();
-      }
-    } catch (err) {
-      console.error("[RiderChat] Image upload error:", err);
-      this.showSystem("Failed to send image. Please try again.");
-    } finally {
-      progressEl?.remove();
-      galleryBtn?.classList.remove("uploading");
-      cameraBtn?.classList.remove("uploading");
-    }
-  }
-
-  // ── Typing indicators ────────────────────────────────────
-  startTyping() {
-    if (!this.isConnected) return;
-    this.ws.send(JSON.stringify({ event: "typing_start" }));
-    clearTimeout(this.typingTimeout);
-    this.typingTimeout = setTimeout(() => this.stopTyping(), 3000);
+  sendImage(file) {
+    return this.chat.sendImage(file);
   }
 
-  stopTyping() {
-    clearTimeout(this.typingTimeout);
-    this.typingTimeout = null;
-    if (this.isConnected && this.ws?.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify({ event: "typing_stop" }));
-    }
-  }
-
-  // ── Mark messages read ───────────────────────────────────
-  markRead(ids) {
-    if (!this.isConnected || !ids?.length) return;
-    this.ws.send(JSON.stringify({ event: "mark_read", message_ids: ids }));
+  // ── Chat renderer hooks (see chat-client.js) ─────────────
+  clear() {
+    if (this.chatContainer) this.chatContainer.innerHTML = "";
   }
 
-  // ── Load chat history ────────────────────────────────────
-  async loadHistory() {
-    try {
-      const token = localStorage.getItem("access_token");
-      const res = await fetch(
-        `${PASUGO_API_BASE}/api/messages/conversations/${this.conversationId}`,
-        { headers: { Authorization: `Bearer ${token}` } },
-      );
-      if (!res.ok) return;
-
-      const data = await res.json();
-      const messages = data.data?.messages || [];
-
-      this.chatContainer.innerHTML = "";
-      if (!messages.length) {
-        this.showSystem("Chat with your customer! 👋");
-      } else {
-        messages.forEach((m) => this.renderMessage(m));
-        this.chatContainer.scrollTop = this.chatContainer.scrollHeight;
-      }
-
-      // Mark unread
-      const myId = this.getMyId();
-      const unread = messages
-        .filter((m) => m.sender_id !== myId)
-        .map((m) => m.message_id);
-      if (unread.length) this.markRead(unread);
-    } catch (err) {
-      console.error("[RiderChat] loadHistory error:", err);
+  onNewMessage(msg, isOwn) {
+    if (isOwn) return;
+    this.unreadCount++;
+    this.updateChatBadge();
+    if (!this.isOpen) {
+      this.playNotificationSound();
     }
   }
 
-  // ── Handle WebSocket events ──────────────────────────────
-  handleEvent(data) {
-    switch (data.event) {
-      case "new_message":
-        this.renderMessage(data);
-        if (data.sender_id !== this.getMyId()) {
-          this.unreadCount++;
-          this.updateChatBadge();
-          if (!this.isOpen) {
-            this.playNotificationSound();
-          }
-        }
-        this.markRead([data.message_id]);
-        break;
-
-      case "user_typing":
-        this.handleTypingIndicator(data);
-        break;
-
-      case "messages_read":
-        this.updateReadReceipts(data.message_ids);
-        break;
-
-      case "user_joined":
-        if (data.user_id !== this.getMyId()) {
-          this.setStatus("Online", "#4caf50");
-        }
-        break;
-
-      case "user_left":
-        if (data.user_id !== this.getMyId()) {
-          this.setStatus("Offline", "#888");
-        }
-        break;
-
-      case "pong":
-        break;
-
-      case "error":
-        console.error("[RiderChat] server error:", data.message);
-        break;
-    }
-  }
-
-  // ── Render message bubble ────────────────────────────────
-  renderMessage(msg) {
+  renderMessage(msg, isOwn) {
     if (!this.chatContainer) return;
 
-    // Remove typing bubble
-    this.chatContainer.querySelector(".rider-typing-bubble")?.remove();
-
-    if (msg.message_type === "system") {
-      this.showSystem(msg.content);
-      return;
-    }
-
-    const myId = this.getMyId();
-    const isOwn = msg.sender_id === myId;
     const time = msg.sent_at
       ? new Date(msg.sent_at).toLocaleTimeString([], {
           hour: "2-digit",
@@ -2366,7 +2110,7 @@ class RiderChatManager {
                onerror="this.parentElement.innerHTML='<em style=\'color:#999\'>Image unavailable</em>'">
         </div>`;
     } else {
-      contentHtml = this.escape(msg.content || "");
+      contentHtml = ChatClient.escape(msg.content);
     }
 
     const group = document.createElement("div");
@@ -2395,37 +2139,28 @@ class RiderChatManager {
     this.chatContainer.scrollTop = this.chatContainer.scrollHeight;
   }
 
-  // ── Typing indicator ─────────────────────────────────────
-  handleTypingIndicator(data) {
+  showTyping(isTyping) {
     if (!this.chatContainer) return;
     const existing = this.chatContainer.querySelector(".rider-typing-bubble");
 
-    if (data.is_typing && data.user_id !== this.getMyId()) {
-      if (!existing) {
-        const el = document.createElement("div");
-        el.className = "rider-message-group customer rider-typing-bubble";
-        el.innerHTML = `
-          <div class="rider-message-bubble customer" style="padding:10px 14px">
-            <span class="rider-typing-dots"><span></span><span></span><span></span></span>
-          </div>
-        `;
-        this.chatContainer.appendChild(el);
-        this.chatContainer.scrollTop = this.chatContainer.scrollHeight;
-      }
-      this.setStatus("typing...");
-      clearTimeout(this._typingStatusReset);
-      this._typingStatusReset = setTimeout(
-        () => this.setStatus("Online", "#4caf50"),
-        3500,
-      );
-    } else {
+    if (!isTyping) {
       existing?.remove();
+      return;
     }
+    if (existing) return;
+    const el = document.createElement("div");
+    el.className = "rider-message-group customer rider-typing-bubble";
+    el.innerHTML = `
+      <div class="rider-message-bubble customer" style="padding:10px 14px">
+        <span class="rider-typing-dots"><span></span><span></span><span></span></span>
+      </div>
+    `;
+    this.chatContainer.appendChild(el);
+    this.chatContainer.scrollTop = this.chatContainer.scrollHeight;
   }
 
-  // ── Read receipts ────────────────────────────────────────
-  updateReadReceipts(ids) {
-    ids?.forEach((id) => {
+  showReceipts(ids) {
+    ids.forEach((id) => {
       const el = this.chatContainer?.querySelector(
         `.rider-msg-status[data-id="${id}"]`,
       );
@@ -2436,6 +2171,48 @@ class RiderChatManager {
     });
   }
 
+  showUpload(active) {
+    const galleryBtn = document.getElementById("riderGalleryBtn");
+    const cameraBtn = document.getElementById("riderCameraBtn");
+    galleryBtn?.classList.toggle("uploading", active);
+    cameraBtn?.classList.toggle("uploading", active);
+
+    if (!active) {
+      this._uploadProgress?.remove();
+      this._uploadProgress = null;
+      return;
+    }
+    this._uploadProgress = document.createElement("div");
+    this._uploadProgress.className = "rider-upload-progress";
+    this._uploadProgress.innerHTML = `<div class="rider-upload-spinner"></div> Uploading image...`;
+    this.chatContainer?.appendChild(this._uploadProgress);
+    if (this.chatContainer) {
+      this.chatContainer.scrollTop = this.chatContainer.scrollHeight;
+    }
+  }
+
+  showStatus(status) {
+    const STATUS = ChatClient.STATUS;
+    switch (status) {
+      case STATUS.CONNECTED:
+      case STATUS.ONLINE:
+        this.setStatus("Online", "#4caf50");
+        break;
+      case STATUS.OFFLINE:
+        this.setStatus("Offline", "#888");
+        break;
+      case STATUS.TYPING:
+        this.setStatus("typing...");
+        break;
+      case STATUS.RECONNECTING:
+        this.setStatus("Reconnecting...", "#ff9800");
+        break;
+      case STATUS.LOST:
+        this.setStatus("Connection lost", "#dc3545");
+        break;
+    }
+  }
+
   // ── UI Helpers ───────────────────────────────────────────
   setStatus(text, color = "") {
     if (this.customerStatus) {
@@ -2534,16 +2311,7 @@ class RiderChatManager {
       oscillator.start(audioContext.currentTime);
       oscillator.stop(audioContext.currentTime + 0.3);
     } catch (error) {
-      console.warn("Could not play notification sound:", error);
-    }
-  }
-
-  // ── Helpers ──────────────────────────────────────────────
-  getMyId() {
-    try {
-      return JSON.parse(localStorage.getItem("user_data") || "{}").user_id;
-    } catch {
-      return null;
+      riderChatLog.warn("Could not play notification sound:", error);
     }
   }
 
@@ -2565,21 +2333,16 @@ class RiderChatManager {
     });
     document.body.appendChild(overlay);
   }
-
-  escape(text) {
-    const d = document.createElement("div");
-    d.appendChild(document.createTextNode(text));
-    return d.innerHTML;
-  }
 }
 
 // ── Create global instance ─────────────────────────────────
 window.riderChatManager = new RiderChatManager();
 
 // ── Initialize on DOM ready ────────────────────────────────
-document.addEventListener("DOMContentLoaded", () => {
+document.addEventListener("DOMContentLoaded", async () => {
+  await PasugoSecureStore.ready();
   // Only init if on rider dashboard
-  const userData = localStorage.getItem("user_data");
+  const userData = PasugoSecureStore.getItem("user_data");
   if (!userData) return;
 
   try {
@@ -2589,8 +2352,8 @@ document.addEventListener("DOMContentLoaded", () => {
       window.riderChatManager.initUI();
     }
   } catch (e) {
-    console.error("Failed to init rider chat:", e);
+    riderChatLog.error("Failed to init rider chat:", e);
   }
 });
 
-console.log("✅ rider-chat.js loaded");
+riderChatLog.debug("rider-chat.js loaded");
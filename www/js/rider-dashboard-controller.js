@@ -3,22 +3,36 @@
  * Handles: Navigation, Online/Offline, Stats, Chat History, Notifications, Profile, Ratings
  */
 
-const RIDER_API_BASE = window.API_BASE_URL || "https://pasugo.onrender.com";
+const RIDER_API_BASE = PasugoConfig.getApiBase();
+const riderDashLog = PasugoLogger.scope("RiderDashboard");
 
 class RiderDashboardController {
+  // Hash path of each panel (router.js)
+  static PANEL_ROUTES = {
+    riderMapPanel: "/",
+    riderStatsPanel: "/stats",
+    riderChatPanel: "/chats",
+    riderNotifPanel: "/notifications",
+    riderProfilePanel: "/profile",
+  };
+
   constructor() {
     this.isOnline = false;
     this.currentPanel = "riderMapPanel";
     this.unreadNotifCount = 0;
     this.notifPollInterval = null;
+    this.router = null;
     this.init();
   }
 
   init() {
-    document.addEventListener("DOMContentLoaded", () => {
+    document.addEventListener("DOMContentLoaded", async () => {
+      // On a cold start the stored session is still loading
+      await PasugoSecureStore.ready();
       this._checkAuth();
       this._setupOnlineToggle();
       this._setupNavigation();
+      this._setupRouter();
       this._setupRequestsModal();
       this._setupProfile();
       this._startNotificationPolling();
@@ -26,7 +40,7 @@ class RiderDashboardController {
   }
 
   _getHeaders() {
-    const token = localStorage.getItem("access_token");
+    const token = PasugoSecureStore.getItem("access_token");
     return {
       "Content-Type": "application/json",
       Authorization: `Bearer ${token}`,
@@ -35,7 +49,7 @@ class RiderDashboardController {
 
   // ═══════ AUTH ═══════
   _checkAuth() {
-    const userData = localStorage.getItem("user_data");
+    const userData = PasugoSecureStore.getItem("user_data");
     if (!userData) {
       window.location.href = "login.html";
       return;
@@ -67,10 +81,12 @@ class RiderDashboardController {
         body: JSON.stringify({ status: newStatus }),
       });
       if (!res.ok) {
-        console.error("Failed to update rider status");
+        riderDashLog.error("Failed to update rider status");
+      } else {
+        PasugoCache.invalidate("/api/riders/profile");
       }
     } catch (e) {
-      console.error("Error updating rider status:", e);
+      riderDashLog.error("Error updating rider status:", e);
     }
 
     if (online) {
@@ -96,7 +112,7 @@ class RiderDashboardController {
       item.addEventListener("click", (e) => {
         e.preventDefault();
         const panelId = item.dataset.panel;
-        if (panelId) this.showPanel(panelId, item);
+        if (panelId) this.showPanel(panelId);
       });
     });
 
@@ -114,13 +130,66 @@ class RiderDashboardController {
     this._bindClick("riderMenuStats", () => this.showPanel("riderStatsPanel"));
     this._bindClick("riderMenuChat", () => this.showPanel("riderChatPanel"));
     this._bindClick("riderMenuNotifs", () => this.showPanel("riderNotifPanel"));
+    this._bindClick("riderMenuDiagnostics", () =>
+      this.router.navigate("/diagnostics"),
+    );
     this._bindClick("riderMenuLogout", () => this._logout());
 
     // Mark all read
     this._bindClick("riderMarkAllRead", () => this._markAllRead());
   }
 
-  showPanel(panelId, clickedTab = null) {
+  // ═══════ ROUTER ═══════
+  // Panels are router views: Back returns to the previous panel while the
+  // map, location tracking and chat socket keep running
+  _setupRouter() {
+    this.router = new PasugoRouter({ fallback: "/" });
+    const can = { riderStatsPanel: "deliveries.accept" };
+    Object.entries(RiderDashboardController.PANEL_ROUTES).forEach(
+      ([panelId, path]) => {
+        this.router.route(path, {
+          can: can[panelId],
+          enter: () => this._renderPanel(panelId),
+        });
+      },
+    );
+    // Imported from diagnostics.html on first visit
+    this.router.route("/diagnostics", {
+      view: "diagnostics.html",
+      enter: ({ view }) => this._renderPanel(view.id),
+    });
+    // Deep links (deep-links.js): both open the request's chat on the map
+    ["/requests/:id", "/chats/:id"].forEach((path) => {
+      this.router.route(path, {
+        can: "deliveries.accept",
+        enter: ({ params }) => {
+          this._openRequest(Number(params.id));
+        },
+      });
+    });
+    this.router.beforeEach(window.routeGuard.viewGuard);
+    this.router.start();
+  }
+
+  async _openRequest(requestId) {
+    this._renderPanel("riderMapPanel");
+    if (await window.riderChatManager?.openRequest(requestId)) return;
+    this._profToast("That delivery is no longer open");
+    if (this.router.current?.params.id === String(requestId)) {
+      this.router.navigate("/", { replace: true });
+    }
+  }
+
+  /**
+   * Open a panel through the router (adds a history entry)
+   */
+  showPanel(panelId) {
+    const path = RiderDashboardController.PANEL_ROUTES[panelId];
+    if (this.router && path) return this.router.navigate(path);
+    this._renderPanel(panelId);
+  }
+
+  _renderPanel(panelId) {
     // Hide all panels
     document
       .querySelectorAll(".app-panel")
@@ -162,14 +231,10 @@ class RiderDashboardController {
     document
       .querySelectorAll(".rider-nav-item")
       .forEach((n) => n.classList.remove("active"));
-    if (clickedTab) {
-      clickedTab.classList.add("active");
-    } else {
-      const match = document.querySelector(
-        `.rider-nav-item[data-panel="${panelId}"]`,
-      );
-      if (match) match.classList.add("active");
-    }
+    const match = document.querySelector(
+      `.rider-nav-item[data-panel="${panelId}"]`,
+    );
+    if (match) match.classList.add("active");
 
     this.currentPanel = panelId;
 
@@ -320,26 +385,27 @@ class RiderDashboardController {
   // ═══════ STATS & RATINGS ═══════
   async _loadStats() {
     // Load profile data for stats
-    try {
-      const res = await fetch(`${RIDER_API_BASE}/api/riders/profile`, {
-        headers: this._getHeaders(),
-      });
-      if (res.ok) {
-        const data = await res.json();
-        const rider = data.data || data;
+    const renderStats = (data) => {
+      const rider = data.data || data;
 
-        this._setText(
-          "statRating",
-          rider.rating ? parseFloat(rider.rating).toFixed(1) : "0.0",
-        );
-        this._setText("statCompleted", rider.total_tasks_completed || 0);
-        this._setText(
-          "statEarnings",
-          `₱${parseFloat(rider.total_earnings || 0).toFixed(0)}`,
-        );
-      }
+      this._setText(
+        "statRating",
+        rider.rating ? parseFloat(rider.rating).toFixed(1) : "0.0",
+      );
+      this._setText("statCompleted", rider.total_tasks_completed || 0);
+      this._setText(
+        "statEarnings",
+        `₱${parseFloat(rider.total_earnings || 0).toFixed(0)}`,
+      );
+    };
+    try {
+      const { data } = await PasugoCache.getJSON(
+        `${RIDER_API_BASE}/api/riders/profile`,
+        { headers: this._getHeaders(), onUpdate: renderStats },
+      );
+      renderStats(data);
     } catch (e) {
-      console.warn("Failed to load rider profile", e);
+      riderDashLog.warn("Failed to load rider profile", e);
     }
 
     // Load ratings
@@ -384,61 +450,65 @@ class RiderDashboardController {
         }
       }
     } catch (e) {
-      console.warn("Failed to load ratings", e);
+      riderDashLog.warn("Failed to load ratings", e);
     }
 
     // Load recent services
     try {
-      const res = await fetch(
+      const { data } = await PasugoCache.getJSON(
         `${RIDER_API_BASE}/api/requests/my-requests?page_size=20`,
-        { headers: this._getHeaders() },
+        {
+          headers: this._getHeaders(),
+          onUpdate: (fresh) => this._renderRecentServices(fresh),
+        },
       );
-      if (res.ok) {
-        const data = await res.json();
-        const orders = data.data || [];
-
-        const container = document.getElementById("riderOrdersList");
-        if (container && orders.length > 0) {
-          const serviceIcons = {
-            groceries: "fa-bag-shopping",
-            delivery: "fa-box",
-            pharmacy: "fa-pills",
-            pickup: "fa-person",
-            documents: "fa-file-contract",
-            bills: "fa-receipt",
-          };
-
-          container.innerHTML = orders
-            .slice(0, 10)
-            .map((o) => {
-              const icon = serviceIcons[o.service_type] || "fa-box";
-              const statusClass = (o.status || "").replace(" ", "_");
-              const amount = o.total_amount
-                ? `₱${parseFloat(o.total_amount).toFixed(2)}`
-                : "—";
-
-              return `
-                            <div class="order-card">
-                                <div class="order-card-header">
-                                    <div class="order-service"><i class="fa-solid ${icon}"></i> ${o.service_type}</div>
-                                    <span class="order-status ${statusClass}">${(o.status || "").replace("_", " ")}</span>
-                                </div>
-                                <div class="order-details">${this._esc(o.items_description || "").substring(0, 80)}</div>
-                                <div class="order-footer">
-                                    <span>${this._formatDate(o.created_at)}</span>
-                                    <span class="order-amount">${amount}</span>
-                                </div>
-                            </div>
-                        `;
-            })
-            .join("");
-        } else if (container) {
-          container.innerHTML =
-            '<div class="empty-state"><i class="fa-solid fa-box-open"></i><h3>No services yet</h3><p>Go online to receive requests!</p></div>';
-        }
-      }
+      this._renderRecentServices(data);
     } catch (e) {
-      console.warn("Failed to load orders", e);
+      riderDashLog.warn("Failed to load orders", e);
+    }
+  }
+
+  _renderRecentServices(data) {
+    const orders = data.data || [];
+
+    const container = document.getElementById("riderOrdersList");
+    if (container && orders.length > 0) {
+      const serviceIcons = {
+        groceries: "fa-bag-shopping",
+        delivery: "fa-box",
+        pharmacy: "fa-pills",
+        pickup: "fa-person",
+        documents: "fa-file-contract",
+        bills: "fa-receipt",
+      };
+
+      container.innerHTML = orders
+        .slice(0, 10)
+        .map((o) => {
+          const icon = serviceIcons[o.service_type] || "fa-box";
+          const statusClass = (o.status || "").replace(" ", "_");
+          const amount = o.total_amount
+            ? `₱${parseFloat(o.total_amount).toFixed(2)}`
+            : "—";
+
+          return `
+                        <div class="order-card">
+                            <div class="order-card-header">
+                                <div class="order-service"><i class="fa-solid ${icon}"></i> ${o.service_type}</div>
+                                <span class="order-status ${statusClass}">${(o.status || "").replace("_", " ")}</span>
+                            </div>
+                            <div class="order-details">${this._esc(o.items_description || "").substring(0, 80)}</div>
+                            <div class="order-footer">
+                                <span>${this._formatDate(o.created_at)}</span>
+                                <span class="order-amount">${amount}</span>
+                            </div>
+                        </div>
+                    `;
+        })
+        .join("");
+    } else if (container) {
+      container.innerHTML =
+        '<div class="empty-state"><i class="fa-solid fa-box-open"></i><h3>No services yet</h3><p>Go online to receive requests!</p></div>';
     }
   }
 
@@ -504,7 +574,7 @@ class RiderDashboardController {
 
   _openConversation(conversationId, requestId, customerName) {
     if (!window.riderChatManager) {
-      console.warn("RiderChatManager not available");
+      riderDashLog.warn("RiderChatManager not available");
       return;
     }
 
@@ -535,8 +605,7 @@ class RiderDashboardController {
       window.riderChatManager.connect(parseInt(requestId));
     } else if (conversationId) {
       // Legacy / no request_id: load history read-only
-      window.riderChatManager.conversationId = parseInt(conversationId);
-      window.riderChatManager.loadHistory();
+      window.riderChatManager.chat.view(parseInt(conversationId));
       window.riderChatManager.openChat();
     }
   }
@@ -581,6 +650,12 @@ class RiderDashboardController {
       this.showPanel("riderStatsPanel"),
     );
 
+    // Devices
+    this._bindClick("rProfLogoutEverywhere", () => this._logoutEverywhere());
+
+    // Role switcher
+    this._bindClick("rProfSwitchRole", () => this._switchRole());
+
     // Change password modal
     this._bindClick("rProfChangePassword", () =>
       this._showModal("riderPasswordOverlay"),
@@ -600,8 +675,22 @@ class RiderDashboardController {
     );
     this._bindClick("rSavePrefsBtn", () => this._savePreferences());
 
+    // App lock modal
+    this._bindClick("rProfAppLock", () => {
+      this._loadAppLockSettings();
+      this._showModal("riderAppLockOverlay");
+    });
+    this._bindClick("rCloseAppLockModal", () =>
+      this._hideModal("riderAppLockOverlay"),
+    );
+    this._bindClick("rSaveAppLockBtn", () => this._saveAppLock());
+
     // Close modals on overlay click
-    ["riderPasswordOverlay", "riderPrefsOverlay"].forEach((id) => {
+    [
+      "riderPasswordOverlay",
+      "riderPrefsOverlay",
+      "riderAppLockOverlay",
+    ].forEach((id) => {
       const overlay = document.getElementById(id);
       if (overlay) {
         overlay.addEventListener("click", (e) => {
@@ -612,66 +701,76 @@ class RiderDashboardController {
   }
 
   async _loadProfile() {
-    // Load from localStorage first (fast)
-    const userData = localStorage.getItem("user_data");
+    // Load from PasugoSecureStore first (fast)
+    const userData = PasugoSecureStore.getItem("user_data");
     if (userData) {
       const user = JSON.parse(userData);
       this._populateProfile(user);
     }
 
-    // Then fetch fresh data from API
+    // Then cached/fresh data from API (revalidates in the background)
+    const applyUser = (freshUser) => {
+      // Merge with the stored user data to preserve any fields
+      const existing = JSON.parse(
+        PasugoSecureStore.getItem("user_data") || "{}",
+      );
+      window.auth.AuthTokenService.saveUserData({ ...existing, ...freshUser });
+      this._populateProfile(window.auth.AuthTokenService.getUserData());
+    };
     try {
-      const res = await fetch(`${RIDER_API_BASE}/api/users/me`, {
-        headers: this._getHeaders(),
-      });
-      if (res.ok) {
-        const freshUser = await res.json();
-        // Merge with existing localStorage to preserve any fields
-        const existing = JSON.parse(localStorage.getItem("user_data") || "{}");
-        const merged = { ...existing, ...freshUser };
-        localStorage.setItem("user_data", JSON.stringify(merged));
-        this._populateProfile(merged);
-      }
+      const { data } = await PasugoCache.getJSON(
+        `${RIDER_API_BASE}/api/users/me`,
+        { headers: this._getHeaders(), onUpdate: applyUser },
+      );
+      applyUser(data);
     } catch (e) {
       /* use cached data */
     }
 
     // Load rider-specific data (rating, vehicle, GCash)
     try {
-      const res = await fetch(`${RIDER_API_BASE}/api/riders/profile`, {
-        headers: this._getHeaders(),
-      });
-      if (res.ok) {
-        const data = await res.json();
-        const rider = data.data || data;
+      const { data } = await PasugoCache.getJSON(
+        `${RIDER_API_BASE}/api/riders/profile`,
+        {
+          headers: this._getHeaders(),
+          onUpdate: (fresh) => this._populateRiderProfile(fresh),
+        },
+      );
+      this._populateRiderProfile(data);
+    } catch (e) {
+      riderDashLog.warn("Failed to load rider profile", e);
+    }
 
-        // Rating
-        const ratingVal = rider.rating
-          ? parseFloat(rider.rating).toFixed(1)
-          : "0.0";
-        this._setText("rProfStatRating", ratingVal);
+    // Load ratings preview
+    this._loadProfileRatings();
 
-        // Services
-        this._setText("rProfStatDeliveries", rider.total_tasks_completed || 0);
+    // Signed-in devices
+    this._loadDevices();
+  }
 
-        // Vehicle info
-        this._setText("rProfValVehicle", rider.vehicle_type || "—");
-        this._setText("rProfValPlate", rider.vehicle_plate || "—");
-        this._setText("rProfValLicense", rider.license_number || "—");
+  _populateRiderProfile(data) {
+    const rider = data.data || data;
 
-        // GCash info
-        this._setText("rProfValGcashName", rider.gcash_name || "—");
-        this._setText("rProfValGcashNumber", rider.gcash_number || "—");
+    // Rating
+    const ratingVal = rider.rating
+      ? parseFloat(rider.rating).toFixed(1)
+      : "0.0";
+    this._setText("rProfStatRating", ratingVal);
 
-        // Store rider_id for ratings
-        this._riderId = rider.rider_id;
-      }
-    } catch (e) {
-      console.warn("Failed to load rider profile", e);
-    }
+    // Services
+    this._setText("rProfStatDeliveries", rider.total_tasks_completed || 0);
 
-    // Load ratings preview
-    this._loadProfileRatings();
+    // Vehicle info
+    this._setText("rProfValVehicle", rider.vehicle_type || "—");
+    this._setText("rProfValPlate", rider.vehicle_plate || "—");
+    this._setText("rProfValLicense", rider.license_number || "—");
+
+    // GCash info
+    this._setText("rProfValGcashName", rider.gcash_name || "—");
+    this._setText("rProfValGcashNumber", rider.gcash_number || "—");
+
+    // Store rider_id for ratings
+    this._riderId = rider.rider_id;
   }
 
   async _loadProfileRatings() {
@@ -733,7 +832,7 @@ class RiderDashboardController {
         }
       }
     } catch (e) {
-      console.warn("Failed to load profile ratings", e);
+      riderDashLog.warn("Failed to load profile ratings", e);
     }
   }
 
@@ -793,7 +892,7 @@ class RiderDashboardController {
 
     const formData = new FormData();
     formData.append("file", file);
-    const token = localStorage.getItem("access_token");
+    const token = PasugoSecureStore.getItem("access_token");
 
     try {
       this._profToast("Uploading photo...");
@@ -811,9 +910,10 @@ class RiderDashboardController {
           img.style.display = "";
         }
         if (placeholder) placeholder.style.display = "none";
-        const ud = JSON.parse(localStorage.getItem("user_data") || "{}");
+        const ud = JSON.parse(PasugoSecureStore.getItem("user_data") || "{}");
         ud.profile_photo_url = data.data.url;
-        localStorage.setItem("user_data", JSON.stringify(ud));
+        PasugoSecureStore.setItem("user_data", JSON.stringify(ud));
+        PasugoCache.invalidate("/api/users/me");
         this._profToast("Photo updated!");
       } else {
         this._profToast("Upload failed");
@@ -895,6 +995,13 @@ class RiderDashboardController {
       this._profToast("No changes to save");
       return;
     }
+    if (
+      !(await PasugoAppLock.reauthenticate(
+        "Enter your PIN to change your GCash details",
+      ))
+    ) {
+      return;
+    }
 
     try {
       const res = await fetch(`${RIDER_API_BASE}/api/riders/gcash`, {
@@ -904,6 +1011,7 @@ class RiderDashboardController {
       });
       const data = await res.json();
       if (data.success) {
+        PasugoCache.invalidate("/api/riders/profile");
         if (body.gcash_name !== undefined)
           this._setText("rProfValGcashName", body.gcash_name || "—");
         if (body.gcash_number !== undefined)
@@ -966,9 +1074,10 @@ class RiderDashboardController {
       });
       const data = await res.json();
       if (data.success) {
-        const ud = JSON.parse(localStorage.getItem("user_data") || "{}");
+        const ud = JSON.parse(PasugoSecureStore.getItem("user_data") || "{}");
         Object.assign(ud, body);
-        localStorage.setItem("user_data", JSON.stringify(ud));
+        PasugoSecureStore.setItem("user_data", JSON.stringify(ud));
+        PasugoCache.invalidate("/api/users/me");
 
         if (body.full_name) {
           this._setText("rProfValName", body.full_name);
@@ -1000,6 +1109,97 @@ class RiderDashboardController {
     }
   }
 
+  // ── Devices ──
+  async _loadDevices() {
+    const container = document.getElementById("rProfDeviceList");
+    if (!container) return;
+
+    const result = await pasugoAPI.getSessions();
+    if (!result.success) {
+      container.innerHTML =
+        '<div class="prof-empty-mini">Could not load devices</div>';
+      return;
+    }
+    container.innerHTML = result.data
+      .map((s) => {
+        const icon = s.platform === "Web" ? "fa-desktop" : "fa-mobile-screen";
+        const seen = s.current
+          ? "Active now"
+          : `Last active: ${this._timeAgo(s.last_seen_at)}`;
+        return `
+        <div class="prof-address-card" data-session-id="${this._esc(s.session_id)}">
+          <div class="prof-address-icon"><i class="fa-solid ${icon}"></i></div>
+          <div class="prof-address-body">
+            <div class="prof-address-label">${this._esc(window.auth.DeviceInfo.label(s))}</div>
+            <div class="prof-address-text">${this._esc(s.location || "Unknown location")} · ${seen}</div>
+            ${s.current ? '<div class="prof-address-default">This device</div>' : ""}
+          </div>
+          ${
+            s.current
+              ? ""
+              : `<div class="prof-address-actions">
+                  <button class="danger" title="Log out this device" onclick="window.riderDashboardController._revokeDevice('${this._esc(s.session_id)}')"><i class="fa-solid fa-right-from-bracket"></i></button>
+                </div>`
+          }
+        </div>`;
+      })
+      .join("");
+  }
+
+  async _revokeDevice(sessionId) {
+    if (!confirm("Log out this device?")) return;
+    const result = await pasugoAPI.revokeSession(sessionId);
+    this._profToast(result.message);
+    if (result.success) this._loadDevices();
+  }
+
+  async _logoutEverywhere() {
+    if (!confirm("Log out of Pasugo on every device, including this one?")) {
+      return;
+    }
+    const result = await pasugoAPI.logoutEverywhere();
+    if (!result.success) {
+      this._profToast(result.message);
+      return;
+    }
+    this._stopServices();
+    window.auth.logout();
+  }
+
+  // ── Role Switch ──
+  async _switchRole() {
+    const roles = window.auth.UserRoles;
+    const tokens = window.auth.AuthTokenService;
+    if (!roles.has("customer")) {
+      if (!confirm("Use this account to order deliveries too?")) return;
+      const result = await pasugoAPI.addRole("customer");
+      if (!result.success) {
+        this._profToast(result.message);
+        return;
+      }
+      tokens.saveUserData({
+        ...tokens.getUserData(),
+        roles: result.data.roles,
+      });
+    }
+
+    // Customer mode must not get delivery offers, so go offline – unless a
+    // delivery is under way; it stays assigned for when the rider is back
+    const onDelivery = !!localStorage.getItem("active_request_id");
+    if (
+      onDelivery &&
+      !confirm("Your current delivery stays assigned to you. Switch anyway?")
+    ) {
+      return;
+    }
+    if (!onDelivery) {
+      this.isOnline = false;
+      await this._updateOnlineStatus(false);
+    }
+    this._stopServices();
+    await roles.switchTo("customer");
+  }
+
   // ── Change Password ──
   async _submitPasswordChange() {
     const current = document.getElementById("rCurrentPasswordInput").value;
@@ -1068,6 +1268,61 @@ class RiderDashboardController {
     this._profToast("Preferences saved!");
   }
 
+  // ── App Lock ──
+  async _loadAppLockSettings() {
+    const settings = PasugoAppLock.getSettings();
+    const enabled = document.getElementById("rAppLockEnabled");
+    const timeout = document.getElementById("rAppLockTimeout");
+    const biometric = document.getElementById("rAppLockBiometric");
+    const pin = document.getElementById("rAppLockPinInput");
+    const confirmPin = document.getElementById("rAppLockConfirmInput");
+    if (enabled) enabled.checked = settings.enabled;
+    if (timeout) timeout.value = String(settings.lockAfterMinutes);
+    if (biometric) biometric.checked = settings.biometric;
+    if (pin) {
+      pin.value = "";
+      pin.placeholder = settings.enabled
+        ? "Leave blank to keep your PIN"
+        : "4 to 6 digits";
+    }
+    if (confirmPin) confirmPin.value = "";
+
+    const available = await PasugoAppLock.biometricAvailable();
+    const row = document.getElementById("rAppLockBiometricRow");
+    if (row) row.style.display = available ? "" : "none";
+  }
+
+  async _saveAppLock() {
+    const enabled = document.getElementById("rAppLockEnabled")?.checked;
+    const pin = document.getElementById("rAppLockPinInput")?.value.trim() || "";
+    const confirmPin =
+      document.getElementById("rAppLockConfirmInput")?.value.trim() || "";
+    if (pin !== confirmPin) {
+      this._profToast("PINs don't match");
+      return;
+    }
+
+    // Changing or turning off an existing lock needs the current PIN
+    if (
+      PasugoAppLock.isEnabled() &&
+      !(await PasugoAppLock.reauthenticate("Enter your current PIN"))
+    ) {
+      return;
+    }
+
+    const result = enabled
+      ? await PasugoAppLock.configure({
+          pin,
+          lockAfterMinutes: Number(
+            document.getElementById("rAppLockTimeout")?.value,
+          ),
+          biometric: document.getElementById("rAppLockBiometric")?.checked,
+        })
+      : PasugoAppLock.disable();
+    if (result.success) this._hideModal("riderAppLockOverlay");
+    this._profToast(result.message);
+  }
+
   // ── Modal Helpers ──
   _showModal(id) {
     const el = document.getElementById(id);
@@ -1098,20 +1353,28 @@ class RiderDashboardController {
     if (
       confirm("Are you sure you want to logout? Location tracking will stop.")
     ) {
-      if (this.notifPollInterval) clearInterval(this.notifPollInterval);
-      if (window.riderTracker) window.riderTracker.stop();
-      if (window.riderRequestHandler) window.riderRequestHandler.stop();
-      if (window.riderMapController) window.riderMapController.stop();
+      this._stopServices();
       if (window.auth && window.auth.logout) {
         window.auth.logout();
       } else {
+        PasugoSecureStore.clear();
         localStorage.clear();
         sessionStorage.clear();
-        window.location.href = "login.html";
+        PasugoSecureStore.flush().finally(() => {
+          window.location.href = "login.html";
+        });
       }
     }
   }
 
+  // Location tracking, polling and request handling end with the session
+  _stopServices() {
+    if (this.notifPollInterval) clearInterval(this.notifPollInterval);
+    if (window.riderTracker) window.riderTracker.stop();
+    if (window.riderRequestHandler) window.riderRequestHandler.stop();
+    if (window.riderMapController) window.riderMapController.stop();
+  }
+
   // ═══════ UTILITY ═══════
   _bindClick(id, fn) {
     const el = document.getElementById(id);
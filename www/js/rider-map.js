@@ -1,7 +1,8 @@
 // rider-map.js - Rider Location Tracking and Updates
 // Handles rider location updates to backend for customer visibility
 
-const API_BASE_URL = "https://pasugo.onrender.com";
+const API_BASE_URL = PasugoConfig.getApiBase();
+const trackerLog = PasugoLogger.scope("Tracker");
 
 class RiderLocationTracker {
   constructor() {
@@ -19,12 +20,12 @@ class RiderLocationTracker {
 
   // Initialize rider location tracking
   init() {
-    console.log("🏍️ Starting rider location tracking...");
+    trackerLog.debug("Starting rider location tracking...");
 
     // Check if user is authenticated using the same system as auth.js
-    const token = localStorage.getItem("access_token");
+    const token = PasugoSecureStore.getItem("access_token");
     if (!token) {
-      console.error("No auth token found. Rider must be logged in.");
+      trackerLog.error("No auth token found. Rider must be logged in.");
       alert("Please login first to enable location tracking");
       return;
     }
@@ -53,9 +54,7 @@ class RiderLocationTracker {
         const lng = position.coords.longitude;
         const accuracy = position.coords.accuracy;
 
-        console.log(
-          `📍 Rider location: ${lat.toFixed(6)}, ${lng.toFixed(6)} (±${accuracy.toFixed(2)}m)`,
-        );
+        trackerLog.debug(`Rider location (±${accuracy.toFixed(2)}m)`);
 
         this.currentPosition = {
           latitude: lat,
@@ -69,7 +68,7 @@ class RiderLocationTracker {
         }
       },
       (error) => {
-        console.error("Location error:", this.getErrorMessage(error));
+        trackerLog.error("Location error:", this.getErrorMessage(error));
       },
       this.geoOptions,
     );
@@ -78,14 +77,14 @@ class RiderLocationTracker {
   // Update location to backend
   async updateLocationToBackend() {
     if (!this.currentPosition) {
-      console.warn("No position available to update");
+      trackerLog.warn("No position available to update");
       return;
     }
 
     try {
-      const token = localStorage.getItem("access_token");
+      const token = PasugoSecureStore.getItem("access_token");
       if (!token) {
-        console.error("No auth token found");
+        trackerLog.error("No auth token found");
         this.showDebugError("No auth token found");
         return;
       }
@@ -96,7 +95,7 @@ class RiderLocationTracker {
         accuracy: Math.round(this.currentPosition.accuracy),
       };
 
-      console.log("📤 Sending location update:", payload);
+      trackerLog.debug("Sending location update:", payload);
 
       const response = await fetch(`${API_BASE_URL}/api/locations/update`, {
         method: "POST",
@@ -109,12 +108,12 @@ class RiderLocationTracker {
 
       if (response.ok) {
         const data = await response.json();
-        console.log("✅ Rider location updated to backend:", data);
+        trackerLog.debug("Rider location updated to backend:", data);
         this.showLocationStatus("online");
         this.clearDebugError();
       } else {
         const errorData = await response.json().catch(() => ({}));
-        console.error(
+        trackerLog.error(
           "Failed to update rider location:",
           response.status,
           errorData,
@@ -127,7 +126,7 @@ class RiderLocationTracker {
         this.showLocationStatus("error");
       }
     } catch (error) {
-      console.error("Error updating rider location:", error);
+      trackerLog.error("Error updating rider location:", error);
       this.showDebugError(`Exception: ${error.message}`);
       this.showLocationStatus("error");
     }
@@ -209,14 +208,15 @@ class RiderLocationTracker {
       this.updateInterval = null;
     }
 
-    console.log("🛑 Rider location tracking stopped");
+    trackerLog.debug("Rider location tracking stopped");
   }
 }
 
 // Auto-initialize when page loads
 let riderTracker;
 
-document.addEventListener("DOMContentLoaded", function () {
+document.addEventListener("DOMContentLoaded", async function () {
+  await PasugoSecureStore.ready();
   riderTracker = new RiderLocationTracker();
   riderTracker.init();
 });
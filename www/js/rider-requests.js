@@ -1,41 +1,46 @@
 // rider-requests.js - Rider Request Notification Handler (UPDATED)
 // Polls for incoming requests and handles accept/decline
 
+const riderRequestsLog = PasugoLogger.scope("RiderRequests");
+
 class RiderRequestHandler {
   constructor() {
     this.pollInterval = null;
     this.currentRequests = [];
     this.isRunning = false;
+    this.queuedCustomerNames = {}; // requestId → name for offline accepts
+
+    // Finish accepts/declines queued while offline
+    window.pasugoOutbox?.subscribe((event) => this.handleOutboxEvent(event));
 
-    console.log("🔧 RiderRequestHandler constructor called");
+    riderRequestsLog.debug("RiderRequestHandler constructor called");
   }
 
   // Initialize the handler
   async init() {
-    console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-    console.log("🔔 RIDER REQUEST HANDLER INITIALIZING");
-    console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+    riderRequestsLog.info("Initializing rider request handler");
 
     // Step 1: Check if pasugoAPI exists
     if (typeof pasugoAPI === "undefined") {
-      console.error("❌ FATAL: pasugoAPI is not defined!");
-      console.error(
-        "❌ Make sure api_request.js is loaded BEFORE rider-requests.js",
+      riderRequestsLog.error("FATAL: pasugoAPI is not defined!");
+      riderRequestsLog.error(
+        "Make sure api_request.js is loaded BEFORE rider-requests.js",
       );
       return false;
     }
-    console.log("✅ Step 1: pasugoAPI is available");
+    riderRequestsLog.debug("Step 1: pasugoAPI is available");
 
     // Step 2: Check authentication
-    const token = localStorage.getItem("access_token");
-    const userData = localStorage.getItem("user_data");
+    const token = PasugoSecureStore.getItem("access_token");
+    const userData = PasugoSecureStore.getItem("user_data");
 
-    console.log("🔍 Step 2: Checking authentication...");
-    console.log("   - Token exists:", !!token);
-    console.log("   - User data exists:", !!userData);
+    riderRequestsLog.debug("Step 2: Checking authentication", {
+      hasToken: !!token,
+      hasUserData: !!userData,
+    });
 
     if (!token || !userData) {
-      console.error("❌ Not authenticated - missing token or user data");
+      riderRequestsLog.error("Not authenticated - missing token or user data");
       return false;
     }
 
@@ -43,14 +48,12 @@ class RiderRequestHandler {
     let user;
     try {
       user = JSON.parse(userData);
-      console.log("✅ Step 3: User data parsed:", {
+      riderRequestsLog.debug("Step 3: User data parsed:", {
         id: user.user_id || user.id,
-        name: user.full_name,
         type: user.user_type,
-        rawType: typeof user.user_type,
       });
     } catch (error) {
-      console.error("❌ Failed to parse user data:", error);
+      riderRequestsLog.error("Failed to parse user data:", error);
       return false;
     }
 
@@ -58,24 +61,25 @@ class RiderRequestHandler {
     const userType = String(user.user_type).toLowerCase();
     const isRider = userType === "rider" || userType.includes("rider");
 
-    console.log("🔍 Step 4: Checking user type...");
-    console.log("   - Raw user_type:", user.user_type);
-    console.log("   - Normalized:", userType);
-    console.log("   - Is rider?:", isRider);
+    riderRequestsLog.debug("Step 4: Checking user type", {
+      userType: user.user_type,
+      isRider,
+    });
 
     if (!isRider) {
-      console.warn("⚠️ User is not a rider (type: " + user.user_type + ")");
-      console.warn("⚠️ Request handler will not start");
+      riderRequestsLog.warn(
+        `User is not a rider (type: ${user.user_type}) - handler will not start`,
+      );
       return false;
     }
-    console.log("✅ Step 4: User is confirmed as RIDER");
+    riderRequestsLog.debug("Step 4: User is confirmed as RIDER");
 
     // Step 5: Check if required API method exists
     if (typeof pasugoAPI.getPendingRequestsForMe !== "function") {
-      console.error(
-        "❌ FATAL: pasugoAPI.getPendingRequestsForMe is not a function!",
+      riderRequestsLog.error(
+        "FATAL: pasugoAPI.getPendingRequestsForMe is not a function!",
       );
-      console.error(
+      riderRequestsLog.error(
         "Available methods:",
         Object.keys(pasugoAPI).filter(
           (k) => typeof pasugoAPI[k] === "function",
@@ -83,26 +87,26 @@ class RiderRequestHandler {
       );
       return false;
     }
-    console.log("✅ Step 5: API method getPendingRequestsForMe exists");
+    riderRequestsLog.debug("Step 5: API method getPendingRequestsForMe exists");
 
     // Step 6: Test API call
-    console.log("🧪 Step 6: Testing API connection...");
+    riderRequestsLog.debug("Step 6: Testing API connection...");
     try {
       const testResult = await pasugoAPI.getPendingRequestsForMe();
-      console.log("✅ API test successful:", testResult);
+      riderRequestsLog.debug("API test successful:", testResult);
     } catch (error) {
-      console.error("❌ API test failed:", error);
-      console.error("   The API might be down or unreachable");
+      riderRequestsLog.error(
+        "API test failed (API down or unreachable?):",
+        error,
+      );
     }
 
     // Step 7: Start polling
-    console.log("🚀 Step 7: Starting request polling...");
+    riderRequestsLog.debug("Step 7: Starting request polling...");
     this.startPolling();
     this.isRunning = true;
 
-    console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-    console.log("✅ RIDER REQUEST HANDLER IS RUNNING");
-    console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+    riderRequestsLog.info("Rider request handler is running");
 
     return true;
   }
@@ -115,7 +119,7 @@ class RiderRequestHandler {
     }
 
     // Poll immediately
-    console.log("⏱️ Starting immediate poll...");
+    riderRequestsLog.debug("Starting immediate poll...");
     this.checkForRequests();
 
     // Then poll every 5 seconds
@@ -123,20 +127,19 @@ class RiderRequestHandler {
       this.checkForRequests();
     }, 5000);
 
-    console.log("✅ Polling interval set (5 seconds)");
+    riderRequestsLog.debug("Polling interval set (5 seconds)");
   }
 
   // Check for pending requests
   async checkForRequests() {
-    const timestamp = new Date().toLocaleTimeString();
-    console.log(`\n🔍 [${timestamp}] Checking for requests...`);
+    riderRequestsLog.debug("Checking for requests...");
 
     try {
       // Call API
       const result = await pasugoAPI.getPendingRequestsForMe();
 
       // Log raw response
-      console.log("📥 API Response:", {
+      riderRequestsLog.debug("API Response:", {
         success: result.success,
         message: result.message,
         dataLength: result.data?.length || 0,
@@ -144,28 +147,26 @@ class RiderRequestHandler {
 
       // Check if call was successful
       if (!result.success) {
-        console.warn("⚠️ API call failed:", result.message);
+        riderRequestsLog.warn("API call failed:", result.message);
         this.showError(result.message);
         return;
       }
 
       // Extract requests
       const requests = result.data || [];
-      console.log(`📋 Found ${requests.length} pending request(s)`);
+      riderRequestsLog.debug(`Found ${requests.length} pending request(s)`);
 
       // Log each request
-      if (requests.length > 0) {
-        requests.forEach((req, index) => {
-          console.log(
-            `   ${index + 1}. ${req.service_type} - ${req.customer_name} (${req.time_remaining_seconds}s remaining)`,
-          );
-        });
-      }
+      requests.forEach((req) => {
+        riderRequestsLog.debug(
+          `#${req.request_id} ${req.service_type} (${req.time_remaining_seconds}s remaining)`,
+        );
+      });
 
       // Check for new requests (notification)
       if (requests.length > this.currentRequests.length) {
         const newCount = requests.length - this.currentRequests.length;
-        console.log(`🔔 NEW REQUEST ALERT! (+${newCount} new)`);
+        riderRequestsLog.info(`New request alert (+${newCount} new)`);
         this.playNotificationSound();
       }
 
@@ -173,14 +174,14 @@ class RiderRequestHandler {
       this.currentRequests = requests;
       this.updateUI(requests);
     } catch (error) {
-      console.error("❌ Error in checkForRequests:", error);
+      riderRequestsLog.error("Error in checkForRequests:", error);
       this.showError("Failed to check for requests: " + error.message);
     }
   }
 
   // Update the UI
   updateUI(requests) {
-    console.log("🎨 Updating UI with", requests.length, "requests");
+    riderRequestsLog.debug("Updating UI with", requests.length, "requests");
 
     // Update the requests badge (on main map view)
     const requestsBadge = document.getElementById("requestsBadge");
@@ -190,7 +191,7 @@ class RiderRequestHandler {
       if (requests.length > 0) {
         requestsBadge.style.display = "flex";
         requestCount.textContent = requests.length;
-        console.log("   Badge updated:", requests.length);
+        riderRequestsLog.debug("Badge updated:", requests.length);
       } else {
         requestsBadge.style.display = "none";
       }
@@ -201,7 +202,7 @@ class RiderRequestHandler {
 
     // Check if container exists
     if (!container) {
-      console.error("❌ Element 'requestsContainer' not found in DOM!");
+      riderRequestsLog.error("Element 'requestsContainer' not found in DOM!");
       return;
     }
 
@@ -217,12 +218,12 @@ class RiderRequestHandler {
           </p>
         </div>
       `;
-      console.log("   Showing empty state");
+      riderRequestsLog.debug("Showing empty state");
       return;
     }
 
     // Render request cards
-    console.log("   Rendering", requests.length, "card(s)");
+    riderRequestsLog.debug("Rendering", requests.length, "card(s)");
     container.innerHTML = requests
       .map((req) => this.createRequestCard(req))
       .join("");
@@ -364,7 +365,7 @@ class RiderRequestHandler {
 
   // Attach event listeners to buttons
   attachEventListeners(requests) {
-    console.log("🔗 Attaching event listeners...");
+    riderRequestsLog.debug("Attaching event listeners...");
 
     requests.forEach((req) => {
       const acceptBtn = document.getElementById(`accept-${req.request_id}`);
@@ -382,7 +383,7 @@ class RiderRequestHandler {
       }
     });
 
-    console.log("   Listeners attached to", requests.length, "cards");
+    riderRequestsLog.debug("Listeners attached to", requests.length, "cards");
   }
 
   // Accept a request
@@ -395,46 +396,115 @@ class RiderRequestHandler {
       return;
     }
 
-    console.log(`✅ Accepting request ${requestId}...`);
+    riderRequestsLog.debug(`Accepting request ${requestId}...`);
 
     try {
       const result = await pasugoAPI.acceptRequest(requestId);
 
-      if (result.success) {
-        console.log("✅ Request accepted successfully");
+      if (result.queued) {
+        // Saved to the offline outbox – handleOutboxEvent finishes the job
+        const req = this.currentRequests.find(
+          (r) => r.request_id === requestId,
+        );
+        this.queuedCustomerNames[requestId] = req?.customer_name;
+        alert(result.message);
+      } else if (result.success) {
+        riderRequestsLog.debug("Request accepted successfully");
 
         // Get customer name from the request data
         const req = this.currentRequests.find(
           (r) => r.request_id === requestId,
         );
-        const customerName = req?.customer_name || "Customer";
+        await this.onRequestAccepted(requestId, req?.customer_name);
 
-        // Connect to chat
-        if (window.riderChatManager) {
-          console.log("💬 Connecting to chat...");
-          window.riderChatManager.setCustomerInfo(customerName);
-          await window.riderChatManager.connect(requestId);
+        alert("✅ Request accepted! You can chat with the customer now.");
+      } else {
+        riderRequestsLog.error(
+          "Failed to accept:",
+          result.code,
+          result.message,
+        );
+        this.showAcceptError(requestId, result.error);
+      }
+    } catch (error) {
+      riderRequestsLog.error("Error accepting request:", error);
+      alert("❌ Error: " + error.message);
+    }
+  }
 
-          // Store active request
-          localStorage.setItem("active_request_id", requestId);
-          localStorage.setItem("active_request_customer", customerName);
-        }
+  // Explain why an accept failed, based on the PasugoApiError type
+  showAcceptError(requestId, error) {
+    if (error instanceof ConflictError || error instanceof NotFoundError) {
+      // Another rider got there first (or the customer cancelled)
+      this.currentRequests = this.currentRequests.filter(
+        (r) => r.request_id !== requestId,
+      );
+      alert("This request was already taken by another rider.");
+      this.checkForRequests();
+    } else if (error instanceof AuthError) {
+      alert("Your session has expired. Please sign in again.");
+      window.location.href = "login.html";
+    } else if (error?.retryable) {
+      alert("❌ Couldn't reach the server. Please try accepting again.");
+    } else {
+      alert("❌ Failed to accept: " + (error?.message || "Unknown error"));
+    }
+  }
 
-        alert("✅ Request accepted! You can chat with the customer now.");
+  // Connect chat and store the active task once an accept goes through
+  async onRequestAccepted(requestId, customerName = "Customer") {
+    customerName = customerName || "Customer";
 
-        // Close the requests modal
-        const requestsModal = document.getElementById("requestsModal");
-        if (requestsModal) requestsModal.classList.add("hidden");
+    // Connect to chat
+    if (window.riderChatManager) {
+      riderRequestsLog.debug("Connecting to chat...");
+      window.riderChatManager.setCustomerInfo(customerName);
+      await window.riderChatManager.connect(requestId);
 
-        // Refresh the list
+      // Store active request
+      localStorage.setItem("active_request_id", requestId);
+      localStorage.setItem("active_request_customer", customerName);
+    }
+
+    // Close the requests modal
+    const requestsModal = document.getElementById("requestsModal");
+    if (requestsModal) requestsModal.classList.add("hidden");
+
+    // Refresh the list
+    this.checkForRequests();
+  }
+
+  // Finish accepts/declines that were queued while offline
+  async handleOutboxEvent(event) {
+    const kind = event.entry?.kind;
+    if (kind !== "acceptRequest" && kind !== "declineRequest") return;
+    const requestId = event.entry.meta.requestId;
+
+    if (event.type === "failed") {
+      if (kind === "acceptRequest" && event.error instanceof ConflictError) {
+        delete this.queuedCustomerNames[requestId];
+        alert(
+          `Request #${requestId} was taken by another rider while you were offline.`,
+        );
         this.checkForRequests();
-      } else {
-        console.error("❌ Failed to accept:", result.message);
-        alert("❌ Failed to accept: " + result.message);
+        return;
       }
-    } catch (error) {
-      console.error("❌ Error accepting request:", error);
-      alert("❌ Error: " + error.message);
+      alert(
+        `❌ Offline ${kind === "acceptRequest" ? "accept" : "decline"} for request #${requestId} failed: ${event.error.message}`,
+      );
+      this.checkForRequests();
+      return;
+    }
+
+    if (event.type !== "replayed") return;
+
+    if (kind === "acceptRequest") {
+      const customerName = this.queuedCustomerNames[requestId];
+      delete this.queuedCustomerNames[requestId];
+      await this.onRequestAccepted(requestId, customerName);
+      alert("✅ Request accepted! You can chat with the customer now.");
+    } else {
+      this.checkForRequests();
     }
   }
 
@@ -444,22 +514,24 @@ class RiderRequestHandler {
       return;
     }
 
-    console.log(`❌ Declining request ${requestId}...`);
+    riderRequestsLog.debug(`Declining request ${requestId}...`);
 
     try {
       const result = await pasugoAPI.declineRequest(requestId);
 
-      if (result.success) {
-        console.log("✅ Request declined successfully");
+      if (result.queued) {
+        alert(result.message);
+      } else if (result.success) {
+        riderRequestsLog.debug("Request declined successfully");
         alert("Request declined");
         // Refresh the list
         this.checkForRequests();
       } else {
-        console.error("❌ Failed to decline:", result.message);
+        riderRequestsLog.error("Failed to decline:", result.message);
         alert("❌ Failed to decline: " + result.message);
       }
     } catch (error) {
-      console.error("❌ Error declining request:", error);
+      riderRequestsLog.error("Error declining request:", error);
       alert("❌ Error: " + error.message);
     }
   }
@@ -488,9 +560,9 @@ class RiderRequestHandler {
       oscillator.start(audioContext.currentTime);
       oscillator.stop(audioContext.currentTime + 0.5);
 
-      console.log("🔔 Notification sound played");
+      riderRequestsLog.debug("Notification sound played");
     } catch (error) {
-      console.warn("⚠️ Could not play sound:", error);
+      riderRequestsLog.warn("Could not play sound:", error);
     }
   }
 
@@ -500,7 +572,7 @@ class RiderRequestHandler {
       clearInterval(this.pollInterval);
       this.pollInterval = null;
       this.isRunning = false;
-      console.log("🛑 Request handler stopped");
+      riderRequestsLog.debug("Request handler stopped");
     }
   }
 }
@@ -513,16 +585,15 @@ let riderRequestHandler = null;
 
 // Wait for DOM to be ready
 document.addEventListener("DOMContentLoaded", () => {
-  console.log("\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-  console.log("📄 rider-requests.js: DOM Content Loaded");
-  console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n");
+  riderRequestsLog.debug("DOM Content Loaded");
 
-  // Small delay to ensure other scripts are loaded
-  setTimeout(() => {
-    const userData = localStorage.getItem("user_data");
+  // Small delay to ensure other scripts (and the stored session) are loaded
+  setTimeout(async () => {
+    await PasugoSecureStore.ready();
+    const userData = PasugoSecureStore.getItem("user_data");
 
     if (!userData) {
-      console.log("⚠️ No user data found - user not logged in");
+      riderRequestsLog.debug("No user data found - user not logged in");
       return;
     }
 
@@ -530,12 +601,11 @@ document.addEventListener("DOMContentLoaded", () => {
     try {
       user = JSON.parse(userData);
     } catch (error) {
-      console.error("❌ Failed to parse user data:", error);
+      riderRequestsLog.error("Failed to parse user data:", error);
       return;
     }
 
-    console.log("👤 Logged in as:", {
-      name: user.full_name,
+    riderRequestsLog.debug("Logged in as:", {
       type: user.user_type,
       id: user.user_id || user.id,
     });
@@ -545,13 +615,15 @@ document.addEventListener("DOMContentLoaded", () => {
     const isRider = userType === "rider" || userType.includes("rider");
 
     if (isRider) {
-      console.log("🏍️ User is a RIDER - initializing request handler...\n");
+      riderRequestsLog.debug(
+        "User is a RIDER - initializing request handler...",
+      );
 
       riderRequestHandler = new RiderRequestHandler();
       riderRequestHandler.init();
     } else {
-      console.log(
-        `ℹ️ User is ${user.user_type} (not rider) - skipping request handler`,
+      riderRequestsLog.debug(
+        `User is ${user.user_type} (not rider) - skipping request handler`,
       );
     }
   }, 500); // 500ms delay
@@ -567,4 +639,4 @@ window.addEventListener("beforeunload", () => {
 // Make available globally for debugging
 window.riderRequestHandler = riderRequestHandler;
 
-console.log("✅ rider-requests.js loaded");
+riderRequestsLog.debug("rider-requests.js loaded");
@@ -2,7 +2,8 @@
 //  RIDER VERIFICATION CONTROLLER
 // ═══════════════════════════════════════════════════════════════════════════════
 
-const API_BASE = window.API_BASE || "https://pasugo.onrender.com/api";
+const API_BASE = PasugoConfig.apiUrl("/api");
+const verifyLog = PasugoLogger.scope("Verification");
 
 let currentStep = 1;
 let selfieFile = null;
@@ -10,8 +11,9 @@ let idFile = null;
 let selfieUrl = null;
 let idUrl = null;
 
-// Initialize
-document.addEventListener("DOMContentLoaded", function () {
+// Initialize once the stored session is loaded
+document.addEventListener("DOMContentLoaded", async function () {
+  await PasugoSecureStore.ready();
   initializeVerificationForm();
   checkApprovalStatus();
 });
@@ -150,7 +152,7 @@ async function uploadSelfie() {
   formData.append("selfie_file", selfieFile);
 
   try {
-    const token = localStorage.getItem("access_token");
+    const token = PasugoSecureStore.getItem("access_token");
     const response = await fetch(`${API_BASE}/riders/upload/selfie`, {
       method: "POST",
       headers: {
@@ -192,7 +194,7 @@ async function uploadID() {
   formData.append("id_file", idFile);
 
   try {
-    const token = localStorage.getItem("access_token");
+    const token = PasugoSecureStore.getItem("access_token");
     const response = await fetch(`${API_BASE}/riders/upload/id-document`, {
       method: "POST",
       headers: {
@@ -318,7 +320,7 @@ async function submitVerification() {
   showStatus(reviewStatus, "Submitting for review...", "loading");
 
   try {
-    const token = localStorage.getItem("access_token");
+    const token = PasugoSecureStore.getItem("access_token");
     const response = await fetch(`${API_BASE}/riders/approval-status`, {
       method: "GET",
       headers: {
@@ -348,7 +350,7 @@ async function submitVerification() {
 
 async function checkApprovalStatus() {
   try {
-    const token = localStorage.getItem("access_token");
+    const token = PasugoSecureStore.getItem("access_token");
     const response = await fetch(`${API_BASE}/riders/approval-status`, {
       method: "GET",
       headers: {
@@ -373,7 +375,7 @@ async function checkApprovalStatus() {
       }
     }
   } catch (error) {
-    console.error("Error checking approval status:", error);
+    verifyLog.error("Error checking approval status:", error);
   }
 }
 
@@ -1,8 +1,11 @@
 /**
  * Route Protection & Authorization Module
- * Handles route guards, role-based access control, and session validation
+ * Handles route guards, capability-based access control, and session
+ * validation
  */
 
+const guardLog = PasugoLogger.scope("RouteGuard");
+
 // ============================================
 // ROUTE CONFIGURATION
 // ============================================
@@ -13,36 +16,49 @@ const RouteConfig = {
     "index.html",
     "login.html",
     "register.html",
-    "about.html",
-    "contact.html",
-    "terms.html",
-    "privacy.html",
+    "rider-register.html",
+    "forgot-password.html",
+    "diagnostics.html",
+    "dev-settings.html",
+    "403.html",
     "",
     "/",
   ],
 
-  // Protected routes with role requirements
+  // Protected routes and the capability each needs. Screens inside a
+  // dashboard are router.js views (#/orders, #/profile…), not pages of
+  // their own.
   PROTECTED_ROUTES: {
     // Customer routes
-    "dashboard.html": ["customer", "rider", "admin"],
-    "profile.html": ["customer", "rider", "admin"],
-    "orders.html": ["customer", "admin"],
-    "transactions.html": ["customer", "rider", "admin"],
-    "track-order.html": ["customer", "admin"],
+    "dashboard.html": "requests.create",
 
     // Rider routes
-    "rider-dashboard.html": ["rider", "admin"],
-    "deliveries.html": ["rider", "admin"],
-    "earnings.html": ["rider", "admin"],
-    "rider-profile.html": ["rider", "admin"],
+    "rider-dashboard.html": "deliveries.accept",
+    "rider-verification.html": "deliveries.accept",
 
     // Admin routes
-    "admin-dashboard.html": ["admin"],
-    "manage-users.html": ["admin"],
-    "manage-riders.html": ["admin"],
-    "manage-orders.html": ["admin"],
-    "analytics.html": ["admin"],
-    "settings.html": ["admin"],
+    "admin-dashboard.html": "console.view",
+  },
+
+  // Capabilities come from the API with the user (`capabilities`); an
+  // admin's depend on their admin role. These are the role defaults, for
+  // responses without them.
+  ROLE_CAPABILITIES: {
+    customer: ["requests.create"],
+    rider: ["deliveries.accept"],
+    admin: [
+      "requests.create",
+      "deliveries.accept",
+      "console.view",
+      "requests.view_all",
+      "riders.view",
+      "riders.approve",
+      "riders.suspend",
+      "analytics.view",
+      "remittances.view",
+      "remittances.record",
+      "remittances.waive",
+    ],
   },
 
   // Default redirects by role
@@ -87,18 +103,52 @@ class RouteGuard {
   }
 
   /**
-   * Get required roles for current route
+   * Get the capability the current route needs
    */
-  getRequiredRoles() {
+  getRequiredCapability() {
     return RouteConfig.PROTECTED_ROUTES[this.currentPath] || null;
   }
 
   /**
-   * Check if user has required role
+   * Every role the account holds; user_type is the one it is acting as
+   */
+  getUserRoles(user) {
+    const roles = user.roles || [];
+    return roles.includes(user.user_type) ? roles : [user.user_type, ...roles];
+  }
+
+  /**
+   * What the user may do: the API's `capabilities`, or the defaults of
+   * the account's roles
    */
-  hasRequiredRole(userRole, requiredRoles) {
-    if (!requiredRoles) return true;
-    return requiredRoles.includes(userRole);
+  getCapabilities(user) {
+    if (!user) return [];
+    if (Array.isArray(user.capabilities)) return user.capabilities;
+    return this.getUserRoles(user).flatMap(
+      (role) => RouteConfig.ROLE_CAPABILITIES[role] || [],
+    );
+  }
+
+  /**
+   * Check if user has a capability (none needed passes)
+   */
+  hasCapability(user, capability) {
+    if (!capability) return true;
+    return this.getCapabilities(user).includes(capability);
+  }
+
+  /**
+   * Whether a page is the dashboard of another of the account's roles.
+   * Those open by switching mode in the profile, so a multi-role account
+   * is sent to its active role's page even with the capability.
+   */
+  isOtherRoleDashboard(user, page) {
+    return Object.entries(RouteConfig.DEFAULT_REDIRECTS).some(
+      ([role, dashboard]) =>
+        dashboard === page &&
+        role !== user.user_type &&
+        this.getUserRoles(user).includes(role),
+    );
   }
 
   /**
@@ -112,10 +162,49 @@ class RouteGuard {
   }
 
   /**
-   * Redirect to login page
+   * The login page's ?redirect= target, if it is safe to send this user
+   * there: a same-origin page in PROTECTED_ROUTES they have the capability
+   * for, and not another mode's dashboard. Keeps the query (e.g. a
+   * request ID).
+   * @returns {string|null} - Path to navigate to, or null for the default
+   */
+  getLoginRedirect(user, search = window.location.search) {
+    const target = new URLSearchParams(search).get("redirect");
+    if (!target || !user) return null;
+
+    let url;
+    try {
+      url = new URL(target, window.location.href);
+    } catch (error) {
+      return null;
+    }
+    if (
+      url.protocol !== window.location.protocol ||
+      url.host !== window.location.host
+    ) {
+      guardLog.warn("Route Guard: Ignoring off-site redirect", target);
+      return null;
+    }
+
+    const page = url.pathname.split("/").pop();
+    const capability = RouteConfig.PROTECTED_ROUTES[page];
+    if (
+      !capability ||
+      this.isOtherRoleDashboard(user, page) ||
+      !this.hasCapability(user, capability)
+    ) {
+      guardLog.debug("Route Guard: Redirect not allowed for user", target);
+      return null;
+    }
+    return url.pathname + url.search + url.hash;
+  }
+
+  /**
+   * Redirect to login page, which returns here (view included) afterwards
    */
   redirectToLogin() {
-    const currentPath = window.location.pathname + window.location.search;
+    const currentPath =
+      window.location.pathname + window.location.search + window.location.hash;
     const redirectParam = encodeURIComponent(currentPath);
     window.location.href = `${RouteConfig.LOGIN_PAGE}?redirect=${redirectParam}`;
   }
@@ -139,11 +228,12 @@ class RouteGuard {
    * Main route protection logic
    */
   async protect() {
-    console.log("🛡️ Route Guard: Checking access for", this.currentPath);
+    guardLog.debug("Route Guard: Checking access for", this.currentPath);
+    await PasugoSecureStore.ready();
 
     // If public route, allow access
     if (this.isPublicRoute()) {
-      console.log("✅ Route Guard: Public route, access granted");
+      guardLog.debug("Route Guard: Public route, access granted");
 
       // If authenticated user tries to access login/register, redirect to dashboard
       if (
@@ -151,15 +241,24 @@ class RouteGuard {
         this.currentPath === "register.html"
       ) {
         if (window.auth && window.auth.isUserLoggedIn()) {
-          console.log(
-            "📍 Route Guard: Authenticated user on auth page, validating session...",
+          guardLog.debug(
+            "Route Guard: Authenticated user on auth page, validating session...",
           );
           const isValid = await window.auth.validateSession();
 
           if (isValid) {
             const user = window.auth.getCurrentUser();
-            console.log(
-              "📍 Route Guard: Valid session, redirecting to default page",
+            const redirect = this.getLoginRedirect(user);
+            if (redirect) {
+              guardLog.debug(
+                "Route Guard: Valid session, returning to",
+                redirect,
+              );
+              window.location.href = redirect;
+              return false;
+            }
+            guardLog.debug(
+              "Route Guard: Valid session, redirecting to default page",
             );
             this.redirectToDefault(user.user_type);
             return false;
@@ -172,17 +271,17 @@ class RouteGuard {
 
     // Check authentication
     if (!window.auth || !window.auth.isUserLoggedIn()) {
-      console.log("❌ Route Guard: Not authenticated, redirecting to login");
+      guardLog.debug("Route Guard: Not authenticated, redirecting to login");
       this.redirectToLogin();
       return false;
     }
 
     // Validate session
-    console.log("🔄 Route Guard: Validating session...");
+    guardLog.debug("Route Guard: Validating session...");
     const isValid = await window.auth.validateSession();
 
     if (!isValid) {
-      console.log("❌ Route Guard: Session invalid, redirecting to login");
+      guardLog.debug("Route Guard: Session invalid, redirecting to login");
       this.redirectToLogin();
       return false;
     }
@@ -191,30 +290,50 @@ class RouteGuard {
     this.currentUser = window.auth.getCurrentUser();
     this.isAuthenticated = true;
 
-    // Check role-based access
-    const requiredRoles = this.getRequiredRoles();
+    // A multi-role account in another mode: the profile's role switcher
+    // changes modes, so send it to the active role's page, not a 403
+    if (this.isOtherRoleDashboard(this.currentUser, this.currentPath)) {
+      guardLog.debug(
+        "Route Guard: Page belongs to another of the account's roles",
+      );
+      this.redirectToDefault(this.currentUser.user_type);
+      return false;
+    }
 
-    if (
-      requiredRoles &&
-      !this.hasRequiredRole(this.currentUser.user_type, requiredRoles)
-    ) {
-      console.log(
-        "❌ Route Guard: Insufficient permissions, user role:",
+    // Check capability-based access
+    const capability = this.getRequiredCapability();
+
+    if (!this.hasCapability(this.currentUser, capability)) {
+      guardLog.debug(
+        "Route Guard: Insufficient permissions, user role:",
         this.currentUser.user_type,
       );
-      console.log("Required roles:", requiredRoles);
+      guardLog.debug("Required capability:", capability);
       this.redirectToUnauthorized();
       return false;
     }
 
-    console.log(
-      "✅ Route Guard: Access granted for",
+    guardLog.debug(
+      "Route Guard: Access granted for",
       this.currentUser.user_type,
     );
     return true;
   }
 }
 
+// ============================================
+// ROUTER GUARD
+// ============================================
+
+/**
+ * PasugoRouter guard (router.js) for views that need a capability (`can`).
+ * The page load has already validated the session, so this only checks
+ * the stored user.
+ */
+function viewGuard(to) {
+  return !to.route.can || userCan(to.route.can);
+}
+
 // ============================================
 // ROUTE GUARD WRAPPER COMPONENT
 // ============================================
@@ -256,6 +375,35 @@ function requireRoles(roles, redirectOnFail = true) {
   return hasRole;
 }
 
+/**
+ * Require a capability for a page
+ */
+function requireCapability(capability, redirectOnFail = true) {
+  const user = window.auth?.getCurrentUser();
+
+  if (!user) {
+    if (redirectOnFail) {
+      window.location.href = RouteConfig.LOGIN_PAGE;
+    }
+    return false;
+  }
+
+  const allowed = userCan(capability, user);
+
+  if (!allowed && redirectOnFail) {
+    window.location.href = RouteConfig.UNAUTHORIZED_PAGE;
+  }
+
+  return allowed;
+}
+
+/**
+ * Check if user has a capability, e.g. userCan("riders.approve")
+ */
+function userCan(capability, user = window.auth?.getCurrentUser()) {
+  return !!user && new RouteGuard().hasCapability(user, capability);
+}
+
 /**
  * Check if user is customer
  */
@@ -321,16 +469,31 @@ function hideForRoles(selector, roles) {
 }
 
 /**
- * Initialize role-based UI elements
+ * Show/hide elements based on a capability
  */
-function initRoleBasedUI() {
+function showForCapability(selector, capability) {
+  document.querySelectorAll(selector).forEach((element) => {
+    setElementShown(element, userCan(capability));
+  });
+}
+
+function setElementShown(element, shown) {
+  element.style.display = shown ? "" : "none";
+  element.classList.toggle("hidden", !shown);
+}
+
+/**
+ * Initialize role- and capability-based UI elements
+ * (e.g. data-can="riders.approve")
+ * @param {Object} [user] - Defaults to the signed-in user
+ */
+function initRoleBasedUI(user = window.auth?.getCurrentUser()) {
   // Show elements with data-show-roles attribute
   document.querySelectorAll("[data-show-roles]").forEach((element) => {
     const roles = element
       .getAttribute("data-show-roles")
       .split(",")
       .map((r) => r.trim());
-    const user = window.auth?.getCurrentUser();
 
     if (user && roles.includes(user.user_type)) {
       element.style.display = "";
@@ -347,7 +510,6 @@ function initRoleBasedUI() {
       .getAttribute("data-hide-roles")
       .split(",")
       .map((r) => r.trim());
-    const user = window.auth?.getCurrentUser();
 
     if (user && roles.includes(user.user_type)) {
       element.style.display = "none";
@@ -357,6 +519,16 @@ function initRoleBasedUI() {
       element.classList.remove("hidden");
     }
   });
+
+  // Show elements with data-can (capability) attribute
+  document.querySelectorAll("[data-can]").forEach((element) => {
+    setElementShown(element, userCan(element.dataset.can, user));
+  });
+
+  // Hide elements with data-cannot (capability) attribute
+  document.querySelectorAll("[data-cannot]").forEach((element) => {
+    setElementShown(element, !userCan(element.dataset.cannot, user));
+  });
 }
 
 // ============================================
@@ -372,7 +544,7 @@ async function autoProtectRoutes() {
 
   // Initialize role-based UI after protection check
   if (guard.isAuthenticated) {
-    initRoleBasedUI();
+    initRoleBasedUI(guard.currentUser);
   }
 }
 
@@ -396,13 +568,8 @@ function canNavigateTo(routePath) {
     return false;
   }
 
-  // Check role requirements
-  const requiredRoles = RouteConfig.PROTECTED_ROUTES[routePath];
-  if (!requiredRoles) {
-    return true; // No specific roles required
-  }
-
-  return requiredRoles.includes(user.user_type);
+  // Check capability requirements (none needed passes)
+  return userCan(RouteConfig.PROTECTED_ROUTES[routePath], user);
 }
 
 /**
@@ -425,8 +592,12 @@ function navigateTo(routePath) {
 // INITIALIZATION
 // ============================================
 
-// Auto-protect routes when DOM is loaded
-if (document.readyState === "loading") {
+// Auto-protect routes when DOM is loaded. Pages that check the session
+// themselves (the protected pages and login.html, through auth.js) load
+// this file for its helpers with data-auto-protect="false".
+if (document.currentScript?.dataset.autoProtect === "false") {
+  guardLog.debug("Route Guard: Automatic protection off for this page");
+} else if (document.readyState === "loading") {
   document.addEventListener("DOMContentLoaded", autoProtectRoutes);
 } else {
   // DOM already loaded
@@ -442,13 +613,17 @@ window.routeGuard = {
   RouteConfig,
   withRouteGuard,
   requireRoles,
+  requireCapability,
+  userCan,
   isCustomer,
   isRider,
   isAdmin,
   showForRoles,
   hideForRoles,
+  showForCapability,
   initRoleBasedUI,
   canNavigateTo,
   navigateTo,
   autoProtectRoutes,
+  viewGuard,
 };
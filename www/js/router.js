@@ -0,0 +1,274 @@
+/**
+ * In-page router for the dashboards
+ * A dashboard's panels are views addressed by the URL hash (#/orders,
+ * #/profile, #/chats/12), so Back and deep links work without reloading the
+ * page – the map, chat sockets and polling keep running across views.
+ * Views can be imported from another page on first visit, and guard hooks
+ * decide whether a view may open. Hash-based because the app runs from
+ * file:// in Cordova.
+ */
+
+const routerLog = PasugoLogger.scope("Router");
+
+class PasugoRouter {
+  // Most guard redirects followed for one navigation (stops loops)
+  static MAX_REDIRECTS = 3;
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.fallback="/"] - Path for unknown or refused routes
+   * @param {Element} [options.outlet] - Parent of imported views (body)
+   */
+  constructor({ fallback = "/", outlet = null } = {}) {
+    this.fallback = fallback;
+    this.outlet = outlet;
+    this.routes = [];
+    this.guards = [];
+    this.current = null;
+    this._queue = Promise.resolve();
+    // Last path asked for; the hashchange from our own navigate() or
+    // redirect is not a new navigation
+    this._requested = null;
+    this._onHashChange = () => {
+      if (this.currentPath() !== this._requested) {
+        this._resolve(this.currentPath());
+      }
+    };
+  }
+
+  // ===== ROUTES =====
+
+  /**
+   * Add a route
+   * @param {string} path - e.g. "/orders" or "/chats/:id"
+   * @param {Object} options
+   * @param {Function} [options.enter] - ({path, params, query, view}) => void
+   * @param {Function} [options.leave] - Called when another route opens
+   * @param {string} [options.can] - Capability for guards (see viewGuard
+   *   in route-guard.js)
+   * @param {string} [options.view] - Page to import as this route's view on
+   *   first visit (see importView)
+   */
+  route(path, options = {}) {
+    const keys = [];
+    const source = path.replace(/\/:(\w+)/g, (_, key) => {
+      keys.push(key);
+      return "/([^/]+)";
+    });
+    this.routes.push({
+      ...options,
+      path,
+      keys,
+      pattern: new RegExp(`^${source}/?$`),
+    });
+    return this;
+  }
+
+  /**
+   * Add a guard: (to, from) => true to allow, false to refuse (the fallback
+   * opens instead), or a path to open instead. May return a promise.
+   */
+  beforeEach(guard) {
+    this.guards.push(guard);
+    return this;
+  }
+
+  /**
+   * Route for a path with its params and query, or null
+   */
+  match(fullPath) {
+    const [path, search = ""] = fullPath.split("?");
+    for (const route of this.routes) {
+      const found = route.pattern.exec(path);
+      if (!found) continue;
+      const params = {};
+      route.keys.forEach((key, i) => {
+        params[key] = decodeURIComponent(found[i + 1]);
+      });
+      return {
+        route,
+        path: fullPath,
+        params,
+        query: Object.fromEntries(new URLSearchParams(search)),
+      };
+    }
+    return null;
+  }
+
+  // ===== NAVIGATION =====
+
+  currentPath() {
+    return window.location.hash.replace(/^#/, "") || "/";
+  }
+
+  /**
+   * Open the route in the URL and follow hash changes (Back, links)
+   */
+  start() {
+    window.addEventListener("hashchange", this._onHashChange);
+    return this._resolve(this.currentPath());
+  }
+
+  stop() {
+    window.removeEventListener("hashchange", this._onHashChange);
+  }
+
+  /**
+   * Open a path, adding a history entry (or replacing the current one).
+   * Opening the current path again re-runs its enter hook.
+   * @returns {Promise<boolean>} - Whether the path (not a redirect) opened
+   */
+  navigate(path, { replace = false } = {}) {
+    if (path !== this.currentPath()) this._setHash(path, replace);
+    return this._resolve(path);
+  }
+
+  back() {
+    window.history.back();
+  }
+
+  _setHash(path, replace) {
+    this._requested = path;
+    if (replace) window.location.replace(`#${path}`);
+    else window.location.hash = path;
+  }
+
+  /**
+   * Navigations run one at a time, in order
+   */
+  _resolve(path) {
+    this._requested = path;
+    const result = this._queue.then(() => this._open(path));
+    this._queue = result.catch(() => {});
+    return result;
+  }
+
+  async _open(path, redirects = 0) {
+    const to = this.match(path);
+    if (!to) {
+      routerLog.warn("No route for", path);
+      return this._redirect(path, this.fallback, redirects);
+    }
+
+    const from = this.current;
+    for (const guard of this.guards) {
+      const verdict = await guard(to, from);
+      if (verdict === true || verdict === undefined) continue;
+      routerLog.info("Guard refused", path);
+      const target = typeof verdict === "string" ? verdict : this.fallback;
+      return this._redirect(path, target, redirects);
+    }
+
+    let view = null;
+    if (to.route.view) {
+      try {
+        to.route._view ||= PasugoRouter.importView(to.route.view, this.outlet);
+        view = await to.route._view;
+      } catch (error) {
+        // Try the import again next time (e.g. offline)
+        to.route._view = null;
+        routerLog.error("Could not load view", to.route.view, error.message);
+        return this._redirect(path, from?.path || this.fallback, redirects);
+      }
+    }
+
+    if (from && from.route !== to.route) from.route.leave?.(from);
+    this.current = { ...to, view };
+    await to.route.enter?.(this.current);
+    view?.dispatchEvent(new CustomEvent("pasugo:view", { detail: to }));
+    return true;
+  }
+
+  async _redirect(path, target, redirects) {
+    if (target === path || redirects >= PasugoRouter.MAX_REDIRECTS) {
+      return false;
+    }
+    this._setHash(target, true);
+    await this._open(target, redirects + 1);
+    return false;
+  }
+
+  // ===== VIEWS =====
+
+  /**
+   * Import another page's content as a view of this page: its styles, its
+   * body markup (in a hidden .app-panel, id "<page>View") and its scripts.
+   * Scripts this page already loaded are skipped. Inline scripts run in
+   * their own function scope, so they bind events with addEventListener,
+   * and can refresh on the "pasugo:view" event the view gets on each visit.
+   * @param {string} url - e.g. "diagnostics.html"
+   * @returns {Promise<Element>}
+   */
+  static async importView(url, outlet) {
+    const base = new URL(url, window.location.href);
+    const response = await fetch(base.href);
+    if (!response.ok) {
+      throw new Error(`${url} returned ${response.status}`);
+    }
+    const doc = new DOMParser().parseFromString(
+      await response.text(),
+      "text/html",
+    );
+
+    doc.head.querySelectorAll("style").forEach((style) => {
+      document.head.appendChild(style);
+    });
+    doc.head.querySelectorAll('link[rel="stylesheet"]').forEach((link) => {
+      const href = new URL(link.getAttribute("href"), base).href;
+      const loaded = [...document.styleSheets].some((s) => s.href === href);
+      if (!loaded) {
+        const sheet = document.createElement("link");
+        sheet.rel = "stylesheet";
+        sheet.href = href;
+        document.head.appendChild(sheet);
+      }
+    });
+
+    const scripts = [...doc.body.querySelectorAll("script")];
+    scripts.forEach((script) => script.remove());
+    const name = base.pathname
+      .split("/")
+      .pop()
+      .replace(/\.html$/, "");
+    const view = document.createElement("div");
+    view.className = "app-panel router-view";
+    view.id = `${name}View`;
+    view.style.display = "none";
+    view.append(...doc.body.childNodes);
+    (outlet || document.body).appendChild(view);
+
+    for (const script of scripts) {
+      const src = script.getAttribute("src");
+      if (src) {
+        await this.loadScript(new URL(src, base).href);
+      } else {
+        const inline = document.createElement("script");
+        inline.textContent = `(function () {\n${script.textContent}\n})();`;
+        document.body.appendChild(inline);
+      }
+    }
+    routerLog.debug("Imported view", url);
+    return view;
+  }
+
+  /**
+   * Load a classic script once
+   */
+  static loadScript(src) {
+    if ([...document.scripts].some((script) => script.src === src)) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      const script = document.createElement("script");
+      script.src = src;
+      script.onload = resolve;
+      script.onerror = () => reject(new Error(`Could not load ${src}`));
+      document.body.appendChild(script);
+    });
+  }
+}
+
+window.PasugoRouter = PasugoRouter;
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PasugoRouter;
+}
@@ -0,0 +1,638 @@
+/**
+ * Secure Storage Module
+ * Keeps session secrets (tokens, user data) out of plain localStorage.
+ * Values are persisted through a pluggable adapter – the native keystore
+ * on Cordova builds, WebCrypto-encrypted IndexedDB in browsers – and served
+ * synchronously from memory so existing call sites stay unchanged.
+ *
+ * Reads during a running session come from a sessionStorage mirror, which
+ * lives only as long as the app/tab and is never part of device backups.
+ * The refresh token and the app-lock PIN stay out of that plaintext copy
+ * and are only read once ready() resolves.
+ * Load after logger.js and before auth.js.
+ */
+
+const secureLog = PasugoLogger.scope("SecureStore");
+
+// ============================================
+// ADAPTERS
+// Every adapter implements:
+//   isAvailable() → Promise<boolean>
+//   load()        → Promise<{key: value}>
+//   save(key, value), remove(key), clear() → Promise
+// ============================================
+
+/**
+ * AES-GCM encrypted IndexedDB storage for browsers and WebViews
+ * The key is generated non-extractable, so script can use it but never
+ * read it out; copying the database alone does not reveal the values
+ */
+class WebCryptoStorageAdapter {
+  static DB_NAME = "pasugo_secure";
+  static DB_VERSION = 1;
+  static KEY_STORE = "keys";
+  static DATA_STORE = "entries";
+  static MASTER_KEY_ID = "master";
+
+  constructor() {
+    this.name = "webcrypto";
+    this.dbPromise = null;
+    this.keyPromise = null;
+  }
+
+  async isAvailable() {
+    return (
+      typeof indexedDB !== "undefined" &&
+      typeof crypto !== "undefined" &&
+      !!crypto.subtle
+    );
+  }
+
+  // ===== INDEXEDDB =====
+
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    const { DB_NAME, DB_VERSION, KEY_STORE, DATA_STORE } =
+      WebCryptoStorageAdapter;
+    this.dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(KEY_STORE)) {
+          db.createObjectStore(KEY_STORE);
+        }
+        if (!db.objectStoreNames.contains(DATA_STORE)) {
+          db.createObjectStore(DATA_STORE);
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+
+    return this.dbPromise;
+  }
+
+  async _tx(storeName, mode, fn) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const req = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(req?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // ===== ENCRYPTION =====
+
+  /**
+   * The device's master key, created on first use
+   */
+  getKey() {
+    if (this.keyPromise) return this.keyPromise;
+
+    const { KEY_STORE, MASTER_KEY_ID } = WebCryptoStorageAdapter;
+    this.keyPromise = (async () => {
+      const existing = await this._tx(KEY_STORE, "readonly", (store) =>
+        store.get(MASTER_KEY_ID),
+      );
+      if (existing) return existing;
+
+      const key = await crypto.subtle.generateKey(
+        { name: "AES-GCM", length: 256 },
+        false, // non-extractable
+        ["encrypt", "decrypt"],
+      );
+      await this._tx(KEY_STORE, "readwrite", (store) =>
+        store.put(key, MASTER_KEY_ID),
+      );
+      return key;
+    })();
+    this.keyPromise.catch(() => (this.keyPromise = null));
+
+    return this.keyPromise;
+  }
+
+  async _encrypt(value) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+      { name: "AES-GCM", iv },
+      await this.getKey(),
+      new TextEncoder().encode(value),
+    );
+    return { iv, data };
+  }
+
+  async _decrypt(entry) {
+    const plain = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: entry.iv },
+      await this.getKey(),
+      entry.data,
+    );
+    return new TextDecoder().decode(plain);
+  }
+
+  // ===== ADAPTER API =====
+
+  async load() {
+    const { DATA_STORE } = WebCryptoStorageAdapter;
+    const db = await this.open();
+    const entries = await new Promise((resolve, reject) => {
+      const result = {};
+      const tx = db.transaction(DATA_STORE, "readonly");
+      const cursorReq = tx.objectStore(DATA_STORE).openCursor();
+      cursorReq.onsuccess = () => {
+        const cursor = cursorReq.result;
+        if (!cursor) return;
+        result[cursor.key] = cursor.value;
+        cursor.continue();
+      };
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+    });
+
+    const values = {};
+    for (const [key, entry] of Object.entries(entries)) {
+      try {
+        values[key] = await this._decrypt(entry);
+      } catch (error) {
+        // Key lost (site data partially cleared) – the value is unrecoverable
+        secureLog.warn(`Dropping undecryptable entry "${key}"`);
+        await this.remove(key);
+      }
+    }
+    return values;
+  }
+
+  async save(key, value) {
+    const entry = await this._encrypt(value);
+    await this._tx(WebCryptoStorageAdapter.DATA_STORE, "readwrite", (store) =>
+      store.put(entry, key),
+    );
+  }
+
+  async remove(key) {
+    await this._tx(WebCryptoStorageAdapter.DATA_STORE, "readwrite", (store) =>
+      store.delete(key),
+    );
+  }
+
+  async clear() {
+    await this._tx(WebCryptoStorageAdapter.DATA_STORE, "readwrite", (store) =>
+      store.clear(),
+    );
+  }
+}
+
+/**
+ * Android Keystore / iOS Keychain through cordova-plugin-secure-storage-echo
+ * Only used on Cordova builds that include the plugin (and cordova.js)
+ */
+class CordovaKeystoreAdapter {
+  static NAMESPACE = "pasugo";
+  static DEVICE_READY_TIMEOUT = 3000;
+
+  constructor() {
+    this.name = "keystore";
+    this.storagePromise = null;
+  }
+
+  async isAvailable() {
+    if (!window.cordova) return false;
+    try {
+      await this._storage();
+      return true;
+    } catch (error) {
+      secureLog.info("Native keystore unavailable:", error);
+      return false;
+    }
+  }
+
+  _storage() {
+    if (this.storagePromise) return this.storagePromise;
+
+    this.storagePromise = new Promise((resolve, reject) => {
+      const timer = setTimeout(
+        () => reject(new Error("deviceready timed out")),
+        CordovaKeystoreAdapter.DEVICE_READY_TIMEOUT,
+      );
+      document.addEventListener(
+        "deviceready",
+        () => {
+          clearTimeout(timer);
+          const SecureStorage = window.cordova.plugins?.SecureStorage;
+          if (!SecureStorage) {
+            reject(new Error("SecureStorage plugin not installed"));
+            return;
+          }
+          // Fails when the device has no screen lock (Android keystore rule)
+          const storage = new SecureStorage(
+            () => resolve(storage),
+            (error) => reject(error),
+            CordovaKeystoreAdapter.NAMESPACE,
+          );
+        },
+        { once: true },
+      );
+    });
+
+    return this.storagePromise;
+  }
+
+  async _call(method, ...args) {
+    const storage = await this._storage();
+    return new Promise((resolve, reject) =>
+      storage[method](resolve, reject, ...args),
+    );
+  }
+
+  // ===== ADAPTER API =====
+
+  async load() {
+    const keys = await this._call("keys");
+    const values = {};
+    for (const key of keys) {
+      values[key] = await this._call("get", key);
+    }
+    return values;
+  }
+
+  save(key, value) {
+    return this._call("set", key, value);
+  }
+
+  remove(key) {
+    return this._call("remove", key);
+  }
+
+  clear() {
+    return this._call("clear");
+  }
+}
+
+/**
+ * Last resort when nothing persistent is available (e.g. private browsing)
+ * Values survive page changes through the session mirror only
+ */
+class MemoryStorageAdapter {
+  constructor() {
+    this.name = "memory";
+    this.values = {};
+  }
+
+  async isAvailable() {
+    return true;
+  }
+
+  async load() {
+    return { ...this.values };
+  }
+
+  async save(key, value) {
+    this.values[key] = value;
+  }
+
+  async remove(key) {
+    delete this.values[key];
+  }
+
+  async clear() {
+    this.values = {};
+  }
+}
+
+// ============================================
+// SECURE STORE
+// ============================================
+
+class PasugoSecureStore {
+  // Keys that must never sit in plain localStorage
+  static SECURE_KEYS = [
+    "access_token",
+    "refresh_token",
+    "user_data",
+    "admin_token",
+    "app_lock",
+  ];
+
+  // sessionStorage mirror: one JSON entry per key, {value: null} when removed
+  static SESSION_PREFIX = "pasugo_secure:";
+  // Secrets the mirror never holds: each page reads them from the adapter,
+  // and the mirror only records their removal ({value: null})
+  static UNMIRRORED_KEYS = ["refresh_token", "app_lock"];
+  // Set once a page has loaded the adapter; later pages trust the mirror
+  static SYNCED_FLAG = "pasugo_secure_synced";
+
+  // Tried in order; the first available one wins. Another backend (e.g. a
+  // different native plugin) plugs in by defining
+  // window.PASUGO_SECURE_ADAPTERS = [adapter] before this file loads.
+  static adapters = [
+    ...(window.PASUGO_SECURE_ADAPTERS || []),
+    new CordovaKeystoreAdapter(),
+    new WebCryptoStorageAdapter(),
+    new MemoryStorageAdapter(),
+  ];
+
+  static adapter = null;
+  static _cache = new Map();
+  static _touched = new Set();
+  static _cleared = false;
+  static _synced = false;
+  static _readyPromise = null;
+  static _writes = Promise.resolve();
+  static _listeners = new Set();
+  static _changed = null;
+  static _changeSeq = 0;
+
+  // ===== SYNCHRONOUS API (same shape as localStorage) =====
+
+  static getItem(key) {
+    return this._cache.has(key) ? this._cache.get(key) : null;
+  }
+
+  /**
+   * Update the value now; the encrypted copy is written in the background
+   * (await flush() when the next step depends on it being persisted)
+   */
+  static setItem(key, value) {
+    const text = String(value);
+    this._cache.set(key, text);
+    this._touched.add(key);
+    this._mirror(key, text);
+    this._queue((adapter) => adapter.save(key, text));
+    this._announce([key]);
+  }
+
+  static removeItem(key) {
+    this._cache.delete(key);
+    this._touched.add(key);
+    this._mirror(key, null);
+    this._queue((adapter) => adapter.remove(key));
+    this._announce([key]);
+  }
+
+  /**
+   * Forget every stored secret (logout, environment switch)
+   */
+  static clear() {
+    const keys = [...new Set([...this.SECURE_KEYS, ...this._cache.keys()])];
+    keys.forEach((key) => this._mirror(key, null));
+    this._cache.clear();
+    this._cleared = true;
+    this._queue((adapter) => adapter.clear());
+    this._announce(keys, true);
+  }
+
+  // ===== CHANGES FROM OTHER TABS =====
+
+  /**
+   * Be told which keys this page changed, once the writes have reached the
+   * adapter: listener({keys, cleared}). session-sync.js forwards it to
+   * the other open tabs.
+   * @returns {Function} - Unsubscribe
+   */
+  static subscribe(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  }
+
+  /**
+   * Re-read keys another tab changed from the adapter
+   * The memory adapter is private to this tab, so there is nothing to read
+   * @returns {Promise<string[]>} - Keys whose value changed here
+   */
+  static async reload(keys) {
+    await this.flush();
+    if (this.adapter instanceof MemoryStorageAdapter) return [];
+
+    let stored;
+    try {
+      stored = await this.adapter.load();
+    } catch (error) {
+      secureLog.error("Could not read secure storage:", error);
+      return [];
+    }
+    return keys.filter((key) => {
+      const value = stored[key] ?? null;
+      if (value === (this._cache.get(key) ?? null)) return false;
+      if (value === null) {
+        this._cache.delete(key);
+      } else {
+        this._cache.set(key, value);
+      }
+      this._mirror(key, value);
+      return true;
+    });
+  }
+
+  /**
+   * Forget every cached value without touching the adapter, which the tab
+   * that signed out has already cleared
+   */
+  static discard() {
+    new Set([...this.SECURE_KEYS, ...this._cache.keys()]).forEach((key) =>
+      this._mirror(key, null),
+    );
+    this._cache.clear();
+  }
+
+  // ===== LIFECYCLE =====
+
+  /**
+   * Resolves once persisted values are loaded. Page bootstraps await this
+   * before they check or render the signed-in state: on a cold start (e.g.
+   * a bookmarked dashboard) nothing is known until then.
+   */
+  static ready() {
+    if (!this._readyPromise) this._readyPromise = this._hydrate();
+    return this._readyPromise;
+  }
+
+  /**
+   * Resolves when every pending write has reached the adapter
+   */
+  static async flush() {
+    await this.ready();
+    return this._writes;
+  }
+
+  static async _selectAdapter() {
+    for (const adapter of this.adapters) {
+      try {
+        if (await adapter.isAvailable()) return adapter;
+      } catch (error) {
+        secureLog.warn(`Adapter ${adapter.name} failed its check:`, error);
+      }
+    }
+    return new MemoryStorageAdapter();
+  }
+
+  /**
+   * Fill the cache synchronously from the session mirror and any legacy
+   * plaintext values (moved out of localStorage once persisted)
+   */
+  static _restoreSession() {
+    try {
+      this._synced = sessionStorage.getItem(this.SYNCED_FLAG) === "1";
+    } catch (e) {
+      /* storage unavailable */
+    }
+
+    this.SECURE_KEYS.forEach((key) => {
+      let entry = this._mirrored(key);
+      if (entry?.value != null && this.UNMIRRORED_KEYS.includes(key)) {
+        // A copy an older version mirrored; the adapter has it
+        this._mirror(key, entry.value);
+        entry = null;
+      }
+      if (entry?.value != null) this._cache.set(key, entry.value);
+
+      const legacy = localStorage.getItem(key);
+      if (legacy === null) return;
+      secureLog.info(`Migrating "${key}" out of localStorage`);
+      if (entry) {
+        localStorage.removeItem(key);
+        return;
+      }
+      // Only drop the plaintext copy once the secure one is written
+      this._cache.set(key, legacy);
+      this._touched.add(key);
+      this._mirror(key, legacy);
+      this._queue((adapter) =>
+        adapter.save(key, legacy).then(() => localStorage.removeItem(key)),
+      );
+    });
+  }
+
+  static async _hydrate() {
+    this.adapter = await this._selectAdapter();
+    secureLog.debug(`Using ${this.adapter.name} adapter`);
+
+    let stored = {};
+    try {
+      stored = await this.adapter.load();
+    } catch (error) {
+      secureLog.error("Could not read secure storage:", error);
+    }
+
+    if (this._synced) {
+      // The mirror is authoritative within a session; redo any write an
+      // earlier page started but did not finish before navigating away.
+      // Secrets it doesn't hold come from the adapter unless removed.
+      if (!this._cleared) {
+        this.UNMIRRORED_KEYS.forEach((key) => {
+          if (this._touched.has(key) || this._mirrored(key)) return;
+          if (stored[key] != null) this._cache.set(key, stored[key]);
+        });
+      }
+      this._reconcile(stored);
+      return this;
+    }
+
+    if (!this._cleared) {
+      Object.entries(stored).forEach(([key, value]) => {
+        // Values written on this page are newer than the stored copy
+        if (this._touched.has(key) || value == null) return;
+        this._cache.set(key, value);
+        this._mirror(key, value);
+      });
+    }
+    this._synced = true;
+    try {
+      sessionStorage.setItem(this.SYNCED_FLAG, "1");
+    } catch (e) {
+      /* storage unavailable */
+    }
+    return this;
+  }
+
+  static _reconcile(stored) {
+    Object.keys(stored).forEach((key) => {
+      if (!this._cache.has(key) && !this._touched.has(key)) {
+        this._queue((adapter) => adapter.remove(key));
+      }
+    });
+    this._cache.forEach((value, key) => {
+      if (stored[key] !== value && !this._touched.has(key)) {
+        this._queue((adapter) => adapter.save(key, value));
+      }
+    });
+  }
+
+  static _queue(operation) {
+    this._writes = this._writes
+      .then(() => this.ready())
+      .then(() => operation(this.adapter))
+      .catch((error) => secureLog.error("Secure write failed:", error));
+  }
+
+  /**
+   * Report keys to subscribers after the pending writes; changes made in
+   * one burst (e.g. saveTokens) go out together after the last write
+   */
+  static _announce(keys, cleared = false) {
+    if (!this._changed) this._changed = { keys: new Set(), cleared: false };
+    keys.forEach((key) => this._changed.keys.add(key));
+    this._changed.cleared ||= cleared;
+
+    const seq = ++this._changeSeq;
+    this._writes = this._writes.then(() => {
+      if (seq !== this._changeSeq) return;
+      const change = {
+        keys: [...this._changed.keys],
+        cleared: this._changed.cleared,
+      };
+      this._changed = null;
+      this._listeners.forEach((listener) => {
+        try {
+          listener(change);
+        } catch (error) {
+          secureLog.error("Change listener failed:", error);
+        }
+      });
+    });
+  }
+
+  static _mirrored(key) {
+    try {
+      return JSON.parse(sessionStorage.getItem(this.SESSION_PREFIX + key));
+    } catch (e) {
+      return null; /* storage unavailable or unreadable entry */
+    }
+  }
+
+  static _mirror(key, value) {
+    const name = this.SESSION_PREFIX + key;
+    try {
+      if (value !== null && this.UNMIRRORED_KEYS.includes(key)) {
+        sessionStorage.removeItem(name);
+      } else {
+        sessionStorage.setItem(name, JSON.stringify({ value }));
+      }
+    } catch (e) {
+      /* storage unavailable */
+    }
+  }
+}
+
+PasugoSecureStore._restoreSession();
+PasugoSecureStore.ready();
+
+// ============================================
+// EXPORT FOR EXTERNAL USE
+// ============================================
+
+window.PasugoSecureStore = PasugoSecureStore;
+window.WebCryptoStorageAdapter = WebCryptoStorageAdapter;
+window.CordovaKeystoreAdapter = CordovaKeystoreAdapter;
+window.MemoryStorageAdapter = MemoryStorageAdapter;
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    PasugoSecureStore,
+    WebCryptoStorageAdapter,
+    CordovaKeystoreAdapter,
+    MemoryStorageAdapter,
+  };
+}
@@ -0,0 +1,167 @@
+/**
+ * Session Sync Module
+ * Keeps every open Pasugo tab and window on the same session. When a page
+ * changes the secure store (sign-in, logout, token refresh, role switch)
+ * the other tabs are told over a BroadcastChannel – or a localStorage
+ * message where that is missing – and re-read the changed keys from the
+ * shared encrypted store. Messages name keys only, never their values.
+ * Plain localStorage state such as the active customer request arrives
+ * through the browser's own storage events.
+ *
+ * Usage: PasugoSessionSync.on("logout", ({ key }) => ...)
+ * Load after secure-storage.js and before auth.js.
+ */
+
+const syncLog = PasugoLogger.scope("SessionSync");
+
+// ============================================
+// SESSION SYNC
+// ============================================
+
+class PasugoSessionSync {
+  static CHANNEL_NAME = "pasugo_session";
+  // Fallback transport: written and removed at once, which is enough for
+  // the other tabs to get a storage event
+  static MESSAGE_KEY = "pasugo_session_message";
+
+  // Secure keys that hold a session (customer/rider app, admin console)
+  static SESSION_KEYS = ["access_token", "admin_token"];
+  // localStorage keys forwarded as events when another tab changes them
+  static WATCHED_KEYS = { active_customer_request: "active-request" };
+
+  static tabId = Math.random().toString(36).slice(2);
+  static channel = null;
+  static _listeners = {
+    logout: new Set(),
+    tokens: new Set(),
+    role: new Set(),
+    "active-request": new Set(),
+  };
+
+  // ===== EVENTS =====
+
+  /**
+   * Listen for changes made in another tab (this tab's store already holds
+   * the new values when listeners run):
+   *   logout({key})         – access_token or admin_token was removed
+   *   tokens({key})         – that token was replaced (refresh or sign-in)
+   *   role({from, to})      – the signed-in user's user_type changed
+   *   active-request(state) – active_customer_request changed (null: cleared)
+   * @returns {Function} - Unsubscribe
+   */
+  static on(event, listener) {
+    const listeners = this._listeners[event];
+    if (!listeners) throw new Error(`Unknown sync event: ${event}`);
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  static _emit(event, detail) {
+    this._listeners[event].forEach((listener) => {
+      try {
+        listener(detail);
+      } catch (error) {
+        syncLog.error(`Sync "${event}" listener failed:`, error);
+      }
+    });
+  }
+
+  // ===== TRANSPORT =====
+
+  static start() {
+    if (typeof BroadcastChannel !== "undefined") {
+      this.channel = new BroadcastChannel(this.CHANNEL_NAME);
+      this.channel.onmessage = (event) => this._receive(event.data);
+    }
+    window.addEventListener("storage", (event) => this._onStorage(event));
+    PasugoSecureStore.subscribe((change) => this.publish(change));
+  }
+
+  /**
+   * Tell the other tabs which secure keys this page changed
+   * @param {Object} change - {keys, cleared} from PasugoSecureStore
+   */
+  static publish({ keys, cleared }) {
+    const message = { from: this.tabId, keys, cleared };
+    if (this.channel) {
+      this.channel.postMessage(message);
+      return;
+    }
+    try {
+      // The timestamp makes every write differ, so each one fires an event
+      localStorage.setItem(
+        this.MESSAGE_KEY,
+        JSON.stringify({ ...message, at: Date.now() }),
+      );
+      localStorage.removeItem(this.MESSAGE_KEY);
+    } catch (e) {
+      /* storage unavailable */
+    }
+  }
+
+  static _onStorage(event) {
+    if (event.key === this.MESSAGE_KEY) {
+      if (event.newValue) this._receive(this._parse(event.newValue));
+      return;
+    }
+    const name = this.WATCHED_KEYS[event.key];
+    if (name) this._emit(name, this._parse(event.newValue));
+  }
+
+  /**
+   * Apply another tab's change to this tab's store, then report what it
+   * means for the session
+   */
+  static async _receive(message) {
+    if (!message || message.from === this.tabId) return;
+
+    const before = this._snapshot();
+    if (message.cleared) PasugoSecureStore.discard();
+    await PasugoSecureStore.reload(message.keys || []);
+    const after = this._snapshot();
+
+    this.SESSION_KEYS.forEach((key) => {
+      if (before[key] && !after[key]) {
+        syncLog.info(`${key} removed in another tab`);
+        this._emit("logout", { key });
+      } else if (after[key] && after[key] !== before[key]) {
+        syncLog.debug(`${key} replaced in another tab`);
+        this._emit("tokens", { key });
+      }
+    });
+    if (before.role && after.role && before.role !== after.role) {
+      syncLog.info(`Role changed in another tab: ${after.role}`);
+      this._emit("role", { from: before.role, to: after.role });
+    }
+  }
+
+  static _snapshot() {
+    const snapshot = {};
+    this.SESSION_KEYS.forEach((key) => {
+      snapshot[key] = PasugoSecureStore.getItem(key);
+    });
+    snapshot.role =
+      this._parse(PasugoSecureStore.getItem("user_data"))?.user_type || null;
+    return snapshot;
+  }
+
+  static _parse(json) {
+    try {
+      return JSON.parse(json);
+    } catch (e) {
+      return null;
+    }
+  }
+}
+
+PasugoSessionSync.start();
+
+// ============================================
+// EXPORT FOR EXTERNAL USE
+// ============================================
+
+window.PasugoSessionSync = PasugoSessionSync;
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PasugoSessionSync;
+}
@@ -3,6 +3,11 @@
  * Handles navigation based on authentication status
  */
 
+const splashLog = PasugoLogger.scope("Splash");
+
+// Links wait until the session is checked (see navigateToDashboard)
+window.PasugoDeepLinks?.hold();
+
 class SplashScreen {
   static SPLASH_DURATION = 2000; // 2 seconds minimum splash screen display
   static TOKEN_VERIFY_TIMEOUT = 5000; // 5 seconds timeout for token verification
@@ -12,23 +17,29 @@ class SplashScreen {
    */
   static async init() {
     try {
-      console.log("SplashScreen: Initializing...");
+      splashLog.debug("Initializing...");
+
+      // Wait for minimum splash duration and the stored session
+      await Promise.all([
+        this.delay(this.SPLASH_DURATION),
+        PasugoSecureStore.ready(),
+      ]);
 
-      // Wait for minimum splash duration
-      await this.delay(this.SPLASH_DURATION);
+      // Stay here while this build must update or the service is down
+      await PasugoAppGate.whenOpen();
 
       // Check if user is authenticated
       if (AuthTokenService.isAuthenticated()) {
-        console.log("SplashScreen: Tokens found, verifying...");
+        splashLog.debug("Tokens found, verifying...");
         // User has tokens, verify they're valid with timeout
         await this.verifyTokenAndNavigate();
       } else {
-        console.log("SplashScreen: No tokens found, redirecting to login");
+        splashLog.debug("No tokens found, redirecting to login");
         // No tokens, redirect to login
         this.navigateToLogin();
       }
     } catch (error) {
-      console.error("SplashScreen: Error during initialization:", error);
+      splashLog.error("Error during initialization:", error);
       // On error, redirect to login for safety
       this.navigateToLogin();
     }
@@ -42,7 +53,7 @@ class SplashScreen {
       const token = AuthTokenService.getAccessToken();
 
       // Create a promise for verification
-      const verificationPromise = fetch(`${API_BASE_URL}/api/users/me`, {
+      const verificationPromise = fetch(PasugoConfig.apiUrl("/api/users/me"), {
         method: "GET",
         headers: {
           Authorization: `Bearer ${token}`,
@@ -61,40 +72,42 @@ class SplashScreen {
         try {
           const data = await response.json();
           if (data.data) {
-            localStorage.setItem("user_data", JSON.stringify(data.data));
+            AuthTokenService.saveUserData(data.data);
           }
+          // Prime the cache so the dashboard profile renders without a refetch
+          window.PasugoCache?.set("/api/users/me", data);
         } catch (e) {
           /* ignore parse error */
         }
-        console.log("SplashScreen: Token verified, navigating to dashboard");
+        splashLog.debug("Token verified, navigating to dashboard");
         this.navigateToDashboard();
       } else if (response.status === 401) {
         // Token might be expired, try to refresh
-        console.log("SplashScreen: Token expired, attempting refresh...");
+        splashLog.debug("Token expired, attempting refresh...");
         await this.attemptTokenRefresh();
       } else {
         // Other error, redirect to login
-        console.error(
-          "SplashScreen: Token verification failed with status:",
+        splashLog.error(
+          "Token verification failed with status:",
           response.status,
         );
         this.navigateToLogin();
       }
     } catch (error) {
-      console.error("SplashScreen: Token verification error:", error);
+      splashLog.error("Token verification error:", error);
 
       // If it's a timeout or network error, try to refresh anyway
       if (
         error.message === "Verification timeout" ||
         error instanceof TypeError
       ) {
-        console.log(
-          "SplashScreen: Timeout/network error, attempting token refresh as fallback...",
+        splashLog.debug(
+          "Timeout/network error, attempting token refresh as fallback...",
         );
         try {
           await this.attemptTokenRefresh();
         } catch (refreshError) {
-          console.error("SplashScreen: Refresh also failed:", refreshError);
+          splashLog.error("Refresh also failed:", refreshError);
           this.navigateToLogin();
         }
       } else {
@@ -106,22 +119,20 @@ class SplashScreen {
 
   /**
    * Attempt to refresh token
+   * Only an expired session goes to login; offline keeps the stored session
    */
   static async attemptTokenRefresh() {
     try {
-      const newToken = await TokenRefreshManager.refreshToken();
-      if (newToken) {
-        console.log("SplashScreen: Token refreshed successfully");
-        this.navigateToDashboard();
-      } else {
-        console.log("SplashScreen: Token refresh returned no token");
+      await SessionManager.refreshToken();
+      splashLog.debug("Token refreshed successfully");
+      this.navigateToDashboard();
+    } catch (error) {
+      if (error instanceof SessionExpiredError) {
         this.navigateToLogin();
+      } else {
+        splashLog.warn("Offline, opening the dashboard with stored session");
+        this.navigateToDashboard();
       }
-    } catch (error) {
-      console.error("SplashScreen: Token refresh failed:", error);
-      // TokenRefreshManager will handle clearing tokens
-      // Just redirect to login
-      this.navigateToLogin();
     }
   }
 
@@ -138,8 +149,14 @@ class SplashScreen {
    * Navigate to dashboard based on user role
    */
   static navigateToDashboard() {
+    // A link the app was opened with goes straight to its page
+    const opened = window.PasugoDeepLinks?.resume((href) =>
+      this.fadeOutAndNavigate(href),
+    );
+    if (opened) return;
+
     try {
-      const userData = localStorage.getItem("user_data");
+      const userData = PasugoSecureStore.getItem("user_data");
       if (userData) {
         const user = JSON.parse(userData);
         if (user.user_type === "rider") {
@@ -148,7 +165,7 @@ class SplashScreen {
         }
       }
     } catch (e) {
-      console.warn("SplashScreen: Error parsing user_data for routing", e);
+      splashLog.warn("Error parsing user_data for routing", e);
     }
     this.fadeOutAndNavigate("pages/dashboard.html");
   }